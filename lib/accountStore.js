@@ -0,0 +1,125 @@
+const path = require('path');
+const crypto = require('crypto');
+const { createJsonFile } = require('./jsonFile');
+
+// --- Account store ---
+// Dashboard users and API keys, kept in memory and mirrored to one JSON file
+// (see lib/jsonFile.js):
+//   <dataDir>/accounts.json    { users: [...], keys: [...] }
+// Only hashes of passwords and keys are stored (see lib/auth.js). Each key
+// also carries its request count for the current UTC day; counting is
+// frequent, so those writes are batched into one per `usageFlushMs`.
+
+const dayOf = (ms) => new Date(ms).toISOString().slice(0, 10);
+
+const createAccountStore = ({ dataDir, usageFlushMs = 5000, now = Date.now }) => {
+    const users = new Map();
+    const keys = new Map();
+    let usageTimer = null;
+    const file = createJsonFile({
+        file: path.join(dataDir, 'accounts.json'),
+        name: 'accounts',
+        fromJson: (contents) => {
+            (contents.users || []).forEach(user => users.set(user.id, user));
+            (contents.keys || []).forEach(key => keys.set(key.id, key));
+        },
+        toJson: () => ({ users: Array.from(users.values()), keys: Array.from(keys.values()) }),
+    });
+    const { load } = file;
+
+    // Writes now, taking any batched usage with it
+    const persist = () => {
+        clearTimeout(usageTimer);
+        usageTimer = null;
+        return file.persist();
+    };
+
+    const create = (records, record) => {
+        load();
+        const at = new Date(now()).toISOString();
+        const created = { id: crypto.randomUUID(), createdAt: at, updatedAt: at, ...record };
+        records.set(created.id, created);
+        persist();
+        return created;
+    };
+
+    // Shallow merge; returns null for an unknown id
+    const update = (records, id, changes) => {
+        load();
+        const record = records.get(id);
+        if (!record) return null;
+        const updated = { ...record, ...changes, id, updatedAt: new Date(now()).toISOString() };
+        records.set(id, updated);
+        persist();
+        return updated;
+    };
+
+    const remove = (records, id) => {
+        load();
+        const existed = records.delete(id);
+        if (existed) persist();
+        return existed;
+    };
+
+    // Oldest first
+    const list = (records) => {
+        load();
+        return Array.from(records.values()).sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+    };
+
+    const findUserByName = (username) => {
+        load();
+        const wanted = String(username).toLowerCase();
+        return Array.from(users.values()).find(user => user.username.toLowerCase() === wanted) || null;
+    };
+
+    const findKeyByHash = (hash) => {
+        load();
+        return Array.from(keys.values()).find(key => key.hash === hash) || null;
+    };
+
+    // Requests a key has made today (UTC)
+    const usageOf = (id) => {
+        const key = keys.get(id);
+        return key?.usage?.day === dayOf(now()) ? key.usage.count : 0;
+    };
+
+    // Counts one request against a key's day; returns the new count
+    const recordUsage = (id) => {
+        load();
+        const key = keys.get(id);
+        if (!key) return 0;
+        const day = dayOf(now());
+        const count = usageOf(id) + 1;
+        keys.set(id, { ...key, usage: { day, count }, lastUsedAt: new Date(now()).toISOString() });
+        if (!usageTimer) {
+            usageTimer = setTimeout(persist, usageFlushMs);
+            usageTimer.unref?.();
+        }
+        return count;
+    };
+
+    // Resolves once every pending write (batched usage included) has reached disk
+    const flush = () => (usageTimer ? persist() : file.flush());
+
+    return {
+        listUsers: () => list(users),
+        getUser: (id) => { load(); return users.get(id) || null; },
+        findUserByName,
+        createUser: (user) => create(users, user),
+        updateUser: (id, changes) => update(users, id, changes),
+        removeUser: (id) => remove(users, id),
+        listKeys: () => list(keys),
+        getKey: (id) => { load(); return keys.get(id) || null; },
+        findKeyByHash,
+        createKey: (key) => create(keys, key),
+        updateKey: (id, changes) => update(keys, id, changes),
+        usageOf,
+        recordUsage,
+        flush,
+    };
+};
+
+module.exports = {
+    createAccountStore,
+};
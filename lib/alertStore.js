@@ -0,0 +1,93 @@
+const path = require('path');
+const crypto = require('crypto');
+const { createJsonFile } = require('./jsonFile');
+
+// --- Alert store ---
+// Watchlist rules and the alerts they have fired, kept in memory and mirrored
+// to a single JSON file (see lib/jsonFile.js):
+//   <dataDir>/alerts.json    { rules: [...], history: [...] }
+// Only the newest `historyLimit` alerts are kept.
+
+const createAlertStore = ({ dataDir, historyLimit = 200 }) => {
+    const rules = new Map();
+    let history = [];
+    const { load, persist, flush } = createJsonFile({
+        file: path.join(dataDir, 'alerts.json'),
+        name: 'alerts',
+        fromJson: (contents) => {
+            (contents.rules || []).forEach(rule => rules.set(rule.id, rule));
+            history = (contents.history || []).slice(0, historyLimit);
+        },
+        toJson: () => ({ rules: Array.from(rules.values()), history }),
+    });
+
+    // Oldest first, so the list reads in the order rules were added
+    const listRules = (predicate = () => true) => {
+        load();
+        return Array.from(rules.values())
+            .filter(predicate)
+            .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+    };
+
+    const getRule = (id) => {
+        load();
+        return rules.get(id) || null;
+    };
+
+    const createRule = (rule) => {
+        load();
+        const now = new Date().toISOString();
+        const created = { id: crypto.randomUUID(), createdAt: now, updatedAt: now, ...rule };
+        rules.set(created.id, created);
+        persist();
+        return created;
+    };
+
+    // Replaces a rule's fields, keeping its id and creation time; returns
+    // null for an unknown id
+    const updateRule = (id, fields) => {
+        load();
+        const rule = rules.get(id);
+        if (!rule) return null;
+        const updated = { id, createdAt: rule.createdAt, updatedAt: new Date().toISOString(), ...fields };
+        rules.set(id, updated);
+        persist();
+        return updated;
+    };
+
+    const removeRule = (id) => {
+        load();
+        const existed = rules.delete(id);
+        if (existed) persist();
+        return existed;
+    };
+
+    // Newest first
+    const listHistory = ({ ruleId, limit = historyLimit, predicate = () => true } = {}) => {
+        load();
+        return history.filter(alert => (!ruleId || alert.ruleId === ruleId) && predicate(alert)).slice(0, limit);
+    };
+
+    const recordAlert = (alert) => {
+        load();
+        const recorded = { id: crypto.randomUUID(), ...alert };
+        history = [recorded, ...history].slice(0, historyLimit);
+        persist();
+        return recorded;
+    };
+
+    return {
+        listRules,
+        getRule,
+        createRule,
+        updateRule,
+        removeRule,
+        listHistory,
+        recordAlert,
+        flush,
+    };
+};
+
+module.exports = {
+    createAlertStore,
+};
@@ -0,0 +1,328 @@
+const { isAvailableSport } = require('./config');
+const { americanToProbability } = require('./odds');
+const { findOpportunities } = require('./opportunities');
+const { teamIdFor } = require('./teams');
+const { WEBHOOK_FORMATS, isWebhookUrl } = require('./webhooks');
+
+const ALERT_TYPES = ['price', 'movement', 'arbitrage'];
+const MARKETS = ['h2h', 'spreads', 'totals'];
+const DIRECTIONS = ['above', 'below'];
+const MARKET_LABELS = { h2h: 'moneyline', spreads: 'spread', totals: 'total' };
+// Fields every type of rule has; the rest belong to its type
+const SHARED_FIELDS = ['type', 'sport', 'enabled', 'cooldownMinutes', 'webhook', 'name'];
+
+// --- Watchlist alerts ---
+// Rules checked against every fresh odds pull; each one watches a sport:
+//   price      a team's moneyline price or spread point (or a game total)
+//              crossing `threshold` in `direction` ('above' | 'below')
+//   movement   a consensus line moving `threshold` or more since it was
+//              last alerted on: points for spreads and totals, percentage
+//              points of implied probability for moneylines (so -102 to +102
+//              is a move of 1, not 204); `team` narrows it to one side
+//   arbitrage  an arbitrage across books returning at least `minRoi` percent
+// Alerts are deduplicated: a price rule or arbitrage fires once when its
+// condition starts to hold and not again until it has stopped holding, and a
+// movement rule measures from the line it last fired at. On top of that each
+// rule, game and side fires at most once per cooldown.
+
+const invalidAlert = (message) => {
+    const error = new Error(message);
+    error.code = 'INVALID_ALERT';
+    return error;
+};
+
+const signed = (value) => `${value > 0 ? '+' : ''}${value}`;
+const formatLine = (market, value) => (market === 'totals' ? String(value) : signed(value));
+const matchupOf = (game) => `${game.awayTeam.name} @ ${game.homeTeam.name}`;
+
+// How far a line moved between two values of `market`, in the unit of a
+// movement rule's threshold
+const movementOf = (market, from, to) => Number((market === 'h2h'
+    ? Math.abs(americanToProbability(to) - americanToProbability(from)) * 100
+    : Math.abs(to - from)).toFixed(2));
+
+const numberField = (input, field) => {
+    const value = Number(input[field]);
+    if (input[field] === undefined || input[field] === '' || !Number.isFinite(value)) {
+        throw invalidAlert(`${field} must be a number`);
+    }
+    return value;
+};
+
+const describeRule = (rule) => {
+    if (rule.type === 'price') {
+        const subject = rule.market === 'totals' ? 'Game total' : `${rule.team} ${MARKET_LABELS[rule.market]}`;
+        return `${subject} ${rule.direction} ${formatLine(rule.market, rule.threshold)}`;
+    }
+    if (rule.type === 'movement') {
+        const subject = rule.team ? `${rule.team} ${MARKET_LABELS[rule.market]}` : `Any ${MARKET_LABELS[rule.market]}`;
+        return `${subject} moves ${rule.threshold} ${rule.market === 'h2h' ? 'points of implied probability' : 'points'}`;
+    }
+    return `Arbitrage of ${rule.minRoi}% or more`;
+};
+
+// A validated rule from request input; throws INVALID_ALERT. `allowedSports` optionally restricts which
+// sports a rule may watch, `webhookHosts` where its webhook may post.
+const buildRule = (input, { defaultSport, allowedSports = [], webhookHosts = [], cooldownMinutes = 30 }) => {
+    if (!input || typeof input !== 'object') throw invalidAlert('Request body must be an alert rule');
+    const { type } = input;
+    if (!ALERT_TYPES.includes(type)) throw invalidAlert(`type must be one of: ${ALERT_TYPES.join(', ')}`);
+
+    const rule = {
+        type,
+        sport: input.sport || defaultSport,
+        enabled: input.enabled !== false,
+        cooldownMinutes: input.cooldownMinutes === undefined ? cooldownMinutes : numberField(input, 'cooldownMinutes'),
+    };
+    if (!isAvailableSport(rule.sport, allowedSports)) throw invalidAlert(`Sport ${rule.sport} is not available`);
+    if (rule.cooldownMinutes < 0) throw invalidAlert('cooldownMinutes cannot be negative');
+
+    if (type === 'arbitrage') {
+        rule.minRoi = input.minRoi === undefined ? 0 : numberField(input, 'minRoi');
+    } else {
+        rule.market = input.market || (type === 'price' ? 'h2h' : 'spreads');
+        if (!MARKETS.includes(rule.market)) throw invalidAlert(`market must be one of: ${MARKETS.join(', ')}`);
+        rule.team = input.team || null;
+        rule.threshold = numberField(input, 'threshold');
+    }
+
+    if (type === 'price') {
+        if (!DIRECTIONS.includes(input.direction)) throw invalidAlert(`direction must be one of: ${DIRECTIONS.join(', ')}`);
+        rule.direction = input.direction;
+        if (rule.market !== 'totals' && !rule.team) throw invalidAlert(`A ${MARKET_LABELS[rule.market]} price alert needs a team`);
+        if (rule.market === 'h2h' && Math.abs(rule.threshold) < 100) throw invalidAlert(`Invalid American price: ${input.threshold}`);
+    }
+    if (type === 'movement' && !(rule.threshold > 0)) throw invalidAlert('threshold must be a positive number');
+    if (rule.market === 'totals') rule.team = null;
+
+    if (input.webhook) {
+        const { url, format = 'generic' } = input.webhook;
+        if (!isWebhookUrl(url, { allowedHosts: webhookHosts })) {
+            throw invalidAlert(webhookHosts.length > 0
+                ? `webhook.url must be an http(s) URL on one of: ${webhookHosts.join(', ')}`
+                : 'webhook.url must be an http(s) URL on a public host');
+        }
+        if (!WEBHOOK_FORMATS.includes(format)) throw invalidAlert(`webhook.format must be one of: ${WEBHOOK_FORMATS.join(', ')}`);
+        rule.webhook = { url, format };
+    } else {
+        rule.webhook = null;
+    }
+
+    rule.name = (typeof input.name === 'string' && input.name.trim()) || describeRule(rule);
+    return rule;
+};
+
+// A stored rule with `changes` applied, validated as buildRule does (same
+// options). Changing the type starts the new type's fields afresh instead of
+// carrying over the old type's, and a generated name follows the new
+// settings.
+const applyRuleChanges = (rule, changes, options) => {
+    if (!changes || typeof changes !== 'object') throw invalidAlert('Request body must be an alert rule');
+    const current = changes.type === undefined || changes.type === rule.type
+        ? rule
+        : Object.fromEntries(SHARED_FIELDS.filter(field => field in rule).map(field => [field, rule[field]]));
+    const autoNamed = rule.name === buildRule({ ...rule, name: undefined }, options).name;
+    return buildRule({ ...current, ...(autoNamed && { name: undefined }), ...changes }, options);
+};
+
+// Every side of a game a price or movement rule can watch:
+// [{ key, name, value, price, point }]
+const sidesOf = (game, rule) => {
+    const { h2h, spreads, totals } = game.markets;
+    const teamId = rule.team ? teamIdFor(rule.team, game.sport) : null;
+    const teams = [['home', game.homeTeam], ['away', game.awayTeam]]
+        .filter(([, team]) => !teamId || team.id === teamId);
+
+    if (rule.market === 'h2h' && h2h) {
+        return teams.map(([side, team]) => ({ key: side, name: team.name, value: h2h[side].price, price: h2h[side].price }));
+    }
+    if (rule.market === 'spreads' && spreads) {
+        // Both sides of a spread move together; without a team, watch the home side
+        return (teamId ? teams : teams.slice(0, 1)).map(([side, team]) => ({
+            key: side, name: team.name, value: spreads[side].point, price: spreads[side].price, point: spreads[side].point,
+        }));
+    }
+    if (rule.market === 'totals' && totals) {
+        return [{ key: 'over', name: 'Total', value: totals.point, price: totals.over.price, point: totals.point }];
+    }
+    return [];
+};
+
+// What a rule sees in one pull: [{ key, holds?, value?, game, build() }],
+// where `build` describes the alert if it fires
+const observe = (rule, games) => {
+    if (rule.type === 'arbitrage') {
+        // Best return per game and market (spreads and totals can have several)
+        const found = new Map(findOpportunities(games)
+            .filter(opportunity => opportunity.type === 'arbitrage' && opportunity.guaranteedReturn.roi >= rule.minRoi)
+            .sort((a, b) => a.guaranteedReturn.roi - b.guaranteedReturn.roi)
+            .map(opportunity => [`${opportunity.eventId}:${opportunity.market}`, opportunity]));
+        return games.flatMap(game => MARKETS.map(market => {
+            const opportunity = found.get(`${game.id}:${market}`);
+            return {
+                key: `${game.id}:${market}`,
+                game,
+                holds: Boolean(opportunity),
+                build: () => ({
+                    market,
+                    message: `Arbitrage on the ${MARKET_LABELS[market]}: ${opportunity.guaranteedReturn.roi}% guaranteed (${matchupOf(game)})`,
+                    details: { roi: opportunity.guaranteedReturn.roi, booksum: opportunity.booksum, legs: opportunity.legs },
+                }),
+            };
+        }));
+    }
+
+    return games.flatMap(game => sidesOf(game, rule).map(side => ({
+        key: `${game.id}:${side.key}`,
+        game,
+        value: side.value,
+        holds: rule.type === 'price' && (rule.direction === 'above' ? side.value > rule.threshold : side.value < rule.threshold),
+        build: (baseline) => ({
+            market: rule.market,
+            message: rule.type === 'price'
+                ? `${side.name} ${MARKET_LABELS[rule.market]} is ${formatLine(rule.market, side.value)}, ${rule.direction} ${formatLine(rule.market, rule.threshold)} (${matchupOf(game)})`
+                : `${side.name} ${MARKET_LABELS[rule.market]} moved from ${formatLine(rule.market, baseline)} to ${formatLine(rule.market, side.value)} (${matchupOf(game)})`,
+            details: {
+                selection: side.name,
+                price: side.price,
+                ...(side.point !== undefined && { point: side.point }),
+                ...(rule.type === 'movement' && { moved: movementOf(rule.market, baseline, side.value), baseline }),
+                threshold: rule.threshold,
+            },
+        }),
+    })));
+};
+
+// Checks rules against pulls and delivers what fires. `store` is an alert
+// store (lib/alertStore.js), `notifier` a webhook notifier (lib/webhooks.js).
+// With `intervalMs` > 0 the sports that enabled rules watch are also pulled
+// on a timer (through the upstream cache), so alerts fire while nobody has
+// the site open. Dedup and cooldown state lives in memory.
+const createAlertService = ({ store, odds, notifier, intervalMs = 0, now = Date.now }) => {
+    // rule id + key -> { active, baseline, firedAt }
+    const state = new Map();
+    // sport -> evaluation of the latest pull, for checkNow to report
+    const pulls = new Map();
+    let timer = null;
+
+    const stateOf = (rule, key) => {
+        const id = `${rule.id}:${key}`;
+        if (!state.has(id)) state.set(id, { active: false, baseline: null, firedAt: null });
+        return state.get(id);
+    };
+
+    const coolingDown = (rule, entry) => entry.firedAt !== null && now() - entry.firedAt < rule.cooldownMinutes * 60 * 1000;
+
+    const deliver = async (rule, game, alert) => {
+        const fired = {
+            ruleId: rule.id,
+            ruleName: rule.name,
+            type: rule.type,
+            sport: rule.sport,
+            eventId: game.id,
+            homeTeam: game.homeTeam.name,
+            awayTeam: game.awayTeam.name,
+            commenceTime: game.commenceTime,
+            ...alert,
+            triggeredAt: new Date(now()).toISOString(),
+        };
+        const delivery = await notifier.send(fired, rule.webhook);
+        // Kept with the alert, not sent: the history is shown to the rule's owner
+        return store.recordAlert({ ...fired, owner: rule.owner ?? null, delivery });
+    };
+
+    // Alerts fired by `games`, a fresh pull of `sport`
+    const evaluate = async (sport, games) => {
+        const fired = [];
+        store.listRules(rule => rule.enabled && rule.sport === sport).forEach(rule => {
+            observe(rule, games).forEach(observation => {
+                const entry = stateOf(rule, observation.key);
+
+                if (rule.type === 'movement') {
+                    if (entry.baseline === null) {
+                        entry.baseline = observation.value;
+                        return;
+                    }
+                    if (movementOf(rule.market, entry.baseline, observation.value) < rule.threshold || coolingDown(rule, entry)) return;
+                    fired.push(deliver(rule, observation.game, observation.build(entry.baseline)));
+                    entry.baseline = observation.value;
+                    entry.firedAt = now();
+                    return;
+                }
+
+                if (!observation.holds) {
+                    entry.active = false;
+                    return;
+                }
+                if (entry.active || coolingDown(rule, entry)) return;
+                fired.push(deliver(rule, observation.game, observation.build()));
+                entry.active = true;
+                entry.firedAt = now();
+            });
+        });
+        return Promise.all(fired);
+    };
+
+    // Clears what the evaluator remembers about a rule, e.g. once it changed
+    const forget = (ruleId) => {
+        Array.from(state.keys())
+            .filter(id => id.startsWith(`${ruleId}:`))
+            .forEach(id => state.delete(id));
+    };
+
+    // Pulls every sport an enabled rule watches and evaluates it now; a sport
+    // that fails is reported in `failedSports` without holding up the rest
+    const checkNow = async () => {
+        const sports = [...new Set(store.listRules(rule => rule.enabled).map(rule => rule.sport))];
+        const checkedSports = [];
+        const failedSports = [];
+        const fired = [];
+        for (const sport of sports) {
+            pulls.delete(sport);
+            try {
+                const games = await odds.getGames(sport);
+                // A pull that reached the Odds API has been evaluated already
+                fired.push(...await (pulls.get(sport) || evaluate(sport, games)));
+                checkedSports.push(sport);
+            } catch (error) {
+                console.error(`Alert check failed for ${sport}:`, error.message);
+                failedSports.push({ sport, message: error.message });
+            }
+        }
+        return { checkedSports, failedSports, fired };
+    };
+
+    // Every pull that reaches the Odds API is checked as it lands
+    const unsubscribe = odds.onPull((sport, games) => {
+        pulls.set(sport, evaluate(sport, games).catch(error => {
+            console.error(`Alert evaluation failed for ${sport}:`, error.message);
+            return [];
+        }));
+    });
+
+    if (intervalMs > 0) {
+        timer = setInterval(() => {
+            checkNow().catch(error => console.error('Alert check failed:', error.message));
+        }, intervalMs);
+        timer.unref?.();
+    }
+
+    const stop = () => {
+        clearInterval(timer);
+        unsubscribe();
+    };
+
+    return {
+        evaluate,
+        checkNow,
+        forget,
+        stop,
+    };
+};
+
+module.exports = {
+    ALERT_TYPES,
+    buildRule,
+    applyRuleChanges,
+    createAlertService,
+};
@@ -0,0 +1,145 @@
+const crypto = require('crypto');
+const { describeGameProbabilities } = require('./probability');
+const { teamIdFor } = require('./teams');
+
+// --- Matchup briefings ---
+// Prompts are built here from the live payload, never in the browser, and the
+// generated text is cached per matchup and odds version: the same prices
+// (and ratings) always get the same briefing, and any line move or newly
+// imported game produces a fresh one.
+
+const formatPrice = (price) => (price > 0 ? `+${price}` : `${price}`);
+const formatPoint = (point) => (point > 0 ? `+${point}` : `${point}`);
+
+const describeMovement = (team) => {
+    const last24h = team.priceChanges?.last24h;
+    if (!last24h || last24h.from === last24h.to) return 'No line movement recorded';
+    return `Moved from ${formatPrice(last24h.from)} to ${formatPrice(last24h.to)} since ${last24h.since} (${last24h.change > 0 ? '+' : ''}${last24h.change} pts implied probability)`;
+};
+
+const describeRatings = ({ quantitative }) => {
+    if (!quantitative) return [];
+    const lines = [
+        `- Season ratings (${quantitative.games} games to ${quantitative.lastGame}): offensive ${quantitative.offensiveRating}, defensive ${quantitative.defensiveRating}, net ${quantitative.netRating > 0 ? '+' : ''}${quantitative.netRating}, pace ${quantitative.pace}`,
+    ];
+    const recent = quantitative.last5 || quantitative.last10;
+    if (recent) {
+        lines.push(`- Last ${recent.games} games: offensive ${recent.offensiveRating}, defensive ${recent.defensiveRating}, net ${recent.netRating > 0 ? '+' : ''}${recent.netRating}, pace ${recent.pace}`);
+    }
+    return lines;
+};
+
+// The figures a briefing may rely on, for one team. Ratings are included only
+// when they come from imported box scores.
+const describeTeam = (team, fairProbability, sameGame) => {
+    const { upcomingGame } = team;
+    const lines = [
+        `- Next game: ${upcomingGame.homeAway === 'home' ? 'home vs' : 'away at'} ${upcomingGame.opponent}, ${upcomingGame.commenceTime}`,
+        `- Consensus moneyline: ${formatPrice(upcomingGame.moneyline)} across ${upcomingGame.bookmakerCount} bookmakers (best ${formatPrice(upcomingGame.best.price)} at ${upcomingGame.best.title})`,
+    ];
+    if (fairProbability !== undefined) {
+        lines.push(`- Market win probability (vig removed): ${fairProbability.toFixed(1)}%`);
+    }
+    if (upcomingGame.spread) {
+        lines.push(`- Spread: ${formatPoint(upcomingGame.spread.point)} (${formatPrice(upcomingGame.spread.price)})`);
+    }
+    if (upcomingGame.total) {
+        lines.push(`- Game total: ${upcomingGame.total.point} (over ${formatPrice(upcomingGame.total.over.price)}, under ${formatPrice(upcomingGame.total.under.price)})`);
+    }
+    lines.push(`- Line movement (24h): ${describeMovement(team)}`);
+    lines.push(...describeRatings(team));
+    if (!sameGame) {
+        lines.push('- Note: this team is not playing the other team next');
+    }
+    return lines.join('\n');
+};
+
+// `game` is the event both teams play in, or null when they don't meet next
+const buildMatchupPrompt = ({ leagueTitle, teamA, teamB, game }) => {
+    const fair = game ? describeGameProbabilities(game).markets.h2h : null;
+    const fairFor = (team) => fair?.outcomes.find(o => o.name === team.name)?.fair;
+
+    return `Act as an expert sports analyst providing a pre-game briefing for an ${leagueTitle} matchup. Matchup: ${teamA.name} vs. ${teamB.name}.
+
+Team A (${teamA.name}):
+${describeTeam(teamA, fairFor(teamA), Boolean(game))}
+
+Team B (${teamB.name}):
+${describeTeam(teamB, fairFor(teamB), Boolean(game))}
+
+Your Task: Write a detailed, narrative-style analysis covering:
+1. Overall Matchup Synopsis based on the live betting odds.
+2. What the line movement and the spread between books suggest.
+3. Strategic X-Factors.
+4. Prediction with a final score, justifying it with the available data.
+Format the response clearly with headings.`;
+};
+
+// Short fingerprint of every price and rating the briefing depends on
+const oddsVersionOf = (teamA, teamB) => {
+    const relevant = [teamA, teamB].map(({ upcomingGame, quantitative }) => ({
+        eventId: upcomingGame.eventId,
+        ratings: quantitative && [quantitative.games, quantitative.lastGame],
+        moneyline: upcomingGame.moneyline,
+        spread: upcomingGame.spread && [upcomingGame.spread.point, upcomingGame.spread.price],
+        total: upcomingGame.total && [upcomingGame.total.point, upcomingGame.total.over.price, upcomingGame.total.under.price],
+    }));
+    return crypto.createHash('sha1').update(JSON.stringify(relevant)).digest('hex').slice(0, 12);
+};
+
+const createAnalysisService = ({ odds, provider, cacheTtlMs = 6 * 60 * 60 * 1000, maxEntries = 200 }) => {
+    const cache = new Map();
+
+    const remember = (key, value) => {
+        cache.set(key, value);
+        // Map keeps insertion order, so the first key is the oldest entry
+        if (cache.size > maxEntries) cache.delete(cache.keys().next().value);
+    };
+
+    // Teams may be given by id, name or any registry alias ('BOS', 'Celtics')
+    const analyzeMatchup = async ({ sport = odds.defaultSport, teamA: teamAName, teamB: teamBName }) => {
+        const { games, teams } = await odds.getMarket(sport);
+        const teamA = teams[teamIdFor(teamAName, sport)];
+        const teamB = teams[teamIdFor(teamBName, sport)];
+        if (!teamA || !teamB) {
+            const error = new Error(`No upcoming game for team ${!teamA ? teamAName : teamBName}`);
+            error.code = 'TEAM_NOT_FOUND';
+            throw error;
+        }
+
+        const oddsVersion = oddsVersionOf(teamA, teamB);
+        const key = [sport, teamA.id, teamB.id, provider.name, provider.model, oddsVersion].join(':');
+        const cached = cache.get(key);
+        if (cached && Date.now() - cached.timestamp < cacheTtlMs) {
+            return { ...cached.result, cached: true };
+        }
+
+        const game = games.find(g => g.id === teamA.upcomingGame.eventId);
+        const prompt = buildMatchupPrompt({
+            leagueTitle: game?.sportTitle || sport,
+            teamA,
+            teamB,
+            game: teamA.upcomingGame.eventId === teamB.upcomingGame.eventId ? game : null,
+        });
+
+        const result = {
+            analysis: await provider.generate(prompt),
+            provider: provider.name,
+            model: provider.model,
+            oddsVersion,
+            generatedAt: new Date().toISOString(),
+        };
+        remember(key, { result, timestamp: Date.now() });
+        return { ...result, cached: false };
+    };
+
+    return {
+        analyzeMatchup,
+    };
+};
+
+module.exports = {
+    createAnalysisService,
+    buildMatchupPrompt,
+    oddsVersionOf,
+};
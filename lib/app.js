@@ -0,0 +1,311 @@
+const express = require('express');
+const cors = require('cors');
+const path = require('path');
+const helmet = require('helmet');
+const { createSnapshotStore } = require('./snapshotStore');
+const { createOddsService, describeOddsError } = require('./oddsService');
+const { createGamesRouter } = require('./routes/games');
+const { createOpportunitiesRouter } = require('./routes/opportunities');
+const { createEvRouter } = require('./routes/ev');
+const { createTeamsRouter } = require('./routes/teams');
+const { createSportsRouter } = require('./routes/sports');
+const { createStreamRouter } = require('./routes/stream');
+const { createLiveFeed } = require('./liveFeed');
+const { createLlmProvider } = require('./llm');
+const { createAnalysisService } = require('./analysis');
+const { createAnalysisRouter } = require('./routes/analysis');
+const { TEAM_PRICES, createOddsFormatMiddleware, pricesAt, withPrices } = require('./formatOdds');
+const { createBetStore } = require('./betStore');
+const { createBetSettler } = require('./bets');
+const { createBetsRouter } = require('./routes/bets');
+const { createResultStore } = require('./resultStore');
+const { createScoresService, createFixtureScoresProvider } = require('./scores');
+const { createResultsRouter } = require('./routes/results');
+const { createGameLogProvider } = require('./gameLogs');
+const { createRatingsService } = require('./ratings');
+const { createEloService } = require('./elo');
+const { createModelRouter } = require('./routes/model');
+const { createBacktester } = require('./backtest');
+const { createBacktestsRouter } = require('./routes/backtests');
+const { createCache } = require('./cache');
+const { createUpstreamClient } = require('./upstream');
+const { createOddsProvider } = require('./oddsProvider');
+const { createAlertStore } = require('./alertStore');
+const { createAlertService } = require('./alerts');
+const { createWebhookNotifier } = require('./webhooks');
+const { createAlertsRouter } = require('./routes/alerts');
+const { createAccountStore } = require('./accountStore');
+const { createAuth, createSessionStore } = require('./auth');
+const { createAuthRouter } = require('./routes/auth');
+const { createAdminRouter } = require('./routes/admin');
+const { createExportRouter } = require('./routes/export');
+
+const API_ENDPOINTS = ['/api/v1/nba-data', '/api/v1/games', '/api/v1/games/:eventId', '/api/v1/games/:eventId/probabilities', '/api/v1/opportunities', '/api/v1/ev', '/api/v1/teams', '/api/v1/teams/:team', '/api/v1/teams/:team/ratings', '/api/v1/teams/:team/profile', '/api/v1/model', '/api/v1/model/ratings', '/api/v1/model/:eventId', '/api/v1/sports', '/api/v1/sports/:sport/odds', '/api/v1/sports/:sport/games', '/api/v1/sports/:sport/stream', '/api/v1/analysis/matchup', '/api/v1/bets', '/api/v1/bets/summary', '/api/v1/bets/:id', '/api/v1/results', '/api/v1/results/:eventId', '/api/v1/clv', '/api/v1/backtests', '/api/v1/export/odds', '/api/v1/export/results', '/api/v1/export/model', '/api/v1/alerts', '/api/v1/alerts/history', '/api/v1/alerts/:id', '/api/v1/auth/login', '/api/v1/auth/logout', '/api/v1/auth/session', '/api/v1/admin/keys', '/api/v1/admin/keys/:id', '/api/v1/admin/users', '/api/v1/admin/users/:id', '/api/v1/health'];
+
+// --- App factory ---
+// The whole server, built from a config (see lib/config.js) and nothing
+// else, so both entry points and the tests run the same routes. Anything
+// that reaches outside the process can be injected instead:
+//   oddsClient   where Odds API responses come from (any provider from
+//                lib/oddsProvider.js); by default the one `config.oddsMode` names
+//   cache        upstream response cache (lib/cache.js); by default the
+//                configured backend
+//   clock        `() => milliseconds`, what upstream cache ages, snapshot
+//                times, price changes and alert cooldowns are measured on
+// Returns { app, services, stop }: `services` exposes the wired-up services,
+// and `stop()` clears every background timer.
+const createApp = (config, { oddsClient, cache, clock = Date.now } = {}) => {
+    const app = express();
+
+    // Every upstream pull is persisted so line history survives restarts
+    const snapshots = createSnapshotStore({ dataDir: config.dataDir, memoryDays: config.snapshotMemoryDays, now: clock });
+
+    // Real team ratings from imported box scores
+    const gameLogs = createGameLogProvider({ dir: config.gameLogsDir || path.join(config.dataDir, 'gamelogs') });
+    const ratings = createRatingsService({ provider: gameLogs, ttlMs: config.ratingsRefreshInterval * 1000 });
+
+    // Every Odds API call: cached, coalesced and rationed by the remaining quota
+    const upstream = createUpstreamClient({
+        provider: oddsClient || createOddsProvider({
+            mode: config.oddsMode,
+            apiKey: config.apiKey,
+            dir: config.oddsFixturesDir,
+            speed: config.replaySpeed,
+            loop: config.replayLoop,
+            now: clock
+        }),
+        cache: cache || createCache({
+            backend: config.cacheBackend,
+            dir: config.cacheDir || path.join(config.dataDir, 'cache'),
+            maxEntries: config.cacheMaxEntries
+        }),
+        now: clock,
+        ttlMs: config.enableCache ? config.cacheTtl * 1000 : 0,
+        staleMs: config.enableCache ? config.cacheStale * 1000 : 0,
+        lowQuota: config.quotaLow,
+        reserveQuota: config.quotaReserve
+    });
+
+    // Security middleware
+    if (config.enableHelmet) {
+        app.use(helmet({
+            contentSecurityPolicy: false, // Disable for development
+            crossOriginEmbedderPolicy: false
+        }));
+    }
+
+    // CORS configuration
+    app.use(cors({
+        origin: config.corsOrigin,
+        credentials: true
+    }));
+
+    // Body parsing
+    app.use(express.json({ limit: '10mb' }));
+    app.use(express.urlencoded({ extended: true, limit: '10mb' }));
+
+    // Request logging
+    app.use((req, res, next) => {
+        const start = Date.now();
+        const requestId = Math.random().toString(36).substr(2, 9);
+        req.requestId = requestId;
+
+        res.on('finish', () => {
+            const ms = Date.now() - start;
+            console.log(`[${requestId}] ${req.method} ${req.originalUrl} -> ${res.statusCode} (${ms}ms)`);
+        });
+        next();
+    });
+
+    // Dashboard users and API keys (see lib/auth.js)
+    const accounts = createAccountStore({ dataDir: config.dataDir, now: clock });
+    const sessions = createSessionStore({ ttlMs: config.auth.sessionTtl * 1000, now: clock });
+    const auth = createAuth({
+        accounts,
+        sessions,
+        required: config.auth.required,
+        rateLimit: config.rateLimit,
+        keyDefaults: { rateLimit: config.auth.keyRateLimit, dailyQuota: config.auth.keyDailyQuota },
+        cookie: { sameSite: config.auth.cookieSameSite, secure: config.environment === 'production' }
+    });
+    auth.bootstrapAdmin({ username: config.auth.adminUsername, password: config.auth.adminPassword })
+        .catch(error => console.error('Failed to create the admin user:', error.message));
+
+    // Who is calling, then that caller's own rate limit and, for API keys,
+    // daily quota; anonymous clients share the limit per IP address
+    app.use('/api', auth.authenticate, auth.limitRate, auth.enforceQuota);
+    app.use('/api/v1', createAuthRouter({ auth, sessions }));
+    app.use('/api/v1', createAdminRouter({ accounts, sessions, auth }));
+
+    // Health check with version info, upstream quota and cache use
+    app.get('/health', (req, res) => {
+        res.json({
+            status: 'ok',
+            timestamp: new Date().toISOString(),
+            version: process.env.npm_package_version || '1.0.0',
+            environment: config.environment,
+            upstream: upstream.status()
+        });
+    });
+
+    // API versioning
+    app.get('/api/v1/health', (req, res) => {
+        res.json({
+            status: 'ok',
+            apiVersion: 'v1',
+            timestamp: new Date().toISOString(),
+            upstream: upstream.status()
+        });
+    });
+
+    // Prices in API responses follow ?oddsFormat= or the configured default
+    app.use('/api', createOddsFormatMiddleware({ defaultFormat: config.oddsFormat }));
+
+    // Upstream odds, shared by every data endpoint below
+    const odds = createOddsService({
+        upstream,
+        sport: config.sport,
+        regions: config.regions,
+        markets: config.markets,
+        snapshots,
+        ratings,
+        now: clock
+    });
+
+    // Default-sport data endpoint (kept under its original name)
+    app.get('/api/v1/nba-data', withPrices(pricesAt('*', TEAM_PRICES)), async (req, res) => {
+        try {
+            const formattedData = await odds.getTeams();
+
+            if (Object.keys(formattedData).length > 0) {
+                res.json(formattedData);
+            } else {
+                res.status(404).json({ error: 'Not found', message: `No upcoming ${config.sport} games found.` });
+            }
+
+        } catch (error) {
+            console.error(`[${req.requestId}] Error fetching data:`, error.message);
+            const { status, body } = describeOddsError(error);
+            res.status(status).json(body);
+        }
+    });
+
+    // Final scores and closing lines for finished games
+    const results = createResultStore({ dataDir: config.dataDir });
+    const scores = createScoresService({
+        provider: config.scoresSource === 'fixture' ? createFixtureScoresProvider({ dir: config.scoresFixtureDir }) : odds,
+        results,
+        snapshots,
+        intervalMs: config.scoresPollInterval * 1000
+    });
+    const bets = createBetStore({ dataDir: config.dataDir });
+
+    // Elo power ratings, replayed from game logs and recorded results
+    const elo = createEloService({ gameLogs, scores, settings: config.elo, ttlMs: config.ratingsRefreshInterval * 1000 });
+
+    // Live odds pushed to connected clients while anyone is watching
+    const liveFeed = createLiveFeed({ odds, intervalMs: config.livePollInterval * 1000 });
+
+    // Game-centric endpoints for the default sport, and every sport by key
+    app.use('/api/v1', createGamesRouter(odds));
+    app.use('/api/v1', createOpportunitiesRouter(odds));
+    app.use('/api/v1', createTeamsRouter(odds, { ratings, snapshots, scores }));
+    app.use('/api/v1', createEvRouter(odds, { staking: config.staking, elo }));
+    app.use('/api/v1', createModelRouter(odds, { elo }));
+    app.use('/api/v1', createStreamRouter(liveFeed, { defaultSport: config.sport }));
+    app.use('/api/v1', createSportsRouter(odds, { allowedSports: config.sports, liveFeed, staking: config.staking, scores, bets, ratings, elo, snapshots }));
+
+    // AI matchup briefings, generated server-side so provider keys stay here
+    const analysis = createAnalysisService({
+        odds,
+        provider: createLlmProvider(config.llm),
+        cacheTtlMs: config.analysisCacheTtl * 1000
+    });
+    app.use('/api/v1', createAnalysisRouter(analysis, {
+        windowMs: config.rateLimit?.windowMs,
+        max: config.analysisRateLimitMax,
+        allowedSports: config.sports
+    }));
+
+    // Bet tracker, settled automatically from final scores
+    const betSettler = createBetSettler({ store: bets, scores, intervalMs: config.betSettleInterval * 1000 });
+    app.use('/api/v1', createBetsRouter({ store: bets, settler: betSettler, odds, unitSize: config.betUnitSize }));
+    app.use('/api/v1', createResultsRouter({ scores, bets }));
+
+    // Model backtests, replayed offline from the stored snapshots and results
+    const backtester = createBacktester({ snapshots, results, gameLogs, settings: config.elo });
+    app.use('/api/v1', createBacktestsRouter(backtester, { defaultSport: config.sport, allowedSports: config.sports }));
+
+    // CSV / JSON / NDJSON downloads of odds, history, results and the model
+    app.use('/api/v1', createExportRouter({ odds, snapshots, scores, elo, allowedSports: config.sports, defaultFormat: config.oddsFormat }));
+
+    // Watchlist alerts, checked on every odds pull and sent to webhooks
+    const alertStore = createAlertStore({ dataDir: config.dataDir });
+    const notifier = createWebhookNotifier({
+        url: config.alerts.webhookUrl,
+        format: config.alerts.webhookFormat,
+        allowedHosts: config.alerts.webhookHosts
+    });
+    const alerts = createAlertService({ store: alertStore, odds, notifier, intervalMs: config.alerts.checkInterval * 1000, now: clock });
+    app.use('/api/v1', createAlertsRouter({
+        store: alertStore,
+        service: alerts,
+        notifier,
+        defaultSport: config.sport,
+        allowedSports: config.sports,
+        webhookHosts: config.alerts.webhookHosts,
+        cooldownMinutes: config.alerts.cooldownMinutes
+    }));
+
+    // Legacy endpoint for backward compatibility
+    app.get('/api/nba-data', (req, res) => {
+        res.redirect('/api/v1/nba-data');
+    });
+
+    // API 404 handler
+    app.use('/api', (req, res) => {
+        res.status(404).json({
+            error: 'Not found',
+            message: `API endpoint ${req.originalUrl} not found`,
+            availableEndpoints: API_ENDPOINTS
+        });
+    });
+
+    // Built React app (Vite), when this server hosts it: static files, and
+    // index.html for client-side routes (/teams/:teamId, /matchup/:a/:b, ...).
+    // A path whose last segment has a dot names a file, so a missing asset
+    // gets a 404 rather than the page.
+    if (config.staticDir) {
+        app.use(express.static(config.staticDir));
+        app.get(/^\/(?!api(?:\/|$))(?:[^/]*\/)*[^/.]*$/, (req, res) => {
+            res.sendFile(path.join(config.staticDir, 'index.html'));
+        });
+    }
+
+    // Error handling middleware
+    app.use((error, req, res, next) => {
+        console.error(`[${req.requestId}] Unhandled error:`, error);
+        res.status(500).json({
+            error: 'Internal server error',
+            message: config.environment === 'development' ? error.message : 'Something went wrong'
+        });
+    });
+
+    const stop = () => {
+        liveFeed.stop();
+        betSettler.stop();
+        scores.stop();
+        alerts.stop();
+    };
+
+    return {
+        app,
+        services: { upstream, odds, snapshots, results, scores, bets, ratings, elo, liveFeed, analysis, backtester, alertStore, alerts, notifier, accounts, sessions, auth },
+        stop,
+    };
+};
+
+module.exports = {
+    API_ENDPOINTS,
+    createApp,
+};
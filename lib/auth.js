@@ -0,0 +1,345 @@
+const crypto = require('crypto');
+const { promisify } = require('util');
+const rateLimit = require('express-rate-limit');
+
+const scrypt = promisify(crypto.scrypt);
+
+const ROLES = ['user', 'admin'];
+const SESSION_COOKIE = 'sid';
+const KEY_PREFIX = 'sk_';
+
+// Reachable without credentials even when authentication is required
+// (relative to the /api mount)
+const PUBLIC_PATHS = ['/v1/health', '/v1/auth/login', '/v1/auth/logout', '/v1/auth/session'];
+const SAFE_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+// --- Authentication ---
+// Two kinds of client:
+//   API keys   programmatic clients send `Authorization: Bearer sk_...` (or
+//              `X-API-Key`). Each key has its own rate limit per window and
+//              an optional daily quota, so a partner can't spend everyone's
+//              budget.
+//   sessions   dashboard users log in with a username and password and get
+//              an HttpOnly session cookie. Sessions live in memory, so a
+//              restart signs everyone out.
+// Passwords are stored as scrypt hashes and keys as SHA-256 hashes (a key is
+// random enough that a fast hash is safe); neither is ever stored in clear.
+// Requests with neither are anonymous: allowed unless `required`, and rate
+// limited per IP address together.
+
+const invalidAccount = (message) => {
+    const error = new Error(message);
+    error.code = 'INVALID_ACCOUNT';
+    return error;
+};
+
+// scrypt$<salt>$<hash>, both hex
+const hashPassword = async (password) => {
+    const salt = crypto.randomBytes(16);
+    const hash = await scrypt(String(password), salt, 64);
+    return `scrypt$${salt.toString('hex')}$${hash.toString('hex')}`;
+};
+
+const verifyPassword = async (password, stored) => {
+    const [scheme, salt, hash] = String(stored).split('$');
+    if (scheme !== 'scrypt' || !salt || !hash) return false;
+    const expected = Buffer.from(hash, 'hex');
+    const actual = await scrypt(String(password), Buffer.from(salt, 'hex'), expected.length);
+    return crypto.timingSafeEqual(actual, expected);
+};
+
+const hashApiKey = (key) => crypto.createHash('sha256').update(String(key)).digest('hex');
+
+// A new key, shown to its owner once; only `hash` and `prefix` are kept
+const generateApiKey = () => {
+    const key = `${KEY_PREFIX}${crypto.randomBytes(24).toString('base64url')}`;
+    return { key, hash: hashApiKey(key), prefix: key.slice(0, KEY_PREFIX.length + 6) };
+};
+
+// Checked against when a username is unknown, so a miss takes as long as a
+// wrong password
+let decoyHash = null;
+const decoy = async () => {
+    decoyHash = decoyHash || await hashPassword(crypto.randomBytes(16).toString('hex'));
+    return decoyHash;
+};
+
+const createSessionStore = ({ ttlMs = 12 * 60 * 60 * 1000, now = Date.now } = {}) => {
+    const sessions = new Map();
+
+    const create = (userId) => {
+        const session = { token: crypto.randomBytes(32).toString('base64url'), userId, expiresAt: now() + ttlMs };
+        sessions.set(session.token, session);
+        return session;
+    };
+
+    const get = (token) => {
+        const session = token ? sessions.get(token) : null;
+        if (!session) return null;
+        if (session.expiresAt <= now()) {
+            sessions.delete(token);
+            return null;
+        }
+        return session;
+    };
+
+    const destroyUser = (userId) => {
+        Array.from(sessions.values())
+            .filter(session => session.userId === userId)
+            .forEach(session => sessions.delete(session.token));
+    };
+
+    return {
+        ttlMs,
+        create,
+        get,
+        destroy: (token) => sessions.delete(token),
+        destroyUser,
+    };
+};
+
+// A value that isn't valid percent-encoding is kept as sent
+const decodeCookie = (value) => {
+    try {
+        return decodeURIComponent(value);
+    } catch (error) {
+        return value;
+    }
+};
+
+const parseCookies = (header = '') => Object.fromEntries(header.split(';')
+    .map(part => part.trim())
+    .filter(Boolean)
+    .map(part => {
+        const index = part.indexOf('=');
+        return index === -1 ? [part, ''] : [part.slice(0, index), decodeCookie(part.slice(index + 1))];
+    }));
+
+const optionalLimit = (input, field) => {
+    if (input[field] === undefined || input[field] === null || input[field] === '') return null;
+    const value = Number(input[field]);
+    if (!Number.isInteger(value) || value <= 0) throw invalidAccount(`${field} must be a positive integer or null`);
+    return value;
+};
+
+const checkRole = (role) => {
+    if (!ROLES.includes(role)) throw invalidAccount(`role must be one of: ${ROLES.join(', ')}`);
+    return role;
+};
+
+// Fields of a new API key (or of changes to one); throws INVALID_ACCOUNT
+const buildKeyFields = (input, { partial = false } = {}) => {
+    if (!input || typeof input !== 'object') throw invalidAccount('Request body must be an object');
+    const fields = {};
+    if (!partial || input.name !== undefined) {
+        if (typeof input.name !== 'string' || !input.name.trim()) throw invalidAccount('name is required');
+        fields.name = input.name.trim();
+    }
+    if (!partial || input.role !== undefined) fields.role = checkRole(input.role || 'user');
+    if (!partial || input.rateLimit !== undefined) fields.rateLimit = optionalLimit(input, 'rateLimit');
+    if (!partial || input.dailyQuota !== undefined) fields.dailyQuota = optionalLimit(input, 'dailyQuota');
+    return fields;
+};
+
+// Fields of a new user (or of changes to one), password hashed; throws INVALID_ACCOUNT
+const buildUserFields = async (input, { partial = false } = {}) => {
+    if (!input || typeof input !== 'object') throw invalidAccount('Request body must be an object');
+    const fields = {};
+    if (!partial) {
+        if (typeof input.username !== 'string' || !/^[\w.@-]{3,64}$/.test(input.username)) {
+            throw invalidAccount('username must be 3-64 letters, digits or ._@-');
+        }
+        fields.username = input.username;
+    }
+    if (!partial || input.password !== undefined) {
+        if (typeof input.password !== 'string' || input.password.length < 8) throw invalidAccount('password must be at least 8 characters');
+        fields.passwordHash = await hashPassword(input.password);
+    }
+    if (!partial || input.role !== undefined) fields.role = checkRole(input.role || 'user');
+    return fields;
+};
+
+// What a client may see of a key or user
+const describeKey = (key, accounts) => {
+    const { hash, usage, ...visible } = key;
+    return { ...visible, usedToday: accounts.usageOf(key.id) };
+};
+
+const describeUser = ({ passwordHash, ...visible }) => visible;
+
+// Bets and alert rules belong to whoever created them: 'user:<id>' or
+// 'key:<id>', or null for anonymous clients (who share one pool)
+const ownerOf = (principal) => (principal ? `${principal.type}:${principal.id}` : null);
+
+// Whether `principal` may see and change `record`; admins see everything
+const canAccess = (principal, record) => principal?.role === 'admin' || (record.owner ?? null) === ownerOf(principal);
+
+// Request middleware and login helpers over an account store (see
+// lib/accountStore.js) and a session store.
+//   required     reject anonymous requests outside PUBLIC_PATHS
+//   rateLimit    { windowMs, max } for anonymous clients (per IP) and session
+//                users (per user); null for no limit
+//   keyDefaults  { rateLimit, dailyQuota } for keys that don't set their own
+//   cookie       { sameSite, secure } for the session cookie
+const createAuth = ({ accounts, sessions, required = false, rateLimit: limits = null, keyDefaults = {}, cookie = {} }) => {
+    const sameSite = cookie.sameSite || 'lax';
+    // Browsers only send SameSite=None cookies over HTTPS
+    const secure = cookie.secure || sameSite === 'none';
+
+    const sendError = (res, status, error, message) => res.status(status).json({ error, message });
+
+    const principalOfKey = (key) => ({
+        type: 'key',
+        id: key.id,
+        name: key.name,
+        role: key.role,
+        rateLimit: key.rateLimit ?? keyDefaults.rateLimit ?? null,
+        dailyQuota: key.dailyQuota ?? keyDefaults.dailyQuota ?? null,
+    });
+
+    const principalOfUser = (user) => ({
+        type: 'user',
+        id: user.id,
+        name: user.username,
+        role: user.role,
+        rateLimit: limits?.max ?? null,
+        dailyQuota: null,
+    });
+
+    const presentedKey = (req) => {
+        const authorization = req.get('Authorization') || '';
+        if (authorization.startsWith('Bearer ')) return authorization.slice('Bearer '.length).trim();
+        return req.get('X-API-Key') || null;
+    };
+
+    // Sets req.principal (null when anonymous). A key that doesn't check out
+    // is refused outright rather than treated as anonymous.
+    const authenticate = (req, res, next) => {
+        const apiKey = presentedKey(req);
+        if (apiKey) {
+            const key = accounts.findKeyByHash(hashApiKey(apiKey));
+            if (!key) return sendError(res, 401, 'Unauthorized', 'Unknown API key');
+            if (key.revokedAt) return sendError(res, 401, 'Unauthorized', `API key ${key.prefix}... was revoked`);
+            req.principal = principalOfKey(key);
+            return next();
+        }
+
+        const session = sessions.get(parseCookies(req.get('Cookie'))[SESSION_COOKIE]);
+        const user = session && accounts.getUser(session.userId);
+        if (user) {
+            // A cross-site form can carry the cookie but can't send JSON or
+            // custom headers past CORS
+            const scripted = (req.get('Content-Type') || '').startsWith('application/json') || req.get('X-Requested-With');
+            if (!SAFE_METHODS.includes(req.method) && !scripted) {
+                return sendError(res, 403, 'Forbidden', 'Requests made with a session must send JSON');
+            }
+            req.principal = principalOfUser(user);
+            req.session = session;
+            return next();
+        }
+
+        req.principal = null;
+        if (required && !PUBLIC_PATHS.includes(req.path)) {
+            return sendError(res, 401, 'Unauthorized', 'Log in or send an API key');
+        }
+        next();
+    };
+
+    // One window per key, per user, and per IP address for everyone else
+    const limitFor = (req) => (req.principal ? req.principal.rateLimit : limits?.max ?? null);
+    const limitRate = rateLimit({
+        windowMs: limits?.windowMs || 15 * 60 * 1000,
+        limit: (req) => limitFor(req),
+        skip: (req) => limitFor(req) === null,
+        keyGenerator: (req) => (req.principal ? `${req.principal.type}:${req.principal.id}` : req.ip),
+        message: { error: 'Too many requests, please try again later.' },
+        standardHeaders: true,
+        legacyHeaders: false,
+    });
+
+    // Counts every request made with a key against its day (UTC)
+    const enforceQuota = (req, res, next) => {
+        if (req.principal?.type !== 'key') return next();
+        const { id, name, dailyQuota } = req.principal;
+        if (dailyQuota !== null) {
+            const used = accounts.usageOf(id);
+            res.set('X-Quota-Limit', String(dailyQuota));
+            if (used >= dailyQuota) {
+                res.set('X-Quota-Remaining', '0');
+                return sendError(res, 429, 'Quota exceeded', `API key "${name}" has used all ${dailyQuota} of today's requests (resets at 00:00 UTC)`);
+            }
+            res.set('X-Quota-Remaining', String(dailyQuota - used - 1));
+        }
+        accounts.recordUsage(id);
+        next();
+    };
+
+    const requireAdmin = (req, res, next) => {
+        if (!req.principal) return sendError(res, 401, 'Unauthorized', 'Log in or send an API key');
+        if (req.principal.role !== 'admin') return sendError(res, 403, 'Forbidden', 'Admin access required');
+        next();
+    };
+
+    // The user for a username and password, or null
+    const checkCredentials = async (username, password) => {
+        const user = username ? accounts.findUserByName(username) : null;
+        const matches = await verifyPassword(password || '', user ? user.passwordHash : await decoy());
+        return user && matches ? user : null;
+    };
+
+    const setSessionCookie = (res, session) => {
+        res.cookie(SESSION_COOKIE, session.token, {
+            httpOnly: true,
+            sameSite,
+            secure,
+            path: '/',
+            maxAge: sessions.ttlMs,
+        });
+    };
+
+    const clearSessionCookie = (res) => res.clearCookie(SESSION_COOKIE, { httpOnly: true, sameSite, secure, path: '/' });
+
+    // The caller as they may see themselves, with today's usage for keys
+    const describePrincipal = (principal) => principal && {
+        ...principal,
+        ...(principal.type === 'key' && { usedToday: accounts.usageOf(principal.id) }),
+    };
+
+    // Creates the first admin from configured credentials while there are no users
+    const bootstrapAdmin = async ({ username, password }) => {
+        if (!password || accounts.listUsers().length > 0) return null;
+        const user = accounts.createUser(await buildUserFields({ username, password, role: 'admin' }));
+        console.log(`Created admin user "${user.username}"`);
+        return user;
+    };
+
+    return {
+        required,
+        authenticate,
+        limitRate,
+        enforceQuota,
+        requireAdmin,
+        principalOfUser,
+        checkCredentials,
+        setSessionCookie,
+        clearSessionCookie,
+        describePrincipal,
+        bootstrapAdmin,
+    };
+};
+
+module.exports = {
+    ROLES,
+    hashPassword,
+    verifyPassword,
+    hashApiKey,
+    generateApiKey,
+    createSessionStore,
+    buildKeyFields,
+    buildUserFields,
+    describeKey,
+    describeUser,
+    ownerOf,
+    canAccess,
+    createAuth,
+};
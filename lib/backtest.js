@@ -0,0 +1,271 @@
+const { isAvailableSport } = require('./config');
+const { americanToDecimal, americanToProbability } = require('./odds');
+const { buildClosingLine } = require('./closingLine');
+const { kellyFraction } = require('./ev');
+const { createEloTracker, gamesFromLogs, gamesFromResults, mergeGames } = require('./elo');
+const { normalizeGameLogs } = require('./gameLogs');
+
+// --- Backtests ---
+// Replays a pricing model over stored history, fully offline: final results
+// from the result store, the odds captured before each of those games from the
+// snapshot store, and (optionally) box-score logs to warm the model up. Games
+// are played strictly in order, so every prediction only sees earlier games.
+//
+// Strategy: on every two-way moneyline with stored odds, bet the side whose
+// model probability beats the best available price's implied probability by
+// more than `minEdge` points, at that price. Prices are each book's last
+// pre-tip quote (`pricing: 'close'`) or its first (`'open'`).
+//   staking   flat   `stake` per bet
+//             kelly  `fraction` of full Kelly on a running `bankroll`, capped
+//                    at `cap` of it per bet
+// The report covers the bets (ROI, hit rate, max drawdown), the forecasts on
+// every game with odds (log-loss and Brier score for the model, and for the
+// vig-free market as a baseline) and calibration in 10-point buckets. Tied
+// games are replayed but never forecast or bet: a moneyline tie is a push.
+
+const MODELS = {
+    elo: (settings) => createEloTracker(settings),
+};
+const PRICING = ['close', 'open'];
+const STAKING = ['flat', 'kelly'];
+
+const DEFAULT_BACKTEST = {
+    model: 'elo',
+    minEdge: 3,
+    pricing: 'close',
+    staking: 'flat',
+    stake: 1,
+    bankroll: 100,
+    fraction: 0.5,
+    cap: 0.05,
+};
+
+// How long before tip-off a backtest looks for a game's lines
+const LINE_LEAD_MS = 7 * 24 * 60 * 60 * 1000;
+
+const round = (value, digits = 2) => Number(value.toFixed(digits));
+
+const invalidBacktest = (message) => {
+    const error = new Error(message);
+    error.code = 'INVALID_BACKTEST';
+    return error;
+};
+
+// Checked options with the defaults filled in
+const resolveOptions = (input = {}) => {
+    const options = { ...DEFAULT_BACKTEST };
+    Object.entries(input).forEach(([key, value]) => {
+        if (value !== undefined && value !== '') options[key] = value;
+    });
+    ['minEdge', 'stake', 'bankroll', 'fraction', 'cap'].forEach(key => { options[key] = Number(options[key]); });
+
+    if (!options.sport) throw invalidBacktest('sport is required');
+    if (!isAvailableSport(options.sport)) throw invalidBacktest(`Sport ${options.sport} is not available`);
+    if (!MODELS[options.model]) throw invalidBacktest(`Unknown model: ${options.model} (available: ${Object.keys(MODELS).join(', ')})`);
+    if (!PRICING.includes(options.pricing)) throw invalidBacktest(`pricing must be one of: ${PRICING.join(', ')}`);
+    if (!STAKING.includes(options.staking)) throw invalidBacktest(`staking must be one of: ${STAKING.join(', ')}`);
+    if (!Number.isFinite(options.minEdge)) throw invalidBacktest('minEdge must be a number');
+    if (!(options.stake > 0) || !(options.bankroll > 0)) throw invalidBacktest('stake and bankroll must be positive numbers');
+    if (!(options.fraction > 0 && options.fraction <= 1) || !(options.cap > 0 && options.cap <= 1)) {
+        throw invalidBacktest('fraction and cap must be between 0 and 1');
+    }
+    if (options.settings !== undefined && (typeof options.settings !== 'object' || Array.isArray(options.settings))) {
+        throw invalidBacktest('settings must be an object');
+    }
+    ['from', 'to'].forEach(key => {
+        if (options[key] !== undefined && Number.isNaN(Date.parse(options[key]))) throw invalidBacktest(`${key} must be a date`);
+    });
+    return options;
+};
+
+// The h2h line for one event as it stood at the chosen time before tip-off
+const moneylineAt = (snapshots, pricing) => {
+    const eligible = pricing === 'open'
+        ? snapshots.filter((snapshot, index) => snapshots.findIndex(other => (
+            other.bookmaker === snapshot.bookmaker && other.market === snapshot.market
+        )) === index)
+        : snapshots;
+    const line = buildClosingLine(eligible.filter(snapshot => snapshot.market === 'h2h'));
+    const h2h = line?.markets.h2h;
+    return h2h && !h2h.draw ? h2h : null;
+};
+
+// Mean log-loss and Brier score of home win probabilities (0-1)
+const scoreForecasts = (forecasts, key) => {
+    if (forecasts.length === 0) return null;
+    const clamp = (p) => Math.min(Math.max(p, 1e-6), 1 - 1e-6);
+    const totals = forecasts.reduce((sum, forecast) => {
+        const p = clamp(forecast[key]);
+        return {
+            logLoss: sum.logLoss - (forecast.homeWon ? Math.log(p) : Math.log(1 - p)),
+            brier: sum.brier + (p - (forecast.homeWon ? 1 : 0)) ** 2,
+        };
+    }, { logLoss: 0, brier: 0 });
+    return { logLoss: round(totals.logLoss / forecasts.length, 4), brier: round(totals.brier / forecasts.length, 4) };
+};
+
+// Predicted against actual win rates, bucketed by predicted probability. Both
+// sides of every game are counted, so the buckets mirror each other about 50%
+const calibrate = (forecasts) => {
+    const buckets = Array.from({ length: 10 }, (_, index) => ({ from: index * 10, to: index * 10 + 10, count: 0, predicted: 0, wins: 0 }));
+    forecasts.forEach(forecast => {
+        [[forecast.model, forecast.homeWon], [1 - forecast.model, !forecast.homeWon]].forEach(([p, won]) => {
+            const bucket = buckets[Math.min(Math.floor(p * 10), 9)];
+            bucket.count += 1;
+            bucket.predicted += p;
+            bucket.wins += won ? 1 : 0;
+        });
+    });
+    return buckets
+        .filter(bucket => bucket.count > 0)
+        .map(({ from, to, count, predicted, wins }) => ({
+            bucket: `${from}-${to}%`,
+            count,
+            predicted: round((predicted / count) * 100, 1),
+            actual: round((wins / count) * 100, 1),
+        }));
+};
+
+// Runs one backtest over history already read from disk:
+//   results     recorded final results for the sport (see lib/resultStore.js)
+//   getEvent    eventId -> stored odds snapshots (see lib/snapshotStore.js)
+//   logs        raw box-score rows, optional (see lib/gameLogs.js)
+// Throws INVALID_BACKTEST for options it can't run.
+const runBacktest = ({ results, getEvent, logs = [] }, input) => {
+    const options = resolveOptions(input);
+    const { sport, minEdge, pricing, staking, ...strategy } = options;
+    const from = options.from ? new Date(options.from).toISOString().slice(0, 10) : null;
+    const to = options.to ? new Date(options.to).toISOString().slice(0, 10) : null;
+
+    const games = mergeGames(gamesFromLogs(normalizeGameLogs(logs, sport)), gamesFromResults(results, sport));
+    const model = MODELS[options.model](input.settings);
+
+    const forecasts = [];
+    const ledger = [];
+    let bankroll = options.bankroll;
+
+    games.forEach(game => {
+        const inWindow = (!from || game.date >= from) && (!to || game.date <= to);
+        const snapshots = game.eventId && inWindow && game.homeScore !== game.awayScore ? getEvent(game.eventId) : [];
+        const h2h = snapshots.length > 0 ? moneylineAt(snapshots, pricing) : null;
+
+        if (h2h) {
+            const prediction = model.predict(game);
+            const homeWon = game.homeScore > game.awayScore;
+            forecasts.push({ model: prediction.home.probability / 100, market: h2h.home.probability.fair / 100, homeWon });
+
+            const [side, edge] = ['home', 'away']
+                .map(key => [key, prediction[key].probability - americanToProbability(h2h[key].best.price) * 100])
+                .sort((a, b) => b[1] - a[1])[0];
+            const { price, bookmaker } = h2h[side].best;
+            const decimal = americanToDecimal(price);
+            const stake = edge <= minEdge ? 0 : staking === 'flat'
+                ? options.stake
+                : round(bankroll * Math.min(kellyFraction(prediction[side].probability / 100, decimal) * options.fraction, options.cap));
+            if (stake > 0) {
+                const won = side === 'home' ? homeWon : !homeWon;
+                const profit = round(won ? stake * (decimal - 1) : -stake);
+                bankroll = round(bankroll + profit);
+                ledger.push({
+                    eventId: game.eventId,
+                    date: game.date,
+                    homeTeam: game.homeTeam,
+                    awayTeam: game.awayTeam,
+                    selection: side === 'home' ? game.homeTeam : game.awayTeam,
+                    bookmaker,
+                    price,
+                    modelProbability: prediction[side].probability,
+                    impliedProbability: round(americanToProbability(price) * 100),
+                    edge: round(edge),
+                    stake,
+                    result: won ? 'won' : 'lost',
+                    profit,
+                    bankroll,
+                });
+            }
+        }
+        model.update(game);
+    });
+
+    // Largest fall from a running peak of cumulative profit
+    let peak = 0;
+    let cumulative = 0;
+    let maxDrawdown = 0;
+    ledger.forEach(bet => {
+        cumulative += bet.profit;
+        peak = Math.max(peak, cumulative);
+        maxDrawdown = Math.max(maxDrawdown, peak - cumulative);
+    });
+    const staked = ledger.reduce((total, bet) => total + bet.stake, 0);
+    const won = ledger.filter(bet => bet.result === 'won').length;
+
+    return {
+        sport,
+        strategy: { minEdge, pricing, staking, ...strategy },
+        period: { from: from || games[0]?.date || null, to: to || games[games.length - 1]?.date || null },
+        games: { replayed: games.length, withOdds: forecasts.length },
+        bets: {
+            count: ledger.length,
+            won,
+            lost: ledger.length - won,
+            staked: round(staked),
+            profit: round(cumulative),
+            roi: staked > 0 ? round((cumulative / staked) * 100) : 0,
+            hitRate: ledger.length > 0 ? round((won / ledger.length) * 100) : 0,
+            averageEdge: ledger.length > 0 ? round(ledger.reduce((total, bet) => total + bet.edge, 0) / ledger.length) : 0,
+            maxDrawdown: {
+                amount: round(maxDrawdown),
+                percent: round((maxDrawdown / (options.bankroll + peak)) * 100),
+            },
+            ...(staking === 'kelly' && { finalBankroll: bankroll }),
+        },
+        forecasts: {
+            count: forecasts.length,
+            model: scoreForecasts(forecasts, 'model'),
+            market: scoreForecasts(forecasts, 'market'),
+        },
+        calibration: calibrate(forecasts),
+        ledger,
+    };
+};
+
+// The moneyline snapshots of `eventIds` captured in the run's window (and the
+// week before it), streamed from the day files rather than the store's
+// in-memory window so old history can be replayed: eventId -> snapshots
+const readMoneylines = async (snapshots, sport, eventIds, { from, to }) => {
+    const byEvent = new Map();
+    const range = {
+        ...(from && { from: new Date(Date.parse(from) - LINE_LEAD_MS).toISOString() }),
+        ...(to && { to: `${new Date(to).toISOString().slice(0, 10)}T23:59:59.999Z` }),
+    };
+    for await (const snapshot of snapshots.readRange(sport, range)) {
+        if (snapshot.market !== 'h2h' || !eventIds.has(snapshot.eventId)) continue;
+        if (!byEvent.has(snapshot.eventId)) byEvent.set(snapshot.eventId, []);
+        byEvent.get(snapshot.eventId).push(snapshot);
+    }
+    return byEvent;
+};
+
+// Backtests against the stores on disk; `results` is a result store (see
+// lib/resultStore.js) and `settings` the model settings a run starts from
+const createBacktester = ({ snapshots, results, gameLogs, settings = {} }) => ({
+    run: async (input = {}) => {
+        // The caller's own options are checked before they reach the disk or
+        // are merged over the defaults
+        const { sport, from, to } = resolveOptions(input);
+        const recorded = results.list({ sport });
+        const moneylines = await readMoneylines(snapshots, sport, new Set(recorded.map(result => result.eventId)), { from, to });
+        return runBacktest({
+            results: recorded,
+            getEvent: (eventId) => moneylines.get(eventId) || [],
+            logs: gameLogs ? await gameLogs.fetchGameLogs(sport) : [],
+        }, { ...input, settings: { ...settings, ...input.settings } });
+    },
+});
+
+module.exports = {
+    DEFAULT_BACKTEST,
+    MODELS,
+    runBacktest,
+    createBacktester,
+};
@@ -0,0 +1,71 @@
+const path = require('path');
+const crypto = require('crypto');
+const { createJsonFile } = require('./jsonFile');
+
+// --- Bet store ---
+// Every recorded wager, kept in memory and mirrored to a single JSON file
+// (see lib/jsonFile.js):
+//   <dataDir>/bets.json
+
+const createBetStore = ({ dataDir }) => {
+    const bets = new Map();
+    const { load, persist, flush } = createJsonFile({
+        file: path.join(dataDir, 'bets.json'),
+        name: 'bets',
+        fromJson: (contents) => contents.forEach(bet => bets.set(bet.id, bet)),
+        toJson: () => Array.from(bets.values()),
+    });
+
+    // Newest first
+    const list = (predicate = () => true) => {
+        load();
+        return Array.from(bets.values())
+            .filter(predicate)
+            .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+    };
+
+    const get = (id) => {
+        load();
+        return bets.get(id) || null;
+    };
+
+    const create = (bet) => {
+        load();
+        const now = new Date().toISOString();
+        const created = { id: crypto.randomUUID(), createdAt: now, updatedAt: now, ...bet };
+        bets.set(created.id, created);
+        persist();
+        return created;
+    };
+
+    // Shallow merge; returns null for an unknown id
+    const update = (id, changes) => {
+        load();
+        const bet = bets.get(id);
+        if (!bet) return null;
+        const updated = { ...bet, ...changes, id, updatedAt: new Date().toISOString() };
+        bets.set(id, updated);
+        persist();
+        return updated;
+    };
+
+    const remove = (id) => {
+        load();
+        const existed = bets.delete(id);
+        if (existed) persist();
+        return existed;
+    };
+
+    return {
+        list,
+        get,
+        create,
+        update,
+        remove,
+        flush,
+    };
+};
+
+module.exports = {
+    createBetStore,
+};
@@ -0,0 +1,294 @@
+const { americanToDecimal, decimalToAmerican, isOddsFormat, toAmerican } = require('./odds');
+const { closingLineValue } = require('./closingLine');
+const { findTeam, isSameTeam } = require('./teams');
+
+// --- Bets ---
+// A bet is one or more legs placed at one bookmaker for one stake. Each leg
+// names a selection in a market of one event, with the price (and point, for
+// spreads and totals) taken. A single has one leg; a parlay has several and
+// pays the product of its legs' decimal odds.
+//   status     pending | won | lost | push | void
+// Legs are graded from final results. A pushed or void parlay leg drops out
+// and the parlay pays on the remaining legs. Graded legs keep their closing
+// line value (`clv`) when the result carries a closing line.
+
+const MARKETS = ['h2h', 'spreads', 'totals'];
+const STATUSES = ['pending', 'won', 'lost', 'push', 'void'];
+
+const roundCents = (value) => Math.round(value * 100) / 100;
+
+const invalidBet = (message) => {
+    const error = new Error(message);
+    error.code = 'INVALID_BET';
+    return error;
+};
+
+// Combined decimal odds of a parlay's legs, unrounded, for payouts
+const parlayDecimal = (legs) => legs.reduce((product, leg) => product * americanToDecimal(leg.price), 1);
+
+// Combined American price of a parlay's legs, to the nearest whole price
+const parlayPrice = (legs) => decimalToAmerican(parlayDecimal(legs));
+
+// Validates a leg from a request body and fills in the event details from
+// `game` (a game record) when the event is still listed
+const buildLeg = (input, { game, oddsFormat, defaultSport }) => {
+    if (!input || typeof input !== 'object') throw invalidBet('Each leg must be an object');
+    const { sport, eventId, market } = input;
+    if (!eventId) throw invalidBet('Each leg needs an eventId');
+    if (!MARKETS.includes(market)) throw invalidBet(`Unknown market: ${market}`);
+    if (!input.selection) throw invalidBet('Each leg needs a selection');
+
+    const price = toAmerican(input.price, oddsFormat);
+    if (!Number.isFinite(price) || Math.abs(price) < 100) throw invalidBet(`Invalid price: ${input.price}`);
+
+    const point = input.point === undefined ? undefined : Number(input.point);
+    if (market !== 'h2h' && !Number.isFinite(point)) throw invalidBet(`A ${market} leg needs a point`);
+
+    const homeTeam = game?.homeTeam.name || input.homeTeam;
+    const awayTeam = game?.awayTeam.name || input.awayTeam;
+    const commenceTime = game?.commenceTime || input.commenceTime;
+    if (!homeTeam || !awayTeam || !commenceTime) {
+        throw invalidBet(`Event ${eventId} is not listed; give homeTeam, awayTeam and commenceTime`);
+    }
+
+    // A team may be picked by any registry alias; it is stored under the
+    // event's own name for it
+    const legSport = game?.sport || sport || defaultSport;
+    const selection = market !== 'totals' && findTeam(input.selection, legSport)
+        ? [homeTeam, awayTeam].find(team => isSameTeam(team, input.selection, legSport)) || input.selection
+        : input.selection;
+    const selections = market === 'totals' ? ['Over', 'Under'] : [homeTeam, awayTeam, ...(market === 'h2h' ? ['Draw'] : [])];
+    if (!selections.includes(selection)) {
+        throw invalidBet(`Selection must be one of: ${selections.join(', ')}`);
+    }
+
+    return {
+        sport: legSport,
+        eventId,
+        market,
+        selection,
+        ...(market !== 'h2h' && { point }),
+        price,
+        homeTeam,
+        awayTeam,
+        commenceTime,
+        result: 'pending',
+    };
+};
+
+// A new bet from a request body. `findGame(sport, eventId)` resolves the game
+// record for a leg, or null when the event is no longer listed; legs without
+// a sport are taken to be in `defaultSport`.
+const buildBet = async (input, { findGame, defaultSport }) => {
+    if (!input || typeof input !== 'object') throw invalidBet('Request body must be a bet');
+    const oddsFormat = input.oddsFormat || 'american';
+    if (!isOddsFormat(oddsFormat)) throw invalidBet(`Unknown odds format: ${oddsFormat}`);
+
+    const stake = Number(input.stake);
+    if (!Number.isFinite(stake) || stake <= 0) throw invalidBet('stake must be a positive number');
+    if (!input.bookmaker) throw invalidBet('bookmaker is required');
+    if (!Array.isArray(input.legs) || input.legs.length === 0) throw invalidBet('A bet needs at least one leg');
+
+    const legs = [];
+    for (const leg of input.legs) {
+        const game = leg?.eventId ? await findGame(leg.sport || defaultSport, leg.eventId) : null;
+        legs.push(buildLeg(leg, { game, oddsFormat, defaultSport }));
+    }
+    if (new Set(legs.map(leg => `${leg.eventId}:${leg.market}`)).size !== legs.length) {
+        throw invalidBet('A parlay can only include one leg per market of an event');
+    }
+
+    return {
+        type: legs.length > 1 ? 'parlay' : 'single',
+        bookmaker: input.bookmaker,
+        stake,
+        price: legs.length > 1 ? parlayPrice(legs) : legs[0].price,
+        legs,
+        ...(input.notes && { notes: String(input.notes) }),
+        status: 'pending',
+    };
+};
+
+// --- Settlement ---
+
+// won | lost | push for one leg given the final score of its event
+const gradeLeg = (leg, { homeScore, awayScore }) => {
+    const compare = (value) => (value > 0 ? 'won' : value < 0 ? 'lost' : 'push');
+
+    if (leg.market === 'totals') {
+        const total = homeScore + awayScore;
+        return compare(leg.selection === 'Over' ? total - leg.point : leg.point - total);
+    }
+
+    const isHome = leg.selection === leg.homeTeam;
+    const margin = isHome ? homeScore - awayScore : awayScore - homeScore;
+    if (leg.market === 'spreads') return compare(margin + leg.point);
+
+    // Moneyline: a draw pushes a two-way price and wins a draw selection
+    if (leg.selection === 'Draw') return homeScore === awayScore ? 'won' : 'lost';
+    return compare(margin);
+};
+
+// Payout and profit once every leg has a result
+const resolveBet = (bet, legs) => {
+    const results = legs.map(leg => leg.result);
+    if (results.includes('lost')) {
+        return { status: 'lost', payout: 0, profit: roundCents(-bet.stake) };
+    }
+    const winners = legs.filter(leg => leg.result === 'won');
+    if (winners.length === 0) {
+        const status = results.every(result => result === 'void') ? 'void' : 'push';
+        return { status, payout: bet.stake, profit: 0 };
+    }
+    // A single keeps the price taken; a parlay pays its winning legs' odds
+    // multiplied out, so rounding to an American price never moves a payout
+    const decimal = legs.length === 1 ? americanToDecimal(bet.price) : parlayDecimal(winners);
+    const payout = roundCents(bet.stake * decimal);
+    return { status: 'won', payout, profit: roundCents(payout - bet.stake) };
+};
+
+// Grades a pending bet against final results keyed by event id. Returns the
+// changes to store, or null when nothing new could be graded.
+const settleBet = (bet, resultsByEvent, settledAt = new Date().toISOString()) => {
+    if (bet.status !== 'pending') return null;
+
+    let graded = false;
+    const legs = bet.legs.map(leg => {
+        const result = resultsByEvent.get(leg.eventId);
+        if (leg.result !== 'pending' || !result) return leg;
+        graded = true;
+        const clv = closingLineValue(leg, result.closing);
+        return { ...leg, result: gradeLeg(leg, result), ...(clv && { clv }) };
+    });
+    if (!graded) return null;
+
+    const done = legs.some(leg => leg.result === 'lost') || legs.every(leg => leg.result !== 'pending');
+    return done ? { legs, ...resolveBet(bet, legs), settledAt } : { legs };
+};
+
+// Marks a bet void by hand (a cancelled event, a voided ticket)
+const voidBet = (bet, settledAt = new Date().toISOString()) => ({
+    status: 'void',
+    legs: bet.legs.map(leg => (leg.result === 'pending' ? { ...leg, result: 'void' } : leg)),
+    payout: bet.stake,
+    profit: 0,
+    settledAt,
+});
+
+// --- Reporting ---
+
+const emptyTotals = () => ({ bets: 0, settled: 0, pending: 0, won: 0, lost: 0, push: 0, void: 0, staked: 0, returned: 0, profit: 0 });
+
+const addToTotals = (totals, bet) => {
+    totals.bets += 1;
+    totals[bet.status] += 1;
+    if (bet.status === 'pending') return;
+    totals.settled += 1;
+    totals.staked += bet.stake;
+    totals.returned += bet.payout;
+    totals.profit += bet.profit;
+};
+
+// Rounded totals with ROI (profit over settled stakes, percent) and units
+const finishTotals = (totals, unitSize) => ({
+    ...totals,
+    staked: roundCents(totals.staked),
+    returned: roundCents(totals.returned),
+    profit: roundCents(totals.profit),
+    roi: totals.staked > 0 ? Number(((totals.profit / totals.staked) * 100).toFixed(2)) : 0,
+    units: Number((totals.profit / unitSize).toFixed(2)),
+});
+
+// Teams a bet is about: the side taken on moneylines and spreads, both
+// teams of the game on totals and draws
+const teamsOf = (bet) => new Set(bet.legs.flatMap(leg => (
+    leg.market === 'totals' || leg.selection === 'Draw' ? [leg.homeTeam, leg.awayTeam] : [leg.selection]
+)));
+
+// ROI, units and record overall and broken down by market (parlays are their
+// own market), bookmaker and team. Units are profit divided by `unitSize`.
+const summarizeBets = (bets, { unitSize = 1 } = {}) => {
+    const overall = emptyTotals();
+    const groups = { byMarket: new Map(), byBook: new Map(), byTeam: new Map() };
+    const addTo = (group, key, bet) => {
+        if (!group.has(key)) group.set(key, emptyTotals());
+        addToTotals(group.get(key), bet);
+    };
+
+    bets.forEach(bet => {
+        addToTotals(overall, bet);
+        addTo(groups.byMarket, bet.type === 'parlay' ? 'parlay' : bet.legs[0].market, bet);
+        addTo(groups.byBook, bet.bookmaker, bet);
+        teamsOf(bet).forEach(team => addTo(groups.byTeam, team, bet));
+    });
+
+    const finishGroup = (group) => Object.fromEntries(
+        Array.from(group.entries()).map(([key, totals]) => [key, finishTotals(totals, unitSize)])
+    );
+
+    return {
+        unitSize,
+        overall: finishTotals(overall, unitSize),
+        byMarket: finishGroup(groups.byMarket),
+        byBook: finishGroup(groups.byBook),
+        byTeam: finishGroup(groups.byTeam),
+    };
+};
+
+// --- Automatic settlement ---
+// Grades pending legs from recorded results, pulling fresh scores only for
+// sports with a started game that has no result yet. Nothing is fetched while
+// no bet is waiting on a result, so an idle tracker costs no quota.
+const createBetSettler = ({ store, scores, intervalMs = 15 * 60 * 1000 }) => {
+    const settlePending = async (now = new Date()) => {
+        const pending = store.list(bet => bet.status === 'pending');
+        const due = pending.flatMap(bet => bet.legs
+            .filter(leg => leg.result === 'pending' && new Date(leg.commenceTime) <= now));
+        const sports = new Set(due.filter(leg => !scores.getResult(leg.eventId)).map(leg => leg.sport));
+
+        for (const sport of sports) {
+            try {
+                await scores.refresh(sport);
+            } catch (error) {
+                console.error(`Bet settlement could not fetch ${sport} scores:`, error.message);
+            }
+        }
+
+        const resultsByEvent = new Map();
+        due.forEach(leg => {
+            const result = scores.getResult(leg.eventId);
+            if (result) resultsByEvent.set(leg.eventId, result);
+        });
+
+        const settled = [];
+        pending.forEach(bet => {
+            const changes = settleBet(bet, resultsByEvent, now.toISOString());
+            if (!changes) return;
+            const updated = store.update(bet.id, changes);
+            if (updated.status !== 'pending') settled.push(updated);
+        });
+        return { checkedSports: Array.from(sports), settled };
+    };
+
+    const timer = setInterval(() => {
+        settlePending().catch(error => console.error('Bet settlement failed:', error.message));
+    }, intervalMs);
+    timer.unref?.();
+
+    return {
+        settlePending,
+        stop: () => clearInterval(timer),
+    };
+};
+
+module.exports = {
+    MARKETS,
+    STATUSES,
+    buildBet,
+    parlayPrice,
+    gradeLeg,
+    settleBet,
+    voidBet,
+    summarizeBets,
+    createBetSettler,
+};
@@ -0,0 +1,130 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+// --- Cache backends ---
+// Key/value stores for upstream responses (see lib/upstream.js). Both keep
+// at most `maxEntries` keys and evict the least recently used one first;
+// values must survive JSON. The interface is synchronous:
+//   get(key) -> value | undefined, set(key, value), delete(key), size()
+// `describe()` reports the backend for /health.
+
+// Least recently used first: every read re-inserts its key at the end of the
+// Map, so the first key is always the one to evict
+const createLru = (maxEntries, onEvict = () => {}) => {
+    const entries = new Map();
+
+    const get = (key) => {
+        if (!entries.has(key)) return undefined;
+        const value = entries.get(key);
+        entries.delete(key);
+        entries.set(key, value);
+        return value;
+    };
+
+    const set = (key, value) => {
+        entries.delete(key);
+        entries.set(key, value);
+        while (entries.size > maxEntries) {
+            const oldest = entries.keys().next().value;
+            entries.delete(oldest);
+            onEvict(oldest);
+        }
+    };
+
+    return {
+        get,
+        set,
+        delete: (key) => entries.delete(key),
+        size: () => entries.size,
+    };
+};
+
+// In-process only: lost on restart
+const createMemoryCache = ({ maxEntries = 500 } = {}) => {
+    const lru = createLru(maxEntries);
+    return {
+        ...lru,
+        describe: () => ({ backend: 'memory', entries: lru.size(), maxEntries }),
+    };
+};
+
+// One JSON file per key under `dir`, so a restart doesn't cost a fresh pull
+// of everything. Files are read once, on first use, and written behind.
+const createFileCache = ({ dir, maxEntries = 500 }) => {
+    let loaded = false;
+    let writes = Promise.resolve();
+
+    const fileFor = (key) => path.join(dir, `${crypto.createHash('sha1').update(key).digest('hex')}.json`);
+
+    const queue = (task) => {
+        writes = writes.then(task).catch(error => console.error('Failed to persist cache entry:', error.message));
+    };
+
+    const removeFile = (key) => queue(() => fs.promises.rm(fileFor(key), { force: true }));
+    const lru = createLru(maxEntries, removeFile);
+
+    // Oldest write first, so the LRU order survives a restart
+    const load = () => {
+        if (loaded) return;
+        loaded = true;
+        if (!fs.existsSync(dir)) return;
+
+        fs.readdirSync(dir)
+            .filter(file => file.endsWith('.json'))
+            .map(file => path.join(dir, file))
+            .sort((a, b) => fs.statSync(a).mtimeMs - fs.statSync(b).mtimeMs)
+            .forEach(file => {
+                try {
+                    const { key, value } = JSON.parse(fs.readFileSync(file, 'utf8'));
+                    lru.set(key, value);
+                } catch (error) {
+                    console.error(`Skipping unreadable cache file ${path.basename(file)}:`, error.message);
+                }
+            });
+    };
+
+    const set = (key, value) => {
+        load();
+        lru.set(key, value);
+        queue(async () => {
+            await fs.promises.mkdir(dir, { recursive: true });
+            await fs.promises.writeFile(fileFor(key), JSON.stringify({ key, value }));
+        });
+    };
+
+    return {
+        get: (key) => {
+            load();
+            return lru.get(key);
+        },
+        set,
+        delete: (key) => {
+            load();
+            if (lru.delete(key)) removeFile(key);
+        },
+        size: () => {
+            load();
+            return lru.size();
+        },
+        describe: () => {
+            load();
+            return { backend: 'file', dir, entries: lru.size(), maxEntries };
+        },
+        // Resolves once every pending write has reached disk
+        flush: () => writes,
+    };
+};
+
+// Cache backend by name: 'memory' or 'file' (needs `dir`)
+const createCache = ({ backend = 'memory', ...options } = {}) => {
+    if (backend === 'file') return createFileCache(options);
+    if (backend === 'memory') return createMemoryCache(options);
+    throw new Error(`Unknown cache backend: ${backend}`);
+};
+
+module.exports = {
+    createMemoryCache,
+    createFileCache,
+    createCache,
+};
@@ -0,0 +1,114 @@
+const { americanToDecimal, americanToProbability, decimalToAmerican } = require('./odds');
+const { buildGame } = require('./games');
+const { median } = require('./consensus');
+
+// --- Closing lines and CLV ---
+// The closing line is each bookmaker's last snapshot captured before tip-off,
+// summarised across books exactly like a live game record. Closing line value
+// (CLV) compares a price taken against it: beating the close consistently is
+// the best evidence a bettor has an edge, whatever the short-run results.
+
+// Closing line for one event from its snapshots (see snapshotStore.getEvent).
+// Until tip-off it is provisional: the latest line, with `closed: false`.
+// Returns null when there is nothing captured before tip-off.
+const buildClosingLine = (snapshots, now = new Date()) => {
+    if (snapshots.length === 0) return null;
+    const { eventId, sport, commenceTime, homeTeam, awayTeam } = snapshots[0];
+
+    // Compared as times: the Odds API and our capture stamps write ISO times
+    // in different shapes (with and without milliseconds)
+    const tipOff = Date.parse(commenceTime);
+    const latest = new Map();
+    snapshots
+        .filter(snapshot => Date.parse(snapshot.capturedAt) < tipOff)
+        .forEach(snapshot => latest.set(`${snapshot.bookmaker}:${snapshot.market}`, snapshot));
+    if (latest.size === 0) return null;
+
+    // Back into the upstream event shape so the live summaries apply unchanged
+    const bookmakers = new Map();
+    latest.forEach(snapshot => {
+        if (!bookmakers.has(snapshot.bookmaker)) {
+            bookmakers.set(snapshot.bookmaker, { key: snapshot.bookmaker, title: snapshot.bookmaker, markets: [] });
+        }
+        bookmakers.get(snapshot.bookmaker).markets.push({
+            key: snapshot.market,
+            last_update: snapshot.capturedAt,
+            outcomes: snapshot.outcomes,
+        });
+    });
+
+    const game = buildGame({
+        id: eventId,
+        sport_key: sport,
+        commence_time: commenceTime,
+        home_team: homeTeam,
+        away_team: awayTeam,
+        bookmakers: Array.from(bookmakers.values()),
+    });
+
+    return {
+        closed: tipOff <= now,
+        capturedAt: Array.from(latest.values())
+            .reduce((last, snapshot) => (!last || Date.parse(snapshot.capturedAt) > Date.parse(last) ? snapshot.capturedAt : last), ''),
+        markets: game.markets,
+    };
+};
+
+// The side of a closing market a selection refers to
+const closingSideOf = (markets, { market, selection, homeTeam, awayTeam }) => {
+    const lines = markets[market];
+    if (!lines) return null;
+    if (market === 'totals') return selection === 'Over' ? lines.over : selection === 'Under' ? lines.under : null;
+    if (selection === homeTeam) return lines.home;
+    if (selection === awayTeam) return lines.away;
+    return selection === 'Draw' ? lines.draw || null : null;
+};
+
+// CLV of one price taken (a bet leg or any quote) against a closing line.
+//   priceDelta          how much more the price taken pays than the close (%)
+//   probabilityPoints   closing implied probability minus the taken one
+//   expectedValue       EV of the price taken at the vig-free closing
+//                       probability (%), when the close is at the same point
+// On spreads and totals the close is read at the point taken where any book
+// hung it; otherwise at the consensus point, with `pointDelta` set.
+const closingLineValue = ({ market, selection, price, point, homeTeam, awayTeam }, closing) => {
+    const side = closing && closingSideOf(closing.markets, { market, selection, homeTeam, awayTeam });
+    if (!side) return null;
+
+    let closingPrice = side.price;
+    let closingPoint = side.point;
+    let fair = side.probability?.fair;
+    if (point !== undefined && point !== side.point) {
+        const atPoint = side.books.filter(book => book.point === point);
+        if (atPoint.length > 0) {
+            closingPrice = decimalToAmerican(median(atPoint.map(book => americanToDecimal(book.price))));
+            closingPoint = point;
+        }
+        // The vig-free probability only holds at the consensus point
+        fair = undefined;
+    }
+
+    const takenDecimal = americanToDecimal(price);
+    const priceDelta = (takenDecimal / americanToDecimal(closingPrice) - 1) * 100;
+    // Positive when the point taken is better for the bettor than the close:
+    // more points on a spread or an under, fewer on an over
+    const pointDelta = point === undefined || point === closingPoint
+        ? 0
+        : (selection === 'Over' ? closingPoint - point : point - closingPoint);
+
+    return {
+        closed: closing.closed,
+        closingPrice,
+        ...(closingPoint !== undefined && { closingPoint }),
+        ...(pointDelta !== 0 && { pointDelta: Number(pointDelta.toFixed(1)) }),
+        priceDelta: Number(priceDelta.toFixed(2)),
+        probabilityPoints: Number(((americanToProbability(closingPrice) - americanToProbability(price)) * 100).toFixed(2)),
+        ...(fair !== undefined && { expectedValue: Number(((fair / 100) * takenDecimal * 100 - 100).toFixed(2)) }),
+        beatClose: pointDelta !== 0 ? pointDelta > 0 : priceDelta > 0,
+    };
+};
+
+module.exports = {
+    buildClosingLine,
+    closingLineValue,
+};
@@ -0,0 +1,128 @@
+const path = require('path');
+
+const ROOT = path.join(__dirname, '..');
+
+// Sport keys as the Odds API spells them
+const SPORT_KEY_PATTERN = /^[a-z0-9_]+$/;
+
+// Whether `sport` is a sport key the server serves: well formed and, when
+// `allowedSports` (ODDS_API_SPORTS) is not empty, on that list
+const isAvailableSport = (sport, allowedSports = []) => typeof sport === 'string' && SPORT_KEY_PATTERN.test(sport)
+    && (allowedSports.length === 0 || allowedSports.includes(sport));
+
+// --- Configuration ---
+// Everything the app reads from the environment, in one place. Both entry
+// points load it; `development` switches the defaults that differ for local
+// work: replayed odds when no key is set, CORS from anywhere, no API rate
+// limit, no login required, and the built SPA served from
+// react-dynamic-minimal/dist.
+const loadConfig = (env = process.env, { development = false } = {}) => ({
+    port: parseInt(env.PORT) || 3001,
+    environment: env.NODE_ENV || 'development',
+    apiKey: env.ODDS_API_KEY,
+    // 'live', 'record' (saves every response under oddsFixturesDir) or
+    // 'replay' (serves those recordings, no key or network needed); a replay
+    // speed above 0 moves lines through the recordings on a clock
+    oddsMode: env.ODDS_API_MODE || (development && !env.ODDS_API_KEY ? 'replay' : 'live'),
+    oddsFixturesDir: env.ODDS_FIXTURES_DIR || path.join(ROOT, 'fixtures', 'odds'),
+    replaySpeed: parseFloat(env.ODDS_REPLAY_SPEED) || 0,
+    replayLoop: env.ODDS_REPLAY_LOOP === 'true',
+    sport: env.ODDS_API_SPORT || 'basketball_nba',
+    // Optional allow-list of sport keys clients may request (empty = any)
+    sports: env.ODDS_API_SPORTS ? env.ODDS_API_SPORTS.split(',') : [],
+    regions: env.ODDS_API_REGIONS || 'us',
+    markets: env.ODDS_API_MARKETS || 'h2h,spreads,totals',
+    // Default format for prices in responses; ?oddsFormat= overrides it
+    oddsFormat: env.ODDS_API_ODDS_FORMAT || 'american',
+    // Upstream responses are cached (ENABLE_CACHE=false leaves only request
+    // coalescing) and served up to CACHE_STALE_SECONDS past the TTL while a
+    // refresh runs. CACHE_BACKEND=file keeps them across restarts.
+    cacheTtl: parseInt(env.CACHE_TTL_SECONDS) || 60,
+    cacheStale: parseInt(env.CACHE_STALE_SECONDS) || 5 * 60,
+    enableCache: env.ENABLE_CACHE !== 'false',
+    cacheBackend: env.CACHE_BACKEND || 'memory',
+    cacheMaxEntries: parseInt(env.CACHE_MAX_ENTRIES) || 500,
+    cacheDir: env.CACHE_DIR,
+    // Below quotaLow requests left the cache TTL stretches; at quotaReserve
+    // only cached data is served
+    quotaLow: parseInt(env.ODDS_API_QUOTA_LOW) || 50,
+    quotaReserve: parseInt(env.ODDS_API_QUOTA_RESERVE) || 5,
+    livePollInterval: parseInt(env.LIVE_POLL_INTERVAL_SECONDS) || 60,
+    // `true` reflects any origin
+    corsOrigin: env.CORS_ORIGIN?.split(',') || (development ? true : ['http://localhost:3001']),
+    enableHelmet: env.ENABLE_HELMET === 'true',
+    // Requests per window for each anonymous IP address and each logged-in
+    // user (null: no limit)
+    rateLimit: development && !env.RATE_LIMIT_MAX_REQUESTS ? null : {
+        windowMs: parseInt(env.RATE_LIMIT_WINDOW_MS) || 15 * 60 * 1000,
+        max: parseInt(env.RATE_LIMIT_MAX_REQUESTS) || 100
+    },
+    // Who may call the API (see lib/auth.js). Required by default outside
+    // development. Keys without their own limits get these: requests per
+    // rate-limit window, and per UTC day (unset: no daily quota). The admin
+    // user is created from ADMIN_PASSWORD while no users exist.
+    auth: {
+        required: env.AUTH_REQUIRED ? env.AUTH_REQUIRED === 'true' : !development,
+        sessionTtl: (parseFloat(env.SESSION_TTL_HOURS) || 12) * 60 * 60,
+        // 'none' when the dashboard is served from another site (HTTPS only)
+        cookieSameSite: env.SESSION_COOKIE_SAMESITE || 'lax',
+        keyRateLimit: parseInt(env.API_KEY_RATE_LIMIT) || 300,
+        keyDailyQuota: parseInt(env.API_KEY_DAILY_QUOTA) || null,
+        adminUsername: env.ADMIN_USERNAME || 'admin',
+        adminPassword: env.ADMIN_PASSWORD
+    },
+    // Built SPA to serve next to the API (null: API only, the frontend is a
+    // separate static site)
+    staticDir: env.STATIC_DIR || (development ? path.join(ROOT, 'react-dynamic-minimal', 'dist') : null),
+    dataDir: env.DATA_DIR || path.join(ROOT, 'data'),
+    // Days of odds snapshots held in memory for line history and closing
+    // lines; older ones stay on disk for exports and backtests
+    snapshotMemoryDays: parseInt(env.SNAPSHOT_MEMORY_DAYS) || 14,
+    llm: {
+        name: env.LLM_PROVIDER || 'stub',
+        apiKey: env.LLM_PROVIDER === 'openai' ? env.OPENAI_API_KEY : env.GEMINI_API_KEY,
+        baseUrl: env.OPENAI_BASE_URL,
+        model: env.LLM_MODEL
+    },
+    analysisCacheTtl: parseInt(env.ANALYSIS_CACHE_TTL_SECONDS) || 6 * 60 * 60,
+    analysisRateLimitMax: parseInt(env.ANALYSIS_RATE_LIMIT_MAX_REQUESTS) || 10,
+    // Default staking for /ev: bankroll, Kelly multiplier and max share of bankroll per bet
+    staking: {
+        bankroll: parseFloat(env.EV_BANKROLL) || 1000,
+        fraction: parseFloat(env.KELLY_FRACTION) || 0.5,
+        cap: parseFloat(env.KELLY_CAP) || 0.05
+    },
+    // Stake that counts as one unit in bet reports
+    betUnitSize: parseFloat(env.BET_UNIT_SIZE) || 10,
+    betSettleInterval: parseInt(env.BET_SETTLE_INTERVAL_SECONDS) || 15 * 60,
+    // Watchlist alerts: default webhook ('generic', 'slack' or 'discord'
+    // format; rules may name their own, on public hosts or, when listed, only
+    // those hosts), minutes before a rule can fire again for the same game, and
+    // how often watched sports are pulled (0: only on pulls made anyway)
+    alerts: {
+        webhookUrl: env.ALERT_WEBHOOK_URL,
+        webhookFormat: env.ALERT_WEBHOOK_FORMAT || 'generic',
+        webhookHosts: env.ALERT_WEBHOOK_HOSTS ? env.ALERT_WEBHOOK_HOSTS.split(',').map(host => host.trim().toLowerCase()) : [],
+        cooldownMinutes: parseFloat(env.ALERT_COOLDOWN_MINUTES) || 30,
+        checkInterval: parseInt(env.ALERT_CHECK_INTERVAL_SECONDS) || 5 * 60
+    },
+    // 'odds-api' or 'fixture' (reads <scoresFixtureDir>/<sport>.json)
+    scoresSource: env.SCORES_SOURCE || 'odds-api',
+    scoresFixtureDir: env.SCORES_FIXTURE_DIR || path.join(ROOT, 'fixtures', 'scores'),
+    scoresPollInterval: parseInt(env.SCORES_POLL_INTERVAL_SECONDS) || 15 * 60,
+    // Box-score logs for team ratings, read from <gameLogsDir>/<sport>/*.csv|json
+    // (defaults to <dataDir>/gamelogs)
+    gameLogsDir: env.GAME_LOGS_DIR,
+    ratingsRefreshInterval: parseInt(env.RATINGS_REFRESH_SECONDS) || 5 * 60,
+    // Elo: K-factor, home advantage (rating points) and rating points per point of spread
+    elo: {
+        k: parseFloat(env.ELO_K) || 20,
+        homeAdvantage: parseFloat(env.ELO_HOME_ADVANTAGE) || 100,
+        pointsPerElo: parseFloat(env.ELO_POINTS_PER_ELO) || 28
+    }
+});
+
+module.exports = {
+    isAvailableSport,
+    loadConfig,
+};
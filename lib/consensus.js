@@ -0,0 +1,171 @@
+const { americanToProbability, americanToDecimal, decimalToAmerican, probabilityToAmerican } = require('./odds');
+
+// --- Multi-bookmaker consensus ---
+// American prices can't be averaged directly (-105 and +105 would average to
+// 0), so the median is taken over decimal odds and the mean over implied
+// probabilities, and both are converted back to American for the payload.
+
+const median = (values) => {
+    const sorted = values.slice().sort((a, b) => a - b);
+    const mid = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+};
+
+const mean = (values) => values.reduce((sum, value) => sum + value, 0) / values.length;
+
+// Every bookmaker's price for each outcome of one market in one event
+const collectOutcomePrices = (game, marketKey) => {
+    const pricesByOutcome = {};
+
+    (game.bookmakers || []).forEach(bookmaker => {
+        const market = bookmaker.markets.find(m => m.key === marketKey);
+        if (!market) return;
+
+        market.outcomes.forEach(outcome => {
+            if (!pricesByOutcome[outcome.name]) pricesByOutcome[outcome.name] = [];
+            pricesByOutcome[outcome.name].push({
+                bookmaker: bookmaker.key,
+                title: bookmaker.title,
+                price: outcome.price,
+                ...(outcome.point !== undefined && { point: outcome.point }),
+                lastUpdate: market.last_update || bookmaker.last_update,
+            });
+        });
+    });
+
+    return pricesByOutcome;
+};
+
+// Consensus, best available price and the spread between books for one outcome.
+// A higher American price always pays more, so the best line is the maximum.
+const summarizePrices = (books) => {
+    if (!books || books.length === 0) return null;
+
+    const byPrice = books.slice().sort((a, b) => b.price - a.price);
+    const best = byPrice[0];
+    const worst = byPrice[byPrice.length - 1];
+
+    const consensus = {
+        median: decimalToAmerican(median(books.map(book => americanToDecimal(book.price)))),
+        mean: probabilityToAmerican(mean(books.map(book => americanToProbability(book.price)))),
+    };
+
+    return {
+        // The median is the headline price for the outcome
+        price: consensus.median,
+        consensus,
+        best: { price: best.price, bookmaker: best.bookmaker, title: best.title },
+        bookSpread: {
+            low: worst.price,
+            high: best.price,
+            // Gap between the books in implied probability (percentage points)
+            probabilityPoints: Number(((americanToProbability(worst.price) - americanToProbability(best.price)) * 100).toFixed(2)),
+        },
+        bookmakerCount: books.length,
+        books,
+    };
+};
+
+// The point most books hang, ties going to the point nearest the median
+const consensusPoint = (books) => {
+    const medianPoint = median(books.map(book => book.point));
+    const counts = new Map();
+    books.forEach(book => counts.set(book.point, (counts.get(book.point) || 0) + 1));
+    const [point] = Array.from(counts.entries())
+        .sort((a, b) => b[1] - a[1] || Math.abs(a[0] - medianPoint) - Math.abs(b[0] - medianPoint))[0];
+    return point;
+};
+
+// Consensus and best available line for one side of a spread or total.
+// The consensus point is the one most books hang (see consensusPoint) unless
+// `point` is given, and its price is the median among the books at that
+// point; null when none are. `preferHigher` says which way the points favour
+// the bettor: taking +5.5 beats +4.5 on a spread or an under, while an over
+// wants the lowest total.
+const summarizeLine = (books, preferHigher, linePoint) => {
+    if (!books || books.length === 0) return null;
+
+    const point = linePoint === undefined ? consensusPoint(books) : linePoint;
+    const atPoint = books.filter(book => book.point === point);
+    if (atPoint.length === 0) return null;
+    const price = decimalToAmerican(median(atPoint.map(book => americanToDecimal(book.price))));
+    const best = books.slice().sort((a, b) => (preferHigher ? b.point - a.point : a.point - b.point) || b.price - a.price)[0];
+
+    return {
+        point,
+        price,
+        best: { point: best.point, price: best.price, bookmaker: best.bookmaker, title: best.title },
+        bookmakerCount: books.length,
+        books,
+    };
+};
+
+// Adds raw (vig included) and proportionally normalised implied probabilities,
+// in percent, to every side of a market. Returns the sides unchanged if any
+// of them is missing.
+const withImpliedProbabilities = (...sides) => {
+    if (sides.some(side => !side)) return sides;
+    const raw = sides.map(side => americanToProbability(side.price));
+    const booksum = raw.reduce((total, p) => total + p, 0);
+    return sides.map((side, i) => ({
+        ...side,
+        probability: {
+            implied: Number((raw[i] * 100).toFixed(2)),
+            fair: Number(((raw[i] / booksum) * 100).toFixed(2)),
+        },
+    }));
+};
+
+// Every book's latest quote for one outcome at each capture time, rebuilt
+// from each book's snapshot series: [{ capturedAt, books: [{ bookmaker,
+// price, point? }] }], oldest first
+const replayBooks = (seriesByBook, outcomeName) => {
+    const points = [];
+    seriesByBook.forEach(series => {
+        series.forEach(snapshot => {
+            const outcome = snapshot.outcomes.find(o => o.name === outcomeName);
+            if (outcome) points.push({ capturedAt: snapshot.capturedAt, bookmaker: snapshot.bookmaker, price: outcome.price, point: outcome.point });
+        });
+    });
+    points.sort((a, b) => a.capturedAt.localeCompare(b.capturedAt));
+
+    const latestByBook = new Map();
+    const captures = [];
+    points.forEach(({ capturedAt, ...book }, index) => {
+        latestByBook.set(book.bookmaker, book);
+        // One capture per time, after every book captured then is applied
+        if (points[index + 1]?.capturedAt === capturedAt) return;
+        captures.push({ capturedAt, books: Array.from(latestByBook.values()) });
+    });
+
+    return captures;
+};
+
+// Consensus median at every point in time. Each book contributes its latest
+// price as of that capture.
+const buildConsensusSeries = (seriesByBook, outcomeName) => replayBooks(seriesByBook, outcomeName)
+    .map(({ capturedAt, books }) => ({
+        capturedAt,
+        price: decimalToAmerican(median(books.map(book => americanToDecimal(book.price)))),
+    }));
+
+// Consensus point and price of a spread or total side at every point in time,
+// read the same way as the live line (see summarizeLine)
+const buildLineSeries = (seriesByBook, outcomeName, preferHigher) => replayBooks(seriesByBook, outcomeName)
+    .map(({ capturedAt, books }) => {
+        const { point, price } = summarizeLine(books.filter(book => book.point !== undefined), preferHigher) || {};
+        return { capturedAt, point, price };
+    })
+    .filter(entry => entry.point !== undefined);
+
+module.exports = {
+    collectOutcomePrices,
+    summarizePrices,
+    consensusPoint,
+    summarizeLine,
+    withImpliedProbabilities,
+    buildConsensusSeries,
+    buildLineSeries,
+    median,
+    mean,
+};
@@ -0,0 +1,260 @@
+const { teamIdFor } = require('./teams');
+const { normalizeGameLogs } = require('./gameLogs');
+
+// --- Elo power ratings ---
+// Our own opinion of every game, independent of the bookmakers. Each team
+// starts at `initial` and moves after every result by
+//   k * movMultiplier * (actual - expected)
+// where the expected result is 1 / (1 + 10^(-diff / 400)) and the home side
+// gets `homeAdvantage` rating points. The margin-of-victory multiplier
+//   (|margin| + 3)^0.8 / (7.5 + 0.006 * winner's rating edge)
+// rewards big wins without letting favourites run away by running up scores.
+// Predicted spreads convert rating points to points at `pointsPerElo`.
+// The defaults are the widely used NBA calibration.
+
+const DEFAULT_ELO = { initial: 1500, k: 20, homeAdvantage: 100, pointsPerElo: 28 };
+
+// How far apart (in days) two records of one game may be dated: score feeds
+// stamp UTC tip-off times, box scores the local date
+const SAME_GAME_DAYS = 1;
+
+const expectedScore = (diff) => 1 / (1 + 10 ** (-diff / 400));
+
+const movMultiplier = (margin, winnerEdge) => ((Math.abs(margin) + 3) ** 0.8) / (7.5 + 0.006 * winnerEdge);
+
+// --- Game sources ---
+// Both become { date, homeTeamId, homeTeam, awayTeamId, awayTeam, homeScore,
+// awayScore, neutral?, eventId? }, the only shape the model reads.
+
+// Recorded final results (see lib/scores.js)
+const gamesFromResults = (results, sport) => results.map(result => ({
+    eventId: result.eventId,
+    date: result.commenceTime.slice(0, 10),
+    homeTeamId: result.homeTeamId || teamIdFor(result.homeTeam, sport),
+    homeTeam: result.homeTeam,
+    awayTeamId: result.awayTeamId || teamIdFor(result.awayTeam, sport),
+    awayTeam: result.awayTeam,
+    homeScore: result.homeScore,
+    awayScore: result.awayScore,
+}));
+
+// Normalised box-score logs (see lib/gameLogs.js), one game per pair of rows.
+// A game whose rows don't say who was at home is rated as on neutral court.
+const gamesFromLogs = (logs) => {
+    const byGame = new Map();
+    logs.forEach(log => {
+        const current = byGame.get(log.gameId);
+        if (!current || (log.home && !current.home)) byGame.set(log.gameId, log);
+    });
+    return Array.from(byGame.values()).map(log => {
+        const home = log.home !== false;
+        return {
+            date: log.date,
+            homeTeamId: home ? log.teamId : log.opponentId,
+            homeTeam: home ? log.team : log.opponent,
+            awayTeamId: home ? log.opponentId : log.teamId,
+            awayTeam: home ? log.opponent : log.team,
+            homeScore: home ? log.box.points : log.opponentBox.points,
+            awayScore: home ? log.opponentBox.points : log.box.points,
+            ...(log.home === undefined && { neutral: true }),
+        };
+    });
+};
+
+// Every game once, oldest first, whichever sources reported it. A game seen
+// in more than one source keeps the event id of the one that has it, so it
+// can still be matched to its odds.
+const mergeGames = (...sources) => {
+    const games = [];
+    const seen = new Map();
+    sources.flat()
+        .filter(game => Number.isFinite(game.homeScore) && Number.isFinite(game.awayScore))
+        .sort((a, b) => a.date.localeCompare(b.date))
+        .forEach(game => {
+            const key = `${game.homeTeamId}:${game.awayTeamId}`;
+            const day = Date.parse(game.date) / (24 * 60 * 60 * 1000);
+            const days = seen.get(key) || [];
+            const duplicate = days.find(other => Math.abs(other.day - day) <= SAME_GAME_DAYS);
+            if (duplicate) {
+                const kept = games[duplicate.index];
+                if (game.eventId && !kept.eventId) games[duplicate.index] = { ...kept, eventId: game.eventId };
+                return;
+            }
+            seen.set(key, [...days, { day, index: games.length }]);
+            games.push(game);
+        });
+    return games;
+};
+
+// --- Model ---
+
+// Ratings that move one game at a time, for replaying history in order:
+// `predict` before a game sees only the games `update` was given so far
+const createEloTracker = (settings = {}) => {
+    const options = { ...DEFAULT_ELO, ...settings };
+    const ratings = new Map();
+    const ratingOf = (teamId, team) => {
+        if (!ratings.has(teamId)) ratings.set(teamId, { teamId, team, rating: options.initial, games: 0, lastGame: null });
+        return ratings.get(teamId);
+    };
+
+    const update = (game) => {
+        const home = ratingOf(game.homeTeamId, game.homeTeam);
+        const away = ratingOf(game.awayTeamId, game.awayTeam);
+        const diff = home.rating + (game.neutral ? 0 : options.homeAdvantage) - away.rating;
+        const margin = game.homeScore - game.awayScore;
+        const actual = margin > 0 ? 1 : margin < 0 ? 0 : 0.5;
+        const winnerEdge = margin >= 0 ? diff : -diff;
+        const shift = options.k * movMultiplier(margin, winnerEdge) * (actual - expectedScore(diff));
+
+        [[home, shift], [away, -shift]].forEach(([team, change]) => {
+            team.rating += change;
+            team.games += 1;
+            team.lastGame = game.date;
+        });
+    };
+
+    // Keyed by team id: { teamId, team, rating, games, lastGame }
+    const snapshot = () => Object.fromEntries(Array.from(ratings.entries()).map(([teamId, rating]) => [teamId, {
+        ...rating,
+        rating: Number(rating.rating.toFixed(1)),
+    }]));
+
+    return {
+        update,
+        predict: (game) => predictGame(snapshot(), game, options),
+        ratings: snapshot,
+    };
+};
+
+// Ratings after playing through `games` in order
+const rateGames = (games, settings = {}) => {
+    const tracker = createEloTracker(settings);
+    games.forEach(tracker.update);
+    return tracker.ratings();
+};
+
+// Win probabilities (percent) and the predicted home spread for one matchup.
+// Teams the model has never seen are rated at `initial`.
+const predictGame = (ratings, { homeTeamId, awayTeamId, neutral = false }, settings = {}) => {
+    const { initial, homeAdvantage, pointsPerElo } = { ...DEFAULT_ELO, ...settings };
+    const homeRating = ratings[homeTeamId]?.rating ?? initial;
+    const awayRating = ratings[awayTeamId]?.rating ?? initial;
+    const diff = homeRating + (neutral ? 0 : homeAdvantage) - awayRating;
+    const homeProbability = expectedScore(diff) * 100;
+    // A spread is quoted from the home side: -4.5 means home by 4.5
+    const homeSpread = -diff / pointsPerElo;
+
+    return {
+        home: { rating: homeRating, rated: Boolean(ratings[homeTeamId]), probability: Number(homeProbability.toFixed(2)) },
+        away: { rating: awayRating, rated: Boolean(ratings[awayTeamId]), probability: Number((100 - homeProbability).toFixed(2)) },
+        homeSpread: Number(homeSpread.toFixed(1)),
+    };
+};
+
+// Model against the market for one game record. `edge` is the model's win
+// probability minus the market's vig-free one (points); `spreadDifference`
+// is the model's home spread minus the consensus one. The disagreement level
+// follows the bigger of the two, in probability points or half-points of
+// spread. Two-way markets only: a draw price has no Elo counterpart.
+const DISAGREEMENT_LEVELS = [['strong', 6], ['moderate', 3]];
+
+const compareWithMarket = (game, prediction) => {
+    const h2h = game.markets.h2h;
+    const spreads = game.markets.spreads;
+    const market = {
+        home: { probability: h2h && !h2h.draw ? h2h.home.probability?.fair ?? null : null },
+        away: { probability: h2h && !h2h.draw ? h2h.away.probability?.fair ?? null : null },
+        homeSpread: spreads ? spreads.home.point : null,
+    };
+
+    const edge = market.home.probability === null ? null : {
+        home: Number((prediction.home.probability - market.home.probability).toFixed(2)),
+        away: Number((prediction.away.probability - market.away.probability).toFixed(2)),
+    };
+    const spreadDifference = market.homeSpread === null ? null : Number((prediction.homeSpread - market.homeSpread).toFixed(1));
+
+    const size = Math.max(edge ? Math.abs(edge.home) : 0, spreadDifference === null ? 0 : Math.abs(spreadDifference) * 2);
+    const level = DISAGREEMENT_LEVELS.find(([, threshold]) => size >= threshold)?.[0] || 'none';
+    // The side the model likes better than the market does
+    const side = edge
+        ? (edge.home > 0 ? 'home' : 'away')
+        : (spreadDifference < 0 ? 'home' : 'away');
+
+    return {
+        eventId: game.id,
+        commenceTime: game.commenceTime,
+        homeTeam: game.homeTeam,
+        awayTeam: game.awayTeam,
+        model: prediction,
+        market,
+        edge,
+        spreadDifference,
+        disagreement: {
+            level,
+            ...(level !== 'none' && { favours: side, team: side === 'home' ? game.homeTeam.name : game.awayTeam.name }),
+        },
+    };
+};
+
+// --- Elo service ---
+// Replays every known game for a sport: box-score logs from `gameLogs` (a
+// provider with `fetchGameLogs(sport)`) and recorded results from `scores`
+// (the scores service). New results are picked up on the next rebuild, at
+// most every `ttlMs`.
+const createEloService = ({ gameLogs, scores, settings = {}, ttlMs = 5 * 60 * 1000 }) => {
+    const options = { ...DEFAULT_ELO, ...settings };
+    const cache = new Map();
+
+    const getRatings = async (sport) => {
+        const cached = cache.get(sport);
+        if (cached && Date.now() - cached.timestamp < ttlMs) return cached.model;
+
+        let logs = [];
+        try {
+            logs = gameLogs ? normalizeGameLogs(await gameLogs.fetchGameLogs(sport), sport) : [];
+        } catch (error) {
+            console.error(`Failed to read ${sport} game logs for Elo:`, error.message);
+        }
+        const results = scores ? scores.listResults({ sport }) : [];
+        const games = mergeGames(gamesFromLogs(logs), gamesFromResults(results, sport));
+
+        const model = {
+            sport,
+            settings: options,
+            gamesRated: games.length,
+            asOf: games.length > 0 ? games[games.length - 1].date : null,
+            ratings: rateGames(games, options),
+        };
+        cache.set(sport, { model, timestamp: Date.now() });
+        return model;
+    };
+
+    // Model vs market for a list of game records
+    const compareGames = async (sport, games) => {
+        const { ratings } = await getRatings(sport);
+        return games.map(game => compareWithMarket(game, predictGame(ratings, {
+            homeTeamId: game.homeTeam.id,
+            awayTeamId: game.awayTeam.id,
+        }, options)));
+    };
+
+    return {
+        settings: options,
+        getRatings,
+        compareGames,
+    };
+};
+
+module.exports = {
+    DEFAULT_ELO,
+    expectedScore,
+    gamesFromResults,
+    gamesFromLogs,
+    mergeGames,
+    createEloTracker,
+    rateGames,
+    predictGame,
+    compareWithMarket,
+    createEloService,
+};
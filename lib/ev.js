@@ -0,0 +1,125 @@
+const { americanToDecimal, americanToProbability } = require('./odds');
+
+// --- Expected value and Kelly staking ---
+// Takes the bettor's own win probability for each side of a market and prices
+// it against the best line on offer. Probabilities are percentages, like
+// everywhere else in the API.
+//   edge       own probability minus the price's implied probability (pts)
+//   ev         expected profit per unit staked, as a percentage
+//   kelly      full Kelly fraction of bankroll, the fractional multiple of
+//              it, and that fractional stake capped at `cap` of bankroll
+
+const DEFAULT_STAKING = { bankroll: 1000, fraction: 0.5, cap: 0.05 };
+
+const roundCents = (value) => Math.round(value * 100) / 100;
+
+// Kelly fraction for a win probability (0-1) at decimal odds; zero when the
+// bet has no edge, since Kelly never stakes on a negative expectation
+const kellyFraction = (probability, decimal) => {
+    const b = decimal - 1;
+    return Math.max((b * probability - (1 - probability)) / b, 0);
+};
+
+const evaluateSide = ({ probability, price }, { bankroll, fraction, cap }) => {
+    const p = probability / 100;
+    const decimal = americanToDecimal(price);
+    const full = kellyFraction(p, decimal);
+    const fractional = full * fraction;
+    const capped = Math.min(fractional, cap);
+    const ev = p * decimal - 1;
+
+    return {
+        probability,
+        implied: Number((americanToProbability(price) * 100).toFixed(2)),
+        edge: Number((probability - americanToProbability(price) * 100).toFixed(2)),
+        ev: Number((ev * 100).toFixed(2)),
+        kelly: {
+            full: { fraction: Number(full.toFixed(4)), stake: roundCents(full * bankroll) },
+            fractional: { multiplier: fraction, fraction: Number(fractional.toFixed(4)), stake: roundCents(fractional * bankroll) },
+            capped: { cap, fraction: Number(capped.toFixed(4)), stake: roundCents(capped * bankroll) },
+        },
+        // Expected profit on the stake we would actually place (the capped one)
+        expectedProfit: roundCents(capped * bankroll * ev),
+    };
+};
+
+// The best price among books hanging the side's consensus point, so a
+// probability stated for the consensus line is priced on that same line
+const bestQuoteOf = (side) => {
+    const books = side.point === undefined ? side.books : side.books.filter(book => book.point === side.point);
+    return books.reduce((best, book) => (!best || book.price > best.price ? book : best), null);
+};
+
+// Sides of one market of a game record as [key, name, summary] triples
+const sidesOf = (game, market) => {
+    const { h2h, spreads, totals } = game.markets;
+    if (market === 'h2h' && h2h) {
+        return [['home', game.homeTeam.name, h2h.home], ['away', game.awayTeam.name, h2h.away], ...(h2h.draw ? [['draw', 'Draw', h2h.draw]] : [])];
+    }
+    if (market === 'spreads' && spreads) {
+        return [['home', game.homeTeam.name, spreads.home], ['away', game.awayTeam.name, spreads.away]];
+    }
+    if (market === 'totals' && totals) {
+        return [['over', 'Over', totals.over], ['under', 'Under', totals.under]];
+    }
+    return null;
+};
+
+// Fills in the one side left out (the probabilities must cover the market)
+const completeProbabilities = (keys, probabilities) => {
+    const missing = keys.filter(key => probabilities[key] === undefined);
+    if (missing.length !== 1) return probabilities;
+    const given = keys.filter(key => probabilities[key] !== undefined)
+        .reduce((total, key) => total + probabilities[key], 0);
+    return { ...probabilities, [missing[0]]: Number((100 - given).toFixed(4)) };
+};
+
+// EV and stakes for every side of one market. `probabilities` maps side keys
+// (home/away/draw or over/under) to percentages and must sum to 100, give or
+// take rounding; an error with code INVALID_PROBABILITIES says why not.
+const evaluateMarket = (game, market, probabilities, staking = {}) => {
+    const sides = sidesOf(game, market);
+    if (!sides) return null;
+
+    const settings = { ...DEFAULT_STAKING, ...staking };
+    const keys = sides.map(([key]) => key);
+    const complete = completeProbabilities(keys, probabilities);
+
+    const invalid = (message) => {
+        const error = new Error(message);
+        error.code = 'INVALID_PROBABILITIES';
+        return error;
+    };
+    const missing = keys.filter(key => complete[key] === undefined);
+    if (missing.length > 0) throw invalid(`Missing probability for ${missing.join(', ')}`);
+    if (keys.some(key => !(complete[key] > 0 && complete[key] < 100))) {
+        throw invalid('Probabilities must be between 0 and 100');
+    }
+    const total = keys.reduce((sum, key) => sum + complete[key], 0);
+    if (Math.abs(total - 100) > 0.5) throw invalid(`Probabilities must sum to 100 (got ${Number(total.toFixed(2))})`);
+
+    return {
+        eventId: game.id,
+        market,
+        ...settings,
+        outcomes: sides.map(([key, name, side]) => {
+            const quote = bestQuoteOf(side);
+            return {
+                side: key,
+                name,
+                ...(quote.point !== undefined && { point: quote.point }),
+                price: quote.price,
+                bookmaker: quote.bookmaker,
+                title: quote.title,
+                ...evaluateSide({ probability: complete[key], price: quote.price }, settings),
+            };
+        }),
+    };
+};
+
+module.exports = {
+    DEFAULT_STAKING,
+    kellyFraction,
+    evaluateMarket,
+    sidesOf,
+};
@@ -0,0 +1,137 @@
+const { once } = require('events');
+const { americanToProbability, formatAmerican } = require('./odds');
+
+// --- Exports ---
+// Flat rows for spreadsheets and notebooks, written to the response as they
+// are produced so a long range never sits in memory:
+//   csv      header line, then one line per row (RFC 4180 quoting)
+//   json     one array of row objects
+//   ndjson   one row object per line
+// Prices are American unless an odds format is given; `impliedProbability`
+// is always in percent.
+
+const EXPORT_FORMATS = ['csv', 'json', 'ndjson'];
+
+const CONTENT_TYPES = {
+    csv: 'text/csv; charset=utf-8',
+    json: 'application/json; charset=utf-8',
+    ndjson: 'application/x-ndjson; charset=utf-8',
+};
+
+// One row per event, bookmaker, market and outcome
+const ODDS_COLUMNS = ['capturedAt', 'sport', 'eventId', 'commenceTime', 'homeTeam', 'awayTeam', 'bookmaker', 'market', 'outcome', 'point', 'price', 'impliedProbability'];
+
+const RESULT_COLUMNS = ['eventId', 'sport', 'commenceTime', 'homeTeam', 'awayTeam', 'homeScore', 'awayScore', 'closingHomeMoneyline', 'closingAwayMoneyline', 'closingHomeSpread', 'closingTotal'];
+
+const MODEL_COLUMNS = ['eventId', 'commenceTime', 'homeTeam', 'awayTeam', 'modelHomeProbability', 'marketHomeProbability', 'homeEdge', 'modelHomeSpread', 'marketHomeSpread', 'spreadDifference', 'disagreement', 'favours'];
+
+const csvField = (value) => {
+    if (value === null || value === undefined) return '';
+    const text = String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const csvLine = (columns, row) => `${columns.map(column => csvField(row[column])).join(',')}\r\n`;
+
+// Snapshots (see lib/snapshotStore.js) as odds rows
+const snapshotToRows = (snapshot, format = 'american') => snapshot.outcomes.map(outcome => ({
+    capturedAt: snapshot.capturedAt,
+    sport: snapshot.sport,
+    eventId: snapshot.eventId,
+    commenceTime: snapshot.commenceTime,
+    homeTeam: snapshot.homeTeam,
+    awayTeam: snapshot.awayTeam,
+    bookmaker: snapshot.bookmaker,
+    market: snapshot.market,
+    outcome: outcome.name,
+    point: outcome.point ?? null,
+    price: formatAmerican(outcome.price, format),
+    impliedProbability: Number((americanToProbability(outcome.price) * 100).toFixed(2)),
+}));
+
+// The current upstream event list in snapshot shape, one per bookmaker and
+// market, stamped with the bookmaker's last update
+const eventsToSnapshots = (events, sport) => events.flatMap(event => (event.bookmakers || []).flatMap(bookmaker => (bookmaker.markets || []).map(market => ({
+    capturedAt: market.last_update || bookmaker.last_update || null,
+    sport: event.sport_key || sport,
+    eventId: event.id,
+    commenceTime: event.commence_time,
+    homeTeam: event.home_team,
+    awayTeam: event.away_team,
+    bookmaker: bookmaker.key,
+    market: market.key,
+    outcomes: market.outcomes || [],
+}))));
+
+const resultToRow = (result, format = 'american') => {
+    const price = (side) => (side ? formatAmerican(side.price, format) : null);
+    const markets = result.closing?.markets || {};
+    return {
+        eventId: result.eventId,
+        sport: result.sport,
+        commenceTime: result.commenceTime,
+        homeTeam: result.homeTeam,
+        awayTeam: result.awayTeam,
+        homeScore: result.homeScore,
+        awayScore: result.awayScore,
+        closingHomeMoneyline: price(markets.h2h?.home),
+        closingAwayMoneyline: price(markets.h2h?.away),
+        closingHomeSpread: markets.spreads?.home.point ?? null,
+        closingTotal: markets.totals?.point ?? null,
+    };
+};
+
+// Model-vs-market comparisons (see compareWithMarket in lib/elo.js)
+const comparisonToRow = (comparison) => ({
+    eventId: comparison.eventId,
+    commenceTime: comparison.commenceTime,
+    homeTeam: comparison.homeTeam.name,
+    awayTeam: comparison.awayTeam.name,
+    modelHomeProbability: comparison.model.home.probability,
+    marketHomeProbability: comparison.market.home.probability,
+    homeEdge: comparison.edge ? comparison.edge.home : null,
+    modelHomeSpread: comparison.model.homeSpread,
+    marketHomeSpread: comparison.market.homeSpread,
+    spreadDifference: comparison.spreadDifference,
+    disagreement: comparison.disagreement.level,
+    favours: comparison.disagreement.team || null,
+});
+
+// Writes `rows` (any iterable or async iterable) to the response in `format`
+// as an attachment named `<filename>.<format>`, waiting for the client to
+// drain whenever the socket buffer fills. Stops early if the client goes
+// away. Resolves to the number of rows written.
+const streamRows = async (res, rows, { format, columns, filename }) => {
+    res.set('Content-Type', CONTENT_TYPES[format]);
+    res.set('Content-Disposition', `attachment; filename="${filename}.${format}"`);
+
+    const write = async (chunk) => {
+        if (!res.write(chunk)) await Promise.race([once(res, 'drain'), once(res, 'close')]);
+    };
+
+    let count = 0;
+    if (format === 'csv') await write(csvLine(columns, Object.fromEntries(columns.map(column => [column, column]))));
+    if (format === 'json') await write('[');
+    for await (const row of rows) {
+        if (res.destroyed) break;
+        if (format === 'csv') await write(csvLine(columns, row));
+        else if (format === 'json') await write(`${count > 0 ? ',\n' : '\n'}${JSON.stringify(row)}`);
+        else await write(`${JSON.stringify(row)}\n`);
+        count += 1;
+    }
+    if (format === 'json') await write(count > 0 ? '\n]\n' : ']\n');
+    res.end();
+    return count;
+};
+
+module.exports = {
+    EXPORT_FORMATS,
+    ODDS_COLUMNS,
+    RESULT_COLUMNS,
+    MODEL_COLUMNS,
+    snapshotToRows,
+    eventsToSnapshots,
+    resultToRow,
+    comparisonToRow,
+    streamRows,
+};
@@ -0,0 +1,105 @@
+const { ODDS_FORMATS, isOddsFormat, formatAmerican } = require('./odds');
+
+// --- Response odds format ---
+// Payloads are built in American odds. A route that sends prices says where
+// they sit with `withPrices(paths)`, and only numbers at those paths are
+// converted; ratings, probabilities, dates and buckets that share a key name
+// with a price are left alone. A path is dot-separated keys, where `*` stands
+// for any one key or array index (so `prices.*` is an array of prices).
+
+// `paths` below `prefix`
+const pricesAt = (prefix, paths) => paths.map(path => `${prefix}.${path}`);
+
+// One side summarised across books (summarizePrices and summarizeLine in
+// lib/consensus.js)
+const SIDE_PRICES = ['price', 'consensus.median', 'consensus.mean', 'best.price', 'bookSpread.low', 'bookSpread.high', 'books.*.price'];
+
+// A game record (lib/games.js) or closing line (lib/closingLine.js)
+const GAME_PRICES = pricesAt('markets.*.*', SIDE_PRICES);
+
+// One team of the team map (lib/transform.js)
+const TEAM_PRICES = [
+    'price',
+    'priceChanges.*.from',
+    'priceChanges.*.to',
+    'performanceHistory.*.price',
+    // The team's moneyline summary, with the consensus price as `moneyline`
+    'upcomingGame.moneyline',
+    ...pricesAt('upcomingGame', SIDE_PRICES),
+    ...pricesAt('upcomingGame.spread', SIDE_PRICES),
+    ...pricesAt('upcomingGame.total.*', SIDE_PRICES),
+];
+
+// A bet record (lib/bets.js), with the CLV of graded legs
+const BET_PRICES = ['price', 'legs.*.price', 'legs.*.clv.closingPrice'];
+
+// A fired alert (lib/alerts.js): the side's price, or each arbitrage leg's
+const ALERT_PRICES = ['details.price', 'details.legs.*.price'];
+
+// A team profile (lib/teamProfile.js)
+const PROFILE_PRICES = [
+    ...pricesAt('upcoming.*.moneyline', SIDE_PRICES),
+    ...pricesAt('upcoming.*.spread', SIDE_PRICES),
+    ...pricesAt('upcoming.*.total.*', SIDE_PRICES),
+    'upcoming.*.books.*.moneyline',
+    'upcoming.*.books.*.*.price',
+    'upcoming.*.history.*.*.price',
+    'recentResults.*.closing.moneyline',
+];
+
+// `value` with every number at one of the split `paths` in `format`
+const formatAt = (value, format, paths) => {
+    if (paths.length === 0) return value;
+    if (typeof value === 'number') return paths.some(path => path.length === 0) ? formatAmerican(value, format) : value;
+    if (!value || typeof value !== 'object') return value;
+
+    const below = (key) => paths
+        .filter(path => path.length > 0 && (path[0] === '*' || path[0] === key))
+        .map(path => path.slice(1));
+    if (Array.isArray(value)) return value.map((item, index) => formatAt(item, format, below(String(index))));
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, formatAt(item, format, below(key))]));
+};
+
+const formatPrices = (value, format, paths) => formatAt(value, format, paths.map(path => path.split('.')));
+
+// Route middleware naming where the response's prices are
+const withPrices = (...paths) => (req, res, next) => {
+    res.locals.pricePaths = paths.flat();
+    next();
+};
+
+// Honours `?oddsFormat=` (falling back to `defaultFormat`) on the prices of
+// every JSON response sent after it (see withPrices), and labels the
+// response with X-Odds-Format
+const createOddsFormatMiddleware = ({ defaultFormat = 'american' } = {}) => (req, res, next) => {
+    const format = req.query.oddsFormat || defaultFormat;
+    if (!isOddsFormat(format)) {
+        return res.status(400).json({
+            error: 'Invalid odds format',
+            message: `Unknown odds format: ${format}`,
+            availableFormats: ODDS_FORMATS
+        });
+    }
+    if (format === 'american') return next();
+
+    const json = res.json.bind(res);
+    res.json = (body) => {
+        res.set('X-Odds-Format', format);
+        const paths = res.locals.pricePaths;
+        return json(res.statusCode < 400 && paths ? formatPrices(body, format, paths) : body);
+    };
+    next();
+};
+
+module.exports = {
+    SIDE_PRICES,
+    GAME_PRICES,
+    TEAM_PRICES,
+    BET_PRICES,
+    ALERT_PRICES,
+    PROFILE_PRICES,
+    pricesAt,
+    formatPrices,
+    withPrices,
+    createOddsFormatMiddleware,
+};
@@ -0,0 +1,164 @@
+const fs = require('fs');
+const path = require('path');
+const { teamIdFor, teamKeyFor } = require('./teams');
+
+// --- Game logs ---
+// Team box scores, one row per team per game, from CSV or JSON files dropped
+// into <dir>/<sport>/ (any number of files, e.g. one per season):
+//   game_id,date,team,opponent,home,min,pts,fga,fta,oreb,tov
+// Column names are matched loosely (PTS, points, ORB, offensive_rebounds...).
+// The opponent's box score comes from the opponent's own row for the same
+// game, or from opp_* columns (opp_pts, opp_fga, ...) on the row itself.
+// `min` is total team minutes (240 in regulation) and defaults to 240.
+
+const COLUMNS = {
+    gameId: ['gameid', 'id', 'game'],
+    date: ['date', 'gamedate'],
+    team: ['team', 'teamname'],
+    opponent: ['opponent', 'opp', 'opponentname', 'oppteam'],
+    home: ['home', 'ishome', 'location'],
+    minutes: ['min', 'minutes', 'mp'],
+    points: ['pts', 'points'],
+    fga: ['fga', 'fieldgoalsattempted'],
+    fta: ['fta', 'freethrowsattempted'],
+    oreb: ['oreb', 'orb', 'offensiverebounds'],
+    tov: ['tov', 'to', 'turnovers'],
+};
+const BOX_FIELDS = ['points', 'fga', 'fta', 'oreb', 'tov'];
+
+// Minimal RFC 4180 reader: quoted fields, escaped quotes, CRLF or LF
+const parseCsv = (text) => {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+    for (let i = 0; i < text.length; i += 1) {
+        const char = text[i];
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i += 1;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i += 1;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    if (field !== '' || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+
+    const [header, ...records] = rows.filter(cells => cells.some(cell => cell.trim() !== ''));
+    if (!header) return [];
+    return records.map(cells => Object.fromEntries(header.map((name, index) => [name.trim(), cells[index]?.trim()])));
+};
+
+// Reads a column by any of its names, with an optional prefix ('opp')
+const columnReader = (raw) => {
+    const byKey = new Map(Object.entries(raw).map(([name, value]) => [teamKeyFor(name), value]));
+    return (field, prefix = '') => {
+        const name = COLUMNS[field].map(alias => `${prefix}${alias}`).find(key => byKey.has(key));
+        const value = name === undefined ? undefined : byKey.get(name);
+        return value === '' || value === null ? undefined : value;
+    };
+};
+
+const isHomeValue = (value) => ['1', 'true', 'home', 'h', 'vs'].includes(String(value).toLowerCase());
+
+// Possessions estimated from one team's box score
+const possessionsOf = ({ fga, oreb, tov, fta }) => fga - oreb + tov + 0.44 * fta;
+
+// A complete box score with possessions in it, or null (an empty or partial
+// import row would rate a team at Infinity or NaN)
+const readBox = (read, prefix) => {
+    const box = Object.fromEntries(BOX_FIELDS.map(field => [field, Number(read(field, prefix))]));
+    return BOX_FIELDS.every(field => Number.isFinite(box[field])) && possessionsOf(box) > 0 ? box : null;
+};
+
+// Game log rows in any supported column naming to
+//   { gameId, date, teamId, team, opponentId, opponent, home, minutes, box, opponentBox }
+// Rows without a team, opponent, valid date or complete box score (one with
+// possessions) are dropped.
+const normalizeGameLogs = (rows, sport) => {
+    const logs = rows.flatMap(raw => {
+        const read = columnReader(raw);
+        const team = read('team');
+        const opponent = read('opponent');
+        const date = read('date');
+        const box = readBox(read);
+        const time = new Date(date);
+        if (!team || !opponent || !date || Number.isNaN(time.getTime()) || !box) return [];
+
+        const teamId = teamIdFor(team, sport);
+        const opponentId = teamIdFor(opponent, sport);
+        const day = time.toISOString().slice(0, 10);
+        const minutes = Number(read('minutes'));
+        const home = read('home');
+        return [{
+            gameId: read('gameId') || `${day}:${[teamId, opponentId].sort().join(':')}`,
+            date: day,
+            teamId,
+            team,
+            opponentId,
+            opponent,
+            ...(home !== undefined && { home: isHomeValue(home) }),
+            minutes: Number.isFinite(minutes) && minutes > 0 ? minutes : 240,
+            box,
+            opponentBox: readBox(read, 'opp'),
+            opponentPoints: Number(read('points', 'opp')),
+        }];
+    });
+
+    // Fill each side's opponent box score from the other side's row
+    const byGame = new Map();
+    logs.forEach(log => byGame.set(`${log.gameId}:${log.teamId}`, log));
+    return logs
+        .map(({ opponentPoints, ...log }) => {
+            const other = byGame.get(`${log.gameId}:${log.opponentId}`);
+            if (log.opponentBox || other) return { ...log, opponentBox: log.opponentBox || other.box };
+            // Only the opponent's score: possessions come from this side alone
+            return Number.isFinite(opponentPoints) ? { ...log, opponentBox: { points: opponentPoints } } : null;
+        })
+        .filter(Boolean)
+        .sort((a, b) => a.date.localeCompare(b.date));
+};
+
+// Stats provider reading every .csv and .json file in <dir>/<sport>/
+const createGameLogProvider = ({ dir }) => ({
+    fetchGameLogs: async (sport) => {
+        const sportDir = path.join(dir, sport);
+        if (!fs.existsSync(sportDir)) return [];
+
+        const files = (await fs.promises.readdir(sportDir))
+            .filter(file => /\.(csv|json)$/i.test(file))
+            .sort();
+        const rows = [];
+        for (const file of files) {
+            const text = await fs.promises.readFile(path.join(sportDir, file), 'utf8');
+            rows.push(...(/\.json$/i.test(file) ? JSON.parse(text) : parseCsv(text)));
+        }
+        return rows;
+    },
+});
+
+module.exports = {
+    parseCsv,
+    possessionsOf,
+    normalizeGameLogs,
+    createGameLogProvider,
+};
@@ -0,0 +1,63 @@
+const { collectOutcomePrices, consensusPoint, summarizePrices, summarizeLine, withImpliedProbabilities } = require('./consensus');
+const { describeTeam } = require('./teams');
+
+// --- Game records ---
+// One record per upstream event with both sides, the tip-off time and every
+// requested market summarised across all bookmakers. Teams carry their
+// canonical registry id, abbreviation, conference, division and colours.
+const buildGame = (event) => {
+    const moneylines = collectOutcomePrices(event, 'h2h');
+    const spreads = collectOutcomePrices(event, 'spreads');
+    const totals = collectOutcomePrices(event, 'totals');
+
+    // Three-way markets (soccer) quote the draw alongside both teams
+    const hasDraw = Boolean(moneylines.Draw);
+    const [homeMoneyline, awayMoneyline, drawMoneyline] = withImpliedProbabilities(
+        summarizePrices(moneylines[event.home_team]),
+        summarizePrices(moneylines[event.away_team]),
+        ...(hasDraw ? [summarizePrices(moneylines.Draw)] : [])
+    );
+    const [homeSpread, awaySpread] = withImpliedProbabilities(
+        summarizeLine(spreads[event.home_team], true),
+        summarizeLine(spreads[event.away_team], true)
+    );
+    // Both sides of a total are priced at one point, the one most books hang
+    // across both; a side nobody quotes at that point leaves no total
+    const totalBooks = [...(totals.Over || []), ...(totals.Under || [])];
+    const totalPoint = totalBooks.length > 0 ? consensusPoint(totalBooks) : undefined;
+    const [over, under] = withImpliedProbabilities(
+        summarizeLine(totals.Over, false, totalPoint),
+        summarizeLine(totals.Under, true, totalPoint)
+    );
+
+    return {
+        id: event.id,
+        sport: event.sport_key,
+        sportTitle: event.sport_title,
+        commenceTime: event.commence_time,
+        homeTeam: describeTeam(event.home_team, event.sport_key),
+        awayTeam: describeTeam(event.away_team, event.sport_key),
+        markets: {
+            h2h: homeMoneyline && awayMoneyline
+                ? { home: homeMoneyline, away: awayMoneyline, ...(drawMoneyline && { draw: drawMoneyline }) }
+                : null,
+            spreads: homeSpread && awaySpread ? { home: homeSpread, away: awaySpread } : null,
+            totals: over && under ? { point: totalPoint, over, under } : null,
+        },
+        bookmakers: (event.bookmakers || []).map(bookmaker => ({
+            key: bookmaker.key,
+            title: bookmaker.title,
+            lastUpdate: bookmaker.last_update,
+        })),
+    };
+};
+
+// All events as game records, soonest tip-off first
+const buildGames = (apiData) => apiData
+    .map(buildGame)
+    .sort((a, b) => a.commenceTime.localeCompare(b.commenceTime));
+
+module.exports = {
+    buildGame,
+    buildGames,
+};
@@ -0,0 +1,53 @@
+const fs = require('fs');
+const path = require('path');
+
+// --- JSON file ---
+// The disk side of a store kept in memory and mirrored to one JSON file.
+// `fromJson` receives the parsed file the first time `load` is called, and
+// `toJson` gives the contents to write. The file is rewritten through a
+// temporary file and a rename, so a crash mid-write leaves the previous
+// version intact, and writes are queued so they reach disk in the order the
+// changes were made.
+
+const createJsonFile = ({ file, name, fromJson, toJson }) => {
+    let loaded = false;
+    let writes = Promise.resolve();
+
+    // Read the file into memory the first time the store is used
+    const load = () => {
+        if (loaded) return;
+        loaded = true;
+        if (!fs.existsSync(file)) return;
+
+        try {
+            fromJson(JSON.parse(fs.readFileSync(file, 'utf8')));
+        } catch (error) {
+            console.error(`Failed to read ${name} from ${file}:`, error.message);
+        }
+    };
+
+    // Queues a write of the store as it is now
+    const persist = () => {
+        const contents = JSON.stringify(toJson(), null, 2);
+        const temporary = `${file}.${process.pid}.tmp`;
+        writes = writes
+            .then(() => fs.promises.mkdir(path.dirname(file), { recursive: true }))
+            .then(() => fs.promises.writeFile(temporary, contents))
+            .then(() => fs.promises.rename(temporary, file))
+            .catch(error => console.error(`Failed to persist ${name}:`, error.message));
+        return writes;
+    };
+
+    // Resolves once every queued write has reached disk
+    const flush = () => writes;
+
+    return {
+        load,
+        persist,
+        flush,
+    };
+};
+
+module.exports = {
+    createJsonFile,
+};
@@ -0,0 +1,161 @@
+// --- Live odds feed ---
+// Polls the upstream for every sport that has at least one connected client
+// and pushes what changed since the previous poll. Nothing is polled while
+// nobody is watching, so an idle dashboard costs no quota.
+
+// Every priced side of a game, keyed so two polls can be compared
+const quotesOf = (game) => {
+    const quotes = new Map();
+    const { h2h, spreads, totals } = game.markets;
+    const add = (market, side, name, teamId, line) => {
+        if (line) quotes.set(`${market}:${side}`, { market, side, name, teamId, price: line.price, point: line.point });
+    };
+
+    if (h2h) {
+        add('h2h', 'home', game.homeTeam.name, game.homeTeam.id, h2h.home);
+        add('h2h', 'away', game.awayTeam.name, game.awayTeam.id, h2h.away);
+        add('h2h', 'draw', 'Draw', null, h2h.draw);
+    }
+    if (spreads) {
+        add('spreads', 'home', game.homeTeam.name, game.homeTeam.id, spreads.home);
+        add('spreads', 'away', game.awayTeam.name, game.awayTeam.id, spreads.away);
+    }
+    if (totals) {
+        add('totals', 'over', 'Over', null, totals.over);
+        add('totals', 'under', 'Under', null, totals.under);
+    }
+    return quotes;
+};
+
+// Added and removed events, plus every consensus price or point that moved.
+// `direction` is 'up' when the side became more likely to win (a shorter
+// price), matching the stock-ticker colouring in the UI.
+const diffGames = (previousGames, currentGames) => {
+    const previousById = new Map(previousGames.map(game => [game.id, game]));
+    const currentIds = new Set(currentGames.map(game => game.id));
+
+    const added = currentGames.filter(game => !previousById.has(game.id));
+    const removed = previousGames.filter(game => !currentIds.has(game.id)).map(game => game.id);
+    const updated = [];
+    const changes = [];
+
+    currentGames.forEach(game => {
+        const previous = previousById.get(game.id);
+        if (!previous) return;
+
+        const before = quotesOf(previous);
+        const gameChanges = [];
+        quotesOf(game).forEach((quote, key) => {
+            const old = before.get(key);
+            if (!old || (old.price === quote.price && old.point === quote.point)) return;
+            gameChanges.push({
+                eventId: game.id,
+                market: quote.market,
+                side: quote.side,
+                name: quote.name,
+                teamId: quote.teamId,
+                from: { price: old.price, point: old.point },
+                to: { price: quote.price, point: quote.point },
+                direction: quote.price < old.price ? 'up' : quote.price > old.price ? 'down' : 'flat',
+            });
+        });
+
+        if (gameChanges.length > 0) {
+            updated.push(game);
+            changes.push(...gameChanges);
+        }
+    });
+
+    return { added, removed, updated, changes };
+};
+
+const writeEvent = (res, event, data) => {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+};
+
+const createLiveFeed = ({ odds, intervalMs = 60000, heartbeatMs = 25000 }) => {
+    const channels = new Map();
+
+    const broadcast = (channel, event, data) => {
+        channel.clients.forEach(res => writeEvent(res, event, data));
+    };
+
+    const poll = async (sport, { fresh = true } = {}) => {
+        const channel = channels.get(sport);
+        if (!channel) return null;
+
+        try {
+            const games = await odds.getGames(sport, { fresh });
+            const previous = channel.games;
+            channel.games = games;
+            if (!previous) return null;
+
+            const diff = diffGames(previous, games);
+            if (diff.added.length || diff.removed.length || diff.changes.length) {
+                broadcast(channel, 'odds', { sport, at: new Date().toISOString(), ...diff });
+            }
+            return diff;
+        } catch (error) {
+            console.error(`Live feed poll failed for ${sport}:`, error.message);
+            broadcast(channel, 'feed-error', { sport, message: error.message });
+            return null;
+        }
+    };
+
+    const openChannel = (sport) => {
+        const channel = { clients: new Set(), games: null };
+        channel.pollTimer = setInterval(() => poll(sport), intervalMs);
+        channel.heartbeatTimer = setInterval(() => {
+            channel.clients.forEach(res => res.write(': heartbeat\n\n'));
+        }, heartbeatMs);
+        channel.pollTimer.unref?.();
+        channel.heartbeatTimer.unref?.();
+        channels.set(sport, channel);
+
+        // Baseline from whatever is cached; later polls go to the upstream
+        poll(sport, { fresh: false });
+        return channel;
+    };
+
+    const closeChannel = (sport) => {
+        const channel = channels.get(sport);
+        if (!channel) return;
+        clearInterval(channel.pollTimer);
+        clearInterval(channel.heartbeatTimer);
+        channels.delete(sport);
+    };
+
+    // Attach an SSE response to a sport's channel; returns an unsubscribe
+    const subscribe = (sport, res) => {
+        const channel = channels.get(sport) || openChannel(sport);
+        channel.clients.add(res);
+        writeEvent(res, 'ready', { sport, intervalMs });
+
+        return () => {
+            channel.clients.delete(res);
+            // A newer channel may have taken this sport's slot since
+            if (channel.clients.size === 0 && channels.get(sport) === channel) closeChannel(sport);
+        };
+    };
+
+    const stop = () => {
+        Array.from(channels.entries()).forEach(([sport, channel]) => {
+            const clients = Array.from(channel.clients);
+            channel.clients.clear();
+            closeChannel(sport);
+            clients.forEach(res => res.end());
+        });
+    };
+
+    return {
+        subscribe,
+        poll,
+        stop,
+        clientCount: () => Array.from(channels.values()).reduce((total, channel) => total + channel.clients.size, 0),
+    };
+};
+
+module.exports = {
+    createLiveFeed,
+    diffGames,
+};
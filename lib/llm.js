@@ -0,0 +1,110 @@
+const axios = require('axios');
+
+// --- LLM providers ---
+// Every provider exposes `{ name, model, generate(prompt) }` and resolves to
+// plain text. Keys never leave the server.
+//   gemini   Google Generative Language API
+//   openai   any OpenAI-compatible chat completions API (OpenAI, Ollama,
+//            LM Studio, vLLM...) selected with OPENAI_BASE_URL
+//   stub     offline provider that echoes a templated briefing
+
+const SYSTEM_PROMPT = 'You are an expert sports betting analyst. Only use the data you are given and say so when data is missing.';
+const REQUEST_TIMEOUT_MS = 30000;
+
+const notConfigured = (message) => {
+    const error = new Error(message);
+    error.code = 'LLM_NOT_CONFIGURED';
+    return error;
+};
+
+const createGeminiProvider = ({ apiKey, model = 'gemini-2.5-flash' }) => ({
+    name: 'gemini',
+    model,
+    generate: async (prompt) => {
+        if (!apiKey) throw notConfigured('Please set GEMINI_API_KEY environment variable');
+
+        const response = await axios.post(
+            `https://generativelanguage.googleapis.com/v1beta/models/${model}:generateContent`,
+            {
+                systemInstruction: { parts: [{ text: SYSTEM_PROMPT }] },
+                contents: [{ role: 'user', parts: [{ text: prompt }] }],
+            },
+            { headers: { 'x-goog-api-key': apiKey }, timeout: REQUEST_TIMEOUT_MS }
+        );
+        return response.data.candidates?.[0]?.content?.parts?.map(part => part.text).join('') || '';
+    },
+});
+
+const createOpenAIProvider = ({ apiKey, baseUrl = 'https://api.openai.com/v1', model = 'gpt-4o-mini' }) => ({
+    name: 'openai',
+    model,
+    generate: async (prompt) => {
+        // Local OpenAI-compatible servers usually run without a key
+        if (!apiKey && baseUrl.includes('api.openai.com')) {
+            throw notConfigured('Please set OPENAI_API_KEY environment variable');
+        }
+
+        const response = await axios.post(
+            `${baseUrl.replace(/\/$/, '')}/chat/completions`,
+            {
+                model,
+                messages: [
+                    { role: 'system', content: SYSTEM_PROMPT },
+                    { role: 'user', content: prompt },
+                ],
+            },
+            {
+                headers: apiKey ? { Authorization: `Bearer ${apiKey}` } : {},
+                timeout: REQUEST_TIMEOUT_MS
+            }
+        );
+        return response.data.choices?.[0]?.message?.content || '';
+    },
+});
+
+// Returns the prompt's data section as the briefing so the UI can be worked
+// on without any provider account
+const createStubProvider = () => ({
+    name: 'stub',
+    model: 'stub',
+    generate: async (prompt) => {
+        const data = prompt.split('Your Task:')[0].trim();
+        return `Stub briefing (set LLM_PROVIDER to gemini or openai for a real analysis).\n\n${data}`;
+    },
+});
+
+const PROVIDERS = {
+    gemini: createGeminiProvider,
+    openai: createOpenAIProvider,
+    stub: createStubProvider,
+};
+
+// `name` picks the provider; the rest of the options go to its factory.
+// Failed provider calls are rethrown with code LLM_PROVIDER_ERROR so callers
+// can tell them apart from odds API failures.
+const createLlmProvider = ({ name = 'stub', ...options } = {}) => {
+    const factory = PROVIDERS[name];
+    if (!factory) {
+        throw new Error(`Unknown LLM provider: ${name} (expected one of ${Object.keys(PROVIDERS).join(', ')})`);
+    }
+
+    const provider = factory(options);
+    return {
+        ...provider,
+        generate: async (prompt) => {
+            try {
+                return await provider.generate(prompt);
+            } catch (error) {
+                if (error.code === 'LLM_NOT_CONFIGURED') throw error;
+                const wrapped = new Error(error.response?.data?.error?.message || error.message);
+                wrapped.code = 'LLM_PROVIDER_ERROR';
+                throw wrapped;
+            }
+        },
+    };
+};
+
+module.exports = {
+    createLlmProvider,
+    PROVIDERS: Object.keys(PROVIDERS),
+};
@@ -0,0 +1,94 @@
+// --- Odds helpers shared by the servers ---
+// American odds are the canonical format everywhere inside the server; other
+// formats only exist at the edges (query parameters and user input).
+//   american     +150 / -110
+//   decimal      2.5 / 1.91 (total return per unit staked)
+//   fractional   "3/2" / "10/11" (profit per unit staked)
+//   probability  implied win probability in percent, vig included
+
+const ODDS_FORMATS = ['american', 'decimal', 'fractional', 'probability'];
+
+const isOddsFormat = (format) => ODDS_FORMATS.includes(format);
+
+// Implied probability (0-1) of an American moneyline, vig included
+const americanToProbability = (odds) => {
+    if (odds > 0) {
+        return 100 / (odds + 100);
+    }
+    return (-odds) / (-odds + 100);
+};
+
+// Decimal odds (total return per unit staked) of an American moneyline
+const americanToDecimal = (odds) => (odds > 0 ? 1 + odds / 100 : 1 + 100 / -odds);
+
+// Nearest whole American price for decimal odds
+const decimalToAmerican = (decimal) => {
+    if (decimal >= 2) {
+        return Math.round((decimal - 1) * 100);
+    }
+    return Math.round(-100 / (decimal - 1));
+};
+
+const probabilityToAmerican = (probability) => decimalToAmerican(1 / probability);
+
+const gcd = (a, b) => (b === 0 ? a : gcd(b, a % b));
+
+// Exact fraction for whole American prices: +150 -> 3/2, -110 -> 10/11
+const americanToFractional = (odds) => {
+    const rounded = Math.round(odds);
+    const [numerator, denominator] = rounded > 0 ? [rounded, 100] : [100, -rounded];
+    const divisor = gcd(numerator, denominator);
+    return `${numerator / divisor}/${denominator / divisor}`;
+};
+
+const fractionalToDecimal = (fraction) => {
+    const [numerator, denominator] = String(fraction).split('/').map(Number);
+    return 1 + numerator / (denominator || 1);
+};
+
+// An American price rendered in any supported format
+const formatAmerican = (odds, format = 'american') => {
+    switch (format) {
+        case 'decimal': return Number(americanToDecimal(odds).toFixed(2));
+        case 'fractional': return americanToFractional(odds);
+        case 'probability': return Number((americanToProbability(odds) * 100).toFixed(2));
+        case 'american': default: return odds;
+    }
+};
+
+// Parses a price given in any supported format back to American. Returns NaN
+// for anything that isn't a valid price in that format.
+const toAmerican = (value, format = 'american') => {
+    switch (format) {
+        case 'decimal': {
+            const decimal = Number(value);
+            return decimal > 1 ? decimalToAmerican(decimal) : NaN;
+        }
+        case 'fractional': {
+            if (!/^\d+(\.\d+)?\/\d+(\.\d+)?$/.test(String(value).trim())) return NaN;
+            const decimal = fractionalToDecimal(String(value).trim());
+            return decimal > 1 && Number.isFinite(decimal) ? decimalToAmerican(decimal) : NaN;
+        }
+        case 'probability': {
+            const percent = Number(value);
+            return percent > 0 && percent < 100 ? probabilityToAmerican(percent / 100) : NaN;
+        }
+        case 'american': default: {
+            const american = Number(value);
+            return Number.isFinite(american) && Math.abs(american) >= 100 ? american : NaN;
+        }
+    }
+};
+
+module.exports = {
+    ODDS_FORMATS,
+    isOddsFormat,
+    americanToProbability,
+    americanToDecimal,
+    decimalToAmerican,
+    probabilityToAmerican,
+    americanToFractional,
+    fractionalToDecimal,
+    formatAmerican,
+    toAmerican,
+};
@@ -0,0 +1,164 @@
+const axios = require('axios');
+const fs = require('fs');
+const path = require('path');
+
+const ODDS_API_BASE_URL = 'https://api.the-odds-api.com/v4';
+const ODDS_PROVIDER_MODES = ['live', 'record', 'replay'];
+
+// --- Odds API providers ---
+// Where upstream responses come from (see lib/upstream.js for what sits on
+// top). Every provider has `get(urlPath, params)` resolving to
+// { data, headers, capturedAt }, plus `mode` and `describe()`.
+//   live     The Odds API itself; needs an API key
+//   record   live, and every response is also saved as a fixture:
+//              <dir>/<urlPath>/<recordedAt>.json
+//            holding { recordedAt, path, params, headers, data } (no API key)
+//   replay   recorded fixtures only, no network and no key. Each path serves
+//            its latest recording; with `speed` > 0 a clock instead starts at
+//            the earliest recording and runs `speed` times faster than real
+//            time, serving whatever was current at that moment, so lines move
+//            as they did. `loop` starts over after the last recording.
+// Query parameters are kept for reference but not matched on replay.
+
+// Only the quota headers are worth keeping in a fixture
+const QUOTA_HEADERS = ['x-requests-remaining', 'x-requests-used', 'x-requests-last'];
+
+const replayMissing = (urlPath, dir) => {
+    const error = new Error(`No recorded response for ${urlPath} in ${dir}`);
+    error.code = 'ODDS_REPLAY_MISSING';
+    return error;
+};
+
+const createLiveProvider = ({ apiKey, baseUrl = ODDS_API_BASE_URL, timeoutMs = 10000, now = () => Date.now() }) => ({
+    mode: 'live',
+    get: async (urlPath, params = {}) => {
+        if (!apiKey) {
+            const error = new Error('Please set ODDS_API_KEY environment variable');
+            error.code = 'ODDS_API_KEY_MISSING';
+            throw error;
+        }
+        const response = await axios.get(`${baseUrl}${urlPath}`, {
+            params: { ...params, apiKey },
+            timeout: timeoutMs
+        });
+        return { data: response.data, headers: response.headers || {}, capturedAt: new Date(now()).toISOString() };
+    },
+    describe: () => ({ mode: 'live' }),
+});
+
+const fixtureFile = (dir, urlPath, recordedAt) => path.join(dir, ...urlPath.split('/').filter(Boolean), `${recordedAt.replace(/:/g, '-')}.json`);
+
+const createRecordingProvider = ({ dir, ...liveOptions }) => {
+    const live = createLiveProvider(liveOptions);
+    let recorded = 0;
+    let writes = Promise.resolve();
+
+    const get = async (urlPath, params = {}) => {
+        const response = await live.get(urlPath, params);
+        const headers = Object.fromEntries(QUOTA_HEADERS
+            .filter(name => response.headers[name] !== undefined)
+            .map(name => [name, response.headers[name]]));
+        const fixture = { recordedAt: response.capturedAt, path: urlPath, params, headers, data: response.data };
+        const file = fixtureFile(dir, urlPath, response.capturedAt);
+
+        recorded += 1;
+        writes = writes
+            .then(() => fs.promises.mkdir(path.dirname(file), { recursive: true }))
+            .then(() => fs.promises.writeFile(file, `${JSON.stringify(fixture, null, 2)}\n`))
+            .catch(error => console.error('Failed to record upstream response:', error.message));
+        return response;
+    };
+
+    return {
+        mode: 'record',
+        get,
+        describe: () => ({ mode: 'record', dir, recorded }),
+        // Resolves once every pending fixture has reached disk
+        flush: () => writes,
+    };
+};
+
+const createReplayProvider = ({ dir, speed = 0, loop = false, now = () => Date.now() }) => {
+    const startedAt = now();
+    let recordings = null;
+
+    // path -> recordings oldest first, read once from every fixture under `dir`
+    const load = () => {
+        if (recordings) return recordings;
+        recordings = new Map();
+        const walk = (folder) => {
+            if (!fs.existsSync(folder)) return;
+            fs.readdirSync(folder, { withFileTypes: true }).forEach(entry => {
+                const file = path.join(folder, entry.name);
+                if (entry.isDirectory()) return walk(file);
+                if (!entry.name.endsWith('.json')) return;
+                try {
+                    const fixture = JSON.parse(fs.readFileSync(file, 'utf8'));
+                    if (!recordings.has(fixture.path)) recordings.set(fixture.path, []);
+                    recordings.get(fixture.path).push(fixture);
+                } catch (error) {
+                    console.error(`Skipping unreadable fixture ${file}:`, error.message);
+                }
+            });
+        };
+        walk(dir);
+        recordings.forEach(list => list.sort((a, b) => a.recordedAt.localeCompare(b.recordedAt)));
+        return recordings;
+    };
+
+    // The recorded moment the replay clock shows, or null to always serve
+    // the latest recording. One clock for every path, so they stay in step.
+    const clock = () => {
+        if (!(speed > 0)) return null;
+        const times = Array.from(load().values()).flatMap(list => list.map(fixture => Date.parse(fixture.recordedAt)));
+        if (times.length === 0) return null;
+        const first = Math.min(...times);
+        const span = Math.max(...times) - first;
+        const elapsed = (now() - startedAt) * speed;
+        return first + (loop && span > 0 ? elapsed % (span + 1) : elapsed);
+    };
+
+    const get = async (urlPath) => {
+        const list = load().get(urlPath);
+        if (!list || list.length === 0) throw replayMissing(urlPath, dir);
+
+        const at = clock();
+        const fixture = at === null
+            ? list[list.length - 1]
+            : list.filter(recording => Date.parse(recording.recordedAt) <= at).pop() || list[0];
+        // Recorded quota headers are history, not today's quota
+        return { data: fixture.data, headers: {}, capturedAt: fixture.recordedAt };
+    };
+
+    return {
+        mode: 'replay',
+        get,
+        describe: () => {
+            const at = clock();
+            return {
+                mode: 'replay',
+                dir,
+                paths: load().size,
+                ...(at !== null && { speed, loop, clock: new Date(at).toISOString() }),
+            };
+        },
+    };
+};
+
+// Provider by mode name (see ODDS_PROVIDER_MODES); `dir` is where fixtures
+// are written to or read from
+const createOddsProvider = ({ mode = 'live', ...options }) => {
+    if (mode === 'live') return createLiveProvider(options);
+    if (mode === 'record') return createRecordingProvider(options);
+    if (mode === 'replay') return createReplayProvider(options);
+    throw new Error(`Unknown odds provider mode: ${mode} (expected one of ${ODDS_PROVIDER_MODES.join(', ')})`);
+};
+
+module.exports = {
+    ODDS_API_BASE_URL,
+    ODDS_PROVIDER_MODES,
+    createLiveProvider,
+    createRecordingProvider,
+    createReplayProvider,
+    createOddsProvider,
+};
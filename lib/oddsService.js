@@ -0,0 +1,126 @@
+const { buildGames } = require('./games');
+const { buildTeamsFromGames } = require('./transform');
+const { createUpstreamClient } = require('./upstream');
+
+// The sports list changes a few times a season
+const SPORTS_TTL_MS = 60 * 60 * 1000;
+
+// --- Odds service ---
+// Single path from The Odds API to every payload we serve. Requests go
+// through `upstream` (see lib/upstream.js: caching, coalescing and quota),
+// built from `apiKey` when not given. Each pull that reaches the API is
+// recorded in the snapshot store. `sport` is the default for calls that don't
+// name one. Prices are always pulled in American odds; other formats are
+// rendered per response. `ratings` (see lib/ratings.js) is optional and fills
+// in the team ratings. `onPull` listeners see the game records of every
+// odds pull that reached the API. `now` is the clock team price changes are
+// measured against.
+const createOddsService = ({ apiKey, upstream = createUpstreamClient({ apiKey }), sport: defaultSport, regions, markets, snapshots, ratings, now = Date.now }) => {
+    const pullListeners = new Set();
+
+    const notifyPull = (sport, pulled, capturedAt) => {
+        if (pullListeners.size === 0) return;
+        const games = buildGames(pulled);
+        pullListeners.forEach(listener => {
+            try {
+                listener(sport, games, capturedAt);
+            } catch (error) {
+                console.error(`Odds pull listener failed for ${sport}:`, error.message);
+            }
+        });
+    };
+
+    // Registers `listener(sport, games, capturedAt)`; returns an unsubscribe
+    const onPull = (listener) => {
+        pullListeners.add(listener);
+        return () => pullListeners.delete(listener);
+    };
+
+    // In-season sports listed by the Odds API (this call costs no quota)
+    const fetchSports = async () => (await upstream.get('/sports', {}, { ttlMs: SPORTS_TTL_MS, free: true })) || [];
+
+    // `fresh` skips the cache read (the result still refreshes the cache)
+    const fetchEvents = async (sport = defaultSport, { fresh = false } = {}) => {
+        const events = await upstream.get(`/sports/${sport}/odds`, {
+            regions,
+            markets,
+            oddsFormat: 'american',
+        }, {
+            fresh,
+            onFetched: (pulled, capturedAt) => {
+                snapshots?.record(sport, pulled || [], capturedAt);
+                notifyPull(sport, pulled || [], capturedAt);
+            },
+        });
+        return events || [];
+    };
+
+    // Live and recent games with scores, completed ones from the last
+    // `daysFrom` days (see lib/scores.js for the shape we keep)
+    const fetchScores = async (sport = defaultSport, { daysFrom = 3 } = {}) => (
+        (await upstream.get(`/sports/${sport}/scores`, { daysFrom })) || []
+    );
+
+    const getGames = async (sport = defaultSport, options) => buildGames(await fetchEvents(sport, options));
+
+    const teamOptions = async (sport) => ({ snapshots, ratings: ratings ? await ratings.getRatings(sport) : null, now: now() });
+
+    const getTeams = async (sport = defaultSport) => buildTeamsFromGames(await getGames(sport), await teamOptions(sport));
+
+    // Games and the derived team map from a single pull
+    const getMarket = async (sport = defaultSport) => {
+        const games = await getGames(sport);
+        return { games, teams: buildTeamsFromGames(games, await teamOptions(sport)) };
+    };
+
+    return {
+        defaultSport,
+        upstream,
+        fetchSports,
+        fetchEvents,
+        fetchScores,
+        getGames,
+        getTeams,
+        getMarket,
+        onPull,
+    };
+};
+
+// Maps a failed odds fetch to the status code and body we answer with
+const describeOddsError = (error) => {
+    if (error.code === 'ODDS_API_KEY_MISSING') {
+        return { status: 500, body: { error: 'API key not configured', message: error.message } };
+    }
+
+    if (error.code === 'ODDS_REPLAY_MISSING') {
+        return { status: 404, body: { error: 'Not recorded', message: error.message } };
+    }
+
+    if (error.code === 'ODDS_QUOTA_EXHAUSTED') {
+        return { status: 503, body: { error: 'Quota exhausted', message: error.message } };
+    }
+
+    if (error.code === 'ECONNABORTED') {
+        return {
+            status: 504,
+            body: { error: 'Request timeout', message: 'The odds API is taking too long to respond' }
+        };
+    }
+
+    if (error.response) {
+        return {
+            status: error.response.status,
+            body: {
+                error: 'External API error',
+                message: error.response.data?.message || 'Failed to fetch data from The Odds API'
+            }
+        };
+    }
+
+    return { status: 500, body: { error: 'Internal server error', message: 'An unexpected error occurred' } };
+};
+
+module.exports = {
+    createOddsService,
+    describeOddsError,
+};
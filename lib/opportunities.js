@@ -0,0 +1,167 @@
+const { americanToDecimal } = require('./odds');
+
+// --- Arbitrage and middles ---
+// Scans every bookmaker's quote in a game record rather than the consensus.
+//   arbitrage  the best price for each outcome comes from different books and
+//              the implied probabilities sum to less than 1, so staking in
+//              proportion to 1 / decimal odds returns more than the bankroll
+//              whatever happens
+//   middle     two books hang different points on a spread or total, so one
+//              final score wins both legs; any other result wins one and
+//              loses (at most) the margin on the other
+// Scores are whole numbers, so a middle needs a whole number strictly inside
+// its window. A result landing exactly on a point pushes that leg, which the
+// returns below don't model.
+
+const roundCents = (value) => Math.round(value * 100) / 100;
+
+const bestByPrice = (books) => books.reduce((best, book) => (!best || book.price > best.price ? book : best), null);
+
+// Stakes that pay out the same amount whichever leg wins
+const splitStakes = (quotes, bankroll) => {
+    const decimals = quotes.map(quote => americanToDecimal(quote.price));
+    const booksum = decimals.reduce((total, decimal) => total + 1 / decimal, 0);
+    const legs = quotes.map((quote, i) => {
+        const stake = roundCents(bankroll / decimals[i] / booksum);
+        return {
+            name: quote.name,
+            ...(quote.point !== undefined && { point: quote.point }),
+            price: quote.price,
+            bookmaker: quote.bookmaker,
+            title: quote.title,
+            lastUpdate: quote.lastUpdate,
+            stake,
+            payout: roundCents(stake * decimals[i]),
+        };
+    });
+    return { booksum, legs };
+};
+
+const describeReturn = (amount, bankroll) => ({
+    amount: roundCents(amount),
+    profit: roundCents(amount - bankroll),
+    roi: Number((((amount - bankroll) / bankroll) * 100).toFixed(2)),
+});
+
+const baseOf = (game, market) => ({
+    eventId: game.id,
+    sport: game.sport,
+    commenceTime: game.commenceTime,
+    homeTeam: game.homeTeam.name,
+    awayTeam: game.awayTeam.name,
+    market,
+});
+
+const arbitrageOf = (game, market, quotes, bankroll) => {
+    if (quotes.some(quote => !quote) || new Set(quotes.map(quote => quote.bookmaker)).size < 2) return null;
+    const { booksum, legs } = splitStakes(quotes, bankroll);
+    if (booksum >= 1) return null;
+
+    return {
+        type: 'arbitrage',
+        ...baseOf(game, market),
+        bankroll,
+        booksum: Number(booksum.toFixed(6)),
+        legs,
+        guaranteedReturn: describeReturn(Math.min(...legs.map(leg => leg.payout)), bankroll),
+    };
+};
+
+// `lowerBound` and `upperBound` bracket the results that win both legs: the
+// home team's winning margin on a spread, the combined score on a total
+const middleOf = (game, market, quotes, window, bankroll) => {
+    const firstWinningScore = Math.floor(window.lowerBound) + 1;
+    if (firstWinningScore >= window.upperBound || quotes[0].bookmaker === quotes[1].bookmaker) return null;
+    const { booksum, legs } = splitStakes(quotes, bankroll);
+
+    return {
+        type: 'middle',
+        ...baseOf(game, market),
+        bankroll,
+        booksum: Number(booksum.toFixed(6)),
+        legs,
+        middle: { ...window, width: window.upperBound - window.lowerBound },
+        guaranteedReturn: describeReturn(Math.min(...legs.map(leg => leg.payout)), bankroll),
+        middleReturn: describeReturn(legs.reduce((total, leg) => total + leg.payout, 0), bankroll),
+    };
+};
+
+const withName = (book, name) => book && { ...book, name };
+
+// The full quote behind a side's best line
+const bestQuoteOf = (side, name) => withName(side.books.find(book => book.bookmaker === side.best.bookmaker), name);
+
+const h2hOpportunities = (game, bankroll) => {
+    const { h2h } = game.markets;
+    if (!h2h) return [];
+    const sides = [[game.homeTeam.name, h2h.home], [game.awayTeam.name, h2h.away], ...(h2h.draw ? [['Draw', h2h.draw]] : [])];
+    const found = arbitrageOf(game, 'h2h', sides.map(([name, side]) => withName(bestByPrice(side.books), name)), bankroll);
+    return found ? [found] : [];
+};
+
+// Spread sides only arbitrage at mirrored points (home -3.5 against away +3.5)
+const spreadOpportunities = (game, bankroll) => {
+    const { spreads } = game.markets;
+    if (!spreads) return [];
+    const home = game.homeTeam.name;
+    const away = game.awayTeam.name;
+
+    const arbitrages = Array.from(new Set(spreads.home.books.map(book => book.point)))
+        .map(point => arbitrageOf(game, 'spreads', [
+            withName(bestByPrice(spreads.home.books.filter(book => book.point === point)), home),
+            withName(bestByPrice(spreads.away.books.filter(book => book.point === -point)), away),
+        ], bankroll))
+        .filter(Boolean);
+
+    // The home side covers when its margin beats -homePoint, the away side
+    // when the home margin stays under awayPoint
+    const homeBest = bestQuoteOf(spreads.home, home);
+    const awayBest = bestQuoteOf(spreads.away, away);
+    const middle = middleOf(game, 'spreads', [homeBest, awayBest], {
+        lowerBound: -homeBest.point,
+        upperBound: awayBest.point,
+    }, bankroll);
+
+    return [...arbitrages, ...(middle ? [middle] : [])];
+};
+
+const totalOpportunities = (game, bankroll) => {
+    const { totals } = game.markets;
+    if (!totals) return [];
+
+    const arbitrages = Array.from(new Set(totals.over.books.map(book => book.point)))
+        .map(point => arbitrageOf(game, 'totals', [
+            withName(bestByPrice(totals.over.books.filter(book => book.point === point)), 'Over'),
+            withName(bestByPrice(totals.under.books.filter(book => book.point === point)), 'Under'),
+        ], bankroll))
+        .filter(Boolean);
+
+    const over = bestQuoteOf(totals.over, 'Over');
+    const under = bestQuoteOf(totals.under, 'Under');
+    const middle = middleOf(game, 'totals', [over, under], {
+        lowerBound: over.point,
+        upperBound: under.point,
+    }, bankroll);
+
+    return [...arbitrages, ...(middle ? [middle] : [])];
+};
+
+// Every arbitrage and middle across a list of game records. Arbitrages come
+// first, best return first; middles follow, widest window first.
+const findOpportunities = (games, { bankroll = 100 } = {}) => {
+    const found = games.flatMap(game => [
+        ...h2hOpportunities(game, bankroll),
+        ...spreadOpportunities(game, bankroll),
+        ...totalOpportunities(game, bankroll),
+    ]);
+    const arbitrages = found.filter(o => o.type === 'arbitrage')
+        .sort((a, b) => b.guaranteedReturn.roi - a.guaranteedReturn.roi);
+    const middles = found.filter(o => o.type === 'middle')
+        .sort((a, b) => b.middle.width - a.middle.width || b.guaranteedReturn.roi - a.guaranteedReturn.roi);
+    return [...arbitrages, ...middles];
+};
+
+module.exports = {
+    findOpportunities,
+    splitStakes,
+};
@@ -0,0 +1,131 @@
+const { americanToProbability } = require('./odds');
+
+// --- Vig removal ---
+// Each method takes the raw implied probabilities of every outcome in a market
+// (which sum to more than 1 by the bookmaker margin) and returns fair
+// probabilities that sum to 1.
+//   multiplicative  scale every outcome by the booksum (proportional)
+//   additive        take an equal share of the margin off every outcome
+//   power           raise every outcome to the power k that brings the sum to 1
+//   shin            Shin (1993) model of insider trading, which loads more of
+//                   the margin onto longshots than proportional scaling does
+
+const sum = (values) => values.reduce((total, value) => total + value, 0);
+
+// Root of a decreasing function on [low, high] by bisection
+const bisect = (fn, low, high, iterations = 100) => {
+    let lo = low;
+    let hi = high;
+    for (let i = 0; i < iterations; i++) {
+        const mid = (lo + hi) / 2;
+        if (fn(mid) > 0) lo = mid;
+        else hi = mid;
+    }
+    return (lo + hi) / 2;
+};
+
+const multiplicative = (implied) => {
+    const booksum = sum(implied);
+    return { probabilities: implied.map(p => p / booksum) };
+};
+
+// Outcomes the margin would push below zero are floored at zero and the rest
+// renormalised, which can happen for heavy longshots
+const additive = (implied) => {
+    const share = (sum(implied) - 1) / implied.length;
+    const floored = implied.map(p => Math.max(p - share, 0));
+    const total = sum(floored);
+    return { probabilities: floored.map(p => p / total) };
+};
+
+const power = (implied) => {
+    const k = bisect(exponent => sum(implied.map(p => Math.pow(p, exponent))) - 1, 0.01, 100);
+    return { probabilities: implied.map(p => Math.pow(p, k)), k: Number(k.toFixed(6)) };
+};
+
+const shin = (implied) => {
+    const booksum = sum(implied);
+    // A book without margin has no insider share to remove
+    if (booksum <= 1) return { ...multiplicative(implied), z: 0 };
+
+    const fairAt = (z) => implied.map(p => (Math.sqrt(z * z + (4 * (1 - z) * p * p) / booksum) - z) / (2 * (1 - z)));
+    const z = bisect(share => sum(fairAt(share)) - 1, 0, 0.5);
+    return { probabilities: fairAt(z), z: Number(z.toFixed(6)) };
+};
+
+const METHODS = { multiplicative, additive, power, shin };
+const DEFAULT_METHOD = 'multiplicative';
+
+const isValidMethod = (method) => Object.prototype.hasOwnProperty.call(METHODS, method);
+
+// Fair probabilities for one market given every outcome's American price
+const removeVig = (prices, method = DEFAULT_METHOD) => {
+    if (!isValidMethod(method)) {
+        throw new Error(`Unknown vig removal method: ${method}`);
+    }
+
+    const implied = prices.map(americanToProbability);
+    const booksum = sum(implied);
+    const { probabilities, ...diagnostics } = METHODS[method](implied);
+
+    return {
+        method,
+        booksum: Number(booksum.toFixed(6)),
+        // Bookmaker margin (overround) as a percentage of the stake
+        margin: Number(((booksum - 1) * 100).toFixed(3)),
+        implied,
+        probabilities,
+        ...diagnostics,
+    };
+};
+
+// Fair probabilities for every market of a game record. `source` picks whose
+// prices to use: the consensus (default) or a single bookmaker key.
+const describeGameProbabilities = (game, { method = DEFAULT_METHOD, source = 'consensus' } = {}) => {
+    const priceFor = (side) => {
+        if (!side) return null;
+        if (source === 'consensus') return { price: side.price, point: side.point };
+        const book = side.books.find(b => b.bookmaker === source);
+        return book ? { price: book.price, point: book.point } : null;
+    };
+
+    const describe = (sides) => {
+        const quotes = sides.map(([name, side]) => ({ name, ...priceFor(side) }));
+        if (quotes.some(quote => quote.price === undefined)) return null;
+
+        const result = removeVig(quotes.map(quote => quote.price), method);
+        const { implied, probabilities, ...summary } = result;
+        return {
+            ...summary,
+            outcomes: quotes.map((quote, i) => ({
+                name: quote.name,
+                price: quote.price,
+                ...(quote.point !== undefined && { point: quote.point }),
+                implied: Number((implied[i] * 100).toFixed(2)),
+                fair: Number((probabilities[i] * 100).toFixed(2)),
+            })),
+        };
+    };
+
+    const { h2h, spreads, totals } = game.markets;
+    return {
+        eventId: game.id,
+        method,
+        source,
+        markets: {
+            h2h: h2h
+                ? describe([[game.homeTeam.name, h2h.home], [game.awayTeam.name, h2h.away], ...(h2h.draw ? [['Draw', h2h.draw]] : [])])
+                : null,
+            spreads: spreads ? describe([[game.homeTeam.name, spreads.home], [game.awayTeam.name, spreads.away]]) : null,
+            totals: totals ? describe([['Over', totals.over], ['Under', totals.under]]) : null,
+        },
+    };
+};
+
+module.exports = {
+    METHODS: Object.keys(METHODS),
+    DEFAULT_METHOD,
+    isValidMethod,
+    removeVig,
+    describeGameProbabilities,
+};
@@ -0,0 +1,128 @@
+const { possessionsOf, normalizeGameLogs } = require('./gameLogs');
+
+// --- Team ratings ---
+// Efficiency ratings from team box scores (see lib/gameLogs.js):
+//   possessions       FGA - OREB + TOV + 0.44 * FTA, averaged over both teams
+//                     when the opponent's box score is known
+//   offensiveRating   points scored per 100 possessions
+//   defensiveRating   points allowed per 100 possessions
+//   netRating         offensive minus defensive rating
+//   pace              possessions per 48 minutes
+// Every figure is computed from summed totals, so long games weigh more,
+// over the whole log (`season`) and over each trailing `last<N>` window.
+
+const DEFAULT_WINDOWS = [5, 10];
+
+const round1 = (value) => Number(value.toFixed(1));
+
+const gamePossessions = ({ box, opponentBox }) => (opponentBox.fga === undefined
+    ? possessionsOf(box)
+    : (possessionsOf(box) + possessionsOf(opponentBox)) / 2);
+
+// Ratings over a run of games
+const rate = (logs) => {
+    const totals = logs.reduce((sum, log) => ({
+        possessions: sum.possessions + gamePossessions(log),
+        scored: sum.scored + log.box.points,
+        allowed: sum.allowed + log.opponentBox.points,
+        minutes: sum.minutes + log.minutes,
+    }), { possessions: 0, scored: 0, allowed: 0, minutes: 0 });
+
+    const offensiveRating = (totals.scored / totals.possessions) * 100;
+    const defensiveRating = (totals.allowed / totals.possessions) * 100;
+    return {
+        games: logs.length,
+        possessions: round1(totals.possessions / logs.length),
+        offensiveRating: round1(offensiveRating),
+        defensiveRating: round1(defensiveRating),
+        netRating: round1(offensiveRating - defensiveRating),
+        pace: round1((totals.possessions * 48) / (totals.minutes / 5)),
+    };
+};
+
+// Share of the other teams (0-100) a value beats
+const percentileOf = (value, values, higherIsBetter) => {
+    if (values.length < 2) return 50;
+    const beaten = values.filter(other => (higherIsBetter ? other < value : other > value)).length;
+    return Math.round((beaten / (values.length - 1)) * 100);
+};
+
+// Ratings for every team in a list of normalised game logs, keyed by team id:
+//   { teamId, team, games, lastGame, season, last5, last10, percentiles, series }
+// `series` rates each game on its own, with its score and the net rating
+// over the trailing first window, for charting.
+const computeTeamRatings = (logs, { windows = DEFAULT_WINDOWS } = {}) => {
+    const byTeam = new Map();
+    logs.forEach(log => {
+        if (!byTeam.has(log.teamId)) byTeam.set(log.teamId, []);
+        byTeam.get(log.teamId).push(log);
+    });
+
+    const ratings = {};
+    byTeam.forEach((teamLogs, teamId) => {
+        const sorted = [...teamLogs].sort((a, b) => a.date.localeCompare(b.date));
+        const rolling = windows[0];
+        ratings[teamId] = {
+            teamId,
+            team: sorted[sorted.length - 1].team,
+            games: sorted.length,
+            lastGame: sorted[sorted.length - 1].date,
+            season: rate(sorted),
+            ...Object.fromEntries(windows.map(size => [`last${size}`, rate(sorted.slice(-size))])),
+            series: sorted.map((log, index) => ({
+                date: log.date,
+                opponent: log.opponent,
+                ...(log.home !== undefined && { home: log.home }),
+                points: log.box.points,
+                opponentPoints: log.opponentBox.points,
+                ...rate([log]),
+                ...(rolling && { rollingNetRating: rate(sorted.slice(Math.max(0, index + 1 - rolling), index + 1)).netRating }),
+            })).map(({ games, ...point }) => point),
+        };
+    });
+
+    // League context for every team in the log
+    const all = Object.values(ratings).map(rating => rating.season);
+    Object.values(ratings).forEach(rating => {
+        rating.percentiles = {
+            offense: percentileOf(rating.season.offensiveRating, all.map(season => season.offensiveRating), true),
+            defense: percentileOf(rating.season.defensiveRating, all.map(season => season.defensiveRating), false),
+            net: percentileOf(rating.season.netRating, all.map(season => season.netRating), true),
+            pace: percentileOf(rating.season.pace, all.map(season => season.pace), true),
+        };
+    });
+    return ratings;
+};
+
+// --- Ratings service ---
+// `provider` needs `fetchGameLogs(sport)` returning raw game log rows, e.g.
+// createGameLogProvider in lib/gameLogs.js or a client for a stats API.
+// Ratings are recomputed at most every `ttlMs` per sport; a failing provider
+// leaves the team payload without ratings rather than failing the request.
+const createRatingsService = ({ provider, windows = DEFAULT_WINDOWS, ttlMs = 5 * 60 * 1000 }) => {
+    const cache = new Map();
+
+    const getRatings = async (sport) => {
+        const cached = cache.get(sport);
+        if (cached && Date.now() - cached.timestamp < ttlMs) return cached.ratings;
+
+        let ratings = {};
+        try {
+            ratings = computeTeamRatings(normalizeGameLogs(await provider.fetchGameLogs(sport), sport), { windows });
+        } catch (error) {
+            console.error(`Failed to compute ${sport} ratings:`, error.message);
+        }
+        cache.set(sport, { ratings, timestamp: Date.now() });
+        return ratings;
+    };
+
+    return {
+        getRatings,
+    };
+};
+
+module.exports = {
+    DEFAULT_WINDOWS,
+    computeTeamRatings,
+    createRatingsService,
+};
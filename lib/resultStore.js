@@ -0,0 +1,77 @@
+const fs = require('fs');
+const path = require('path');
+
+// --- Final results store ---
+// One line per finished event, appended as NDJSON per sport:
+//   <dataDir>/results/<sport>.ndjson
+// Each record holds the final score and the closing line, so CLV can still
+// be reported after the snapshots that produced it are gone. An event is
+// only ever recorded once.
+
+const createResultStore = ({ dataDir }) => {
+    const resultsDir = path.join(dataDir, 'results');
+    const results = new Map();
+    let loaded = false;
+    let writes = Promise.resolve();
+
+    // Read everything on disk into memory the first time the store is used
+    const load = () => {
+        if (loaded) return;
+        loaded = true;
+        if (!fs.existsSync(resultsDir)) return;
+
+        fs.readdirSync(resultsDir)
+            .filter(file => file.endsWith('.ndjson'))
+            .forEach(file => {
+                fs.readFileSync(path.join(resultsDir, file), 'utf8').split('\n').filter(Boolean).forEach(line => {
+                    try {
+                        const result = JSON.parse(line);
+                        results.set(result.eventId, result);
+                    } catch (error) {
+                        console.error(`Skipping malformed result in ${file}:`, error.message);
+                    }
+                });
+            });
+    };
+
+    // Returns false when the event already has a result
+    const record = (result) => {
+        load();
+        if (results.has(result.eventId)) return false;
+        results.set(result.eventId, result);
+
+        const file = path.join(resultsDir, `${result.sport}.ndjson`);
+        writes = writes
+            .then(() => fs.promises.mkdir(resultsDir, { recursive: true }))
+            .then(() => fs.promises.appendFile(file, `${JSON.stringify(result)}\n`))
+            .catch(error => console.error('Failed to persist result:', error.message));
+        return true;
+    };
+
+    const get = (eventId) => {
+        load();
+        return results.get(eventId) || null;
+    };
+
+    // Most recent tip-off first
+    const list = ({ sport } = {}) => {
+        load();
+        return Array.from(results.values())
+            .filter(result => !sport || result.sport === sport)
+            .sort((a, b) => b.commenceTime.localeCompare(a.commenceTime));
+    };
+
+    // Resolves once every pending write has reached disk
+    const flush = () => writes;
+
+    return {
+        record,
+        get,
+        list,
+        flush,
+    };
+};
+
+module.exports = {
+    createResultStore,
+};
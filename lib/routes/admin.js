@@ -0,0 +1,109 @@
+const express = require('express');
+const { generateApiKey, buildKeyFields, buildUserFields, describeKey, describeUser } = require('../auth');
+
+// --- Account admin API ---
+// Admins only (a user session or key with role "admin").
+// GET    /admin/keys          every API key with its limits and today's usage
+// POST   /admin/keys          issue a key: { name, role?, rateLimit?, dailyQuota? }
+//                             (null limits fall back to the configured
+//                             defaults); the key itself is only in this response
+// PATCH  /admin/keys/:id      change name, role, rateLimit or dailyQuota
+// DELETE /admin/keys/:id      revoke; the record stays for the audit trail
+// GET    /admin/users
+// POST   /admin/users         { username, password, role? }
+// PATCH  /admin/users/:id     change password or role
+// DELETE /admin/users/:id     also ends the user's sessions
+const createAdminRouter = ({ accounts, sessions, auth }) => {
+    const router = express.Router();
+    router.use('/admin', auth.requireAdmin);
+
+    const sendInvalid = (res, error) => res.status(400).json({ error: 'Invalid account', message: error.message });
+
+    const sendNotFound = (req, res, kind) => res.status(404).json({
+        error: 'Not found',
+        message: `No ${kind} with id ${req.params.id}`
+    });
+
+    // Wraps a handler so INVALID_ACCOUNT answers 400
+    const validated = (handler) => async (req, res, next) => {
+        try {
+            await handler(req, res);
+        } catch (error) {
+            if (error.code === 'INVALID_ACCOUNT') return sendInvalid(res, error);
+            next(error);
+        }
+    };
+
+    const otherAdmins = (id) => accounts.listUsers().filter(user => user.role === 'admin' && user.id !== id);
+
+    router.get('/admin/keys', (req, res) => {
+        const keys = accounts.listKeys().map(key => describeKey(key, accounts));
+        res.json({ count: keys.length, keys });
+    });
+
+    router.post('/admin/keys', validated((req, res) => {
+        const fields = buildKeyFields(req.body);
+        const { key, hash, prefix } = generateApiKey();
+        const created = accounts.createKey({ ...fields, prefix, hash, createdBy: req.principal.name, revokedAt: null });
+        console.log(`[${req.requestId}] ${req.principal.name} issued API key ${prefix}... (${created.name})`);
+        res.status(201).json({ ...describeKey(created, accounts), key });
+    }));
+
+    router.patch('/admin/keys/:id', validated((req, res) => {
+        const key = accounts.getKey(req.params.id);
+        if (!key) return sendNotFound(req, res, 'API key');
+        res.json(describeKey(accounts.updateKey(key.id, buildKeyFields(req.body, { partial: true })), accounts));
+    }));
+
+    router.delete('/admin/keys/:id', (req, res) => {
+        const key = accounts.getKey(req.params.id);
+        if (!key) return sendNotFound(req, res, 'API key');
+        if (!key.revokedAt) {
+            accounts.updateKey(key.id, { revokedAt: new Date().toISOString(), revokedBy: req.principal.name });
+            console.log(`[${req.requestId}] ${req.principal.name} revoked API key ${key.prefix}... (${key.name})`);
+        }
+        res.status(204).end();
+    });
+
+    router.get('/admin/users', (req, res) => {
+        const users = accounts.listUsers().map(describeUser);
+        res.json({ count: users.length, users });
+    });
+
+    router.post('/admin/users', validated(async (req, res) => {
+        const fields = await buildUserFields(req.body);
+        if (accounts.findUserByName(fields.username)) {
+            return res.status(409).json({ error: 'Username taken', message: `A user named ${fields.username} already exists` });
+        }
+        res.status(201).json(describeUser(accounts.createUser(fields)));
+    }));
+
+    router.patch('/admin/users/:id', validated(async (req, res) => {
+        const user = accounts.getUser(req.params.id);
+        if (!user) return sendNotFound(req, res, 'user');
+        const changes = await buildUserFields(req.body, { partial: true });
+        if (changes.role && changes.role !== 'admin' && user.role === 'admin' && otherAdmins(user.id).length === 0) {
+            return res.status(409).json({ error: 'Last admin', message: 'At least one admin user must remain' });
+        }
+        // A new password or role takes effect at the next login
+        if (changes.passwordHash || changes.role) sessions.destroyUser(user.id);
+        res.json(describeUser(accounts.updateUser(user.id, changes)));
+    }));
+
+    router.delete('/admin/users/:id', (req, res) => {
+        const user = accounts.getUser(req.params.id);
+        if (!user) return sendNotFound(req, res, 'user');
+        if (user.role === 'admin' && otherAdmins(user.id).length === 0) {
+            return res.status(409).json({ error: 'Last admin', message: 'At least one admin user must remain' });
+        }
+        accounts.removeUser(user.id);
+        sessions.destroyUser(user.id);
+        res.status(204).end();
+    });
+
+    return router;
+};
+
+module.exports = {
+    createAdminRouter,
+};
@@ -0,0 +1,128 @@
+const express = require('express');
+const { describeOddsError } = require('../oddsService');
+const { ALERT_TYPES, buildRule, applyRuleChanges } = require('../alerts');
+const { ALERT_PRICES, pricesAt, withPrices } = require('../formatOdds');
+const { ownerOf, canAccess } = require('../auth');
+
+// --- Watchlist alerts API ---
+// GET    /alerts               every rule, oldest first (?sport=<sport key>)
+// POST   /alerts               add a rule (see lib/alerts.js for the types)
+// GET    /alerts/history       fired alerts, newest first, with how each was
+//                              delivered (?ruleId=<id>&limit=<n>)
+// POST   /alerts/check         pull every watched sport and evaluate now
+// POST   /alerts/:id/test      send a sample alert through the rule's webhook
+// GET    /alerts/:id
+// PATCH  /alerts/:id           change any field, e.g. { "enabled": false };
+//                              a new type replaces the type's fields
+// DELETE /alerts/:id
+// Each rule belongs to the client that added it (see ownerOf in lib/auth.js),
+// and so do the alerts it fires; other clients get a 404 for it, and only
+// admins see every rule.
+// `allowedSports` optionally restricts which sports rules may watch,
+// `webhookHosts` where their webhooks may post (see lib/webhooks.js).
+const createAlertsRouter = ({ store, service, notifier, defaultSport, allowedSports = [], webhookHosts = [], cooldownMinutes }) => {
+    const router = express.Router();
+    const ruleOptions = { defaultSport, allowedSports, webhookHosts, cooldownMinutes };
+
+    const sendInvalid = (res, error) => res.status(400).json({
+        error: 'Invalid alert',
+        message: error.message,
+        availableTypes: ALERT_TYPES
+    });
+
+    const sendNotFound = (req, res) => res.status(404).json({
+        error: 'Not found',
+        message: `No alert rule with id ${req.params.id}`
+    });
+
+    // The rule with the requested id, if the caller may see it
+    const findRule = (req) => {
+        const rule = store.getRule(req.params.id);
+        return rule && canAccess(req.principal, rule) ? rule : null;
+    };
+
+    router.get('/alerts', (req, res) => {
+        const { sport } = req.query;
+        const rules = store.listRules(rule => canAccess(req.principal, rule) && (!sport || rule.sport === sport));
+        res.json({ count: rules.length, rules });
+    });
+
+    router.post('/alerts', (req, res) => {
+        try {
+            res.status(201).json(store.createRule({ ...buildRule(req.body, ruleOptions), owner: ownerOf(req.principal) }));
+        } catch (error) {
+            if (error.code !== 'INVALID_ALERT') throw error;
+            sendInvalid(res, error);
+        }
+    });
+
+    router.get('/alerts/history', withPrices(pricesAt('alerts.*', ALERT_PRICES)), (req, res) => {
+        const limit = req.query.limit === undefined ? undefined : Number(req.query.limit);
+        if (limit !== undefined && !(Number.isInteger(limit) && limit > 0)) {
+            return res.status(400).json({ error: 'Invalid limit', message: 'limit must be a positive integer' });
+        }
+        const alerts = store.listHistory({ ruleId: req.query.ruleId, limit, predicate: alert => canAccess(req.principal, alert) });
+        res.json({ count: alerts.length, alerts });
+    });
+
+    router.post('/alerts/check', withPrices(pricesAt('alerts.*', ALERT_PRICES)), async (req, res) => {
+        try {
+            const { checkedSports, failedSports, fired: all } = await service.checkNow();
+            const fired = all.filter(alert => canAccess(req.principal, alert));
+            res.json({ checkedSports, failedSports, count: fired.length, alerts: fired });
+        } catch (error) {
+            console.error(`[${req.requestId}] Error checking alerts:`, error.message);
+            const { status, body } = describeOddsError(error);
+            res.status(status).json(body);
+        }
+    });
+
+    router.post('/alerts/:id/test', async (req, res) => {
+        const rule = findRule(req);
+        if (!rule) return sendNotFound(req, res);
+        const delivery = await notifier.send({
+            ruleId: rule.id,
+            ruleName: rule.name,
+            type: rule.type,
+            sport: rule.sport,
+            test: true,
+            message: `Test alert for "${rule.name}"`,
+            triggeredAt: new Date().toISOString(),
+        }, rule.webhook);
+        res.json({ delivery });
+    });
+
+    router.get('/alerts/:id', (req, res) => {
+        const rule = findRule(req);
+        if (!rule) return sendNotFound(req, res);
+        res.json(rule);
+    });
+
+    router.patch('/alerts/:id', (req, res) => {
+        const rule = findRule(req);
+        if (!rule) return sendNotFound(req, res);
+
+        try {
+            const updated = store.updateRule(rule.id, { ...applyRuleChanges(rule, req.body, ruleOptions), owner: rule.owner ?? null });
+            service.forget(rule.id);
+            res.json(updated);
+        } catch (error) {
+            if (error.code !== 'INVALID_ALERT') throw error;
+            sendInvalid(res, error);
+        }
+    });
+
+    router.delete('/alerts/:id', (req, res) => {
+        const rule = findRule(req);
+        if (!rule) return sendNotFound(req, res);
+        store.removeRule(rule.id);
+        service.forget(rule.id);
+        res.status(204).end();
+    });
+
+    return router;
+};
+
+module.exports = {
+    createAlertsRouter,
+};
@@ -0,0 +1,62 @@
+const express = require('express');
+const rateLimit = require('express-rate-limit');
+const { isAvailableSport } = require('../config');
+const { describeOddsError } = require('../oddsService');
+
+// --- AI matchup briefings ---
+// POST /analysis/matchup  { sport?, teamA, teamB } (team ids, names or aliases)
+// Generation is slow and may cost money, so it has its own, stricter rate
+// limit on top of whatever applies to the rest of the API.
+// `allowedSports` optionally restricts which sport keys may be requested.
+const createAnalysisRouter = (analysis, { windowMs = 15 * 60 * 1000, max = 10, allowedSports = [] } = {}) => {
+    const router = express.Router();
+
+    const limiter = rateLimit({
+        windowMs,
+        max,
+        message: { error: 'Too many analysis requests, please try again later.' },
+        standardHeaders: true,
+        legacyHeaders: false,
+    });
+
+    router.post('/analysis/matchup', limiter, async (req, res) => {
+        const { sport, teamA, teamB } = req.body || {};
+        if (!teamA || !teamB) {
+            return res.status(400).json({
+                error: 'Invalid request',
+                message: 'Both teamA and teamB team ids are required'
+            });
+        }
+        if (sport !== undefined && !isAvailableSport(sport, allowedSports)) {
+            return res.status(404).json({
+                error: 'Not found',
+                message: `Sport ${sport} is not available`
+            });
+        }
+
+        try {
+            res.json(await analysis.analyzeMatchup({ sport, teamA, teamB }));
+        } catch (error) {
+            console.error(`[${req.requestId}] Error generating analysis:`, error.message);
+
+            if (error.code === 'TEAM_NOT_FOUND') {
+                return res.status(404).json({ error: 'Not found', message: error.message });
+            }
+            if (error.code === 'LLM_NOT_CONFIGURED') {
+                return res.status(503).json({ error: 'Analysis provider not configured', message: error.message });
+            }
+            if (error.code === 'LLM_PROVIDER_ERROR') {
+                return res.status(502).json({ error: 'Analysis provider error', message: error.message });
+            }
+
+            const { status, body } = describeOddsError(error);
+            res.status(status).json(body);
+        }
+    });
+
+    return router;
+};
+
+module.exports = {
+    createAnalysisRouter,
+};
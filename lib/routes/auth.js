@@ -0,0 +1,43 @@
+const express = require('express');
+
+// --- Login API ---
+// POST /auth/login     { username, password }; sets the session cookie
+// POST /auth/logout    ends the session and clears the cookie
+// GET  /auth/session   who the caller is: { authRequired, authenticated,
+//                      principal } with limits, and today's usage for keys
+const createAuthRouter = ({ auth, sessions }) => {
+    const router = express.Router();
+
+    router.post('/auth/login', async (req, res) => {
+        const { username, password } = req.body || {};
+        const user = await auth.checkCredentials(username, password);
+        if (!user) {
+            return res.status(401).json({ error: 'Invalid credentials', message: 'Unknown username or wrong password' });
+        }
+
+        if (req.session) sessions.destroy(req.session.token);
+        auth.setSessionCookie(res, sessions.create(user.id));
+        console.log(`[${req.requestId}] ${user.username} logged in`);
+        res.json({ authRequired: auth.required, authenticated: true, principal: auth.describePrincipal(auth.principalOfUser(user)) });
+    });
+
+    router.post('/auth/logout', (req, res) => {
+        if (req.session) sessions.destroy(req.session.token);
+        auth.clearSessionCookie(res);
+        res.status(204).end();
+    });
+
+    router.get('/auth/session', (req, res) => {
+        res.json({
+            authRequired: auth.required,
+            authenticated: Boolean(req.principal),
+            principal: auth.describePrincipal(req.principal)
+        });
+    });
+
+    return router;
+};
+
+module.exports = {
+    createAuthRouter,
+};
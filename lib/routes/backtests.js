@@ -0,0 +1,48 @@
+const express = require('express');
+const { isAvailableSport } = require('../config');
+const { withPrices } = require('../formatOdds');
+
+// --- Backtests API ---
+// Runs entirely on stored snapshots and results; never calls upstream.
+// `sport` defaults to the server's default sport.
+// POST /backtests   options as JSON: { sport, minEdge, pricing, staking,
+//                   stake, bankroll, fraction, cap, from, to, settings }
+// GET  /backtests   the same options as query parameters (no `settings`)
+// See lib/backtest.js for what they mean and what the report holds.
+// `allowedSports` optionally restricts which sport keys may be requested.
+const createBacktestsRouter = (backtester, { defaultSport, allowedSports = [] }) => {
+    const router = express.Router();
+
+    const run = async (req, res, options) => {
+        const sport = options.sport || defaultSport;
+        if (!isAvailableSport(sport, allowedSports)) {
+            return res.status(404).json({
+                error: 'Not found',
+                message: `Sport ${sport} is not available`
+            });
+        }
+
+        try {
+            res.json(await backtester.run({ ...options, sport }));
+        } catch (error) {
+            if (error.code === 'INVALID_BACKTEST') {
+                return res.status(400).json({ error: 'Invalid backtest', message: error.message });
+            }
+            console.error(`[${req.requestId}] Error running backtest:`, error.message);
+            res.status(500).json({ error: 'Backtest failed', message: error.message });
+        }
+    };
+
+    router.get('/backtests', withPrices('ledger.*.price'), (req, res) => {
+        const { settings, ...options } = req.query;
+        return run(req, res, options);
+    });
+
+    router.post('/backtests', withPrices('ledger.*.price'), (req, res) => run(req, res, req.body || {}));
+
+    return router;
+};
+
+module.exports = {
+    createBacktestsRouter,
+};
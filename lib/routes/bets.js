@@ -0,0 +1,138 @@
+const express = require('express');
+const { describeOddsError } = require('../oddsService');
+const { STATUSES, buildBet, voidBet, summarizeBets } = require('../bets');
+const { BET_PRICES, pricesAt, withPrices } = require('../formatOdds');
+const { ownerOf, canAccess } = require('../auth');
+
+// Fields a PATCH may change while a bet is pending
+const EDITABLE = ['stake', 'bookmaker', 'notes'];
+
+// --- Bet tracker API ---
+// GET    /bets                 every recorded bet, newest first
+//        ?status=<status>&sport=<sport key>&bookmaker=<key>
+// GET    /bets/summary         ROI, units and record overall and by market,
+//                              bookmaker and team (?unitSize= overrides)
+// POST   /bets                 record a single (one leg) or parlay
+// POST   /bets/settle          grade pending bets from final scores now
+// GET    /bets/:id
+// PATCH  /bets/:id             edit stake, bookmaker or notes, or void it
+//                              with { "status": "void" }
+// DELETE /bets/:id
+// Each bet belongs to the client that recorded it (see ownerOf in
+// lib/auth.js); other clients get a 404 for it, and only admins see every
+// bet.
+const createBetsRouter = ({ store, settler, odds, unitSize = 1 }) => {
+    const router = express.Router();
+
+    const sendError = (req, res, error) => {
+        if (error.code === 'INVALID_BET') {
+            return res.status(400).json({ error: 'Invalid bet', message: error.message });
+        }
+        console.error(`[${req.requestId}] Error handling bets:`, error.message);
+        const { status, body } = describeOddsError(error);
+        res.status(status).json(body);
+    };
+
+    const sendNotFound = (req, res) => res.status(404).json({
+        error: 'Not found',
+        message: `No bet with id ${req.params.id}`
+    });
+
+    // The bet with the requested id, if the caller may see it
+    const findBet = (req) => {
+        const bet = store.get(req.params.id);
+        return bet && canAccess(req.principal, bet) ? bet : null;
+    };
+
+    const findGame = async (sport, eventId) => (await odds.getGames(sport)).find(game => game.id === eventId) || null;
+
+    router.get('/bets', withPrices(pricesAt('bets.*', BET_PRICES)), (req, res) => {
+        const { status, sport, bookmaker } = req.query;
+        if (status !== undefined && !STATUSES.includes(status)) {
+            return res.status(400).json({
+                error: 'Invalid status',
+                message: `Unknown bet status: ${status}`,
+                availableStatuses: STATUSES
+            });
+        }
+        const bets = store.list(bet => canAccess(req.principal, bet)
+            && (!status || bet.status === status)
+            && (!sport || bet.legs.some(leg => leg.sport === sport))
+            && (!bookmaker || bet.bookmaker === bookmaker));
+        res.json({ count: bets.length, bets });
+    });
+
+    router.get('/bets/summary', (req, res) => {
+        const size = req.query.unitSize === undefined ? unitSize : Number(req.query.unitSize);
+        if (!Number.isFinite(size) || size <= 0) {
+            return res.status(400).json({ error: 'Invalid unitSize', message: 'unitSize must be a positive number' });
+        }
+        res.json(summarizeBets(store.list(bet => canAccess(req.principal, bet)), { unitSize: size }));
+    });
+
+    router.post('/bets', withPrices(BET_PRICES), async (req, res) => {
+        try {
+            const bet = await buildBet(req.body, { findGame, defaultSport: odds.defaultSport });
+            res.status(201).json(store.create({ ...bet, owner: ownerOf(req.principal) }));
+        } catch (error) {
+            sendError(req, res, error);
+        }
+    });
+
+    router.post('/bets/settle', withPrices(pricesAt('settled.*', BET_PRICES)), async (req, res) => {
+        try {
+            const { checkedSports, settled: all } = await settler.settlePending();
+            const settled = all.filter(bet => canAccess(req.principal, bet));
+            res.json({ checkedSports, count: settled.length, settled });
+        } catch (error) {
+            sendError(req, res, error);
+        }
+    });
+
+    router.get('/bets/:id', withPrices(BET_PRICES), (req, res) => {
+        const bet = findBet(req);
+        if (!bet) return sendNotFound(req, res);
+        res.json(bet);
+    });
+
+    router.patch('/bets/:id', withPrices(BET_PRICES), (req, res) => {
+        const bet = findBet(req);
+        if (!bet) return sendNotFound(req, res);
+        const changes = req.body || {};
+
+        if (changes.status !== undefined) {
+            if (changes.status !== 'void') {
+                return res.status(400).json({ error: 'Invalid bet', message: 'Bets settle from final scores; status can only be set to void' });
+            }
+            return res.json(store.update(bet.id, voidBet(bet)));
+        }
+        if (bet.status !== 'pending') {
+            return res.status(409).json({ error: 'Bet settled', message: `Bet ${bet.id} is already ${bet.status}` });
+        }
+
+        const unknown = Object.keys(changes).filter(key => !EDITABLE.includes(key));
+        if (unknown.length > 0) {
+            return res.status(400).json({ error: 'Invalid bet', message: `Cannot change ${unknown.join(', ')}` });
+        }
+        if (changes.stake !== undefined && !(Number(changes.stake) > 0)) {
+            return res.status(400).json({ error: 'Invalid bet', message: 'stake must be a positive number' });
+        }
+        res.json(store.update(bet.id, {
+            ...changes,
+            ...(changes.stake !== undefined && { stake: Number(changes.stake) }),
+        }));
+    });
+
+    router.delete('/bets/:id', (req, res) => {
+        const bet = findBet(req);
+        if (!bet) return sendNotFound(req, res);
+        store.remove(bet.id);
+        res.status(204).end();
+    });
+
+    return router;
+};
+
+module.exports = {
+    createBetsRouter,
+};
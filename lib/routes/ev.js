@@ -0,0 +1,105 @@
+const express = require('express');
+const { describeOddsError } = require('../oddsService');
+const { METHODS, DEFAULT_METHOD, isValidMethod, describeGameProbabilities } = require('../probability');
+const { DEFAULT_STAKING, evaluateMarket, sidesOf } = require('../ev');
+const { withPrices } = require('../formatOdds');
+
+const MARKETS = ['h2h', 'spreads', 'totals'];
+const SOURCES = ['custom', 'market', 'model'];
+const SIDE_KEYS = ['home', 'away', 'draw', 'over', 'under'];
+
+// --- Expected value API ---
+// Mounted for the default sport and again under /sports/:sport.
+// GET /ev?eventId=<id>      edge, EV and Kelly stakes at the best price
+//     &market=h2h|spreads|totals
+//     &source=custom        probabilities from &home= &away= &draw= or
+//                           &over= &under= (percent; one side may be omitted)
+//     &source=market        the vig-free consensus, with &method=
+//     &source=model         the Elo model's win probabilities (see
+//                           lib/elo.js); two-way moneylines only
+//     &bankroll= &fraction= &cap=   override the configured staking
+const createEvRouter = (odds, { staking = {}, elo } = {}) => {
+    const router = express.Router({ mergeParams: true });
+    const defaults = { ...DEFAULT_STAKING, ...staking };
+
+    const badRequest = (res, error, message, extra = {}) => res.status(400).json({ error, message, ...extra });
+
+    router.get('/ev', withPrices('outcomes.*.price'), async (req, res) => {
+        const { eventId, market = 'h2h', source = 'custom', method = DEFAULT_METHOD } = req.query;
+        if (!eventId) return badRequest(res, 'Missing eventId', 'eventId is required');
+        if (!MARKETS.includes(market)) {
+            return badRequest(res, 'Invalid market', `Unknown market: ${market}`, { availableMarkets: MARKETS });
+        }
+        if (!SOURCES.includes(source)) {
+            return badRequest(res, 'Invalid source', `Unknown probability source: ${source}`, { availableSources: SOURCES });
+        }
+        if (source === 'model' && market !== 'h2h') {
+            return badRequest(res, 'Invalid market', 'The model only prices moneylines', { availableMarkets: ['h2h'] });
+        }
+        if (source === 'market' && !isValidMethod(method)) {
+            return badRequest(res, 'Invalid method', `Unknown vig removal method: ${method}`, { availableMethods: METHODS });
+        }
+
+        const settings = {};
+        const limits = { bankroll: [0, Infinity], fraction: [0, 1], cap: [0, 1] };
+        for (const [key, [low, high]] of Object.entries(limits)) {
+            const value = req.query[key] === undefined ? defaults[key] : Number(req.query[key]);
+            if (!Number.isFinite(value) || value <= low || value > high) {
+                return badRequest(res, `Invalid ${key}`, `${key} must be greater than ${low}${Number.isFinite(high) ? ` and at most ${high}` : ''}`);
+            }
+            settings[key] = value;
+        }
+
+        try {
+            const sport = req.params.sport || odds.defaultSport;
+            const games = await odds.getGames(sport);
+            const game = games.find(g => g.id === eventId);
+            if (!game) {
+                return res.status(404).json({ error: 'Not found', message: `No upcoming game with id ${eventId}` });
+            }
+            const sides = sidesOf(game, market);
+            if (!sides) {
+                return res.status(404).json({ error: 'Not found', message: `No ${market} market for game ${eventId}` });
+            }
+
+            let probabilities = {};
+            let model;
+            if (source === 'market') {
+                const fair = describeGameProbabilities(game, { method }).markets[market];
+                if (!fair || fair.outcomes.length < sides.length) {
+                    return res.status(404).json({ error: 'Not found', message: `No market prices for the ${market} of game ${eventId}` });
+                }
+                sides.forEach(([key], i) => { probabilities[key] = fair.outcomes[i].fair; });
+            } else if (source === 'model') {
+                if (sides.length !== 2) {
+                    return res.status(404).json({ error: 'Not found', message: `The model has no draw probability for game ${eventId}` });
+                }
+                model = (await elo.compareGames(sport, [game]))[0].model;
+                probabilities = { home: model.home.probability, away: model.away.probability };
+            } else {
+                SIDE_KEYS.filter(key => req.query[key] !== undefined)
+                    .forEach(key => { probabilities[key] = Number(req.query[key]); });
+            }
+
+            res.json({
+                source,
+                ...(source === 'market' && { method }),
+                ...(source === 'model' && { model }),
+                ...evaluateMarket(game, market, probabilities, settings),
+            });
+        } catch (error) {
+            if (error.code === 'INVALID_PROBABILITIES') {
+                return badRequest(res, 'Invalid probabilities', error.message);
+            }
+            console.error(`[${req.requestId}] Error computing expected value:`, error.message);
+            const { status, body } = describeOddsError(error);
+            res.status(status).json(body);
+        }
+    });
+
+    return router;
+};
+
+module.exports = {
+    createEvRouter,
+};
@@ -0,0 +1,148 @@
+const express = require('express');
+const { isAvailableSport } = require('../config');
+const { describeOddsError } = require('../oddsService');
+const {
+    EXPORT_FORMATS,
+    ODDS_COLUMNS,
+    RESULT_COLUMNS,
+    MODEL_COLUMNS,
+    snapshotToRows,
+    eventsToSnapshots,
+    resultToRow,
+    comparisonToRow,
+    streamRows,
+} = require('../export');
+
+const MARKETS = ['h2h', 'spreads', 'totals'];
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+
+// --- Export API ---
+// Downloads in flat rows (see lib/export.js), streamed as they are built.
+// Every route takes ?format=csv|json|ndjson (default csv), ?sport= (default
+// sport otherwise) and ?oddsFormat= for the prices.
+// GET /export/odds      one row per event, book, market and outcome
+//     ?from=&to=        stored snapshots captured in the range (ISO times or
+//                       dates, `to` inclusive); without either, current odds
+//     ?bookmaker=a,b&market=h2h,spreads&eventId=
+// GET /export/results   settled games with final scores and closing lines
+//     ?from=&to=        by tip-off
+// GET /export/model     Elo model vs market for every upcoming game, when an
+//                       Elo service is given
+const createExportRouter = ({ odds, snapshots, scores, elo, allowedSports = [], defaultFormat = 'american' }) => {
+    const router = express.Router();
+
+    const badRequest = (res, message) => res.status(400).json({ error: 'Invalid request', message });
+
+    // Common and range parameters, or a message saying what's wrong with them
+    const parseQuery = (query) => {
+        const format = query.format || 'csv';
+        if (!EXPORT_FORMATS.includes(format)) return { message: `format must be one of: ${EXPORT_FORMATS.join(', ')}` };
+        const sport = query.sport || odds.defaultSport;
+        if (!isAvailableSport(sport, allowedSports)) {
+            return { message: `Sport ${sport} is not available` };
+        }
+
+        const range = {};
+        for (const [bound, endOfDay] of [['from', false], ['to', true]]) {
+            const value = query[bound];
+            if (value === undefined || value === '') continue;
+            const time = new Date(DATE_ONLY.test(value) && endOfDay ? `${value}T23:59:59.999Z` : value);
+            if (Number.isNaN(time.getTime())) return { message: `${bound} must be an ISO date or time` };
+            range[bound] = time.toISOString();
+        }
+        if (range.from && range.to && range.from > range.to) return { message: 'from must not be after to' };
+
+        return { format, sport, oddsFormat: query.oddsFormat || defaultFormat, ...range };
+    };
+
+    const listOf = (value) => (value ? String(value).split(',').map(item => item.trim()).filter(Boolean) : []);
+
+    const download = async (req, res, rows, options) => {
+        try {
+            const count = await streamRows(res, rows, options);
+            console.log(`[${req.requestId}] Exported ${count} rows to ${options.filename}.${options.format}`);
+        } catch (error) {
+            console.error(`[${req.requestId}] Export failed:`, error.message);
+            if (res.headersSent) return res.destroy(error);
+            const { status, body } = describeOddsError(error);
+            res.status(status).json(body);
+        }
+    };
+
+    const stamp = () => new Date().toISOString().slice(0, 10);
+
+    router.get('/export/odds', async (req, res) => {
+        const query = parseQuery(req.query);
+        if (query.message) return badRequest(res, query.message);
+        const markets = listOf(req.query.market);
+        const unknown = markets.find(market => !MARKETS.includes(market));
+        if (unknown) return badRequest(res, `Unknown market: ${unknown}`);
+        const bookmakers = listOf(req.query.bookmaker);
+        const { eventId } = req.query;
+
+        const wanted = (snapshot) => (!eventId || snapshot.eventId === eventId)
+            && (bookmakers.length === 0 || bookmakers.includes(snapshot.bookmaker))
+            && (markets.length === 0 || markets.includes(snapshot.market));
+
+        const historical = Boolean(query.from || query.to);
+        let source;
+        try {
+            source = historical
+                ? snapshots.readRange(query.sport, query)
+                : eventsToSnapshots(await odds.fetchEvents(query.sport), query.sport);
+        } catch (error) {
+            console.error(`[${req.requestId}] Error fetching odds to export:`, error.message);
+            const { status, body } = describeOddsError(error);
+            return res.status(status).json(body);
+        }
+
+        async function* rows() {
+            for await (const snapshot of source) {
+                if (wanted(snapshot)) yield* snapshotToRows(snapshot, query.oddsFormat);
+            }
+        }
+
+        const scope = eventId ? `${query.sport}-${eventId}` : query.sport;
+        await download(req, res, rows(), {
+            format: query.format,
+            columns: ODDS_COLUMNS,
+            filename: `odds-${scope}-${historical ? 'history' : 'current'}-${stamp()}`,
+        });
+    });
+
+    router.get('/export/results', async (req, res) => {
+        const query = parseQuery(req.query);
+        if (query.message) return badRequest(res, query.message);
+
+        // Oldest first, like the odds history
+        const rows = scores.listResults({ sport: query.sport })
+            .filter(result => (!query.from || result.commenceTime >= query.from) && (!query.to || result.commenceTime <= query.to))
+            .reverse()
+            .map(result => resultToRow(result, query.oddsFormat));
+
+        await download(req, res, rows, { format: query.format, columns: RESULT_COLUMNS, filename: `results-${query.sport}-${stamp()}` });
+    });
+
+    router.get('/export/model', async (req, res) => {
+        if (!elo) return res.status(404).json({ error: 'Not found', message: 'The Elo model is not enabled' });
+        const query = parseQuery(req.query);
+        if (query.message) return badRequest(res, query.message);
+
+        let rows;
+        try {
+            rows = (await elo.compareGames(query.sport, await odds.getGames(query.sport))).map(comparisonToRow);
+        } catch (error) {
+            console.error(`[${req.requestId}] Error running the Elo model for export:`, error.message);
+            const { status, body } = describeOddsError(error);
+            return res.status(status).json(body);
+        }
+
+        await download(req, res, rows, { format: query.format, columns: MODEL_COLUMNS, filename: `model-${query.sport}-${stamp()}` });
+    });
+
+    return router;
+};
+
+module.exports = {
+    createExportRouter,
+};
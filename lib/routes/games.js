@@ -0,0 +1,81 @@
+const express = require('express');
+const { describeOddsError } = require('../oddsService');
+const { METHODS, DEFAULT_METHOD, isValidMethod, describeGameProbabilities } = require('../probability');
+const { GAME_PRICES, pricesAt, withPrices } = require('../formatOdds');
+
+// --- Game-centric API ---
+// Mounted once for the default sport and again under /sports/:sport, in which
+// case the sport comes from the parent route.
+// GET /games                          every upcoming event, soonest first
+// GET /games/:eventId                 a single event
+// GET /games/:eventId/probabilities   fair probabilities and margin per market
+//     ?method=multiplicative|additive|power|shin&source=consensus|<bookmaker>
+const createGamesRouter = (odds) => {
+    const router = express.Router({ mergeParams: true });
+
+    const sportOf = (req) => req.params.sport || odds.defaultSport;
+
+    const sendError = (req, res, error) => {
+        console.error(`[${req.requestId}] Error fetching games:`, error.message);
+        const { status, body } = describeOddsError(error);
+        res.status(status).json(body);
+    };
+
+    const sendGameNotFound = (req, res) => res.status(404).json({
+        error: 'Not found',
+        message: `No upcoming game with id ${req.params.eventId}`
+    });
+
+    const findGame = async (req) => {
+        const games = await odds.getGames(sportOf(req));
+        const { eventId } = req.params;
+        return games.find(g => g.id === eventId);
+    };
+
+    router.get('/games', withPrices(pricesAt('games.*', GAME_PRICES)), async (req, res) => {
+        try {
+            const games = await odds.getGames(sportOf(req));
+            res.json({ count: games.length, games });
+        } catch (error) {
+            sendError(req, res, error);
+        }
+    });
+
+    router.get('/games/:eventId', withPrices(GAME_PRICES), async (req, res) => {
+        try {
+            const game = await findGame(req);
+            if (!game) return sendGameNotFound(req, res);
+            res.json(game);
+        } catch (error) {
+            sendError(req, res, error);
+        }
+    });
+
+    router.get('/games/:eventId/probabilities', withPrices('markets.*.outcomes.*.price'), async (req, res) => {
+        const method = req.query.method || DEFAULT_METHOD;
+        if (!isValidMethod(method)) {
+            return res.status(400).json({
+                error: 'Invalid method',
+                message: `Unknown vig removal method: ${method}`,
+                availableMethods: METHODS
+            });
+        }
+
+        try {
+            const game = await findGame(req);
+            if (!game) return sendGameNotFound(req, res);
+            res.json({
+                ...describeGameProbabilities(game, { method, source: req.query.source || 'consensus' }),
+                availableMethods: METHODS
+            });
+        } catch (error) {
+            sendError(req, res, error);
+        }
+    });
+
+    return router;
+};
+
+module.exports = {
+    createGamesRouter,
+};
@@ -0,0 +1,69 @@
+const express = require('express');
+const { describeOddsError } = require('../oddsService');
+
+// --- Elo model API ---
+// Mounted for the default sport and again under /sports/:sport.
+// GET /model            model vs market for every upcoming game
+// GET /model/ratings    Elo power ratings, highest first
+// GET /model/:eventId   model vs market for one game
+const createModelRouter = (odds, { elo }) => {
+    const router = express.Router({ mergeParams: true });
+
+    const sportOf = (req) => req.params.sport || odds.defaultSport;
+
+    const sendError = (req, res, error) => {
+        console.error(`[${req.requestId}] Error running the Elo model:`, error.message);
+        const { status, body } = describeOddsError(error);
+        res.status(status).json(body);
+    };
+
+    const describeModel = ({ sport, settings, gamesRated, asOf }) => ({ sport, settings, gamesRated, asOf });
+
+    router.get('/model', async (req, res) => {
+        try {
+            const sport = sportOf(req);
+            const games = await odds.getGames(sport);
+            const model = await elo.getRatings(sport);
+            const comparisons = await elo.compareGames(sport, games);
+            res.json({ ...describeModel(model), count: comparisons.length, games: comparisons });
+        } catch (error) {
+            sendError(req, res, error);
+        }
+    });
+
+    router.get('/model/ratings', async (req, res) => {
+        try {
+            const model = await elo.getRatings(sportOf(req));
+            const ratings = Object.values(model.ratings)
+                .sort((a, b) => b.rating - a.rating)
+                .map((rating, index) => ({ rank: index + 1, ...rating }));
+            res.json({ ...describeModel(model), count: ratings.length, ratings });
+        } catch (error) {
+            sendError(req, res, error);
+        }
+    });
+
+    router.get('/model/:eventId', async (req, res) => {
+        try {
+            const sport = sportOf(req);
+            const game = (await odds.getGames(sport)).find(g => g.id === req.params.eventId);
+            if (!game) {
+                return res.status(404).json({
+                    error: 'Not found',
+                    message: `No upcoming game with id ${req.params.eventId}`
+                });
+            }
+            const model = await elo.getRatings(sport);
+            const [comparison] = await elo.compareGames(sport, [game]);
+            res.json({ ...describeModel(model), ...comparison });
+        } catch (error) {
+            sendError(req, res, error);
+        }
+    });
+
+    return router;
+};
+
+module.exports = {
+    createModelRouter,
+};
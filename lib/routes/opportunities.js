@@ -0,0 +1,51 @@
+const express = require('express');
+const { describeOddsError } = require('../oddsService');
+const { findOpportunities } = require('../opportunities');
+const { withPrices } = require('../formatOdds');
+
+const OPPORTUNITY_TYPES = ['arbitrage', 'middle'];
+
+// --- Arbitrage and middles API ---
+// Mounted for the default sport and again under /sports/:sport.
+// GET /opportunities   current arbitrages and middles across every bookmaker
+//     ?bankroll=<total stake, default 100>&type=arbitrage|middle
+const createOpportunitiesRouter = (odds) => {
+    const router = express.Router({ mergeParams: true });
+
+    router.get('/opportunities', withPrices('opportunities.*.legs.*.price'), async (req, res) => {
+        const bankroll = req.query.bankroll === undefined ? 100 : Number(req.query.bankroll);
+        if (!Number.isFinite(bankroll) || bankroll <= 0) {
+            return res.status(400).json({
+                error: 'Invalid bankroll',
+                message: 'bankroll must be a positive number'
+            });
+        }
+
+        const { type } = req.query;
+        if (type !== undefined && !OPPORTUNITY_TYPES.includes(type)) {
+            return res.status(400).json({
+                error: 'Invalid type',
+                message: `Unknown opportunity type: ${type}`,
+                availableTypes: OPPORTUNITY_TYPES
+            });
+        }
+
+        try {
+            const sport = req.params.sport || odds.defaultSport;
+            const games = await odds.getGames(sport);
+            const opportunities = findOpportunities(games, { bankroll })
+                .filter(opportunity => !type || opportunity.type === type);
+            res.json({ sport, bankroll, count: opportunities.length, opportunities });
+        } catch (error) {
+            console.error(`[${req.requestId}] Error finding opportunities:`, error.message);
+            const { status, body } = describeOddsError(error);
+            res.status(status).json(body);
+        }
+    });
+
+    return router;
+};
+
+module.exports = {
+    createOpportunitiesRouter,
+};
@@ -0,0 +1,78 @@
+const express = require('express');
+const { toAmerican, isOddsFormat } = require('../odds');
+const { closingLineValue } = require('../closingLine');
+const { GAME_PRICES, pricesAt, withPrices } = require('../formatOdds');
+
+const MARKETS = ['h2h', 'spreads', 'totals'];
+// A price taken and the close it is measured against
+const CLV_PRICES = ['price', 'clv.closingPrice'];
+
+// --- Results and closing line value API ---
+// Mounted for every sport and again under /sports/:sport.
+// GET /results            settled games with final scores and closing lines,
+//                         most recent first (?sport= &limit=)
+// GET /results/:eventId
+// GET /clv?betId=<id>     CLV of every leg of a recorded bet
+// GET /clv?eventId=<id>&market=h2h|spreads|totals&selection=<name>
+//     &price=<price>[&point=]  CLV of any price, read in ?oddsFormat=
+const createResultsRouter = ({ scores, bets }) => {
+    const router = express.Router({ mergeParams: true });
+
+    const badRequest = (res, message) => res.status(400).json({ error: 'Invalid request', message });
+    const notFound = (res, message) => res.status(404).json({ error: 'Not found', message });
+
+    router.get('/results', withPrices(pricesAt('results.*.closing', GAME_PRICES)), (req, res) => {
+        const limit = req.query.limit === undefined ? 50 : parseInt(req.query.limit);
+        if (!(limit > 0)) return badRequest(res, 'limit must be a positive integer');
+
+        const results = scores.listResults({ sport: req.params.sport || req.query.sport }).slice(0, limit);
+        res.json({ count: results.length, results });
+    });
+
+    router.get('/results/:eventId', withPrices(pricesAt('closing', GAME_PRICES)), (req, res) => {
+        const result = scores.getResult(req.params.eventId);
+        if (!result) return notFound(res, `No result recorded for event ${req.params.eventId}`);
+        res.json(result);
+    });
+
+    router.get('/clv', withPrices(CLV_PRICES, pricesAt('legs.*', CLV_PRICES)), (req, res) => {
+        if (req.query.betId) {
+            const bet = bets?.get(req.query.betId);
+            if (!bet) return notFound(res, `No bet with id ${req.query.betId}`);
+            const legs = bet.legs.map(leg => ({
+                eventId: leg.eventId,
+                market: leg.market,
+                selection: leg.selection,
+                ...(leg.point !== undefined && { point: leg.point }),
+                price: leg.price,
+                // Settled legs keep the CLV they were graded with
+                clv: leg.clv || closingLineValue(leg, scores.getClosingLine(leg.eventId)),
+            }));
+            return res.json({ betId: bet.id, legs });
+        }
+
+        const { eventId, market, selection } = req.query;
+        if (!eventId || !selection) return badRequest(res, 'Give a betId, or an eventId, market, selection and price');
+        if (!MARKETS.includes(market)) return badRequest(res, `Unknown market: ${market}`);
+        const format = req.query.oddsFormat || 'american';
+        const price = isOddsFormat(format) ? toAmerican(req.query.price, format) : NaN;
+        if (Number.isNaN(price)) return badRequest(res, `Invalid price: ${req.query.price}`);
+        const point = req.query.point === undefined ? undefined : Number(req.query.point);
+        if (market !== 'h2h' && !Number.isFinite(point)) return badRequest(res, `A ${market} price needs a point`);
+
+        const closing = scores.getClosingLine(eventId);
+        if (!closing) return notFound(res, `No lines captured for event ${eventId}`);
+        const result = scores.getResult(eventId);
+        const event = scores.describeEvent(eventId);
+        const clv = closingLineValue({ market, selection, price, point, homeTeam: event?.homeTeam, awayTeam: event?.awayTeam }, closing);
+        if (!clv) return notFound(res, `No closing ${market} line for ${selection} in event ${eventId}`);
+
+        res.json({ eventId, market, selection, price, ...(point !== undefined && { point }), ...(result && { final: { homeScore: result.homeScore, awayScore: result.awayScore } }), clv });
+    });
+
+    return router;
+};
+
+module.exports = {
+    createResultsRouter,
+};
@@ -0,0 +1,92 @@
+const express = require('express');
+const { isAvailableSport } = require('../config');
+const { describeOddsError } = require('../oddsService');
+const { TEAM_PRICES, pricesAt, withPrices } = require('../formatOdds');
+const { createGamesRouter } = require('./games');
+const { createOpportunitiesRouter } = require('./opportunities');
+const { createEvRouter } = require('./ev');
+const { createTeamsRouter } = require('./teams');
+const { createModelRouter } = require('./model');
+const { createResultsRouter } = require('./results');
+const { createStreamRouter } = require('./stream');
+
+// --- Multi-sport API ---
+// GET /sports               in-season sports we can serve
+// GET /sports/:sport/odds   team map for one sport
+// GET /sports/:sport/games  ...and every other game route, scoped to the sport
+// GET /sports/:sport/stream live odds over SSE, when a live feed is given
+// GET /sports/:sport/opportunities  arbitrages and middles for one sport
+// GET /sports/:sport/ev     expected value and Kelly stakes for one game
+// GET /sports/:sport/teams  registered teams, by conference and division
+// GET /sports/:sport/results  settled games and CLV, when scores are given
+// GET /sports/:sport/model  Elo model vs market, when an Elo service is given
+// `allowedSports` optionally restricts which sport keys may be requested.
+const createSportsRouter = (odds, { allowedSports = [], liveFeed, staking, scores, bets, ratings, elo, snapshots } = {}) => {
+    const router = express.Router();
+
+    const sendError = (req, res, error) => {
+        console.error(`[${req.requestId}] Error fetching sports data:`, error.message);
+        const { status, body } = describeOddsError(error);
+        res.status(status).json(body);
+    };
+
+    router.get('/sports', async (req, res) => {
+        try {
+            const sports = (await odds.fetchSports())
+                // Futures-only markets (outrights) have no games to show
+                .filter(sport => sport.active && !sport.has_outrights && isAvailableSport(sport.key, allowedSports))
+                .map(sport => ({
+                    key: sport.key,
+                    group: sport.group,
+                    title: sport.title,
+                    description: sport.description,
+                }));
+            res.json({ count: sports.length, defaultSport: odds.defaultSport, sports });
+        } catch (error) {
+            sendError(req, res, error);
+        }
+    });
+
+    router.use('/sports/:sport', (req, res, next) => {
+        const { sport } = req.params;
+        if (!isAvailableSport(sport, allowedSports)) {
+            return res.status(404).json({
+                error: 'Not found',
+                message: `Sport ${sport} is not available`
+            });
+        }
+        next();
+    });
+
+    router.get('/sports/:sport/odds', withPrices(pricesAt('*', TEAM_PRICES)), async (req, res) => {
+        try {
+            const teams = await odds.getTeams(req.params.sport);
+            if (Object.keys(teams).length === 0) {
+                return res.status(404).json({ error: 'Not found', message: `No upcoming ${req.params.sport} games found.` });
+            }
+            res.json(teams);
+        } catch (error) {
+            sendError(req, res, error);
+        }
+    });
+
+    router.use('/sports/:sport', createGamesRouter(odds));
+    router.use('/sports/:sport', createOpportunitiesRouter(odds));
+    router.use('/sports/:sport', createEvRouter(odds, { staking, elo }));
+    router.use('/sports/:sport', createTeamsRouter(odds, { ratings, snapshots, scores }));
+    if (scores) {
+        router.use('/sports/:sport', createResultsRouter({ scores, bets }));
+    }
+    if (elo) {
+        router.use('/sports/:sport', createModelRouter(odds, { elo }));
+    }
+    if (liveFeed) {
+        router.use('/sports/:sport', createStreamRouter(liveFeed, { defaultSport: odds.defaultSport }));
+    }
+
+    return router;
+};
+
+module.exports = {
+    createSportsRouter,
+};
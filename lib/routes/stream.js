@@ -0,0 +1,31 @@
+const express = require('express');
+
+// --- Live odds stream (Server-Sent Events) ---
+// GET /stream   `odds` events carry added/removed events and moved prices.
+// Mounted for the default sport and under /sports/:sport.
+const createStreamRouter = (liveFeed, { defaultSport }) => {
+    const router = express.Router({ mergeParams: true });
+
+    router.get('/stream', (req, res) => {
+        const sport = req.params.sport || defaultSport;
+
+        res.set({
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache',
+            'Connection': 'keep-alive',
+            // Stop reverse proxies from buffering the stream
+            'X-Accel-Buffering': 'no'
+        });
+        res.flushHeaders();
+        res.write('retry: 5000\n\n');
+
+        const unsubscribe = liveFeed.subscribe(sport, res);
+        req.on('close', unsubscribe);
+    });
+
+    return router;
+};
+
+module.exports = {
+    createStreamRouter,
+};
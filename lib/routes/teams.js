@@ -0,0 +1,94 @@
+const express = require('express');
+const { REGISTERED_SPORTS, findTeam, listTeams, teamIdFor } = require('../teams');
+const { describeOddsError } = require('../oddsService');
+const { buildTeamProfile } = require('../teamProfile');
+const { PROFILE_PRICES, withPrices } = require('../formatOdds');
+
+// --- Team registry API ---
+// Mounted for the default sport and again under /sports/:sport.
+// GET /teams          registered teams with conference, division and colours
+//     ?conference=<name>&division=<name>
+// GET /teams/:team    one team by id, name, nickname, abbreviation or alias
+// GET /teams/:team/ratings  box-score ratings, when a ratings service is given
+// GET /teams/:team/profile  upcoming games with every book's line and line
+//                           history, ratings against the league average and
+//                           recent results (see lib/teamProfile.js)
+//     ?results=<n>          how many recent results (default 10)
+const createTeamsRouter = (odds, { ratings, snapshots, scores } = {}) => {
+    const router = express.Router({ mergeParams: true });
+
+    const sportOf = (req) => req.params.sport || odds.defaultSport;
+
+    router.get('/teams', (req, res) => {
+        const sport = sportOf(req);
+        const { conference, division } = req.query;
+        const teams = listTeams(sport, { conference, division });
+        res.json({
+            sport,
+            registered: REGISTERED_SPORTS.includes(sport),
+            count: teams.length,
+            teams,
+        });
+    });
+
+    router.get('/teams/:team', (req, res) => {
+        const team = findTeam(req.params.team, sportOf(req));
+        if (!team) {
+            return res.status(404).json({
+                error: 'Not found',
+                message: `No ${sportOf(req)} team matches ${req.params.team}`
+            });
+        }
+        res.json(team);
+    });
+
+    // Teams outside the registry are looked up by the id built from the name
+    router.get('/teams/:team/ratings', async (req, res) => {
+        const sport = sportOf(req);
+        const rating = ratings && (await ratings.getRatings(sport))[teamIdFor(req.params.team, sport)];
+        if (!rating) {
+            return res.status(404).json({
+                error: 'Not found',
+                message: `No ${sport} game logs imported for ${req.params.team}`
+            });
+        }
+        res.json({ sport, ...rating });
+    });
+
+    router.get('/teams/:team/profile', withPrices(PROFILE_PRICES), async (req, res) => {
+        const sport = sportOf(req);
+        const resultsLimit = req.query.results === undefined ? undefined : parseInt(req.query.results);
+        if (resultsLimit !== undefined && !(resultsLimit > 0)) {
+            return res.status(400).json({ error: 'Invalid request', message: 'results must be a positive integer' });
+        }
+
+        try {
+            const profile = buildTeamProfile({
+                sport,
+                teamId: teamIdFor(req.params.team, sport),
+                games: await odds.getGames(sport),
+                snapshots,
+                ratings: ratings ? await ratings.getRatings(sport) : null,
+                results: scores ? scores.listResults({ sport }) : [],
+                resultsLimit,
+            });
+            if (!profile) {
+                return res.status(404).json({
+                    error: 'Not found',
+                    message: `No ${sport} games, ratings or results for ${req.params.team}`
+                });
+            }
+            res.json({ sport, ...profile });
+        } catch (error) {
+            console.error(`[${req.requestId}] Error building team profile:`, error.message);
+            const { status, body } = describeOddsError(error);
+            res.status(status).json(body);
+        }
+    });
+
+    return router;
+};
+
+module.exports = {
+    createTeamsRouter,
+};
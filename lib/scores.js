@@ -0,0 +1,129 @@
+const fs = require('fs');
+const path = require('path');
+const { buildClosingLine } = require('./closingLine');
+const { isSameTeam, teamIdFor } = require('./teams');
+
+// --- Scores ---
+// Final results come from a scores provider: the Odds API `/scores` endpoint
+// (through the odds service) or, for development and demos, fixture files in
+// the same upstream format at <dir>/<sport>.json. Every completed event is
+// recorded once in the result store together with its closing line.
+
+// Upstream score events as { eventId, completed, homeScore, awayScore, ... }.
+// Score lines are matched to teams through the registry, so a feed naming a
+// side differently ('LA Clippers') still lines up.
+const normalizeScores = (events) => events.map(event => {
+    const scoreOf = (team) => {
+        const score = event.scores?.find(entry => isSameTeam(entry.name, team, event.sport_key))?.score;
+        return score === undefined ? null : Number(score);
+    };
+    return {
+        eventId: event.id,
+        sport: event.sport_key,
+        commenceTime: event.commence_time,
+        completed: Boolean(event.completed),
+        homeTeam: event.home_team,
+        awayTeam: event.away_team,
+        homeTeamId: teamIdFor(event.home_team, event.sport_key),
+        awayTeamId: teamIdFor(event.away_team, event.sport_key),
+        homeScore: scoreOf(event.home_team),
+        awayScore: scoreOf(event.away_team),
+        lastUpdate: event.last_update || null,
+    };
+});
+
+// Stand-in provider that reads fixtures instead of spending quota
+const createFixtureScoresProvider = ({ dir }) => ({
+    fetchScores: async (sport) => {
+        const file = path.join(dir, `${sport}.json`);
+        if (!fs.existsSync(file)) return [];
+        return JSON.parse(await fs.promises.readFile(file, 'utf8'));
+    },
+});
+
+// `provider` needs `fetchScores(sport)` returning upstream score events.
+// Events seen in the snapshot store that started within `lookbackDays` and
+// have no result yet are polled every `intervalMs`; nothing is fetched while
+// no game is waiting on a result.
+const createScoresService = ({ provider, results, snapshots, intervalMs = 15 * 60 * 1000, lookbackDays = 3 }) => {
+    // Pulls one sport's scores and records every newly completed event
+    const refresh = async (sport) => {
+        const scores = normalizeScores(await provider.fetchScores(sport, { daysFrom: lookbackDays }));
+        const recorded = [];
+        scores
+            .filter(score => score.completed && score.homeScore !== null && score.awayScore !== null)
+            .forEach(score => {
+                if (results.get(score.eventId)) return;
+                const { lastUpdate, completed, ...result } = score;
+                const entry = {
+                    ...result,
+                    sport: result.sport || sport,
+                    completedAt: lastUpdate || new Date().toISOString(),
+                    // A finished game has tipped off, so its close is final
+                    closing: buildClosingLine(snapshots?.getEvent(score.eventId) || [], new Date(score.commenceTime)),
+                };
+                if (results.record(entry)) recorded.push(entry);
+            });
+        return { scores, recorded };
+    };
+
+    // Sports with a started, unresolved game in the snapshot store
+    const dueSports = (now = new Date()) => {
+        const since = new Date(now.getTime() - lookbackDays * 24 * 60 * 60 * 1000);
+        return Array.from(new Set((snapshots?.listEvents() || [])
+            .filter(event => {
+                const commence = new Date(event.commenceTime);
+                return commence <= now && commence >= since && !results.get(event.eventId);
+            })
+            .map(event => event.sport)));
+    };
+
+    const refreshDue = async (now = new Date()) => {
+        const recorded = [];
+        for (const sport of dueSports(now)) {
+            try {
+                recorded.push(...(await refresh(sport)).recorded);
+            } catch (error) {
+                console.error(`Could not fetch ${sport} scores:`, error.message);
+            }
+        }
+        return recorded;
+    };
+
+    // The recorded closing line, or one built from snapshots for an event that
+    // hasn't finished (provisional until tip-off)
+    const getClosingLine = (eventId, now = new Date()) => {
+        const result = results.get(eventId);
+        if (result?.closing) return result.closing;
+        return buildClosingLine(snapshots?.getEvent(eventId) || [], now);
+    };
+
+    // Teams and tip-off of an event we hold a result or snapshots for
+    const describeEvent = (eventId) => {
+        const source = results.get(eventId) || snapshots?.getEvent(eventId)[0];
+        if (!source) return null;
+        const { sport, commenceTime, homeTeam, awayTeam } = source;
+        return { eventId, sport, commenceTime, homeTeam, awayTeam };
+    };
+
+    const timer = setInterval(() => {
+        refreshDue().catch(error => console.error('Score refresh failed:', error.message));
+    }, intervalMs);
+    timer.unref?.();
+
+    return {
+        refresh,
+        refreshDue,
+        getResult: (eventId) => results.get(eventId),
+        listResults: (filter) => results.list(filter),
+        getClosingLine,
+        describeEvent,
+        stop: () => clearInterval(timer),
+    };
+};
+
+module.exports = {
+    normalizeScores,
+    createFixtureScoresProvider,
+    createScoresService,
+};
@@ -0,0 +1,204 @@
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+
+// --- Odds snapshot store ---
+// Every upstream odds pull is written here so price history can be rebuilt
+// from real line movement. Snapshots are keyed by event, bookmaker and market
+// and appended as NDJSON, one file per sport per UTC day:
+//   <dataDir>/snapshots/<sport>/<YYYY-MM-DD>.ndjson
+// A market is only written when its outcomes differ from the previous
+// snapshot for the same key, so an unchanged line costs nothing to store.
+// Only the recent past is kept in memory: events that tip off at most
+// `memoryDays` ago, with every snapshot of them back to the opening line,
+// read on first use and dropped as they age out. Older events stay on disk
+// for readRange.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const snapshotKey = (eventId, bookmaker, market) => `${eventId}:${bookmaker}:${market}`;
+
+const normalizeOutcomes = (outcomes = []) => outcomes.map(({ name, price, point }) => (
+    point === undefined ? { name, price } : { name, price, point }
+));
+
+const sameOutcomes = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+const createSnapshotStore = ({ dataDir, memoryDays = 14, now = Date.now }) => {
+    const snapshotsDir = path.join(dataDir, 'snapshots');
+    const series = new Map();
+    const events = new Map();
+    let loaded = false;
+    let prunedBefore = null;
+    let writes = Promise.resolve();
+
+    // Start of the oldest UTC day kept in memory
+    const cutoff = () => new Date(now() - memoryDays * DAY_MS).toISOString().slice(0, 10);
+
+    const addToSeries = (snapshot) => {
+        const key = snapshotKey(snapshot.eventId, snapshot.bookmaker, snapshot.market);
+        if (!series.has(key)) series.set(key, []);
+        series.get(key).push(snapshot);
+
+        if (!events.has(snapshot.eventId)) {
+            const { eventId, sport, commenceTime, homeTeam, awayTeam } = snapshot;
+            events.set(eventId, { eventId, sport, commenceTime, homeTeam, awayTeam, keys: new Set() });
+        }
+        events.get(snapshot.eventId).keys.add(key);
+    };
+
+    // Forget events that tipped off before the cutoff, once per day
+    const prune = () => {
+        const day = cutoff();
+        if (day === prunedBefore) return;
+        prunedBefore = day;
+        events.forEach((event, eventId) => {
+            if ((event.commenceTime || '').slice(0, 10) >= day) return;
+            event.keys.forEach(key => series.delete(key));
+            events.delete(eventId);
+        });
+    };
+
+    // Read the snapshots of every event kept in memory the first time the
+    // store is used. A line can open weeks before tip-off, so files older
+    // than the cutoff are read too, keeping only those events, and memory
+    // holds what it would have had the process never restarted.
+    const load = () => {
+        if (loaded) return prune();
+        loaded = true;
+        if (!fs.existsSync(snapshotsDir)) return;
+
+        const since = cutoff();
+        fs.readdirSync(snapshotsDir).forEach(sport => {
+            const sportDir = path.join(snapshotsDir, sport);
+            fs.readdirSync(sportDir)
+                .filter(file => file.endsWith('.ndjson'))
+                .sort()
+                .forEach(file => {
+                    const lines = fs.readFileSync(path.join(sportDir, file), 'utf8').split('\n');
+                    lines.filter(Boolean).forEach(line => {
+                        try {
+                            const snapshot = JSON.parse(line);
+                            if ((snapshot.commenceTime || '').slice(0, 10) >= since) addToSeries(snapshot);
+                        } catch (error) {
+                            console.error(`Skipping malformed snapshot in ${file}:`, error.message);
+                        }
+                    });
+                });
+        });
+        prunedBefore = since;
+    };
+
+    const append = (sport, capturedAt, lines) => {
+        const sportDir = path.join(snapshotsDir, sport);
+        const file = path.join(sportDir, `${capturedAt.slice(0, 10)}.ndjson`);
+        writes = writes
+            .then(() => fs.promises.mkdir(sportDir, { recursive: true }))
+            .then(() => fs.promises.appendFile(file, lines.map(line => `${line}\n`).join('')))
+            .catch(error => console.error('Failed to persist odds snapshot:', error.message));
+        return writes;
+    };
+
+    // Record one upstream pull (the raw Odds API event list)
+    const record = (sport, events, capturedAt = new Date(now()).toISOString()) => {
+        load();
+        const lines = [];
+
+        events.forEach(event => {
+            (event.bookmakers || []).forEach(bookmaker => {
+                (bookmaker.markets || []).forEach(market => {
+                    const outcomes = normalizeOutcomes(market.outcomes);
+                    const previous = series.get(snapshotKey(event.id, bookmaker.key, market.key));
+                    if (previous && sameOutcomes(previous[previous.length - 1].outcomes, outcomes)) return;
+
+                    const snapshot = {
+                        capturedAt,
+                        sport,
+                        eventId: event.id,
+                        commenceTime: event.commence_time,
+                        homeTeam: event.home_team,
+                        awayTeam: event.away_team,
+                        bookmaker: bookmaker.key,
+                        market: market.key,
+                        outcomes,
+                    };
+                    addToSeries(snapshot);
+                    lines.push(JSON.stringify(snapshot));
+                });
+            });
+        });
+
+        if (lines.length > 0) {
+            append(sport, capturedAt, lines);
+        }
+        return lines.length;
+    };
+
+    // All snapshots for one event/bookmaker/market, oldest first
+    const getSeries = (eventId, bookmaker, market) => {
+        load();
+        return (series.get(snapshotKey(eventId, bookmaker, market)) || []).slice();
+    };
+
+    // Every snapshot for one event across all bookmakers and markets, oldest first
+    const getEvent = (eventId) => {
+        load();
+        const event = events.get(eventId);
+        if (!event) return [];
+        return Array.from(event.keys)
+            .flatMap(key => series.get(key))
+            .sort((a, b) => a.capturedAt.localeCompare(b.capturedAt));
+    };
+
+    // Every event we hold snapshots for in memory (id, sport, teams and tip-off)
+    const listEvents = () => {
+        load();
+        return Array.from(events.values()).map(({ keys, ...event }) => event);
+    };
+
+    // Every snapshot of one sport captured in [from, to] (ISO strings, either
+    // optional), oldest first, read line by line from the day files so a long
+    // range is never held in memory at once
+    async function* readRange(sport, { from, to } = {}) {
+        await writes;
+        const sportDir = path.join(snapshotsDir, sport);
+        if (!fs.existsSync(sportDir)) return;
+
+        const days = fs.readdirSync(sportDir)
+            .filter(file => file.endsWith('.ndjson'))
+            .map(file => file.slice(0, -'.ndjson'.length))
+            .filter(day => (!from || day >= from.slice(0, 10)) && (!to || day <= to.slice(0, 10)))
+            .sort();
+        for (const day of days) {
+            const lines = readline.createInterface({ input: fs.createReadStream(path.join(sportDir, `${day}.ndjson`)), crlfDelay: Infinity });
+            for await (const line of lines) {
+                if (!line) continue;
+                let snapshot;
+                try {
+                    snapshot = JSON.parse(line);
+                } catch (error) {
+                    console.error(`Skipping malformed snapshot in ${day}.ndjson:`, error.message);
+                    continue;
+                }
+                if ((!from || snapshot.capturedAt >= from) && (!to || snapshot.capturedAt <= to)) yield snapshot;
+            }
+        }
+    }
+
+    // Resolves once every pending write has reached disk
+    const flush = () => writes;
+
+    return {
+        record,
+        getSeries,
+        getEvent,
+        listEvents,
+        readRange,
+        flush,
+    };
+};
+
+module.exports = {
+    createSnapshotStore,
+    snapshotKey,
+};
@@ -0,0 +1,170 @@
+const { americanToProbability } = require('./odds');
+const { buildConsensusSeries, buildLineSeries, mean } = require('./consensus');
+const { describeRatings } = require('./transform');
+const { describeTeam, findTeam } = require('./teams');
+
+// Recent results shown on a team page
+const RESULTS_LIMIT = 10;
+const RATING_FIELDS = ['offensiveRating', 'defensiveRating', 'netRating', 'pace'];
+
+const round1 = (value) => Number(value.toFixed(1));
+
+// --- Team profile ---
+// Everything the team page shows, for one team of one sport:
+//   upcoming        each of its upcoming games with the team's side of every
+//                   market, every book's price, and the line history rebuilt
+//                   from stored snapshots (moneyline as implied probability,
+//                   spread and total as the consensus point)
+//   ratings         box-score ratings (see lib/ratings.js) with the league
+//                   average of every team that has them, or null
+//   recentResults   its last games, newest first, with the result against the
+//                   closing line where we recorded one; from game logs when
+//                   no result has been recorded for the team
+// Prices are American, like every other payload.
+
+// One market's history for one game, oldest first
+const buildLineHistory = (snapshots, game, side) => {
+    if (!snapshots) return { moneyline: [], spread: [], total: [] };
+    const seriesOf = (market) => game.bookmakers.map(bookmaker => snapshots.getSeries(game.id, bookmaker.key, market));
+    const teamName = game[`${side}Team`].name;
+
+    return {
+        moneyline: buildConsensusSeries(seriesOf('h2h'), teamName).map(point => ({
+            ...point,
+            probability: Number((americanToProbability(point.price) * 100).toFixed(2)),
+        })),
+        spread: buildLineSeries(seriesOf('spreads'), teamName, true),
+        total: buildLineSeries(seriesOf('totals'), 'Over', false),
+    };
+};
+
+// Every book's line for the team in one game, one row per book
+const buildBookRows = (game, side) => {
+    const rows = new Map(game.bookmakers.map(bookmaker => [bookmaker.key, { bookmaker: bookmaker.key, title: bookmaker.title }]));
+    const add = (field, books, pick) => (books || []).forEach(book => {
+        if (rows.has(book.bookmaker)) rows.get(book.bookmaker)[field] = pick(book);
+    });
+
+    const { h2h, spreads, totals } = game.markets;
+    add('moneyline', h2h?.[side]?.books, book => book.price);
+    add('spread', spreads?.[side]?.books, book => ({ point: book.point, price: book.price }));
+    add('over', totals?.over.books, book => ({ point: book.point, price: book.price }));
+    add('under', totals?.under.books, book => ({ point: book.point, price: book.price }));
+    return Array.from(rows.values());
+};
+
+const describeUpcoming = (game, teamId, snapshots) => {
+    const side = game.homeTeam.id === teamId ? 'home' : 'away';
+    const opponent = side === 'home' ? game.awayTeam : game.homeTeam;
+    const { h2h, spreads, totals } = game.markets;
+    const summary = (line) => line && { price: line.price, ...(line.point !== undefined && { point: line.point }), best: line.best, probability: line.probability };
+
+    return {
+        eventId: game.id,
+        commenceTime: game.commenceTime,
+        homeAway: side,
+        opponent: opponent.name,
+        opponentId: opponent.id,
+        // Consensus, best price and spread between books, as on the team map
+        moneyline: h2h?.[side] || null,
+        spread: summary(spreads?.[side]),
+        total: totals && { point: totals.point, over: summary(totals.over), under: summary(totals.under) },
+        books: buildBookRows(game, side),
+        history: buildLineHistory(snapshots, game, side),
+    };
+};
+
+// Mean season ratings over every team with box scores
+const leagueAverage = (ratings) => {
+    const seasons = Object.values(ratings || {}).map(rating => rating.season);
+    if (seasons.length === 0) return null;
+    return {
+        teams: seasons.length,
+        ...Object.fromEntries(RATING_FIELDS.map(field => [field, round1(mean(seasons.map(season => season[field])))])),
+    };
+};
+
+// The team's side of a closing market and how the game finished against it
+const gradeAgainstClose = (closing, side, margin, combined) => {
+    if (!closing) return {};
+    const moneyline = closing.markets.h2h?.[side];
+    const spread = closing.markets.spreads?.[side];
+    const total = closing.markets.totals;
+    const cover = spread && margin + spread.point;
+    return {
+        closing: {
+            moneyline: moneyline ? moneyline.price : null,
+            spread: spread ? spread.point : null,
+            total: total ? total.point : null,
+        },
+        ...(spread && { againstSpread: cover > 0 ? 'W' : cover < 0 ? 'L' : 'P' }),
+        ...(total && { overUnder: combined > total.point ? 'over' : combined < total.point ? 'under' : 'push' }),
+    };
+};
+
+const fromResult = (result, teamId) => {
+    const side = result.homeTeamId === teamId ? 'home' : 'away';
+    const [score, opponentScore] = side === 'home' ? [result.homeScore, result.awayScore] : [result.awayScore, result.homeScore];
+    const margin = score - opponentScore;
+    return {
+        eventId: result.eventId,
+        date: result.commenceTime.slice(0, 10),
+        opponent: side === 'home' ? result.awayTeam : result.homeTeam,
+        opponentId: side === 'home' ? result.awayTeamId : result.homeTeamId,
+        homeAway: side,
+        score,
+        opponentScore,
+        outcome: margin > 0 ? 'W' : margin < 0 ? 'L' : 'T',
+        ...gradeAgainstClose(result.closing, side, margin, score + opponentScore),
+        source: 'results',
+    };
+};
+
+const fromGameLog = (game) => ({
+    date: game.date,
+    opponent: game.opponent,
+    ...(game.home !== undefined && { homeAway: game.home ? 'home' : 'away' }),
+    score: game.points,
+    opponentScore: game.opponentPoints,
+    outcome: game.points > game.opponentPoints ? 'W' : game.points < game.opponentPoints ? 'L' : 'T',
+    netRating: game.netRating,
+    source: 'gameLogs',
+});
+
+const buildRecentResults = (results, rating, teamId, limit) => {
+    const recorded = results
+        .filter(result => result.homeTeamId === teamId || result.awayTeamId === teamId)
+        .slice(0, limit)
+        .map(result => fromResult(result, teamId));
+    if (recorded.length > 0 || !rating) return recorded;
+    return rating.series.slice(-limit).reverse().map(fromGameLog);
+};
+
+// `teamId` as built by lib/teams.js, `games` the sport's upcoming game
+// records (see lib/games.js), `ratings` every team's ratings keyed by team id
+// and `results` the sport's recorded results, newest first. Returns null when
+// we know nothing about the team.
+const buildTeamProfile = ({ sport, teamId, games, snapshots, ratings, results = [], resultsLimit = RESULTS_LIMIT }) => {
+    const teamGames = games.filter(game => game.homeTeam.id === teamId || game.awayTeam.id === teamId);
+    const upcoming = teamGames.map(game => describeUpcoming(game, teamId, snapshots));
+    const rating = ratings?.[teamId];
+    const recentResults = buildRecentResults(results, rating, teamId, resultsLimit);
+    if (upcoming.length === 0 && !rating && recentResults.length === 0) return null;
+
+    // Named the way the odds provider names it where it has a game
+    const listed = teamGames.length > 0 && [teamGames[0].homeTeam, teamGames[0].awayTeam].find(side => side.id === teamId);
+    const team = listed || describeTeam(findTeam(teamId, sport)?.name || rating?.team || teamId, sport);
+
+    return {
+        team,
+        upcoming,
+        ratings: rating ? { ...describeRatings(rating), league: leagueAverage(ratings) } : null,
+        recentResults,
+    };
+};
+
+module.exports = {
+    buildTeamProfile,
+    buildLineHistory,
+    leagueAverage,
+};
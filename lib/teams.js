@@ -0,0 +1,169 @@
+// --- Team registry ---
+// Canonical teams per sport with abbreviation, conference, division and club
+// colours. Each team is known by its full name, nickname, abbreviation and
+// any aliases, so the slightly different names used by bookmakers, score
+// feeds and users all resolve to one team:
+//   'LA Clippers', 'Clippers', 'LAC'  ->  losangelesclippers
+// Ids are the full name lower-cased with everything but letters and digits
+// removed. A team missing from the registry (another league, a new club)
+// still gets an id built the same way, with the registry fields left null.
+
+// [name, nickname, abbreviation, division, primary colour, secondary colour, other aliases]
+const NBA = {
+    East: [
+        ['Boston Celtics', 'Celtics', 'BOS', 'Atlantic', '#007A33', '#BA9653'],
+        ['Brooklyn Nets', 'Nets', 'BKN', 'Atlantic', '#000000', '#FFFFFF', ['BRK']],
+        ['New York Knicks', 'Knicks', 'NYK', 'Atlantic', '#006BB6', '#F58426', ['NY Knicks', 'NY']],
+        ['Philadelphia 76ers', '76ers', 'PHI', 'Atlantic', '#006BB6', '#ED174C', ['Sixers', 'Philadelphia Sixers']],
+        ['Toronto Raptors', 'Raptors', 'TOR', 'Atlantic', '#CE1141', '#000000'],
+        ['Chicago Bulls', 'Bulls', 'CHI', 'Central', '#CE1141', '#000000'],
+        ['Cleveland Cavaliers', 'Cavaliers', 'CLE', 'Central', '#860038', '#FDBB30', ['Cavs']],
+        ['Detroit Pistons', 'Pistons', 'DET', 'Central', '#C8102E', '#1D42BA'],
+        ['Indiana Pacers', 'Pacers', 'IND', 'Central', '#002D62', '#FDBB30'],
+        ['Milwaukee Bucks', 'Bucks', 'MIL', 'Central', '#00471B', '#EEE1C6'],
+        ['Atlanta Hawks', 'Hawks', 'ATL', 'Southeast', '#E03A3E', '#C1D32F'],
+        ['Charlotte Hornets', 'Hornets', 'CHA', 'Southeast', '#1D1160', '#00788C', ['CHO']],
+        ['Miami Heat', 'Heat', 'MIA', 'Southeast', '#98002E', '#F9A01B'],
+        ['Orlando Magic', 'Magic', 'ORL', 'Southeast', '#0077C0', '#C4CED4'],
+        ['Washington Wizards', 'Wizards', 'WAS', 'Southeast', '#002B5C', '#E31837', ['WSH']],
+    ],
+    West: [
+        ['Denver Nuggets', 'Nuggets', 'DEN', 'Northwest', '#0E2240', '#FEC524'],
+        ['Minnesota Timberwolves', 'Timberwolves', 'MIN', 'Northwest', '#0C2340', '#236192', ['Wolves']],
+        ['Oklahoma City Thunder', 'Thunder', 'OKC', 'Northwest', '#007AC1', '#EF3B24', ['OKC Thunder']],
+        ['Portland Trail Blazers', 'Trail Blazers', 'POR', 'Northwest', '#E03A3E', '#000000', ['Blazers']],
+        ['Utah Jazz', 'Jazz', 'UTA', 'Northwest', '#002B5C', '#F9A01B', ['UTAH']],
+        ['Golden State Warriors', 'Warriors', 'GSW', 'Pacific', '#1D428A', '#FFC72C', ['GS Warriors', 'GS']],
+        ['Los Angeles Clippers', 'Clippers', 'LAC', 'Pacific', '#C8102E', '#1D428A', ['LA Clippers', 'L.A. Clippers']],
+        ['Los Angeles Lakers', 'Lakers', 'LAL', 'Pacific', '#552583', '#FDB927', ['LA Lakers', 'L.A. Lakers']],
+        ['Phoenix Suns', 'Suns', 'PHX', 'Pacific', '#1D1160', '#E56020', ['PHO']],
+        ['Sacramento Kings', 'Kings', 'SAC', 'Pacific', '#5A2D81', '#63727A'],
+        ['Dallas Mavericks', 'Mavericks', 'DAL', 'Southwest', '#00538C', '#002B5E', ['Mavs']],
+        ['Houston Rockets', 'Rockets', 'HOU', 'Southwest', '#CE1141', '#000000'],
+        ['Memphis Grizzlies', 'Grizzlies', 'MEM', 'Southwest', '#5D76A9', '#12173F'],
+        ['New Orleans Pelicans', 'Pelicans', 'NOP', 'Southwest', '#0C2340', '#C8102E', ['NO']],
+        ['San Antonio Spurs', 'Spurs', 'SAS', 'Southwest', '#C4CED4', '#000000', ['SA']],
+    ],
+};
+
+const NFL = {
+    AFC: [
+        ['Buffalo Bills', 'Bills', 'BUF', 'East', '#00338D', '#C60C30'],
+        ['Miami Dolphins', 'Dolphins', 'MIA', 'East', '#008E97', '#FC4C02'],
+        ['New England Patriots', 'Patriots', 'NE', 'East', '#002244', '#C60C30', ['Pats']],
+        ['New York Jets', 'Jets', 'NYJ', 'East', '#125740', '#FFFFFF', ['NY Jets']],
+        ['Baltimore Ravens', 'Ravens', 'BAL', 'North', '#241773', '#9E7C0C'],
+        ['Cincinnati Bengals', 'Bengals', 'CIN', 'North', '#FB4F14', '#000000'],
+        ['Cleveland Browns', 'Browns', 'CLE', 'North', '#311D00', '#FF3C00'],
+        ['Pittsburgh Steelers', 'Steelers', 'PIT', 'North', '#FFB612', '#101820'],
+        ['Houston Texans', 'Texans', 'HOU', 'South', '#03202F', '#A71930'],
+        ['Indianapolis Colts', 'Colts', 'IND', 'South', '#002C5F', '#A2AAAD'],
+        ['Jacksonville Jaguars', 'Jaguars', 'JAX', 'South', '#006778', '#D7A22A', ['Jags']],
+        ['Tennessee Titans', 'Titans', 'TEN', 'South', '#0C2340', '#4B92DB'],
+        ['Denver Broncos', 'Broncos', 'DEN', 'West', '#FB4F14', '#002244'],
+        ['Kansas City Chiefs', 'Chiefs', 'KC', 'West', '#E31837', '#FFB81C'],
+        ['Las Vegas Raiders', 'Raiders', 'LV', 'West', '#000000', '#A5ACAF', ['Oakland Raiders']],
+        ['Los Angeles Chargers', 'Chargers', 'LAC', 'West', '#0080C6', '#FFC20E', ['LA Chargers']],
+    ],
+    NFC: [
+        ['Dallas Cowboys', 'Cowboys', 'DAL', 'East', '#003594', '#869397'],
+        ['New York Giants', 'Giants', 'NYG', 'East', '#0B2265', '#A71930', ['NY Giants']],
+        ['Philadelphia Eagles', 'Eagles', 'PHI', 'East', '#004C54', '#A5ACAF'],
+        ['Washington Commanders', 'Commanders', 'WAS', 'East', '#5A1414', '#FFB612', ['Washington Football Team', 'WSH']],
+        ['Chicago Bears', 'Bears', 'CHI', 'North', '#0B162A', '#C83803'],
+        ['Detroit Lions', 'Lions', 'DET', 'North', '#0076B6', '#B0B7BC'],
+        ['Green Bay Packers', 'Packers', 'GB', 'North', '#203731', '#FFB612'],
+        ['Minnesota Vikings', 'Vikings', 'MIN', 'North', '#4F2683', '#FFC62F'],
+        ['Atlanta Falcons', 'Falcons', 'ATL', 'South', '#A71930', '#000000'],
+        ['Carolina Panthers', 'Panthers', 'CAR', 'South', '#0085CA', '#101820'],
+        ['New Orleans Saints', 'Saints', 'NO', 'South', '#D3BC8D', '#101820'],
+        ['Tampa Bay Buccaneers', 'Buccaneers', 'TB', 'South', '#D50A0A', '#FF7900', ['Bucs']],
+        ['Arizona Cardinals', 'Cardinals', 'ARI', 'West', '#97233F', '#000000'],
+        ['Los Angeles Rams', 'Rams', 'LAR', 'West', '#003594', '#FFA300', ['LA Rams']],
+        ['San Francisco 49ers', '49ers', 'SF', 'West', '#AA0000', '#B3995D', ['Niners']],
+        ['Seattle Seahawks', 'Seahawks', 'SEA', 'West', '#002244', '#69BE28'],
+    ],
+};
+
+// Lower-case letters and digits only, accents folded: the id of a name and
+// the key every name and alias is matched on
+const teamKeyFor = (name) => String(name)
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]/g, '');
+
+const buildLeague = (sport, conferences) => Object.entries(conferences).flatMap(([conference, rows]) => rows.map(
+    ([name, nickname, abbreviation, division, primary, secondary, aliases = []]) => ({
+        id: teamKeyFor(name),
+        sport,
+        name,
+        nickname,
+        abbreviation,
+        conference,
+        division,
+        colors: { primary, secondary },
+        aliases: [nickname, abbreviation, ...aliases],
+    })
+));
+
+const TEAMS = {
+    basketball_nba: buildLeague('basketball_nba', NBA),
+    americanfootball_nfl: buildLeague('americanfootball_nfl', NFL),
+};
+
+// Sport -> (name, alias or id key -> team)
+const INDEX = new Map(Object.entries(TEAMS).map(([sport, teams]) => {
+    const byKey = new Map();
+    teams.forEach(team => [team.name, ...team.aliases].forEach(alias => byKey.set(teamKeyFor(alias), team)));
+    return [sport, byKey];
+}));
+
+// The registered team a name, alias or id refers to, or null. Without a
+// known sport only full names and ids are matched, since nicknames and
+// abbreviations repeat across leagues.
+const findTeam = (name, sport) => {
+    if (!name) return null;
+    const key = teamKeyFor(name);
+    if (INDEX.has(sport)) return INDEX.get(sport).get(key) || null;
+    const matches = Object.values(TEAMS).flat().filter(team => team.id === key);
+    return matches.length === 1 ? matches[0] : null;
+};
+
+// The team fields a game or team record carries. `name` stays as given, since
+// it is also how the provider quotes the team's prices.
+const describeTeam = (name, sport) => {
+    const team = findTeam(name, sport);
+    return {
+        id: team ? team.id : teamKeyFor(name),
+        name,
+        abbreviation: team?.abbreviation || null,
+        conference: team?.conference || null,
+        division: team?.division || null,
+        colors: team?.colors || null,
+    };
+};
+
+const teamIdFor = (name, sport) => describeTeam(name, sport).id;
+
+// Whether two names refer to the same team
+const isSameTeam = (a, b, sport) => Boolean(a && b) && teamIdFor(a, sport) === teamIdFor(b, sport);
+
+// Registered teams of a sport, optionally narrowed to a conference and/or
+// division (matched case-insensitively)
+const listTeams = (sport, { conference, division } = {}) => (TEAMS[sport] || []).filter(team => (
+    (!conference || team.conference.toLowerCase() === conference.toLowerCase())
+    && (!division || team.division.toLowerCase() === division.toLowerCase())
+));
+
+const REGISTERED_SPORTS = Object.keys(TEAMS);
+
+module.exports = {
+    REGISTERED_SPORTS,
+    teamKeyFor,
+    findTeam,
+    describeTeam,
+    teamIdFor,
+    isSameTeam,
+    listTeams,
+};
@@ -0,0 +1,151 @@
+const { americanToProbability } = require('./odds');
+const { buildConsensusSeries } = require('./consensus');
+const { buildGames } = require('./games');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// --- Price history ---
+// Builds the consensus moneyline history for one side of an event from the
+// stored snapshots of every bookmaker quoting it. `value` is the implied win
+// probability in percent so the sparkline moves up when the market rates the
+// team higher, whichever side of +/-100 it sits on.
+const buildPriceHistory = (snapshots, game, teamName) => {
+    if (!snapshots) return [];
+
+    const seriesByBook = game.bookmakers.map(bookmaker => snapshots.getSeries(game.id, bookmaker.key, 'h2h'));
+    return buildConsensusSeries(seriesByBook, teamName).map(point => ({
+        name: point.capturedAt,
+        capturedAt: point.capturedAt,
+        price: point.price,
+        value: Number((americanToProbability(point.price) * 100).toFixed(2)),
+    }));
+};
+
+// Change in implied probability between a reference point and the latest price
+const describeChange = (from, to) => {
+    if (!from || !to) return null;
+    const change = to.value - from.value;
+    return {
+        from: from.price,
+        to: to.price,
+        since: from.capturedAt,
+        change: Number(change.toFixed(2)),
+        changePercent: from.value ? Number(((change / from.value) * 100).toFixed(2)) : 0,
+    };
+};
+
+// Price changes since the first snapshot and over the trailing 24h. The 24h
+// reference is the last price seen at or before the cut-off, falling back to
+// the opening price for lines younger than a day.
+const summarizeHistory = (history, now = Date.now()) => {
+    if (history.length === 0) return { sinceOpen: null, last24h: null };
+
+    const latest = history[history.length - 1];
+    const cutoff = now - DAY_MS;
+    const dayOld = history.filter(point => Date.parse(point.capturedAt) <= cutoff).pop() || history[0];
+
+    return {
+        sinceOpen: describeChange(history[0], latest),
+        last24h: describeChange(dayOld, latest),
+    };
+};
+
+// Season ratings at the top level, with the trailing windows, league
+// percentiles and per-game series alongside
+const describeRatings = (rating) => {
+    if (!rating) return null;
+    const { teamId, team, season, ...rest } = rating;
+    return {
+        offensiveRating: season.offensiveRating,
+        defensiveRating: season.defensiveRating,
+        netRating: season.netRating,
+        pace: season.pace,
+        possessions: season.possessions,
+        ...rest,
+    };
+};
+
+// --- Data Transformation Helper ---
+// Derives the team map our frontend expects from the game records. Each team's
+// `upcomingGame` is its soonest game; every later one is listed in
+// `upcomingGames`. Pass the snapshot store to attach real line history, and
+// team ratings keyed by team id (see lib/ratings.js) for `quantitative`; teams
+// without box-score data get `quantitative: null`.
+const buildTeamsFromGames = (games, { snapshots, ratings, now = Date.now() } = {}) => {
+    const teamsData = {};
+
+    games.forEach(game => {
+        const moneyline = game.markets.h2h;
+        if (!moneyline) return;
+
+        const processTeam = (team, opponent, side) => {
+            const schedule = {
+                eventId: game.id,
+                opponent: opponent.name,
+                opponentId: opponent.id,
+                commenceTime: game.commenceTime,
+                homeAway: side,
+            };
+
+            if (teamsData[team.id]) {
+                teamsData[team.id].upcomingGames.push(schedule);
+                return;
+            }
+
+            const performanceHistory = buildPriceHistory(snapshots, game, team.name);
+            const priceChanges = summarizeHistory(performanceHistory, now);
+            const teamMoneyline = moneyline[side];
+
+            teamsData[team.id] = {
+                id: team.id,
+                name: team.name,
+                abbreviation: team.abbreviation,
+                conference: team.conference,
+                division: team.division,
+                colors: team.colors,
+                // The consensus moneyline across all books is the "price"
+                price: teamMoneyline.consensus.median,
+                // Movement in implied win probability (percentage points)
+                change: priceChanges.last24h ? priceChanges.last24h.change : 0,
+                changePercent: priceChanges.last24h ? priceChanges.last24h.changePercent : 0,
+                priceChanges,
+                performanceHistory,
+                quantitative: describeRatings(ratings?.[team.id]),
+                qualitative: { // Static qualitative data
+                    managementStability: 'Medium',
+                    coachingSystem: 'Established',
+                    playerMorale: 'Optimistic',
+                    marketSentiment: 'Neutral',
+                },
+                upcomingGame: { // Live data from the API
+                    ...schedule,
+                    moneyline: teamMoneyline.consensus.median,
+                    consensus: teamMoneyline.consensus,
+                    best: teamMoneyline.best,
+                    bookSpread: teamMoneyline.bookSpread,
+                    bookmakerCount: teamMoneyline.bookmakerCount,
+                    books: teamMoneyline.books,
+                    spread: game.markets.spreads ? game.markets.spreads[side] : null,
+                    total: game.markets.totals,
+                },
+                upcomingGames: [schedule],
+            };
+        };
+
+        processTeam(game.homeTeam, game.awayTeam, 'home');
+        processTeam(game.awayTeam, game.homeTeam, 'away');
+    });
+
+    return teamsData;
+};
+
+// Raw Odds API event list straight to the team map
+const transformDataForFrontend = (apiData, options = {}) => buildTeamsFromGames(buildGames(apiData), options);
+
+module.exports = {
+    transformDataForFrontend,
+    buildTeamsFromGames,
+    buildPriceHistory,
+    summarizeHistory,
+    describeRatings,
+};
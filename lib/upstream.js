@@ -0,0 +1,179 @@
+const { createMemoryCache } = require('./cache');
+const { createLiveProvider } = require('./oddsProvider');
+
+// --- Upstream client ---
+// Every call to The Odds API goes through here, so that however many clients
+// ask, we spend as few request credits as possible:
+//   coalescing               concurrent calls for the same URL share one request
+//   stale-while-revalidate   within `ttlMs` a response is served as is; for
+//                            `staleMs` after that it is still served, while a
+//                            refresh runs in the background; older than that,
+//                            the caller waits for a fresh pull
+//   quota backoff            the x-requests-remaining / x-requests-used headers
+//                            of every response are kept. Once fewer than
+//                            `lowQuota` credits remain, the TTL stretches by
+//                            lowQuota / remaining (at most `maxBackoff` times);
+//                            at `reserveQuota` or below, cached data is served
+//                            however old, and a call with nothing cached
+//                            fails with ODDS_QUOTA_EXHAUSTED instead of
+//                            spending the last credits. One request every
+//                            `recheckMs` still goes through, to notice the
+//                            monthly reset.
+// A failed refresh falls back to whatever is cached. `now` is the clock ages
+// and quota rechecks are measured on. `cache` is any backend
+// from lib/cache.js; `provider` any from lib/oddsProvider.js (the live API,
+// from `apiKey`, when not given).
+
+const DEFAULT_UPSTREAM = {
+    ttlMs: 60 * 1000,
+    staleMs: 5 * 60 * 1000,
+    lowQuota: 50,
+    reserveQuota: 5,
+    maxBackoff: 10,
+    recheckMs: 60 * 60 * 1000,
+};
+
+const headerNumber = (headers, name) => {
+    const value = parseFloat(headers?.[name]);
+    return Number.isFinite(value) ? value : null;
+};
+
+const quotaExhausted = (remaining) => {
+    const error = new Error(`Odds API quota nearly spent (${remaining} requests left); serving cached data only`);
+    error.code = 'ODDS_QUOTA_EXHAUSTED';
+    return error;
+};
+
+const createUpstreamClient = ({ apiKey, provider = createLiveProvider({ apiKey }), cache = createMemoryCache(), now = Date.now, ...settings }) => {
+    const options = { ...DEFAULT_UPSTREAM, ...settings };
+    const inFlight = new Map();
+    const quota = { remaining: null, used: null, last: null, updatedAt: null };
+    const stats = { hits: 0, stale: 0, misses: 0, coalesced: 0, requests: 0, errors: 0 };
+
+    // How many times the normal TTL cached data is good for right now
+    const backoff = () => {
+        if (quota.remaining === null || quota.remaining >= options.lowQuota) return 1;
+        return Math.min(options.lowQuota / Math.max(quota.remaining, 1), options.maxBackoff);
+    };
+
+    const exhausted = () => quota.remaining !== null
+        && quota.remaining <= options.reserveQuota
+        && now() - Date.parse(quota.updatedAt) < options.recheckMs;
+
+    const trackQuota = (headers) => {
+        const remaining = headerNumber(headers, 'x-requests-remaining');
+        if (remaining === null) return;
+        quota.remaining = remaining;
+        quota.used = headerNumber(headers, 'x-requests-used');
+        quota.last = headerNumber(headers, 'x-requests-last');
+        quota.updatedAt = new Date(now()).toISOString();
+    };
+
+    // The API key is never part of `params`, so it never reaches the cache
+    const keyFor = (urlPath, params) => `${urlPath}?${new URLSearchParams(params).toString()}`;
+
+    // One upstream request per key at a time; `onFetched(data, capturedAt)`
+    // runs once per response actually pulled (e.g. to record odds snapshots)
+    const pull = (key, urlPath, params, onFetched) => {
+        if (inFlight.has(key)) {
+            stats.coalesced += 1;
+            return inFlight.get(key);
+        }
+
+        const request = (async () => {
+            stats.requests += 1;
+            try {
+                const response = await provider.get(urlPath, params);
+                trackQuota(response.headers);
+                const data = response.data ?? null;
+                cache.set(key, { data, fetchedAt: now() });
+                onFetched?.(data, response.capturedAt);
+                return data;
+            } catch (error) {
+                stats.errors += 1;
+                trackQuota(error.response?.headers);
+                // Out of credits upstream: stop asking until the next recheck
+                if (error.response?.data?.error_code === 'OUT_OF_USAGE_CREDITS') {
+                    quota.remaining = 0;
+                    quota.updatedAt = new Date(now()).toISOString();
+                }
+                throw error;
+            } finally {
+                inFlight.delete(key);
+            }
+        })();
+        inFlight.set(key, request);
+        return request;
+    };
+
+    // GET `urlPath` (relative to the API base) with query `params`.
+    //   fresh       skip the cache read; the result still refreshes the cache
+    //   ttlMs       override the default TTL for this call
+    //   free        the endpoint costs no credits, so the quota doesn't apply
+    //   onFetched   called with every response pulled from upstream
+    const get = async (urlPath, params = {}, { fresh = false, ttlMs = options.ttlMs, free = false, onFetched } = {}) => {
+        const key = keyFor(urlPath, params);
+        const cached = cache.get(key);
+        const age = cached ? now() - cached.fetchedAt : Infinity;
+        const ttl = ttlMs * (free ? 1 : backoff());
+        const outOfQuota = !free && exhausted();
+
+        if (cached && outOfQuota) {
+            stats[age < ttl ? 'hits' : 'stale'] += 1;
+            return cached.data;
+        }
+        if (outOfQuota) throw quotaExhausted(quota.remaining);
+
+        if (cached && !fresh) {
+            if (age < ttl) {
+                stats.hits += 1;
+                return cached.data;
+            }
+            if (age < ttl + options.staleMs) {
+                stats.stale += 1;
+                pull(key, urlPath, params, onFetched).catch(error => {
+                    console.error(`Background refresh of ${urlPath} failed:`, error.message);
+                });
+                return cached.data;
+            }
+        }
+
+        stats.misses += 1;
+        try {
+            return await pull(key, urlPath, params, onFetched);
+        } catch (error) {
+            if (!cached) throw error;
+            console.error(`Refresh of ${urlPath} failed, serving cached data:`, error.message);
+            return cached.data;
+        }
+    };
+
+    // For /health: where data comes from, credits left, how hard we're
+    // backing off and cache use
+    const status = () => ({
+        provider: provider.describe(),
+        quota: {
+            ...quota,
+            low: quota.remaining !== null && quota.remaining < options.lowQuota,
+            exhausted: exhausted(),
+            backoff: Number(backoff().toFixed(2)),
+        },
+        cache: {
+            ...(cache.describe ? cache.describe() : {}),
+            ttlSeconds: options.ttlMs / 1000,
+            staleSeconds: options.staleMs / 1000,
+            inFlight: inFlight.size,
+        },
+        stats: { ...stats },
+    });
+
+    return {
+        get,
+        status,
+    };
+};
+
+module.exports = {
+    DEFAULT_UPSTREAM,
+    createUpstreamClient,
+};
@@ -0,0 +1,125 @@
+const axios = require('axios');
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+
+const WEBHOOK_FORMATS = ['generic', 'slack', 'discord'];
+
+// --- Webhook delivery ---
+// Posts fired alerts (see lib/alerts.js) to a webhook, shaped for where it
+// goes:
+//   slack     { text }      Slack incoming webhooks
+//   discord   { content }   Discord webhooks
+//   generic   { event: 'odds.alert', alert }, the whole alert record
+// A rule may name its own webhook; otherwise the configured default is used,
+// and with neither the alert is only kept in the history.
+// Anyone who can write a rule picks its URL, so rule webhooks never reach
+// loopback, private or link-local addresses (checked again once the host
+// resolves, and redirects are not followed) unless the host is on the
+// operator's allow-list, which, when set, is also the only hosts allowed.
+
+const bodyFor = (format, alert) => {
+    if (format === 'slack') return { text: `:rotating_light: ${alert.message}` };
+    if (format === 'discord') return { content: `🚨 ${alert.message}` };
+    return { event: 'odds.alert', alert };
+};
+
+// IPv4 and IPv6 ranges that aren't publicly routable: this host, private
+// and carrier-grade NAT networks, link-local, benchmarking, documentation,
+// multicast and reserved space, and NAT64 (which embeds an IPv4 address)
+const PRIVATE_RANGES = new net.BlockList();
+[
+    ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16], ['172.16.0.0', 12],
+    ['192.0.0.0', 24], ['192.0.2.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['198.51.100.0', 24],
+    ['203.0.113.0', 24], ['224.0.0.0', 4], ['240.0.0.0', 4],
+].forEach(([address, prefix]) => PRIVATE_RANGES.addSubnet(address, prefix, 'ipv4'));
+[
+    ['::', 128], ['::1', 128], ['64:ff9b::', 96], ['64:ff9b:1::', 48], ['100::', 64], ['2001:db8::', 32],
+    ['fc00::', 7], ['fe80::', 10], ['ff00::', 8],
+].forEach(([address, prefix]) => PRIVATE_RANGES.addSubnet(address, prefix, 'ipv6'));
+
+const isPrivateAddress = (address) => {
+    const family = net.isIP(address);
+    if (family === 0) return false;
+    const mapped = family === 6 && /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(address);
+    if (mapped) return PRIVATE_RANGES.check(mapped[1], 'ipv4');
+    return PRIVATE_RANGES.check(address, family === 4 ? 'ipv4' : 'ipv6');
+};
+
+// URL hostnames keep IPv6 literals in brackets
+const hostOf = (url) => url.hostname.replace(/^\[(.*)\]$/, '$1').toLowerCase();
+
+// Whether a rule may post to `value`: an http(s) URL on an allowed host, or
+// with no allow-list, on a host that isn't obviously local or private
+const isWebhookUrl = (value, { allowedHosts = [] } = {}) => {
+    let url;
+    try {
+        url = new URL(value);
+    } catch (error) {
+        return false;
+    }
+    if (!['http:', 'https:'].includes(url.protocol)) return false;
+
+    const host = hostOf(url);
+    if (allowedHosts.length > 0) return allowedHosts.includes(host);
+    return host !== 'localhost' && !host.endsWith('.localhost') && !isPrivateAddress(host);
+};
+
+// dns.lookup that refuses names resolving to a private address
+const publicLookup = (hostname, options, callback) => {
+    dns.lookup(hostname, options, (error, address, family) => {
+        if (error) return callback(error);
+        const addresses = Array.isArray(address) ? address.map(entry => entry.address) : [address];
+        if (addresses.some(isPrivateAddress)) {
+            return callback(Object.assign(new Error(`${hostname} resolves to a private address`), { code: 'EADDRBLOCKED' }));
+        }
+        callback(null, address, family);
+    });
+};
+
+const publicAgents = {
+    httpAgent: new http.Agent({ lookup: publicLookup }),
+    httpsAgent: new https.Agent({ lookup: publicLookup }),
+};
+
+// `url` is the operator's default webhook and is trusted as given;
+// `allowedHosts` is the allow-list for rule webhooks.
+const createWebhookNotifier = ({ url, format = 'generic', allowedHosts = [], timeoutMs = 5000, post = axios.post } = {}) => {
+    // Resolves to the delivery outcome, never rejects:
+    // { status: 'sent' | 'failed' | 'skipped', url?, format?, error? }
+    const send = async (alert, webhook = null) => {
+        const target = webhook?.url ? { url: webhook.url, format: webhook.format || 'generic' } : url ? { url, format } : null;
+        if (!target) return { status: 'skipped' };
+
+        // Rules saved before the allow-list changed are checked again here
+        let options = { timeout: timeoutMs };
+        if (webhook?.url) {
+            if (!isWebhookUrl(target.url, { allowedHosts })) {
+                return { status: 'failed', url: target.url, format: target.format, error: 'Webhook host is not allowed' };
+            }
+            if (!allowedHosts.includes(hostOf(new URL(target.url)))) options = { ...options, ...publicAgents, maxRedirects: 0 };
+        }
+
+        try {
+            await post(target.url, bodyFor(target.format, alert), options);
+            return { status: 'sent', url: target.url, format: target.format };
+        } catch (error) {
+            const reason = error.response ? `HTTP ${error.response.status}` : error.message;
+            console.error(`Webhook delivery to ${target.url} failed:`, reason);
+            return { status: 'failed', url: target.url, format: target.format, error: reason };
+        }
+    };
+
+    return {
+        send,
+        describe: () => ({ configured: Boolean(url), format: url ? format : null }),
+    };
+};
+
+module.exports = {
+    WEBHOOK_FORMATS,
+    isPrivateAddress,
+    isWebhookUrl,
+    createWebhookNotifier,
+};
@@ -1,10 +1,16 @@
 import './App.css'
 import SportsAnalyticWeb from './components/SportsAnalyticWeb'
+import { OddsFormatProvider } from './context/OddsFormatContext'
+import { SessionProvider } from './context/SessionContext'
 
 function App() {
 	return (
 		<div style={{ padding: 16 }}>
-			<SportsAnalyticWeb />
+			<SessionProvider>
+				<OddsFormatProvider>
+					<SportsAnalyticWeb />
+				</OddsFormatProvider>
+			</SessionProvider>
 		</div>
 	)
 }
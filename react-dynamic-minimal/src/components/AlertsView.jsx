@@ -0,0 +1,279 @@
+import React, { useCallback, useEffect, useMemo, useState } from 'react';
+import { Bell, BellOff, RefreshCw, Send, Trash2 } from 'lucide-react';
+import useOddsFormat from '../hooks/useOddsFormat';
+import { apiFetch } from '../utils/api';
+import { formatPoint, parseOdds } from '../utils/odds';
+
+const TYPE_LABELS = { price: 'Price', movement: 'Line move', arbitrage: 'Arbitrage' };
+const MARKET_LABELS = { h2h: 'Moneyline', spreads: 'Spread', totals: 'Total' };
+const WEBHOOK_FORMATS = [['', 'Default webhook'], ['slack', 'Slack'], ['discord', 'Discord'], ['generic', 'Generic JSON']];
+const DELIVERY_STYLES = {
+  sent: 'bg-green-900/60 text-green-300',
+  failed: 'bg-red-900/60 text-red-300',
+  skipped: 'bg-gray-700 text-gray-300',
+};
+
+const inputClass = 'w-full bg-gray-900 border border-gray-700 rounded-md p-2';
+
+// Builds one watchlist rule. Moneyline price thresholds are typed in the
+// user's odds format and moneyline moves in percentage points of implied
+// probability; spreads and totals in points.
+const RuleForm = ({ teams, sport, onCreate }) => {
+  const { oddsFormat } = useOddsFormat();
+  const teamNames = useMemo(() => Object.values(teams || {}).map(team => team.name).sort(), [teams]);
+  const [type, setType] = useState('price');
+  const [team, setTeam] = useState('');
+  const [market, setMarket] = useState('h2h');
+  const [direction, setDirection] = useState('above');
+  const [threshold, setThreshold] = useState('');
+  const [minRoi, setMinRoi] = useState('0');
+  const [cooldown, setCooldown] = useState('30');
+  const [webhookUrl, setWebhookUrl] = useState('');
+  const [webhookFormat, setWebhookFormat] = useState('');
+  const [error, setError] = useState(null);
+
+  const needsTeam = type === 'price' && market !== 'totals';
+
+  const create = async () => {
+    const value = type === 'price' && market === 'h2h' ? parseOdds(threshold, oddsFormat) : Number(threshold);
+    if (type !== 'arbitrage' && (threshold === '' || Number.isNaN(value))) {
+      setError('Enter a threshold for the rule.');
+      return;
+    }
+    if (needsTeam && !team) {
+      setError('Pick the team to watch.');
+      return;
+    }
+    setError(null);
+    try {
+      await onCreate({
+        type,
+        sport,
+        cooldownMinutes: Number(cooldown),
+        ...(type === 'arbitrage'
+          ? { minRoi: Number(minRoi) }
+          : { market, threshold: value, ...(team && market !== 'totals' && { team }) }),
+        ...(type === 'price' && { direction }),
+        ...(webhookUrl && { webhook: { url: webhookUrl, format: webhookFormat || 'generic' } }),
+      });
+      setThreshold('');
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  return (
+    <div className="space-y-3 text-sm">
+      <div className="grid grid-cols-2 md:grid-cols-6 gap-2 items-end">
+        <div>
+          <label className="block text-gray-400 mb-1" htmlFor="alert-type">Alert on</label>
+          <select id="alert-type" className={inputClass} value={type} onChange={(e) => { setType(e.target.value); setMarket(e.target.value === 'price' ? 'h2h' : 'spreads'); }}>
+            {Object.entries(TYPE_LABELS).map(([key, label]) => <option key={key} value={key}>{label}</option>)}
+          </select>
+        </div>
+        {type !== 'arbitrage' && (
+          <>
+            <div>
+              <label className="block text-gray-400 mb-1" htmlFor="alert-market">Market</label>
+              <select id="alert-market" className={inputClass} value={market} onChange={(e) => setMarket(e.target.value)}>
+                {Object.entries(MARKET_LABELS).map(([key, label]) => <option key={key} value={key}>{label}</option>)}
+              </select>
+            </div>
+            {market !== 'totals' && (
+              <div className="col-span-2">
+                <label className="block text-gray-400 mb-1" htmlFor="alert-team">Team</label>
+                <select id="alert-team" className={inputClass} value={team} onChange={(e) => setTeam(e.target.value)}>
+                  <option value="">{needsTeam ? 'Choose a team' : 'Any team'}</option>
+                  {teamNames.map((name) => <option key={name} value={name}>{name}</option>)}
+                </select>
+              </div>
+            )}
+            {type === 'price' && (
+              <div>
+                <label className="block text-gray-400 mb-1" htmlFor="alert-direction">Crosses</label>
+                <select id="alert-direction" className={inputClass} value={direction} onChange={(e) => setDirection(e.target.value)}>
+                  <option value="above">Above</option>
+                  <option value="below">Below</option>
+                </select>
+              </div>
+            )}
+            <div>
+              <label className="block text-gray-400 mb-1" htmlFor="alert-threshold">
+                {type === 'movement' ? (market === 'h2h' ? 'Move (implied %)' : 'Move (points)') : market === 'h2h' ? `Price (${oddsFormat})` : 'Line'}
+              </label>
+              <input id="alert-threshold" className={inputClass} value={threshold} onChange={(e) => setThreshold(e.target.value)} placeholder={type === 'movement' ? '1.5' : market === 'h2h' ? '+150' : '-3.5'} />
+            </div>
+          </>
+        )}
+        {type === 'arbitrage' && (
+          <div>
+            <label className="block text-gray-400 mb-1" htmlFor="alert-roi">Min return (%)</label>
+            <input id="alert-roi" type="number" step="0.1" min="0" className={inputClass} value={minRoi} onChange={(e) => setMinRoi(e.target.value)} />
+          </div>
+        )}
+      </div>
+      <div className="grid grid-cols-2 md:grid-cols-6 gap-2 items-end">
+        <div>
+          <label className="block text-gray-400 mb-1" htmlFor="alert-cooldown">Cooldown (min)</label>
+          <input id="alert-cooldown" type="number" min="0" className={inputClass} value={cooldown} onChange={(e) => setCooldown(e.target.value)} />
+        </div>
+        <div className="col-span-2 md:col-span-3">
+          <label className="block text-gray-400 mb-1" htmlFor="alert-webhook">Webhook URL (optional)</label>
+          <input id="alert-webhook" type="url" className={inputClass} value={webhookUrl} onChange={(e) => setWebhookUrl(e.target.value)} placeholder="https://hooks.slack.com/services/..." />
+        </div>
+        <div>
+          <label className="block text-gray-400 mb-1" htmlFor="alert-format">Format</label>
+          <select id="alert-format" className={inputClass} value={webhookFormat} onChange={(e) => setWebhookFormat(e.target.value)} disabled={!webhookUrl}>
+            {WEBHOOK_FORMATS.filter(([key]) => key || !webhookUrl).map(([key, label]) => <option key={key} value={key}>{label}</option>)}
+          </select>
+        </div>
+        <button onClick={create} className="bg-indigo-600 hover:bg-indigo-500 text-white font-bold py-2 px-4 rounded-lg flex items-center justify-center gap-2"><Bell size={16} />Add alert</button>
+      </div>
+      {error && <p className="text-red-400">{error}</p>}
+    </div>
+  );
+};
+
+// Watchlist rules for every league, and the alerts they have sent
+const AlertsView = ({ apiUrl, teams, sport, onBack }) => {
+  const { formatPrice } = useOddsFormat();
+  const [rules, setRules] = useState(null);
+  const [history, setHistory] = useState([]);
+  const [notice, setNotice] = useState(null);
+  const [error, setError] = useState(null);
+  const [isChecking, setIsChecking] = useState(false);
+
+  const request = useCallback(async (path, options = {}) => {
+    const separator = path.includes('?') ? '&' : '?';
+    const response = await apiFetch(`${apiUrl}${path}${separator}oddsFormat=american`, {
+      ...options,
+      headers: { 'Content-Type': 'application/json', ...options.headers },
+    });
+    if (response.status === 204) return null;
+    const data = await response.json();
+    if (!response.ok) throw new Error(data.message || `Request failed (${response.status})`);
+    return data;
+  }, [apiUrl]);
+
+  const reload = useCallback(() => Promise.all([request('/alerts'), request('/alerts/history?limit=50')])
+    .then(([list, fired]) => { setRules(list.rules); setHistory(fired.alerts); setError(null); })
+    .catch(err => {
+      console.error("Alerts fetch error:", err);
+      setError(err.message);
+    }), [request]);
+
+  useEffect(() => { reload(); }, [reload]);
+
+  const createRule = async (rule) => {
+    await request('/alerts', { method: 'POST', body: JSON.stringify(rule) });
+    await reload();
+  };
+
+  const act = (promise) => promise.then(reload).catch(err => setError(err.message));
+  const toggleRule = (rule) => act(request(`/alerts/${rule.id}`, { method: 'PATCH', body: JSON.stringify({ enabled: !rule.enabled }) }));
+  const deleteRule = (id) => act(request(`/alerts/${id}`, { method: 'DELETE' }));
+
+  const testRule = async (rule) => {
+    try {
+      const { delivery } = await request(`/alerts/${rule.id}/test`, { method: 'POST' });
+      setNotice(delivery.status === 'skipped'
+        ? `No webhook is configured for "${rule.name}".`
+        : `Test for "${rule.name}" ${delivery.status === 'sent' ? 'delivered' : `failed: ${delivery.error}`}.`);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const checkNow = async () => {
+    setIsChecking(true);
+    try {
+      const { count } = await request('/alerts/check', { method: 'POST' });
+      setNotice(count === 0 ? 'No rules fired.' : `${count} alert${count === 1 ? '' : 's'} fired.`);
+      await reload();
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setIsChecking(false);
+    }
+  };
+
+  const describeThreshold = (rule) => {
+    if (rule.type === 'arbitrage') return `≥ ${rule.minRoi}%`;
+    if (rule.type === 'movement') return `${rule.threshold}${rule.market === 'h2h' ? '% implied' : ' pts'}`;
+    const line = rule.market === 'h2h' ? formatPrice(rule.threshold) : rule.market === 'totals' ? rule.threshold : formatPoint(rule.threshold);
+    return `${rule.direction} ${line}`;
+  };
+
+  return (
+    <div className="bg-gray-800 p-4 md:p-6 rounded-lg shadow-lg border border-gray-700">
+      <button onClick={onBack} className="mb-4 text-sm text-indigo-400 hover:text-indigo-300">&larr; Back to Market Overview</button>
+      <div className="flex justify-between items-center mb-4">
+        <h2 className="text-3xl font-bold flex items-center gap-2"><Bell size={28} />Alerts</h2>
+        <button onClick={checkNow} disabled={isChecking} className="bg-gray-700 hover:bg-gray-600 disabled:bg-gray-800 py-2 px-3 rounded-md flex items-center gap-2 text-sm"><RefreshCw size={16} className={isChecking ? 'animate-spin' : ''} />Check now</button>
+      </div>
+      {error && <p className="text-red-400 mb-4">{error}</p>}
+      {notice && <p className="text-indigo-300 mb-4">{notice}</p>}
+
+      <div className="bg-gray-900/50 p-4 rounded-xl mb-6">
+        <h3 className="text-lg font-semibold text-indigo-300 mb-3">New Alert</h3>
+        <RuleForm teams={teams} sport={sport} onCreate={createRule} />
+      </div>
+
+      <h3 className="text-lg font-semibold text-gray-300 mb-2">Watchlist</h3>
+      {!rules && !error && <p className="text-gray-400">Loading alerts...</p>}
+      {rules && rules.length === 0 && <p className="text-gray-500 mb-6">No alert rules yet.</p>}
+      {rules && rules.length > 0 && (
+        <div className="overflow-x-auto mb-6">
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="text-gray-400 border-b border-gray-700">
+                <th className="py-2 pr-3 text-left">Rule</th>
+                <th className="py-2 pr-3 text-left">League</th>
+                <th className="py-2 pr-3 text-left">Type</th>
+                <th className="py-2 pr-3 text-right">Threshold</th>
+                <th className="py-2 pr-3 text-right">Cooldown</th>
+                <th className="py-2 pr-3 text-left">Webhook</th>
+                <th className="py-2"></th>
+              </tr>
+            </thead>
+            <tbody>
+              {rules.map((rule) => (
+                <tr key={rule.id} className={`border-b border-gray-700/50 ${rule.enabled ? '' : 'text-gray-500'}`}>
+                  <td className="py-2 pr-3">{rule.name}</td>
+                  <td className="py-2 pr-3 text-gray-400">{rule.sport}</td>
+                  <td className="py-2 pr-3">{TYPE_LABELS[rule.type]}{rule.market && <span className="text-gray-500"> · {MARKET_LABELS[rule.market]}</span>}</td>
+                  <td className="py-2 pr-3 text-right">{describeThreshold(rule)}</td>
+                  <td className="py-2 pr-3 text-right">{rule.cooldownMinutes} min</td>
+                  <td className="py-2 pr-3 text-gray-400">{rule.webhook ? rule.webhook.format : 'default'}</td>
+                  <td className="py-2 text-right whitespace-nowrap">
+                    <button onClick={() => toggleRule(rule)} className="text-gray-500 hover:text-indigo-300 mr-2" aria-label={rule.enabled ? 'Pause alert' : 'Resume alert'} title={rule.enabled ? 'Pause' : 'Resume'}>{rule.enabled ? <Bell size={16} /> : <BellOff size={16} />}</button>
+                    <button onClick={() => testRule(rule)} className="text-gray-500 hover:text-green-400 mr-2" aria-label="Send test alert" title="Send test"><Send size={16} /></button>
+                    <button onClick={() => deleteRule(rule.id)} className="text-gray-500 hover:text-red-400" aria-label="Delete alert" title="Delete"><Trash2 size={16} /></button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      <h3 className="text-lg font-semibold text-gray-300 mb-2">Recent Alerts</h3>
+      {history.length === 0 && <p className="text-gray-500">Nothing has fired yet.</p>}
+      {history.length > 0 && (
+        <ul className="space-y-2 text-sm">
+          {history.map((alert) => (
+            <li key={alert.id} className="bg-gray-900/60 rounded-lg p-3 flex flex-wrap justify-between gap-2">
+              <div>
+                <div>{alert.message}</div>
+                <div className="text-xs text-gray-500">{alert.ruleName} · {new Date(alert.triggeredAt).toLocaleString()}</div>
+              </div>
+              <span className={`self-start px-2 py-0.5 rounded text-xs font-semibold uppercase ${DELIVERY_STYLES[alert.delivery.status]}`} title={alert.delivery.error || alert.delivery.url || ''}>{alert.delivery.status}</span>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default AlertsView;
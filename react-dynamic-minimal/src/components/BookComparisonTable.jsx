@@ -0,0 +1,49 @@
+import React from 'react';
+import useOddsFormat from '../hooks/useOddsFormat';
+import { impliedProbability } from '../utils/odds';
+
+// Per-bookmaker moneyline comparison for one side of a game
+const BookComparisonTable = ({ game }) => {
+  const { formatPrice } = useOddsFormat();
+  if (!game?.books?.length) {
+    return <p className="text-gray-400">No bookmaker prices available.</p>;
+  }
+
+  const books = game.books.slice().sort((a, b) => b.price - a.price);
+
+  return (
+    <div className="overflow-x-auto">
+      <table className="w-full text-sm">
+        <thead>
+          <tr className="text-left text-gray-400 border-b border-gray-700">
+            <th className="py-2 pr-4">Bookmaker</th>
+            <th className="py-2 pr-4 text-right">Moneyline</th>
+            <th className="py-2 pr-4 text-right">Implied</th>
+            <th className="py-2 text-right">vs Consensus</th>
+          </tr>
+        </thead>
+        <tbody>
+          {books.map((book) => {
+            const isBest = book.bookmaker === game.best?.bookmaker;
+            const edge = impliedProbability(game.consensus.median) - impliedProbability(book.price);
+            return (
+              <tr key={book.bookmaker} className={`border-b border-gray-700/50 ${isBest ? 'bg-green-900/20' : ''}`}>
+                <td className="py-2 pr-4">{book.title}{isBest && <span className="ml-2 text-xs font-semibold text-green-400">BEST</span>}</td>
+                <td className={`py-2 pr-4 text-right font-semibold ${book.price > 0 ? 'text-green-400' : 'text-red-400'}`}>{formatPrice(book.price)}</td>
+                <td className="py-2 pr-4 text-right text-gray-300">{impliedProbability(book.price).toFixed(1)}%</td>
+                <td className={`py-2 text-right ${edge >= 0 ? 'text-green-400' : 'text-red-400'}`}>{edge >= 0 ? '+' : ''}{edge.toFixed(1)} pts</td>
+              </tr>
+            );
+          })}
+        </tbody>
+      </table>
+      <div className="flex flex-wrap gap-4 mt-3 text-sm text-gray-400">
+        <span>Consensus (median): <span className="font-semibold text-gray-200">{formatPrice(game.consensus.median)}</span></span>
+        <span>Consensus (mean): <span className="font-semibold text-gray-200">{formatPrice(game.consensus.mean)}</span></span>
+        <span>Spread between books: <span className="font-semibold text-gray-200">{formatPrice(game.bookSpread.low)} to {formatPrice(game.bookSpread.high)} ({game.bookSpread.probabilityPoints} pts)</span></span>
+      </div>
+    </div>
+  );
+};
+
+export default BookComparisonTable;
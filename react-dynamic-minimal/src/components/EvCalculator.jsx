@@ -0,0 +1,136 @@
+import React, { useEffect, useState } from 'react';
+import { Calculator } from 'lucide-react';
+import useOddsFormat from '../hooks/useOddsFormat';
+import { apiFetch } from '../utils/api';
+
+const SOURCES = [['custom', 'My probability'], ['market', 'Market (vig-free)'], ['model', 'Elo model']];
+
+const formatMoney = (amount) => amount.toLocaleString(undefined, { style: 'currency', currency: 'USD' });
+const signed = (value, suffix) => `${value > 0 ? '+' : ''}${value.toFixed(2)}${suffix}`;
+
+// Edge, expected value and Kelly stakes for both sides of a game's moneyline,
+// priced by the server at the best available book. `url` is the sport's /ev
+// endpoint; `initialProbability` seeds team A's input (percent).
+const EvCalculator = ({ url, eventId, teamA, teamB, initialProbability, vigMethod }) => {
+  const { formatPrice } = useOddsFormat();
+  const [source, setSource] = useState('custom');
+  const [probabilityA, setProbabilityA] = useState(initialProbability ?? 50);
+  const [bankroll, setBankroll] = useState(1000);
+  const [fraction, setFraction] = useState(0.5);
+  const [capPercent, setCapPercent] = useState(5);
+  const [result, setResult] = useState(null);
+  const [error, setError] = useState(null);
+  const [isLoading, setIsLoading] = useState(false);
+
+  // Start from the market's view whenever a different game is picked
+  useEffect(() => {
+    setProbabilityA(initialProbability !== undefined ? Number(initialProbability.toFixed(1)) : 50);
+    setResult(null);
+    setError(null);
+  }, [eventId, initialProbability]);
+
+  const calculate = async () => {
+    const params = new URLSearchParams({
+      eventId,
+      market: 'h2h',
+      source,
+      bankroll: String(bankroll),
+      fraction: String(fraction),
+      cap: String(capPercent / 100),
+      oddsFormat: 'american',
+    });
+    if (source === 'market') {
+      params.set('method', vigMethod);
+    } else if (source === 'custom') {
+      // The server infers the other side as the complement
+      params.set(teamA.upcomingGame.homeAway, String(probabilityA));
+    }
+
+    setIsLoading(true);
+    setError(null);
+    try {
+      const response = await apiFetch(`${url}?${params}`);
+      const data = await response.json();
+      if (!response.ok) throw new Error(data.message || `Request failed (${response.status})`);
+      setResult(data);
+    } catch (err) {
+      console.error("EV calculation error:", err);
+      setResult(null);
+      setError(err.message);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const rows = result ? [teamA, teamB].map((team) => ({ team, outcome: result.outcomes.find(o => o.name === team.name) })).filter(row => row.outcome) : [];
+
+  return (
+    <div className="bg-gray-900/50 p-6 rounded-xl mb-8">
+      <h3 className="text-xl font-semibold text-center text-emerald-300 mb-4">Expected Value &amp; Kelly Stakes</h3>
+      <div className="grid grid-cols-2 md:grid-cols-6 gap-3 items-end mb-4 text-sm">
+        <div className="col-span-2">
+          <label className="block text-gray-400 mb-1" htmlFor="ev-source">Probability source</label>
+          <select id="ev-source" className="w-full bg-gray-900 border border-gray-700 rounded-md p-2" value={source} onChange={(e) => setSource(e.target.value)}>
+            {SOURCES.map(([key, label]) => <option key={key} value={key}>{label}</option>)}
+          </select>
+        </div>
+        <div>
+          <label className="block text-gray-400 mb-1" htmlFor="ev-probability">{teamA.name} win %</label>
+          <input id="ev-probability" type="number" min="0.1" max="99.9" step="0.5" disabled={source !== 'custom'} className="w-full bg-gray-900 border border-gray-700 rounded-md p-2 disabled:text-gray-500" value={probabilityA} onChange={(e) => setProbabilityA(Number(e.target.value))} />
+          {source === 'custom' && <p className="text-xs text-gray-500 mt-1">{teamB.name}: {(100 - probabilityA).toFixed(1)}%</p>}
+        </div>
+        <div>
+          <label className="block text-gray-400 mb-1" htmlFor="ev-bankroll">Bankroll</label>
+          <input id="ev-bankroll" type="number" min="1" step="50" className="w-full bg-gray-900 border border-gray-700 rounded-md p-2" value={bankroll} onChange={(e) => setBankroll(Number(e.target.value))} />
+        </div>
+        <div>
+          <label className="block text-gray-400 mb-1" htmlFor="ev-fraction">Kelly multiplier</label>
+          <input id="ev-fraction" type="number" min="0.05" max="1" step="0.05" className="w-full bg-gray-900 border border-gray-700 rounded-md p-2" value={fraction} onChange={(e) => setFraction(Number(e.target.value))} />
+        </div>
+        <div>
+          <label className="block text-gray-400 mb-1" htmlFor="ev-cap">Max stake %</label>
+          <input id="ev-cap" type="number" min="0.5" max="100" step="0.5" className="w-full bg-gray-900 border border-gray-700 rounded-md p-2" value={capPercent} onChange={(e) => setCapPercent(Number(e.target.value))} />
+        </div>
+      </div>
+      <div className="text-center mb-4">
+        <button onClick={calculate} disabled={isLoading} className="bg-emerald-600 hover:bg-emerald-500 disabled:bg-gray-500 text-white font-bold py-2 px-6 rounded-lg inline-flex items-center gap-2 transition-colors"><Calculator size={18} />{isLoading ? 'Calculating...' : 'Calculate'}</button>
+      </div>
+      {error && <p className="text-red-400 text-center">{error}</p>}
+      {rows.length > 0 && (
+        <div className="overflow-x-auto">
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="text-gray-400 border-b border-gray-700">
+                <th className="py-2 pr-3 text-left">Side</th>
+                <th className="py-2 pr-3 text-right">Best price</th>
+                <th className="py-2 pr-3 text-right">Win %</th>
+                <th className="py-2 pr-3 text-right">Edge</th>
+                <th className="py-2 pr-3 text-right">EV</th>
+                <th className="py-2 pr-3 text-right">Full Kelly</th>
+                <th className="py-2 pr-3 text-right">{result.fraction}&times; Kelly</th>
+                <th className="py-2 text-right">Stake (capped)</th>
+              </tr>
+            </thead>
+            <tbody>
+              {rows.map(({ team, outcome }) => (
+                <tr key={team.id} className="border-b border-gray-700/50">
+                  <td className="py-2 pr-3">{team.name}</td>
+                  <td className="py-2 pr-3 text-right">{formatPrice(outcome.price)} <span className="text-xs text-gray-500">{outcome.title}</span></td>
+                  <td className="py-2 pr-3 text-right">{outcome.probability.toFixed(1)}% <span className="text-xs text-gray-500">vs {outcome.implied.toFixed(1)}%</span></td>
+                  <td className={`py-2 pr-3 text-right ${outcome.edge > 0 ? 'text-green-400' : 'text-red-400'}`}>{signed(outcome.edge, ' pts')}</td>
+                  <td className={`py-2 pr-3 text-right ${outcome.ev > 0 ? 'text-green-400' : 'text-red-400'}`}>{signed(outcome.ev, '%')}</td>
+                  <td className="py-2 pr-3 text-right">{formatMoney(outcome.kelly.full.stake)}</td>
+                  <td className="py-2 pr-3 text-right">{formatMoney(outcome.kelly.fractional.stake)}</td>
+                  <td className="py-2 text-right font-semibold">{formatMoney(outcome.kelly.capped.stake)}{outcome.expectedProfit > 0 && <div className="text-xs text-green-400">exp. +{formatMoney(outcome.expectedProfit)}</div>}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          <p className="text-xs text-gray-500 mt-2">Kelly never stakes on a negative edge. Stakes are shares of a {formatMoney(result.bankroll)} bankroll, capped at {(result.cap * 100).toFixed(1)}% per bet.</p>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default EvCalculator;
@@ -0,0 +1,54 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { Download } from 'lucide-react';
+import useOddsFormat from '../hooks/useOddsFormat';
+
+const FORMATS = [
+  ['csv', 'CSV'],
+  ['json', 'JSON'],
+  ['ndjson', 'NDJSON'],
+];
+
+// Download links for the server's export endpoints (see lib/routes/export.js).
+// Each export is `{ label, path, params }`; prices come in the user's odds
+// format. Plain links, so the browser streams the file straight to disk and
+// sends the session cookie itself.
+const ExportMenu = ({ apiUrl, exports, className = '' }) => {
+  const { oddsFormat } = useOddsFormat();
+  const [open, setOpen] = useState(false);
+  const menuRef = useRef(null);
+
+  // Close when clicking anywhere else
+  useEffect(() => {
+    if (!open) return undefined;
+    const onClick = (event) => { if (!menuRef.current?.contains(event.target)) setOpen(false); };
+    document.addEventListener('mousedown', onClick);
+    return () => document.removeEventListener('mousedown', onClick);
+  }, [open]);
+
+  const hrefOf = ({ path, params = {} }, format) => {
+    const search = new URLSearchParams(Object.entries({ ...params, format, oddsFormat }).filter(([, value]) => value !== null && value !== undefined && value !== ''));
+    return `${apiUrl}/${path}?${search}`;
+  };
+
+  return (
+    <div ref={menuRef} className={`relative ${className}`}>
+      <button onClick={() => setOpen(!open)} className="bg-gray-700 hover:bg-gray-600 text-white font-bold py-2 px-4 rounded-lg flex items-center gap-2 transition-colors"><Download size={18} />Export</button>
+      {open && (
+        <div className="absolute right-0 mt-2 w-96 bg-gray-900 border border-gray-700 rounded-lg shadow-xl z-20 p-2">
+          {exports.map(item => (
+            <div key={item.label} className="flex justify-between items-center px-2 py-1.5 rounded hover:bg-gray-800">
+              <span className="text-sm text-gray-200">{item.label}</span>
+              <span className="flex gap-2 text-xs">
+                {FORMATS.map(([format, label]) => (
+                  <a key={format} href={hrefOf(item, format)} download onClick={() => setOpen(false)} className="text-indigo-400 hover:text-indigo-300">{label}</a>
+                ))}
+              </span>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ExportMenu;
@@ -0,0 +1,45 @@
+import React, { useState } from 'react';
+import { LogIn } from 'lucide-react';
+
+// Username and password form for dashboard users; API clients use keys instead
+const LoginView = ({ onLogin }) => {
+  const [username, setUsername] = useState('');
+  const [password, setPassword] = useState('');
+  const [error, setError] = useState(null);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  const submit = async (event) => {
+    event.preventDefault();
+    setIsSubmitting(true);
+    setError(null);
+    try {
+      await onLogin(username, password);
+    } catch (err) {
+      setError(err.message);
+      setIsSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="bg-gray-900 text-white min-h-screen font-sans flex items-center justify-center p-4">
+      <form onSubmit={submit} className="bg-gray-800 p-6 rounded-lg shadow-lg border border-gray-700 w-full max-w-sm space-y-4">
+        <div>
+          <h1 className="text-2xl font-bold">Sports Analytics Platform</h1>
+          <p className="text-gray-400 text-sm">Sign in to see the market.</p>
+        </div>
+        <div>
+          <label className="block text-sm text-gray-300 mb-1" htmlFor="login-username">Username</label>
+          <input id="login-username" autoComplete="username" className="w-full bg-gray-900 border border-gray-700 rounded-md p-2" value={username} onChange={(e) => setUsername(e.target.value)} required />
+        </div>
+        <div>
+          <label className="block text-sm text-gray-300 mb-1" htmlFor="login-password">Password</label>
+          <input id="login-password" type="password" autoComplete="current-password" className="w-full bg-gray-900 border border-gray-700 rounded-md p-2" value={password} onChange={(e) => setPassword(e.target.value)} required />
+        </div>
+        {error && <p className="text-red-400 text-sm">{error}</p>}
+        <button type="submit" disabled={isSubmitting} className="w-full bg-indigo-600 hover:bg-indigo-500 disabled:bg-gray-600 text-white font-bold py-2 px-4 rounded-lg flex items-center justify-center gap-2"><LogIn size={18} />{isSubmitting ? 'Signing in...' : 'Sign in'}</button>
+      </form>
+    </div>
+  );
+};
+
+export default LoginView;
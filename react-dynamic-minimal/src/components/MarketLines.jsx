@@ -0,0 +1,76 @@
+import React from 'react';
+import useOddsFormat from '../hooks/useOddsFormat';
+import { formatPoint, impliedProbability } from '../utils/odds';
+
+const Cell = ({ line, probability }) => (
+  <td className="py-3 px-2 text-center">
+    <div className="font-semibold text-white">{line}</div>
+    {probability !== undefined && <div className="text-xs text-gray-400">{probability.toFixed(1)}% implied</div>}
+  </td>
+);
+
+const EmptyCell = () => <td className="py-3 px-2 text-center text-gray-500">&mdash;</td>;
+
+// Moneyline, spread and total for two teams side by side. Probabilities are
+// vig-free (the two sides of each market normalised to 100%).
+const MarketLines = ({ teamA, teamB }) => {
+  const { formatPrice } = useOddsFormat();
+  const gameA = teamA.upcomingGame;
+  const gameB = teamB.upcomingGame;
+  const sameGame = gameA.eventId === gameB.eventId;
+
+  const moneylineA = impliedProbability(gameA.moneyline);
+  const moneylineB = impliedProbability(gameB.moneyline);
+
+  const renderSpread = (spread) => (spread
+    ? <Cell line={`${formatPoint(spread.point)} (${formatPrice(spread.price)})`} probability={spread.probability?.fair} />
+    : <EmptyCell />);
+
+  const renderTotal = (total) => (total
+    ? (
+      <td className="py-3 px-2 text-center">
+        {['over', 'under'].map((side) => (
+          <div key={side}>
+            <span className="font-semibold text-white">{side === 'over' ? 'O' : 'U'} {total[side].point} ({formatPrice(total[side].price)})</span>
+            <span className="text-xs text-gray-400 ml-2">{total[side].probability.fair.toFixed(1)}%</span>
+          </div>
+        ))}
+      </td>
+    )
+    : <EmptyCell />);
+
+  return (
+    <div className="bg-gray-900/50 p-6 rounded-xl mb-8">
+      <h3 className="text-xl font-semibold text-center text-indigo-300 mb-4">Market Lines</h3>
+      <table className="w-full text-sm">
+        <thead>
+          <tr className="text-gray-400 border-b border-gray-700">
+            <th className="py-2 px-2 text-left">Market</th>
+            <th className="py-2 px-2 text-center text-green-400">{teamA.name}</th>
+            <th className="py-2 px-2 text-center text-blue-400">{teamB.name}</th>
+          </tr>
+        </thead>
+        <tbody>
+          <tr className="border-b border-gray-700/50">
+            <td className="py-3 px-2 text-gray-300">Moneyline</td>
+            <Cell line={formatPrice(gameA.moneyline)} probability={sameGame ? (moneylineA / (moneylineA + moneylineB)) * 100 : moneylineA} />
+            <Cell line={formatPrice(gameB.moneyline)} probability={sameGame ? (moneylineB / (moneylineA + moneylineB)) * 100 : moneylineB} />
+          </tr>
+          <tr className="border-b border-gray-700/50">
+            <td className="py-3 px-2 text-gray-300">Spread</td>
+            {renderSpread(gameA.spread)}
+            {renderSpread(gameB.spread)}
+          </tr>
+          <tr>
+            <td className="py-3 px-2 text-gray-300">Total</td>
+            {renderTotal(gameA.total)}
+            {renderTotal(gameB.total)}
+          </tr>
+        </tbody>
+      </table>
+      {!sameGame && <p className="text-xs text-gray-400 mt-3">These teams are not playing each other next, so each column shows that team's own upcoming game.</p>}
+    </div>
+  );
+};
+
+export default MarketLines;
@@ -0,0 +1,65 @@
+import React from 'react';
+import { Brain } from 'lucide-react';
+import { formatPoint } from '../utils/odds';
+
+const LEVEL_STYLES = {
+  strong: 'bg-amber-900/40 border-amber-500 text-amber-200',
+  moderate: 'bg-indigo-900/40 border-indigo-500 text-indigo-200',
+  none: 'bg-gray-800 border-gray-700 text-gray-300',
+};
+
+const signed = (value, suffix = '') => `${value > 0 ? '+' : ''}${value.toFixed(1)}${suffix}`;
+const spreadFor = (homeSpread, side) => (side === 'home' ? homeSpread : -homeSpread);
+
+// The Elo model's win probability and spread next to the market's vig-free
+// numbers for one game, with the disagreement called out. `comparison` is
+// the /model/:eventId payload; teams are listed in the matchup's A/B order.
+const ModelComparison = ({ comparison, teamA, teamB }) => {
+  if (!comparison) return null;
+  const { model, market, edge, disagreement } = comparison;
+  const rows = [teamA, teamB].map((team) => ({ team, side: team.upcomingGame.homeAway }));
+  const unrated = rows.filter(({ side }) => !model[side].rated).map(({ team }) => team.name);
+
+  return (
+    <div className="bg-gray-900/50 p-6 rounded-xl mb-8">
+      <h3 className="text-xl font-semibold text-center text-amber-300 mb-1 flex items-center justify-center gap-2"><Brain size={20} />Model vs Market</h3>
+      <p className="text-xs text-center text-gray-500 mb-4">Elo ratings from {comparison.gamesRated} games{comparison.asOf ? ` through ${comparison.asOf}` : ''}, with home advantage and margin of victory.</p>
+      <div className={`border rounded-md p-3 mb-4 text-sm text-center ${LEVEL_STYLES[disagreement.level]}`}>
+        {disagreement.level === 'none'
+          ? 'The model broadly agrees with the market on this game.'
+          : <>The model is <strong>{disagreement.level === 'strong' ? 'strongly' : 'moderately'}</strong> higher on the <strong>{disagreement.team}</strong> than the market{edge ? ` (${signed(edge[disagreement.favours], ' pts')} win probability)` : ''}.</>}
+      </div>
+      <div className="overflow-x-auto">
+        <table className="w-full text-sm">
+          <thead>
+            <tr className="text-gray-400 border-b border-gray-700">
+              <th className="py-2 pr-3 text-left">Team</th>
+              <th className="py-2 pr-3 text-right">Elo</th>
+              <th className="py-2 pr-3 text-right">Model win %</th>
+              <th className="py-2 pr-3 text-right">Market win %</th>
+              <th className="py-2 pr-3 text-right">Edge</th>
+              <th className="py-2 pr-3 text-right">Model spread</th>
+              <th className="py-2 text-right">Market spread</th>
+            </tr>
+          </thead>
+          <tbody>
+            {rows.map(({ team, side }) => (
+              <tr key={team.id} className={`border-b border-gray-700/50 ${disagreement.favours === side ? 'bg-amber-900/20' : ''}`}>
+                <td className="py-2 pr-3 font-semibold">{team.name}</td>
+                <td className="py-2 pr-3 text-right">{Math.round(model[side].rating)}</td>
+                <td className="py-2 pr-3 text-right">{model[side].probability.toFixed(1)}%</td>
+                <td className="py-2 pr-3 text-right">{market[side].probability !== null ? `${market[side].probability.toFixed(1)}%` : '—'}</td>
+                <td className={`py-2 pr-3 text-right font-semibold ${edge ? (edge[side] > 0 ? 'text-green-400' : 'text-red-400') : 'text-gray-500'}`}>{edge ? signed(edge[side], ' pts') : '—'}</td>
+                <td className="py-2 pr-3 text-right">{formatPoint(spreadFor(model.homeSpread, side))}</td>
+                <td className="py-2 text-right">{market.homeSpread !== null ? formatPoint(spreadFor(market.homeSpread, side)) : '—'}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+      {unrated.length > 0 && <p className="text-xs text-gray-500 mt-2">No results on record for {unrated.join(' and ')}; rated at the starting Elo.</p>}
+    </div>
+  );
+};
+
+export default ModelComparison;
@@ -0,0 +1,362 @@
+import React, { useCallback, useEffect, useMemo, useState } from 'react';
+import { Plus, RefreshCw, Trash2, Ban, Receipt } from 'lucide-react';
+import useOddsFormat from '../hooks/useOddsFormat';
+import { apiFetch } from '../utils/api';
+import { formatPoint, parseOdds } from '../utils/odds';
+
+const MARKET_LABELS = { h2h: 'Moneyline', spreads: 'Spread', totals: 'Total', parlay: 'Parlay' };
+const STATUS_STYLES = {
+  pending: 'bg-gray-700 text-gray-200',
+  won: 'bg-green-900/60 text-green-300',
+  lost: 'bg-red-900/60 text-red-300',
+  push: 'bg-yellow-900/60 text-yellow-300',
+  void: 'bg-gray-800 text-gray-400',
+};
+
+const formatMoney = (amount) => amount.toLocaleString(undefined, { style: 'currency', currency: 'USD' });
+const signedMoney = (amount) => `${amount > 0 ? '+' : ''}${formatMoney(amount)}`;
+
+// Every side of one market in a game record, with each book's quote
+const quotesFor = (game, market) => {
+  const { h2h, spreads, totals } = game.markets;
+  if (market === 'h2h' && h2h) {
+    return [[game.homeTeam.name, h2h.home], [game.awayTeam.name, h2h.away], ...(h2h.draw ? [['Draw', h2h.draw]] : [])];
+  }
+  if (market === 'spreads' && spreads) return [[game.homeTeam.name, spreads.home], [game.awayTeam.name, spreads.away]];
+  if (market === 'totals' && totals) return [['Over', totals.over], ['Under', totals.under]];
+  return [];
+};
+
+const describeLeg = (leg) => {
+  const line = leg.point === undefined ? '' : ` ${leg.market === 'totals' ? leg.point : formatPoint(leg.point)}`;
+  return `${leg.selection}${line} (${MARKET_LABELS[leg.market]}, ${leg.awayTeam} @ ${leg.homeTeam})`;
+};
+
+const Stat = ({ label, value, tone }) => (
+  <div className="bg-gray-900/60 rounded-lg p-3">
+    <div className="text-xs text-gray-400">{label}</div>
+    <div className={`text-xl font-bold ${tone || 'text-white'}`}>{value}</div>
+  </div>
+);
+
+const toneOf = (value) => (value > 0 ? 'text-green-400' : value < 0 ? 'text-red-400' : 'text-gray-200');
+
+const BreakdownTable = ({ groups }) => {
+  const rows = Object.entries(groups).sort((a, b) => b[1].profit - a[1].profit);
+  if (rows.length === 0) return <p className="text-gray-500 text-sm">No bets yet.</p>;
+  return (
+    <table className="w-full text-sm">
+      <thead>
+        <tr className="text-gray-400 border-b border-gray-700">
+          <th className="py-2 pr-3 text-left">Name</th>
+          <th className="py-2 pr-3 text-right">Record</th>
+          <th className="py-2 pr-3 text-right">Staked</th>
+          <th className="py-2 pr-3 text-right">Profit</th>
+          <th className="py-2 pr-3 text-right">ROI</th>
+          <th className="py-2 text-right">Units</th>
+        </tr>
+      </thead>
+      <tbody>
+        {rows.map(([name, totals]) => (
+          <tr key={name} className="border-b border-gray-700/50">
+            <td className="py-2 pr-3">{MARKET_LABELS[name] || name}</td>
+            <td className="py-2 pr-3 text-right text-gray-300">{totals.won}-{totals.lost}-{totals.push}{totals.pending > 0 && <span className="text-gray-500"> ({totals.pending} open)</span>}</td>
+            <td className="py-2 pr-3 text-right">{formatMoney(totals.staked)}</td>
+            <td className={`py-2 pr-3 text-right ${toneOf(totals.profit)}`}>{signedMoney(totals.profit)}</td>
+            <td className={`py-2 pr-3 text-right ${toneOf(totals.roi)}`}>{totals.roi.toFixed(1)}%</td>
+            <td className={`py-2 text-right ${toneOf(totals.units)}`}>{totals.units.toFixed(2)}</td>
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  );
+};
+
+// Builds a slip leg by leg from the current sport's games. One leg places a
+// single; more make a parlay. Prices are typed in the user's odds format.
+const BetSlip = ({ games, sport, onPlace }) => {
+  const { oddsFormat, formatPrice } = useOddsFormat();
+  const [eventId, setEventId] = useState(games[0]?.id || '');
+  const [market, setMarket] = useState('h2h');
+  const [selection, setSelection] = useState('');
+  const [bookmaker, setBookmaker] = useState('');
+  const [priceInput, setPriceInput] = useState('');
+  const [pointInput, setPointInput] = useState('');
+  const [legs, setLegs] = useState([]);
+  const [stake, setStake] = useState(10);
+  const [error, setError] = useState(null);
+
+  const game = games.find(g => g.id === eventId);
+  const sides = useMemo(() => (game ? quotesFor(game, market) : []), [game, market]);
+  const books = game?.bookmakers || [];
+
+  useEffect(() => {
+    if (games.length > 0 && !games.some(g => g.id === eventId)) setEventId(games[0].id);
+  }, [games, eventId]);
+
+  useEffect(() => {
+    if (sides.length > 0 && !sides.some(([name]) => name === selection)) setSelection(sides[0][0]);
+  }, [sides, selection]);
+
+  useEffect(() => {
+    if (!bookmaker && books.length > 0) setBookmaker(books[0].key);
+  }, [books, bookmaker]);
+
+  // Prefill the chosen book's quote, falling back to the consensus line
+  useEffect(() => {
+    const side = sides.find(([name]) => name === selection)?.[1];
+    if (!side) return;
+    const quote = side.books.find(book => book.bookmaker === bookmaker) || side;
+    setPriceInput(formatPrice(quote.price).replace('%', ''));
+    setPointInput(quote.point === undefined ? '' : String(quote.point));
+  }, [sides, selection, bookmaker, formatPrice]);
+
+  const addLeg = () => {
+    const price = parseOdds(priceInput, oddsFormat);
+    if (!game || Number.isNaN(price)) {
+      setError('Enter a valid price for the selection.');
+      return;
+    }
+    if (legs.some(leg => leg.eventId === game.id && leg.market === market)) {
+      setError('The slip already has a leg in this market of that game.');
+      return;
+    }
+    setError(null);
+    setLegs([...legs, {
+      sport,
+      eventId: game.id,
+      market,
+      selection,
+      ...(market !== 'h2h' && { point: Number(pointInput) }),
+      price,
+      homeTeam: game.homeTeam.name,
+      awayTeam: game.awayTeam.name,
+      commenceTime: game.commenceTime,
+    }]);
+  };
+
+  const place = async () => {
+    setError(null);
+    try {
+      await onPlace({ bookmaker, stake, legs, oddsFormat: 'american' });
+      setLegs([]);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  if (games.length === 0) {
+    return <p className="text-gray-500 text-sm">No upcoming games to bet on in this league.</p>;
+  }
+
+  return (
+    <div className="space-y-3 text-sm">
+      <div className="grid grid-cols-2 md:grid-cols-6 gap-2 items-end">
+        <div className="col-span-2">
+          <label className="block text-gray-400 mb-1" htmlFor="slip-game">Game</label>
+          <select id="slip-game" className="w-full bg-gray-900 border border-gray-700 rounded-md p-2" value={eventId} onChange={(e) => setEventId(e.target.value)}>
+            {games.map((g) => <option key={g.id} value={g.id}>{g.awayTeam.name} @ {g.homeTeam.name}</option>)}
+          </select>
+        </div>
+        <div>
+          <label className="block text-gray-400 mb-1" htmlFor="slip-market">Market</label>
+          <select id="slip-market" className="w-full bg-gray-900 border border-gray-700 rounded-md p-2" value={market} onChange={(e) => setMarket(e.target.value)}>
+            {['h2h', 'spreads', 'totals'].map((key) => <option key={key} value={key}>{MARKET_LABELS[key]}</option>)}
+          </select>
+        </div>
+        <div>
+          <label className="block text-gray-400 mb-1" htmlFor="slip-selection">Selection</label>
+          <select id="slip-selection" className="w-full bg-gray-900 border border-gray-700 rounded-md p-2" value={selection} onChange={(e) => setSelection(e.target.value)} disabled={sides.length === 0}>
+            {sides.map(([name]) => <option key={name} value={name}>{name}</option>)}
+          </select>
+        </div>
+        {market !== 'h2h' && (
+          <div>
+            <label className="block text-gray-400 mb-1" htmlFor="slip-point">Point</label>
+            <input id="slip-point" type="number" step="0.5" className="w-full bg-gray-900 border border-gray-700 rounded-md p-2" value={pointInput} onChange={(e) => setPointInput(e.target.value)} />
+          </div>
+        )}
+        <div>
+          <label className="block text-gray-400 mb-1" htmlFor="slip-price">Price ({oddsFormat})</label>
+          <input id="slip-price" className="w-full bg-gray-900 border border-gray-700 rounded-md p-2" value={priceInput} onChange={(e) => setPriceInput(e.target.value)} />
+        </div>
+      </div>
+      <div className="flex flex-wrap gap-2 items-end">
+        <div>
+          <label className="block text-gray-400 mb-1" htmlFor="slip-book">Bookmaker</label>
+          <select id="slip-book" className="bg-gray-900 border border-gray-700 rounded-md p-2" value={bookmaker} onChange={(e) => setBookmaker(e.target.value)} disabled={legs.length > 0}>
+            {books.map((book) => <option key={book.key} value={book.key}>{book.title}</option>)}
+          </select>
+        </div>
+        <button onClick={addLeg} disabled={sides.length === 0} className="bg-gray-700 hover:bg-gray-600 disabled:bg-gray-800 disabled:text-gray-500 py-2 px-3 rounded-md flex items-center gap-1"><Plus size={16} />Add to slip</button>
+      </div>
+      {legs.length > 0 && (
+        <div className="bg-gray-900/60 rounded-lg p-3">
+          <div className="font-semibold text-gray-300 mb-2">{legs.length === 1 ? 'Single' : `${legs.length}-leg parlay`}</div>
+          <ul className="space-y-1 mb-3">
+            {legs.map((leg, index) => (
+              <li key={`${leg.eventId}:${leg.market}`} className="flex justify-between gap-2">
+                <span>{describeLeg(leg)} <span className="font-semibold">{formatPrice(leg.price)}</span></span>
+                <button onClick={() => setLegs(legs.filter((_, i) => i !== index))} className="text-gray-500 hover:text-red-400" aria-label="Remove leg"><Trash2 size={14} /></button>
+              </li>
+            ))}
+          </ul>
+          <div className="flex items-end gap-2">
+            <div>
+              <label className="block text-gray-400 mb-1" htmlFor="slip-stake">Stake</label>
+              <input id="slip-stake" type="number" min="1" className="w-28 bg-gray-900 border border-gray-700 rounded-md p-2" value={stake} onChange={(e) => setStake(Number(e.target.value))} />
+            </div>
+            <button onClick={place} disabled={!(stake > 0)} className="bg-indigo-600 hover:bg-indigo-500 disabled:bg-gray-600 text-white font-bold py-2 px-4 rounded-md">Place bet</button>
+          </div>
+        </div>
+      )}
+      {error && <p className="text-red-400">{error}</p>}
+    </div>
+  );
+};
+
+// Recorded bets across every sport, with P&L reporting and a slip for new ones
+const MyBetsView = ({ apiUrl, games, sport, onBack }) => {
+  const { formatPrice } = useOddsFormat();
+  const [bets, setBets] = useState(null);
+  const [summary, setSummary] = useState(null);
+  const [breakdown, setBreakdown] = useState('byMarket');
+  const [error, setError] = useState(null);
+  const [isSettling, setIsSettling] = useState(false);
+
+  const request = useCallback(async (path, options = {}) => {
+    const separator = path.includes('?') ? '&' : '?';
+    const response = await apiFetch(`${apiUrl}${path}${separator}oddsFormat=american`, {
+      ...options,
+      headers: { 'Content-Type': 'application/json', ...options.headers },
+    });
+    if (response.status === 204) return null;
+    const data = await response.json();
+    if (!response.ok) throw new Error(data.message || `Request failed (${response.status})`);
+    return data;
+  }, [apiUrl]);
+
+  const reload = useCallback(() => Promise.all([request('/bets'), request('/bets/summary')])
+    .then(([list, report]) => { setBets(list.bets); setSummary(report); setError(null); })
+    .catch(err => {
+      console.error("Bets fetch error:", err);
+      setError(err.message);
+    }), [request]);
+
+  useEffect(() => { reload(); }, [reload]);
+
+  const placeBet = async (bet) => {
+    await request('/bets', { method: 'POST', body: JSON.stringify(bet) });
+    await reload();
+  };
+
+  const settleNow = async () => {
+    setIsSettling(true);
+    try {
+      await request('/bets/settle', { method: 'POST' });
+      await reload();
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setIsSettling(false);
+    }
+  };
+
+  const act = (promise) => promise.then(reload).catch(err => setError(err.message));
+  const voidBet = (id) => act(request(`/bets/${id}`, { method: 'PATCH', body: JSON.stringify({ status: 'void' }) }));
+  const deleteBet = (id) => act(request(`/bets/${id}`, { method: 'DELETE' }));
+
+  const overall = summary?.overall;
+
+  return (
+    <div className="bg-gray-800 p-4 md:p-6 rounded-lg shadow-lg border border-gray-700">
+      <button onClick={onBack} className="mb-4 text-sm text-indigo-400 hover:text-indigo-300">&larr; Back to Market Overview</button>
+      <div className="flex justify-between items-center mb-4">
+        <h2 className="text-3xl font-bold flex items-center gap-2"><Receipt size={28} />My Bets</h2>
+        <button onClick={settleNow} disabled={isSettling} className="bg-gray-700 hover:bg-gray-600 disabled:bg-gray-800 py-2 px-3 rounded-md flex items-center gap-2 text-sm"><RefreshCw size={16} className={isSettling ? 'animate-spin' : ''} />Settle from scores</button>
+      </div>
+      {error && <p className="text-red-400 mb-4">{error}</p>}
+
+      {overall && (
+        <div className="grid grid-cols-2 md:grid-cols-5 gap-3 mb-6">
+          <Stat label="Record (W-L-P)" value={`${overall.won}-${overall.lost}-${overall.push}`} />
+          <Stat label="Open bets" value={overall.pending} />
+          <Stat label="Profit" value={signedMoney(overall.profit)} tone={toneOf(overall.profit)} />
+          <Stat label="ROI" value={`${overall.roi.toFixed(1)}%`} tone={toneOf(overall.roi)} />
+          <Stat label={`Units (${formatMoney(summary.unitSize)})`} value={overall.units.toFixed(2)} tone={toneOf(overall.units)} />
+        </div>
+      )}
+
+      <div className="grid grid-cols-1 lg:grid-cols-2 gap-6 mb-6">
+        <div className="bg-gray-900/50 p-4 rounded-xl">
+          <h3 className="text-lg font-semibold text-indigo-300 mb-3">New Bet</h3>
+          <BetSlip games={games} sport={sport} onPlace={placeBet} />
+        </div>
+        <div className="bg-gray-900/50 p-4 rounded-xl">
+          <div className="flex justify-between items-center mb-3">
+            <h3 className="text-lg font-semibold text-indigo-300">Breakdown</h3>
+            <div className="flex gap-1">
+              {[['byMarket', 'Market'], ['byBook', 'Book'], ['byTeam', 'Team']].map(([key, label]) => (
+                <button key={key} onClick={() => setBreakdown(key)} className={`py-1 px-3 rounded-md text-xs font-semibold ${breakdown === key ? 'bg-indigo-600 text-white' : 'bg-gray-800 text-gray-300 hover:bg-gray-700'}`}>{label}</button>
+              ))}
+            </div>
+          </div>
+          {summary && <BreakdownTable groups={summary[breakdown]} />}
+        </div>
+      </div>
+
+      <h3 className="text-lg font-semibold text-gray-300 mb-2">History</h3>
+      {!bets && !error && <p className="text-gray-400">Loading bets...</p>}
+      {bets && bets.length === 0 && <p className="text-gray-500">No bets recorded yet.</p>}
+      {bets && bets.length > 0 && (
+        <div className="overflow-x-auto">
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="text-gray-400 border-b border-gray-700">
+                <th className="py-2 pr-3 text-left">Placed</th>
+                <th className="py-2 pr-3 text-left">Bet</th>
+                <th className="py-2 pr-3 text-left">Book</th>
+                <th className="py-2 pr-3 text-right">Price</th>
+                <th className="py-2 pr-3 text-right">Stake</th>
+                <th className="py-2 pr-3 text-center">Status</th>
+                <th className="py-2 pr-3 text-right">P&amp;L</th>
+                <th className="py-2"></th>
+              </tr>
+            </thead>
+            <tbody>
+              {bets.map((bet) => (
+                <tr key={bet.id} className="border-b border-gray-700/50 align-top">
+                  <td className="py-2 pr-3 text-gray-400 whitespace-nowrap">{new Date(bet.createdAt).toLocaleDateString()}</td>
+                  <td className="py-2 pr-3">
+                    {bet.type === 'parlay' && <div className="text-xs font-semibold text-indigo-300">{bet.legs.length}-leg parlay</div>}
+                    {bet.legs.map((leg) => (
+                      <div key={`${leg.eventId}:${leg.market}`} className={bet.type === 'parlay' ? 'text-gray-300' : ''}>
+                        {describeLeg(leg)}{bet.type === 'parlay' && <span className="text-gray-500"> {formatPrice(leg.price)} · {leg.result}</span>}
+                        {leg.clv && (
+                          <div className={`text-xs ${leg.clv.beatClose ? 'text-green-400' : 'text-red-400'}`}>
+                            Closed {formatPrice(leg.clv.closingPrice)}{leg.clv.closingPoint !== undefined && ` at ${leg.market === 'totals' ? leg.clv.closingPoint : formatPoint(leg.clv.closingPoint)}`} · CLV {leg.clv.priceDelta > 0 ? '+' : ''}{leg.clv.priceDelta}%
+                          </div>
+                        )}
+                      </div>
+                    ))}
+                  </td>
+                  <td className="py-2 pr-3">{bet.bookmaker}</td>
+                  <td className="py-2 pr-3 text-right font-semibold">{formatPrice(bet.price)}</td>
+                  <td className="py-2 pr-3 text-right">{formatMoney(bet.stake)}</td>
+                  <td className="py-2 pr-3 text-center"><span className={`px-2 py-0.5 rounded text-xs font-semibold uppercase ${STATUS_STYLES[bet.status]}`}>{bet.status}</span></td>
+                  <td className={`py-2 pr-3 text-right ${toneOf(bet.profit || 0)}`}>{bet.status === 'pending' ? '—' : signedMoney(bet.profit)}</td>
+                  <td className="py-2 text-right whitespace-nowrap">
+                    {bet.status === 'pending' && <button onClick={() => voidBet(bet.id)} className="text-gray-500 hover:text-yellow-400 mr-2" aria-label="Void bet" title="Void"><Ban size={16} /></button>}
+                    <button onClick={() => deleteBet(bet.id)} className="text-gray-500 hover:text-red-400" aria-label="Delete bet" title="Delete"><Trash2 size={16} /></button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default MyBetsView;
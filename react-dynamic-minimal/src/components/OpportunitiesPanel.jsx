@@ -0,0 +1,96 @@
+import React, { useEffect, useState } from 'react';
+import { RefreshCw, Scale, Split } from 'lucide-react';
+import useOddsFormat from '../hooks/useOddsFormat';
+import { apiFetch } from '../utils/api';
+import { formatPoint } from '../utils/odds';
+
+const MARKET_LABELS = { h2h: 'Moneyline', spreads: 'Spread', totals: 'Total' };
+
+const formatMoney = (amount) => amount.toLocaleString(undefined, { style: 'currency', currency: 'USD' });
+
+const Leg = ({ leg, market, formatPrice }) => (
+  <tr className="border-b border-gray-700/50 last:border-0">
+    <td className="py-1 pr-4">{leg.name}{leg.point !== undefined && <span className="text-gray-400 ml-1">{market === 'totals' ? leg.point : formatPoint(leg.point)}</span>}</td>
+    <td className="py-1 pr-4 font-semibold">{formatPrice(leg.price)}</td>
+    <td className="py-1 pr-4 text-gray-300">{leg.title}</td>
+    <td className="py-1 text-right">{formatMoney(leg.stake)}</td>
+  </tr>
+);
+
+const OpportunityCard = ({ opportunity, formatPrice }) => {
+  const { type, market, legs, guaranteedReturn, middleReturn, middle } = opportunity;
+  const isArbitrage = type === 'arbitrage';
+  return (
+    <div className={`bg-gray-800 rounded-lg border p-4 ${isArbitrage ? 'border-green-600/60' : 'border-indigo-600/60'}`}>
+      <div className="flex justify-between items-start mb-2">
+        <div>
+          <div className="font-semibold text-white">{opportunity.awayTeam} @ {opportunity.homeTeam}</div>
+          <div className="text-xs text-gray-400">{new Date(opportunity.commenceTime).toLocaleString()} &middot; {MARKET_LABELS[market]}</div>
+        </div>
+        <span className={`flex items-center gap-1 text-xs font-bold uppercase ${isArbitrage ? 'text-green-400' : 'text-indigo-300'}`}>{isArbitrage ? <Scale size={14} /> : <Split size={14} />}{type}</span>
+      </div>
+      <table className="w-full text-sm mb-2"><tbody>{legs.map((leg) => <Leg key={`${leg.bookmaker}:${leg.name}`} leg={leg} market={market} formatPrice={formatPrice} />)}</tbody></table>
+      <div className="flex flex-wrap gap-4 text-sm">
+        <span className="text-gray-400">{isArbitrage ? 'Guaranteed' : 'Worst case'}: <span className={`font-semibold ${guaranteedReturn.profit >= 0 ? 'text-green-400' : 'text-red-400'}`}>{formatMoney(guaranteedReturn.amount)} ({guaranteedReturn.roi >= 0 ? '+' : ''}{guaranteedReturn.roi}%)</span></span>
+        {middle && <span className="text-gray-400">Both win ({market === 'spreads' ? 'home margin' : 'total'} {middle.lowerBound} to {middle.upperBound}): <span className="font-semibold text-green-400">{formatMoney(middleReturn.amount)} (+{middleReturn.roi}%)</span></span>}
+      </div>
+    </div>
+  );
+};
+
+// Current cross-book arbitrages and middles, with stakes for a chosen bankroll
+const OpportunitiesPanel = ({ url }) => {
+  const { formatPrice } = useOddsFormat();
+  const [bankroll, setBankroll] = useState(100);
+  const [data, setData] = useState(null);
+  const [error, setError] = useState(null);
+  const [refreshKey, setRefreshKey] = useState(0);
+
+  useEffect(() => {
+    if (!(bankroll > 0)) return;
+    let cancelled = false;
+    setError(null);
+    apiFetch(`${url}?bankroll=${bankroll}&oddsFormat=american`)
+      .then(res => {
+        if (!res.ok) throw new Error(`Opportunities request failed (${res.status})`);
+        return res.json();
+      })
+      .then(result => { if (!cancelled) setData(result); })
+      .catch(err => {
+        console.error("Opportunities fetch error:", err);
+        if (!cancelled) setError(err.message);
+      });
+    return () => { cancelled = true; };
+  }, [url, bankroll, refreshKey]);
+
+  const arbitrages = data?.opportunities.filter(o => o.type === 'arbitrage') || [];
+  const middles = data?.opportunities.filter(o => o.type === 'middle') || [];
+
+  return (
+    <div>
+      <div className="flex flex-wrap items-end gap-3 mb-4">
+        <div>
+          <label className="block text-xs text-gray-400 mb-1" htmlFor="bankroll">Bankroll</label>
+          <input id="bankroll" type="number" min="1" step="10" className="w-32 bg-gray-900 border border-gray-700 rounded-md p-2" value={bankroll} onChange={(e) => setBankroll(Number(e.target.value))} />
+        </div>
+        <button onClick={() => setRefreshKey(key => key + 1)} className="bg-gray-800 hover:bg-gray-700 text-gray-300 py-2 px-3 rounded-md flex items-center gap-2 text-sm"><RefreshCw size={16} />Refresh</button>
+      </div>
+      {error && <p className="text-red-400 mb-4">{error}</p>}
+      {!data && !error && <p className="text-gray-400">Scanning bookmakers...</p>}
+      {data && (
+        <div className="space-y-6">
+          {[['Arbitrage', arbitrages, 'No arbitrage across the current books.'], ['Middles', middles, 'No middles across the current books.']].map(([title, list, empty]) => (
+            <div key={title}>
+              <h3 className="text-lg font-semibold text-gray-300 mb-2">{title} <span className="text-sm text-gray-500">({list.length})</span></h3>
+              {list.length === 0
+                ? <p className="text-gray-500 text-sm">{empty}</p>
+                : <div className="grid grid-cols-1 lg:grid-cols-2 gap-4">{list.map((opportunity) => <OpportunityCard key={`${opportunity.eventId}:${opportunity.market}:${opportunity.type}:${opportunity.legs.map(leg => leg.point).join('/')}`} opportunity={opportunity} formatPrice={formatPrice} />)}</div>}
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default OpportunitiesPanel;
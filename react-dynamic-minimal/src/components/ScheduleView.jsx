@@ -0,0 +1,60 @@
+import React, { useMemo } from 'react';
+import { CalendarDays } from 'lucide-react';
+import TeamBadge from './TeamBadge';
+import useOddsFormat from '../hooks/useOddsFormat';
+import { formatPoint } from '../utils/odds';
+
+const dateKey = (iso) => new Date(iso).toLocaleDateString(undefined, { weekday: 'long', month: 'short', day: 'numeric' });
+const tipOff = (iso) => new Date(iso).toLocaleTimeString(undefined, { hour: 'numeric', minute: '2-digit' });
+
+// Upcoming games grouped by local date, soonest first
+const ScheduleView = ({ games, onSelectGame }) => {
+  const { formatPrice } = useOddsFormat();
+  const days = useMemo(() => {
+    const grouped = new Map();
+    games.forEach((game) => {
+      const key = dateKey(game.commenceTime);
+      if (!grouped.has(key)) grouped.set(key, []);
+      grouped.get(key).push(game);
+    });
+    return Array.from(grouped.entries());
+  }, [games]);
+
+  if (games.length === 0) {
+    return <p className="text-gray-400 text-center p-6">No upcoming games scheduled.</p>;
+  }
+
+  return (
+    <div className="space-y-6">
+      {days.map(([day, dayGames]) => (
+        <div key={day}>
+          <h3 className="flex items-center gap-2 text-lg font-semibold text-gray-300 mb-2"><CalendarDays size={18} />{day}</h3>
+          <div className="bg-gray-800 rounded-lg border border-gray-700 divide-y divide-gray-700">
+            {dayGames.map((game) => {
+              const { h2h, spreads, totals } = game.markets;
+              return (
+                <div key={game.id} className="grid grid-cols-2 md:grid-cols-5 gap-2 items-center p-3 cursor-pointer hover:bg-gray-700/50 transition-colors" onClick={() => onSelectGame(game)}>
+                  <div className="text-sm text-gray-400">{tipOff(game.commenceTime)}</div>
+                  <div className="md:col-span-2">
+                    <div className="font-semibold text-white"><TeamBadge team={game.awayTeam} className="mr-2" />{game.awayTeam.name}</div>
+                    <div className="font-semibold text-white"><span className="text-gray-500 text-xs mr-1">@</span><TeamBadge team={game.homeTeam} className="mr-2" />{game.homeTeam.name}</div>
+                  </div>
+                  <div className="text-sm">
+                    <div className="text-gray-400 text-xs">Moneyline</div>
+                    {h2h ? <div>{formatPrice(h2h.away.price)} / {formatPrice(h2h.home.price)}</div> : <div className="text-gray-500">&mdash;</div>}
+                  </div>
+                  <div className="text-sm">
+                    <div className="text-gray-400 text-xs">Spread / Total</div>
+                    <div>{spreads ? `${formatPoint(spreads.home.point)} home` : '—'} &middot; {totals ? `O/U ${totals.point}` : '—'}</div>
+                  </div>
+                </div>
+              );
+            })}
+          </div>
+        </div>
+      ))}
+    </div>
+  );
+};
+
+export default ScheduleView;
@@ -1,274 +1,496 @@
-import React, { useState, useMemo, useEffect } from 'react';
-import { BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer, LineChart, Line, RadarChart, PolarGrid, PolarAngleAxis, PolarRadiusAxis, Radar } from 'recharts';
-import { ArrowUpRight, ArrowDownRight, TrendingUp, TrendingDown, Users, Shield, Swords, BarChart2, Sparkles, WifiOff } from 'lucide-react';
-
-// The backend server URL - uses environment variable in production
-const API_URL = import.meta.env.VITE_API_BASE_URL 
-  ? `${import.meta.env.VITE_API_BASE_URL}/api/v1/nba-data`
-  : 'http://localhost:3001/api/nba-data';
-
-// --- PROBABILITY MODEL (NOW USES LIVE ODDS) ---
-const calculateWinProbabilityFromOdds = (teamA, teamB) => {
-    if (!teamA?.upcomingGame || !teamB?.upcomingGame) return { [teamA.id]: 50, [teamB.id]: 50, insight: "Odds data not available." };
-
-    const convertAmericanToProbability = (odds) => {
-        if (odds > 0) {
-            return 100 / (odds + 100);
-        } else {
-            return (-odds) / (-odds + 100);
-        }
-    };
-    
-    const probA = convertAmericanToProbability(teamA.upcomingGame.moneyline);
-    const probB = convertAmericanToProbability(teamB.upcomingGame.moneyline);
-
-    // Normalize probabilities so they sum to 100%
-    const totalProb = probA + probB;
-    const normalizedProbA = (probA / totalProb) * 100;
-    const normalizedProbB = (probB / totalProb) * 100;
-
-    const insight = `The betting market implies a ${Math.round(normalizedProbA > normalizedProbB ? normalizedProbA : normalizedProbB)}% chance for the favorite, the ${normalizedProbA > normalizedProbB ? teamA.name : teamB.name}, to win.`;
-    
-    return {
-        [teamA.id]: normalizedProbA,
-        [teamB.id]: normalizedProbB,
-        insight: insight
-    };
-};
-
-// --- GEMINI API INTEGRATION ---
-const generateMatchupAnalysis = async (teamA, teamB) => {
-    const prompt = `Act as an expert sports analyst providing a pre-game briefing for an NBA matchup. Matchup: ${teamA.name} vs. ${teamB.name}.
-    
-    Team A (${teamA.name}):
-    - Current Market Moneyline: ${teamA.upcomingGame.moneyline}
-    - Mock Quantitative Data: ${JSON.stringify(teamA.quantitative)}
-    - Mock Qualitative Data: ${JSON.stringify(teamA.qualitative)}
-
-    Team B (${teamB.name}):
-    - Current Market Moneyline: ${teamB.upcomingGame.moneyline}
-    - Mock Quantitative Data: ${JSON.stringify(teamB.quantitative)}
-    - Mock Qualitative Data: ${JSON.stringify(teamB.qualitative)}
-
-    Your Task: Write a detailed, narrative-style analysis covering: 
-    1. Overall Matchup Synopsis based on the live betting odds.
-    2. Key Strengths & Weaknesses using the mock data.
-    3. Strategic X-Factors.
-    4. Prediction with a final score, justifying it with the available data.
-    Format the response clearly with headings.`;
-    
-    try {
-        // This is a placeholder for the actual API call logic
-        const payload = { contents: [{ role: "user", parts: [{ text: prompt }] }] };
-        const apiKey = ""; // Should be handled in a secure environment
-        const apiUrl = `https://generativelanguage.googleapis.com/v1beta/models/gemini-2.5-flash-preview-05-20:generateContent?key=${apiKey}`;
-        const response = await fetch(apiUrl, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(payload) });
-        if (!response.ok) throw new Error(`API call failed with status: ${response.status}`);
-        const result = await response.json();
-        return result.candidates?.[0]?.content?.parts?.[0]?.text || "No content found.";
-    } catch (error) {
-        console.error("Error generating AI analysis:", error);
-        return `An error occurred while generating the analysis. Note: Gemini API calls may be restricted in this environment. ${error.message}`;
-    }
-};
-
-// --- UI COMPONENTS ---
-const TeamStockCard = ({ team, onSelect }) => {
-  const isPositive = team.change >= 0;
-  return (
-    <div className="bg-gray-800 p-4 rounded-lg shadow-lg cursor-pointer hover:bg-gray-700/50 transition-all duration-300 border border-gray-700" onClick={() => onSelect(team.id)}>
-      <div className="flex justify-between items-start">
-        <div><h2 className="text-xl font-bold text-white">{team.name}</h2><p className="text-sm text-gray-400">Next Opp: {team.upcomingGame.opponent}</p></div>
-        <div className={`text-lg font-semibold ${team.price > 0 ? 'text-green-400' : 'text-red-400'}`}>{team.price > 0 ? `+${team.price}` : team.price}</div>
-      </div>
-      <div className="h-24 mt-4 -mx-4"><ResponsiveContainer width="100%" height="100%"><LineChart data={team.performanceHistory} margin={{ top: 5, right: 20, left: -10, bottom: 5 }}><Line type="monotone" dataKey="value" stroke={isPositive ? '#4ade80' : '#f87171'} strokeWidth={2} dot={false} /><YAxis domain={['dataMin - 5', 'dataMax + 5']} hide={true} /></LineChart></ResponsiveContainer></div>
-      <div className="flex justify-between items-center mt-2 text-sm"><div className={`flex items-center gap-1`}>Moneyline</div><div className="text-gray-400">Vol: <span className="font-semibold text-gray-300">{team.volume}</span></div></div>
-    </div>
-  );
-};
-
-const TeamDetailView = ({ team, onBack }) => {
-  return (
-    <div className="bg-gray-800 p-4 rounded-lg shadow-lg border border-gray-700">
-        <button onClick={onBack} className="mb-4 text-sm text-indigo-400 hover:text-indigo-300">&larr; Back to Market Overview</button>
-        <div className="flex justify-between items-center mb-4"><h2 className="text-2xl font-bold">{team.name}</h2><div className="text-right"><p className={`text-2xl font-bold ${team.price > 0 ? 'text-green-400' : 'text-red-400'}`}>{team.price > 0 ? `+${team.price}` : team.price}</p><p className={`text-sm`}>Moneyline vs {team.upcomingGame.opponent}</p></div></div>
-        <p className="text-gray-300 mt-4">Detailed view would show more specific stats when available from a more advanced API.</p>
-    </div>
-  );
-};
-
-const MatchupView = ({ teams, onBack, initialTeamAId, initialTeamBId }) => {
-    const teamIds = Object.keys(teams);
-    const defaultA = initialTeamAId || teamIds[0];
-    const defaultB = initialTeamBId || (teams[teamIds[0]]?.upcomingGame?.opponent.toLowerCase().replace(/ /g, '') || teamIds[1]);
-    const [teamAId, setTeamAId] = useState(defaultA);
-    const [teamBId, setTeamBId] = useState(defaultB);
-
-    const [isGenerating, setIsGenerating] = useState(false);
-    const [analysisResult, setAnalysisResult] = useState("");
-
-    const teamA = teams[teamAId];
-    const teamB = teams[teamBId];
-
-    const probabilityResult = useMemo(() => {
-        if (!teamA || !teamB) return null;
-        return calculateWinProbabilityFromOdds(teamA, teamB);
-    }, [teamA, teamB]);
-
-    const handleGenerateAnalysis = async () => {
-        if(!teamA || !teamB) return;
-        setIsGenerating(true);
-        setAnalysisResult("");
-        const result = await generateMatchupAnalysis(teamA, teamB);
-        setAnalysisResult(result);
-        setIsGenerating(false);
-    };
-
-    if(!teamA || !teamB){
-        return <div>Loading matchup...</div>
-    }
-
-    return (
-        <div className="bg-gray-800 p-4 md:p-6 rounded-lg shadow-lg border border-gray-700">
-            <button onClick={onBack} className="mb-4 text-sm text-indigo-400 hover:text-indigo-300">&larr; Back to Market Overview</button>
-            <h2 className="text-3xl font-bold text-center mb-6">Matchup Analysis & Implied Probability</h2>
-            <div className="grid grid-cols-1 md:grid-cols-3 gap-3 mb-6">
-                <div>
-                    <label className="block text-sm text-gray-300 mb-1">Team A</label>
-                    <select className="w-full bg-gray-900 border border-gray-700 rounded-md p-2" value={teamAId} onChange={(e) => setTeamAId(e.target.value)}>
-                        {teamIds.map((id) => (
-                            <option key={id} value={id}>{teams[id].name}</option>
-                        ))}
-                    </select>
-                </div>
-                <div>
-                    <label className="block text-sm text-gray-300 mb-1">Team B</label>
-                    <select className="w-full bg-gray-900 border border-gray-700 rounded-md p-2" value={teamBId} onChange={(e) => setTeamBId(e.target.value)}>
-                        {teamIds.map((id) => (
-                            <option key={id} value={id}>{teams[id].name}</option>
-                        ))}
-                    </select>
-                </div>
-                <div className="flex items-end">
-                    <button onClick={handleGenerateAnalysis} disabled={isGenerating} className="bg-amber-600 hover:bg-amber-500 disabled:bg-gray-500 disabled:cursor-not-allowed text-white font-bold py-2 px-6 rounded-lg w-full flex items-center justify-center gap-2 transition-colors">
-                        <Sparkles size={18} />{isGenerating ? 'Generating Analysis...' : 'Generate AI Briefing'}
-                    </button>
-                </div>
-            </div>
-            <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mb-6">
-                 <h2 className="text-xl font-bold text-center p-2 bg-gray-900 rounded-md">{teamA.name}</h2>
-                 <h2 className="text-xl font-bold text-center p-2 bg-gray-900 rounded-md">{teamB.name}</h2>
-            </div>
-            <div className="bg-gray-900/50 p-6 rounded-xl mb-8"><h3 className="text-xl font-semibold text-center text-indigo-300 mb-4">Implied Win Probability (from Market Odds)</h3><div className="flex w-full h-8 bg-gray-700 rounded-full overflow-hidden mb-2"><div className="bg-green-500 flex items-center justify-center font-bold" style={{ width: `${probabilityResult?.[teamA.id]}%` }}>{Math.round(probabilityResult?.[teamA.id])}%</div><div className="bg-blue-500 flex items-center justify-center font-bold" style={{ width: `${probabilityResult?.[teamB.id]}%` }}>{Math.round(probabilityResult?.[teamB.id])}%</div></div><div className="flex justify-between text-sm mb-4"><span className="font-bold text-green-400">{teamA.name}</span><span className="font-bold text-blue-400">{teamB.name}</span></div><p className="text-center text-gray-300 italic p-3 bg-gray-800 rounded-md"><strong>Market Insight:</strong> {probabilityResult?.insight}</p></div>
-            <div className="bg-gray-900/50 p-6 rounded-xl"><h3 className="text-xl font-semibold text-center text-amber-300 mb-4">Pre-Game AI Briefing</h3><div className="text-center mb-6"></div>{isGenerating && <div className="flex justify-center items-center h-40"><div className="animate-spin rounded-full h-16 w-16 border-t-2 border-b-2 border-amber-400"></div></div>}{analysisResult && <div className="prose prose-invert max-w-none text-gray-300 whitespace-pre-wrap p-4 bg-gray-800 rounded-md">{analysisResult}</div>}</div>
-        </div>
-    );
-};
-
-// --- Main App Component ---
-const App = () => {
-  const [view, setView] = useState('market');
-  const [selectedTeamId, setSelectedTeamId] = useState(null);
-  const [teamData, setTeamData] = useState(null);
-  const [error, setError] = useState(null);
-  const [selectedTeamAId, setSelectedTeamAId] = useState(null);
-  const [selectedTeamBId, setSelectedTeamBId] = useState(null);
-
-  useEffect(() => {
-    fetch(API_URL)
-      .then(res => {
-          if (!res.ok) {
-              throw new Error(`Network response was not ok. Is the server running?`);
-          }
-          return res.json();
-      })
-      .then(data => {
-          setTeamData(data);
-          const ids = Object.keys(data);
-          if (ids.length >= 2) {
-              setSelectedTeamAId(ids[0]);
-              const opponentId = data[ids[0]]?.upcomingGame?.opponent?.toLowerCase().replace(/ /g, '');
-              setSelectedTeamBId(opponentId && data[opponentId] ? opponentId : ids[1]);
-          }
-      })
-      .catch(err => {
-          console.error("Fetch error:", err);
-          setError(err.message);
-      });
-  }, []);
-
-  const handleSelectTeam = (id) => { setSelectedTeamId(id); setView('teamDetail'); };
-  const handleBackToMarket = () => { setSelectedTeamId(null); setView('market'); };
-  const selectedTeam = selectedTeamId && teamData ? teamData[selectedTeamId] : null;
-  const selectedTeamA = selectedTeamAId && teamData ? teamData[selectedTeamAId] : null;
-  const selectedTeamB = selectedTeamBId && teamData ? teamData[selectedTeamBId] : null;
-  const homeProbability = useMemo(() => {
-    if (!selectedTeamA || !selectedTeamB) return null;
-    return calculateWinProbabilityFromOdds(selectedTeamA, selectedTeamB);
-  }, [selectedTeamA, selectedTeamB]);
-
-  const renderContent = () => {
-    if (!teamData && !error) {
-        return <div className="text-center p-10"><div className="animate-spin rounded-full h-24 w-24 border-t-2 border-b-2 border-indigo-400 mx-auto"></div><p className="mt-4 text-lg">Fetching Live Market Data...</p></div>;
-    }
-    if (error) {
-        return <div className="text-center p-10 bg-red-900/20 border border-red-500 rounded-lg"><WifiOff className="mx-auto h-16 w-16 text-red-400" /><h3 className="mt-4 text-xl font-bold">Failed to Connect to Server</h3><p className="text-red-300 mt-2">{error}</p><p className="text-gray-400 mt-2">Please ensure the `server.js` file is running in a separate terminal.</p></div>;
-    }
-
-    switch (view) {
-        case 'matchup': return <MatchupView teams={teamData} onBack={handleBackToMarket} initialTeamAId={selectedTeamAId} initialTeamBId={selectedTeamBId} />;
-        case 'teamDetail': return <TeamDetailView team={selectedTeam} onBack={handleBackToMarket} />;
-        case 'market': default: return (
-            <>
-              <div className="bg-gray-800/50 rounded-lg border border-gray-700 p-4 mb-4">
-                <div className="grid grid-cols-1 md:grid-cols-4 gap-3 items-end">
-                  <div className="md:col-span-1">
-                    <label className="block text-sm text-gray-300 mb-1">Team A</label>
-                    <select className="w-full bg-gray-900 border border-gray-700 rounded-md p-2" value={selectedTeamAId || ''} onChange={(e) => setSelectedTeamAId(e.target.value)}>
-                      {teamData && Object.keys(teamData).map((id) => (
-                        <option key={id} value={id}>{teamData[id].name}</option>
-                      ))}
-                    </select>
-                  </div>
-                  <div className="md:col-span-1">
-                    <label className="block text-sm text-gray-300 mb-1">Team B</label>
-                    <select className="w-full bg-gray-900 border border-gray-700 rounded-md p-2" value={selectedTeamBId || ''} onChange={(e) => setSelectedTeamBId(e.target.value)}>
-                      {teamData && Object.keys(teamData).map((id) => (
-                        <option key={id} value={id}>{teamData[id].name}</option>
-                      ))}
-                    </select>
-                  </div>
-                  <div className="md:col-span-2 flex flex-col gap-2">
-                    <div className="flex justify-between items-center">
-                      <h2 className="text-2xl font-semibold text-gray-300">Market Overview (Live Odds)</h2>
-                      <button onClick={() => setView('matchup')} className="bg-indigo-600 hover:bg-indigo-500 text-white font-bold py-2 px-4 rounded-lg flex items-center gap-2 transition-colors"><BarChart2 size={18} />Matchup Analysis</button>
-                    </div>
-                    {homeProbability && selectedTeamA && selectedTeamB && (
-                      <div className="bg-gray-900/70 p-3 rounded-md">
-                        <div className="text-sm text-gray-300 mb-2">Implied Win Probability: <span className="font-semibold text-green-400">{selectedTeamA.name}</span> vs <span className="font-semibold text-blue-400">{selectedTeamB.name}</span></div>
-                        <div className="flex w-full h-6 bg-gray-700 rounded-full overflow-hidden">
-                          <div className="bg-green-500 flex items-center justify-center text-xs font-bold" style={{ width: `${homeProbability[selectedTeamA.id]}%` }}>{Math.round(homeProbability[selectedTeamA.id])}%</div>
-                          <div className="bg-blue-500 flex items-center justify-center text-xs font-bold" style={{ width: `${homeProbability[selectedTeamB.id]}%` }}>{Math.round(homeProbability[selectedTeamB.id])}%</div>
-                        </div>
-                      </div>
-                    )}
-                  </div>
-                </div>
-              </div>
-              <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-4">
-                {Object.values(teamData).map((team) => (<TeamStockCard key={team.id} team={team} onSelect={handleSelectTeam}/>))}
-              </div>
-            </>
-        );
-    }
-  };
-
-  return (
-    <div className="bg-gray-900 text-white min-h-screen font-sans">
-      <header className="bg-gray-800/30 backdrop-blur-md sticky top-0 z-10 p-4 border-b border-gray-700"><div className="max-w-7xl mx-auto"><h1 className="text-3xl font-bold text-white">Sports Analytics Platform</h1><p className="text-gray-400">Live Market Odds via The Odds API</p></div></header>
-      <main className="p-4 md:p-6 max-w-7xl mx-auto">{renderContent()}</main>
-    </div>
-  );
-};
-
-export default App;
+import React, { useState, useMemo, useEffect } from 'react';
+import { YAxis, ResponsiveContainer, LineChart, Line } from 'recharts';
+import { ArrowUpRight, ArrowDownRight, BarChart2, Sparkles, WifiOff, Receipt, Bell, LogOut } from 'lucide-react';
+import MarketLines from './MarketLines';
+import ScheduleView from './ScheduleView';
+import OpportunitiesPanel from './OpportunitiesPanel';
+import EvCalculator from './EvCalculator';
+import ModelComparison from './ModelComparison';
+import MyBetsView from './MyBetsView';
+import AlertsView from './AlertsView';
+import TeamDetailView from './TeamDetailView';
+import ExportMenu from './ExportMenu';
+import TeamBadge from './TeamBadge';
+import useLiveOdds, { applyGameToTeams } from '../hooks/useLiveOdds';
+import useOddsFormat from '../hooks/useOddsFormat';
+import useSession from '../hooks/useSession';
+import useRoute from '../hooks/useRoute';
+import { API_BASE, apiFetch } from '../utils/api';
+import { ODDS_FORMATS, impliedProbability } from '../utils/odds';
+
+const SPORTS_URL = `${API_BASE}/api/v1/sports`;
+const sportUrl = (sport, path) => `${SPORTS_URL}/${sport}/${path}`;
+// Prices are always fetched in American odds and rendered in the user's
+// preferred format here, whatever the server's default response format is
+const AMERICAN = 'oddsFormat=american';
+
+// Links to the team and matchup routes (see hooks/useRoute.js)
+const teamPath = (teamId) => `/teams/${encodeURIComponent(teamId)}`;
+const matchupPath = (teamAId, teamBId) => `/matchup/${encodeURIComponent(teamAId)}/${encodeURIComponent(teamBId)}`;
+
+// What the market overview offers for download; line history covers the last week
+const HISTORY_DAYS = 7;
+const marketExports = (sport) => [
+  { label: 'Current odds', path: 'export/odds', params: { sport } },
+  { label: `Line history (${HISTORY_DAYS} days)`, path: 'export/odds', params: { sport, from: new Date(Date.now() - HISTORY_DAYS * 24 * 60 * 60 * 1000).toISOString().slice(0, 10) } },
+  { label: 'Results & closing lines', path: 'export/results', params: { sport } },
+  { label: 'Elo model vs market', path: 'export/model', params: { sport } },
+];
+
+// Current odds and full line history of each team's next game (one game when
+// they meet), and the model for the league
+const matchupExports = (sport, teamA, teamB) => [
+  ...[teamA, teamB]
+    .filter((team, index, both) => index === 0 || team.upcomingGame.eventId !== both[0].upcomingGame.eventId)
+    .flatMap(team => {
+      const game = `${team.name} ${team.upcomingGame.homeAway === 'home' ? 'vs' : '@'} ${team.upcomingGame.opponent}`;
+      const { eventId } = team.upcomingGame;
+      return [
+        { label: `${game}: odds`, path: 'export/odds', params: { sport, eventId } },
+        { label: `${game}: history`, path: 'export/odds', params: { sport, eventId, to: new Date().toISOString() } },
+      ];
+    }),
+  { label: 'Elo model vs market', path: 'export/model', params: { sport } },
+];
+
+// Used until the server tells us its own default, or if /sports is unavailable
+const DEFAULT_SPORT = 'basketball_nba';
+
+// How long a card stays highlighted after its price moves
+const FLASH_MS = 2000;
+
+// Division names repeat across conferences (AFC East, NFC East), so the
+// division filter is keyed on both
+const divisionKey = (team) => `${team.conference}|${team.division}`;
+const matchesTeamFilter = (team, { conference, division }) => (
+  (!conference || team.conference === conference) && (!division || divisionKey(team) === division)
+);
+
+// Team map and schedule for one sport. A 404 means the league has no games;
+// the schedule is optional and the team overview still works without it.
+const fetchMarketData = (sport) => Promise.all([
+  apiFetch(`${sportUrl(sport, 'odds')}?${AMERICAN}`).then(res => {
+    if (res.status === 404) return {};
+    if (!res.ok) {
+      throw new Error(`Network response was not ok. Is the server running?`);
+    }
+    return res.json();
+  }),
+  apiFetch(`${sportUrl(sport, 'games')}?${AMERICAN}`)
+    .then(res => (res.ok ? res.json() : { games: [] }))
+    .then(data => data.games)
+    .catch(err => {
+      console.error("Schedule fetch error:", err);
+      return [];
+    }),
+]);
+
+const VIG_METHODS = [
+  ['multiplicative', 'Multiplicative (proportional)'],
+  ['additive', 'Additive'],
+  ['power', 'Power'],
+  ['shin', 'Shin'],
+];
+
+// --- PROBABILITY MODEL (NOW USES LIVE ODDS) ---
+const calculateWinProbabilityFromOdds = (teamA, teamB) => {
+    if (!teamA?.upcomingGame || !teamB?.upcomingGame) return { [teamA.id]: 50, [teamB.id]: 50, insight: "Odds data not available." };
+
+    const probA = impliedProbability(teamA.upcomingGame.moneyline);
+    const probB = impliedProbability(teamB.upcomingGame.moneyline);
+
+    // Normalize probabilities so they sum to 100%
+    const totalProb = probA + probB;
+    const normalizedProbA = (probA / totalProb) * 100;
+    const normalizedProbB = (probB / totalProb) * 100;
+
+    const insight = `The betting market implies a ${Math.round(normalizedProbA > normalizedProbB ? normalizedProbA : normalizedProbB)}% chance for the favorite, the ${normalizedProbA > normalizedProbB ? teamA.name : teamB.name}, to win.`;
+    
+    return {
+        [teamA.id]: normalizedProbA,
+        [teamB.id]: normalizedProbB,
+        insight: insight
+    };
+};
+
+// --- AI BRIEFING (generated server-side) ---
+const requestMatchupAnalysis = async (sport, teamA, teamB) => {
+    try {
+        const response = await apiFetch(`${API_BASE}/api/v1/analysis/matchup`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ sport, teamA: teamA.id, teamB: teamB.id }),
+        });
+        const result = await response.json();
+        if (!response.ok) throw new Error(result.message || result.error || `API call failed with status: ${response.status}`);
+        return result;
+    } catch (error) {
+        console.error("Error generating AI analysis:", error);
+        return { analysis: `An error occurred while generating the analysis. ${error.message}` };
+    }
+};
+
+// --- UI COMPONENTS ---
+const TeamStockCard = ({ team, onSelect, flash }) => {
+  const { formatPrice } = useOddsFormat();
+  const isPositive = team.change >= 0;
+  const flashClass = flash === 'up' ? 'ring-2 ring-green-400 bg-green-900/30' : flash === 'down' ? 'ring-2 ring-red-400 bg-red-900/30' : '';
+  return (
+    <div className={`bg-gray-800 p-4 rounded-lg shadow-lg cursor-pointer hover:bg-gray-700/50 transition-all duration-300 border border-gray-700 ${flashClass}`} onClick={() => onSelect(team.id)}>
+      <div className="flex justify-between items-start">
+        <div><h2 className="text-xl font-bold text-white flex items-center gap-2"><TeamBadge team={team} />{team.name}</h2><p className="text-sm text-gray-400">Next Opp: {team.upcomingGame.opponent}</p>{team.upcomingGame.best && <p className="text-xs text-gray-500">Best: {formatPrice(team.upcomingGame.best.price)} ({team.upcomingGame.best.title})</p>}</div>
+        <div className={`text-lg font-semibold ${team.price > 0 ? 'text-green-400' : 'text-red-400'}`}>{formatPrice(team.price)}</div>
+      </div>
+      <div className="h-24 mt-4 -mx-4"><ResponsiveContainer width="100%" height="100%"><LineChart data={team.performanceHistory} margin={{ top: 5, right: 20, left: -10, bottom: 5 }}><Line type="monotone" dataKey="value" stroke={isPositive ? '#4ade80' : '#f87171'} strokeWidth={2} dot={false} /><YAxis domain={['dataMin - 1', 'dataMax + 1']} hide={true} /></LineChart></ResponsiveContainer></div>
+      <div className="flex justify-between items-center mt-2 text-sm"><div className={`flex items-center gap-1 ${isPositive ? 'text-green-400' : 'text-red-400'}`}>{isPositive ? <ArrowUpRight size={16} /> : <ArrowDownRight size={16} />}{isPositive ? '+' : ''}{team.change.toFixed(1)} pts (24h)</div><div className="text-gray-400">Books: <span className="font-semibold text-gray-300">{team.upcomingGame.bookmakerCount}</span></div></div>
+    </div>
+  );
+};
+
+// A link to something this league doesn't have (any more)
+const MissingView = ({ message, onBack }) => (
+  <div className="bg-gray-800 p-4 rounded-lg shadow-lg border border-gray-700 text-center">
+    <p className="text-gray-300 p-6">{message}</p>
+    <button onClick={onBack} className="text-sm text-indigo-400 hover:text-indigo-300">&larr; Back to Market Overview</button>
+  </div>
+);
+
+// The pair comes from the URL; without one the first team and its next
+// opponent are shown. `onSelectTeams(teamAId, teamBId)` changes it.
+const MatchupView = ({ teams, sport, onBack, teamAId: routeTeamAId, teamBId: routeTeamBId, onSelectTeams }) => {
+    const teamIds = Object.keys(teams);
+    const opponentId = teams[teamIds[0]]?.upcomingGame?.opponentId;
+    const teamAId = routeTeamAId || teamIds[0];
+    const teamBId = routeTeamBId || (opponentId && teams[opponentId] ? opponentId : teamIds[1]);
+
+    const [isGenerating, setIsGenerating] = useState(false);
+    const [analysisResult, setAnalysisResult] = useState(null);
+
+    const teamA = teams[teamAId];
+    const teamB = teams[teamBId];
+
+    const [vigMethod, setVigMethod] = useState('multiplicative');
+    const [fairProbabilities, setFairProbabilities] = useState(null);
+    const sharedEventId = teamA && teamB && teamA.upcomingGame.eventId === teamB.upcomingGame.eventId ? teamA.upcomingGame.eventId : null;
+
+    // De-vigged probabilities come from the server when the two teams meet next
+    useEffect(() => {
+        setFairProbabilities(null);
+        if (!sharedEventId) return;
+        let cancelled = false;
+        apiFetch(`${sportUrl(sport, 'games')}/${sharedEventId}/probabilities?method=${vigMethod}&${AMERICAN}`)
+            .then(res => (res.ok ? res.json() : null))
+            .then(data => { if (!cancelled) setFairProbabilities(data?.markets?.h2h || null); })
+            .catch(err => console.error("Probability fetch error:", err));
+        return () => { cancelled = true; };
+    }, [sport, sharedEventId, vigMethod]);
+
+    // The server's Elo model for the same game, compared against the market
+    const [modelComparison, setModelComparison] = useState(null);
+    useEffect(() => {
+        setModelComparison(null);
+        if (!sharedEventId) return;
+        let cancelled = false;
+        apiFetch(`${sportUrl(sport, 'model')}/${sharedEventId}?${AMERICAN}`)
+            .then(res => (res.ok ? res.json() : null))
+            .then(data => { if (!cancelled) setModelComparison(data); })
+            .catch(err => console.error("Model fetch error:", err));
+        return () => { cancelled = true; };
+    }, [sport, sharedEventId]);
+
+    const probabilityResult = useMemo(() => {
+        if (!teamA || !teamB) return null;
+        if (!fairProbabilities) return calculateWinProbabilityFromOdds(teamA, teamB);
+
+        const fairFor = (team) => fairProbabilities.outcomes.find(o => o.name === team.name)?.fair ?? 50;
+        const probA = fairFor(teamA);
+        const probB = fairFor(teamB);
+        const methodLabel = VIG_METHODS.find(([key]) => key === fairProbabilities.method)?.[1] || fairProbabilities.method;
+        return {
+            [teamA.id]: probA,
+            [teamB.id]: probB,
+            margin: fairProbabilities.margin,
+            insight: `With the ${fairProbabilities.margin.toFixed(2)}% bookmaker margin removed (${methodLabel}), the market gives the favorite, the ${probA > probB ? teamA.name : teamB.name}, a ${Math.round(Math.max(probA, probB))}% chance to win.`,
+        };
+    }, [teamA, teamB, fairProbabilities]);
+
+    const handleGenerateAnalysis = async () => {
+        if(!teamA || !teamB) return;
+        setIsGenerating(true);
+        setAnalysisResult(null);
+        const result = await requestMatchupAnalysis(sport, teamA, teamB);
+        setAnalysisResult(result);
+        setIsGenerating(false);
+    };
+
+    if(!teamA || !teamB){
+        return <MissingView message="One of these teams has no upcoming games in this league." onBack={onBack} />;
+    }
+
+    return (
+        <div className="bg-gray-800 p-4 md:p-6 rounded-lg shadow-lg border border-gray-700">
+            <div className="flex justify-between items-start mb-4">
+                <button onClick={onBack} className="text-sm text-indigo-400 hover:text-indigo-300">&larr; Back to Market Overview</button>
+                <ExportMenu apiUrl={`${API_BASE}/api/v1`} exports={matchupExports(sport, teamA, teamB)} />
+            </div>
+            <h2 className="text-3xl font-bold text-center mb-6">Matchup Analysis & Implied Probability</h2>
+            <div className="grid grid-cols-1 md:grid-cols-3 gap-3 mb-6">
+                <div>
+                    <label className="block text-sm text-gray-300 mb-1">Team A</label>
+                    <select className="w-full bg-gray-900 border border-gray-700 rounded-md p-2" value={teamAId} onChange={(e) => onSelectTeams(e.target.value, teamBId)}>
+                        {teamIds.map((id) => (
+                            <option key={id} value={id}>{teams[id].name}</option>
+                        ))}
+                    </select>
+                </div>
+                <div>
+                    <label className="block text-sm text-gray-300 mb-1">Team B</label>
+                    <select className="w-full bg-gray-900 border border-gray-700 rounded-md p-2" value={teamBId} onChange={(e) => onSelectTeams(teamAId, e.target.value)}>
+                        {teamIds.map((id) => (
+                            <option key={id} value={id}>{teams[id].name}</option>
+                        ))}
+                    </select>
+                </div>
+                <div className="flex items-end">
+                    <button onClick={handleGenerateAnalysis} disabled={isGenerating} className="bg-amber-600 hover:bg-amber-500 disabled:bg-gray-500 disabled:cursor-not-allowed text-white font-bold py-2 px-6 rounded-lg w-full flex items-center justify-center gap-2 transition-colors">
+                        <Sparkles size={18} />{isGenerating ? 'Generating Analysis...' : 'Generate AI Briefing'}
+                    </button>
+                </div>
+            </div>
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mb-6">
+                 <h2 className="text-xl font-bold text-center p-2 bg-gray-900 rounded-md"><TeamBadge team={teamA} className="mr-2" />{teamA.name}</h2>
+                 <h2 className="text-xl font-bold text-center p-2 bg-gray-900 rounded-md"><TeamBadge team={teamB} className="mr-2" />{teamB.name}</h2>
+            </div>
+            <div className="bg-gray-900/50 p-6 rounded-xl mb-8"><h3 className="text-xl font-semibold text-center text-indigo-300 mb-4">Implied Win Probability (from Market Odds)</h3><div className="flex flex-wrap justify-center items-center gap-3 mb-4 text-sm"><label className="text-gray-300" htmlFor="vig-method">Vig removal:</label><select id="vig-method" className="bg-gray-900 border border-gray-700 rounded-md p-1" value={vigMethod} onChange={(e) => setVigMethod(e.target.value)} disabled={!sharedEventId}>{VIG_METHODS.map(([key, label]) => (<option key={key} value={key}>{label}</option>))}</select>{probabilityResult?.margin !== undefined && <span className="text-gray-400">Bookmaker margin: <span className="font-semibold text-gray-200">{probabilityResult.margin.toFixed(2)}%</span></span>}{!sharedEventId && <span className="text-gray-500">Available when the selected teams play each other next.</span>}</div><div className="flex w-full h-8 bg-gray-700 rounded-full overflow-hidden mb-2"><div className="bg-green-500 flex items-center justify-center font-bold" style={{ width: `${probabilityResult?.[teamA.id]}%` }}>{Math.round(probabilityResult?.[teamA.id])}%</div><div className="bg-blue-500 flex items-center justify-center font-bold" style={{ width: `${probabilityResult?.[teamB.id]}%` }}>{Math.round(probabilityResult?.[teamB.id])}%</div></div><div className="flex justify-between text-sm mb-4"><span className="font-bold text-green-400">{teamA.name}</span><span className="font-bold text-blue-400">{teamB.name}</span></div><p className="text-center text-gray-300 italic p-3 bg-gray-800 rounded-md"><strong>Market Insight:</strong> {probabilityResult?.insight}</p></div>
+            {sharedEventId && <ModelComparison comparison={modelComparison} teamA={teamA} teamB={teamB} />}
+            {sharedEventId
+                ? <EvCalculator url={sportUrl(sport, 'ev')} eventId={sharedEventId} teamA={teamA} teamB={teamB} initialProbability={modelComparison?.model[teamA.upcomingGame.homeAway].probability ?? fairProbabilities?.outcomes.find(o => o.name === teamA.name)?.fair} vigMethod={vigMethod} />
+                : <p className="text-center text-gray-500 mb-8">The EV calculator is available when the selected teams play each other next.</p>}
+            <MarketLines teamA={teamA} teamB={teamB} />
+            <div className="bg-gray-900/50 p-6 rounded-xl"><h3 className="text-xl font-semibold text-center text-amber-300 mb-4">Pre-Game AI Briefing</h3><div className="text-center mb-6"></div>{isGenerating && <div className="flex justify-center items-center h-40"><div className="animate-spin rounded-full h-16 w-16 border-t-2 border-b-2 border-amber-400"></div></div>}{analysisResult && <div className="prose prose-invert max-w-none text-gray-300 whitespace-pre-wrap p-4 bg-gray-800 rounded-md">{analysisResult.analysis}</div>}{analysisResult?.provider && <p className="text-xs text-gray-500 mt-2 text-right">Generated by {analysisResult.provider} ({analysisResult.model}) at {new Date(analysisResult.generatedAt).toLocaleString()}{analysisResult.cached ? ' · cached for these prices' : ''}</p>}</div>
+        </div>
+    );
+};
+
+// --- Main App Component ---
+const App = () => {
+  const { oddsFormat, setOddsFormat } = useOddsFormat();
+  const { principal, logout } = useSession();
+  const { view, params, query, navigate, setQuery } = useRoute();
+  const [teamData, setTeamData] = useState(null);
+  const [error, setError] = useState(null);
+  const [selectedTeamAId, setSelectedTeamAId] = useState(null);
+  const [selectedTeamBId, setSelectedTeamBId] = useState(null);
+  const [games, setGames] = useState([]);
+  const [sports, setSports] = useState([]);
+  const [defaultSport, setDefaultSport] = useState(null);
+  const [flashes, setFlashes] = useState({});
+
+  // League, overview tab and filters live in the query string, so links keep them
+  const sport = query.sport || defaultSport;
+  const overviewTab = query.tab || 'teams';
+  const teamFilter = { conference: query.conference || '', division: query.division || '' };
+  const setOverviewTab = (tab) => setQuery({ tab: tab === 'teams' ? null : tab });
+  const setTeamFilter = (filter) => setQuery(filter);
+
+  // A shared link's odds format wins over the stored preference; after that
+  // the URL follows the selector
+  const [linkedFormat] = useState(query.odds);
+  useEffect(() => {
+    if (ODDS_FORMATS.some(format => format.key === linkedFormat)) setOddsFormat(linkedFormat);
+  }, [linkedFormat, setOddsFormat]);
+  useEffect(() => {
+    setQuery({ odds: oddsFormat === 'american' ? null : oddsFormat });
+  }, [oddsFormat, setQuery]);
+
+  useEffect(() => {
+    apiFetch(SPORTS_URL)
+      .then(res => (res.ok ? res.json() : null))
+      .then(data => {
+          setSports(data?.sports || []);
+          setDefaultSport(data?.defaultSport || DEFAULT_SPORT);
+      })
+      .catch(err => {
+          console.error("Sports fetch error:", err);
+          setDefaultSport(DEFAULT_SPORT);
+      });
+  }, []);
+
+  useEffect(() => {
+    if (!sport) return;
+    setTeamData(null);
+    setError(null);
+    setGames([]);
+    setSelectedTeamAId(null);
+    setSelectedTeamBId(null);
+
+    fetchMarketData(sport)
+      .then(([data, sportGames]) => {
+          setTeamData(data);
+          setGames(sportGames);
+          const ids = Object.keys(data);
+          if (ids.length >= 2) {
+              setSelectedTeamAId(ids[0]);
+              const opponentId = data[ids[0]]?.upcomingGame?.opponentId;
+              setSelectedTeamBId(opponentId && data[opponentId] ? opponentId : ids[1]);
+          }
+      })
+      .catch(err => {
+          console.error("Fetch error:", err);
+          setError(err.message);
+      });
+  }, [sport]);
+
+  // Apply pushed price moves in place; new or finished games need a full reload
+  const handleLiveOdds = (diff) => {
+    if (diff.added.length > 0 || diff.removed.length > 0) {
+      fetchMarketData(sport)
+        .then(([data, sportGames]) => { setTeamData(data); setGames(sportGames); })
+        .catch(err => console.error("Live refresh error:", err));
+    } else {
+      setTeamData(prev => prev && diff.updated.reduce((teams, game) => applyGameToTeams(teams, game, diff.at), prev));
+      setGames(prev => prev.map(game => diff.updated.find(updated => updated.id === game.id) || game));
+    }
+
+    const moved = {};
+    diff.changes
+      .filter(change => change.market === 'h2h' && change.teamId && change.direction !== 'flat')
+      .forEach(change => { moved[change.teamId] = change.direction; });
+    if (Object.keys(moved).length === 0) return;
+    setFlashes(prev => ({ ...prev, ...moved }));
+    setTimeout(() => setFlashes(prev => {
+      const next = { ...prev };
+      Object.keys(moved).forEach(id => { if (next[id] === moved[id]) delete next[id]; });
+      return next;
+    }), FLASH_MS);
+  };
+  const isLive = useLiveOdds(sport ? sportUrl(sport, 'stream') : null, handleLiveOdds);
+
+  const leagueTitle = sports.find(s => s.key === sport)?.title || sport;
+
+  // Conference and division choices come from the registry fields on the teams
+  const registeredTeams = useMemo(() => Object.values(teamData || {}).filter(team => team.conference), [teamData]);
+  const conferences = useMemo(() => [...new Set(registeredTeams.map(team => team.conference))].sort(), [registeredTeams]);
+  const divisions = useMemo(() => {
+    const byKey = new Map();
+    registeredTeams
+      .filter(team => !teamFilter.conference || team.conference === teamFilter.conference)
+      .forEach(team => byKey.set(divisionKey(team), teamFilter.conference ? team.division : `${team.conference} ${team.division}`));
+    return [...byKey.entries()].sort((a, b) => a[1].localeCompare(b[1]));
+  }, [registeredTeams, teamFilter.conference]);
+  const isFiltered = Boolean(teamFilter.conference || teamFilter.division);
+  const visibleTeams = Object.values(teamData || {}).filter(team => !isFiltered || matchesTeamFilter(team, teamFilter));
+  const visibleGames = isFiltered
+    ? games.filter(game => matchesTeamFilter(game.homeTeam, teamFilter) || matchesTeamFilter(game.awayTeam, teamFilter))
+    : games;
+
+  const handleSelectTeam = (id) => navigate(teamPath(id));
+  const handleBackToMarket = () => navigate('/');
+  const handleSelectGame = (game) => navigate(matchupPath(game.awayTeam.id, game.homeTeam.id));
+  // A game from a team page, away side first like the schedule
+  const handleSelectTeamGame = (game) => navigate(game.homeAway === 'home' ? matchupPath(game.opponentId, params.teamId) : matchupPath(params.teamId, game.opponentId));
+  const handleSelectSport = (key) => navigate('/', { query: { sport: key } });
+  const selectedTeam = params.teamId && teamData ? teamData[params.teamId] : null;
+  const selectedTeamA = selectedTeamAId && teamData ? teamData[selectedTeamAId] : null;
+  const selectedTeamB = selectedTeamBId && teamData ? teamData[selectedTeamBId] : null;
+  const homeProbability = useMemo(() => {
+    if (!selectedTeamA || !selectedTeamB) return null;
+    return calculateWinProbabilityFromOdds(selectedTeamA, selectedTeamB);
+  }, [selectedTeamA, selectedTeamB]);
+
+  const renderContent = () => {
+    if (!teamData && !error) {
+        return <div className="text-center p-10"><div className="animate-spin rounded-full h-24 w-24 border-t-2 border-b-2 border-indigo-400 mx-auto"></div><p className="mt-4 text-lg">Fetching Live Market Data...</p></div>;
+    }
+    if (error) {
+        return <div className="text-center p-10 bg-red-900/20 border border-red-500 rounded-lg"><WifiOff className="mx-auto h-16 w-16 text-red-400" /><h3 className="mt-4 text-xl font-bold">Failed to Connect to Server</h3><p className="text-red-300 mt-2">{error}</p><p className="text-gray-400 mt-2">Please ensure the `server.js` file is running in a separate terminal.</p></div>;
+    }
+
+    switch (view) {
+        case 'matchup': return <MatchupView teams={teamData} sport={sport} onBack={handleBackToMarket} teamAId={params.teamA} teamBId={params.teamB} onSelectTeams={(a, b) => navigate(matchupPath(a, b), { replace: true })} />;
+        case 'teamDetail': return <TeamDetailView apiUrl={`${API_BASE}/api/v1`} sport={sport} teamId={params.teamId} team={selectedTeam} onBack={handleBackToMarket} onMatchup={handleSelectTeamGame} />;
+        case 'notFound': return <MissingView message="There is nothing at this address." onBack={handleBackToMarket} />;
+        case 'bets': return <MyBetsView apiUrl={`${API_BASE}/api/v1`} games={games} sport={sport} onBack={handleBackToMarket} />;
+        case 'alerts': return <AlertsView apiUrl={`${API_BASE}/api/v1`} teams={teamData} sport={sport} onBack={handleBackToMarket} />;
+        case 'market': default: return (
+            <>
+              <div className="bg-gray-800/50 rounded-lg border border-gray-700 p-4 mb-4">
+                <div className="grid grid-cols-1 md:grid-cols-4 gap-3 items-end">
+                  <div className="md:col-span-1">
+                    <label className="block text-sm text-gray-300 mb-1">Team A</label>
+                    <select className="w-full bg-gray-900 border border-gray-700 rounded-md p-2" value={selectedTeamAId || ''} onChange={(e) => setSelectedTeamAId(e.target.value)}>
+                      {teamData && Object.keys(teamData).map((id) => (
+                        <option key={id} value={id}>{teamData[id].name}</option>
+                      ))}
+                    </select>
+                  </div>
+                  <div className="md:col-span-1">
+                    <label className="block text-sm text-gray-300 mb-1">Team B</label>
+                    <select className="w-full bg-gray-900 border border-gray-700 rounded-md p-2" value={selectedTeamBId || ''} onChange={(e) => setSelectedTeamBId(e.target.value)}>
+                      {teamData && Object.keys(teamData).map((id) => (
+                        <option key={id} value={id}>{teamData[id].name}</option>
+                      ))}
+                    </select>
+                  </div>
+                  <div className="md:col-span-2 flex flex-col gap-2">
+                    <div className="flex justify-between items-center">
+                      <h2 className="text-2xl font-semibold text-gray-300">Market Overview (Live Odds)</h2>
+                      <button onClick={() => navigate(matchupPath(selectedTeamAId, selectedTeamBId))} disabled={Object.keys(teamData).length < 2} className="disabled:bg-gray-600 disabled:cursor-not-allowed bg-indigo-600 hover:bg-indigo-500 text-white font-bold py-2 px-4 rounded-lg flex items-center gap-2 transition-colors"><BarChart2 size={18} />Matchup Analysis</button>
+                      <button onClick={() => navigate('/bets')} className="bg-gray-700 hover:bg-gray-600 text-white font-bold py-2 px-4 rounded-lg flex items-center gap-2 transition-colors"><Receipt size={18} />My Bets</button>
+                      <button onClick={() => navigate('/alerts')} className="bg-gray-700 hover:bg-gray-600 text-white font-bold py-2 px-4 rounded-lg flex items-center gap-2 transition-colors"><Bell size={18} />Alerts</button>
+                      <ExportMenu apiUrl={`${API_BASE}/api/v1`} exports={marketExports(sport)} />
+                    </div>
+                    {homeProbability && selectedTeamA && selectedTeamB && (
+                      <div className="bg-gray-900/70 p-3 rounded-md">
+                        <div className="text-sm text-gray-300 mb-2">Implied Win Probability: <span className="font-semibold text-green-400">{selectedTeamA.name}</span> vs <span className="font-semibold text-blue-400">{selectedTeamB.name}</span></div>
+                        <div className="flex w-full h-6 bg-gray-700 rounded-full overflow-hidden">
+                          <div className="bg-green-500 flex items-center justify-center text-xs font-bold" style={{ width: `${homeProbability[selectedTeamA.id]}%` }}>{Math.round(homeProbability[selectedTeamA.id])}%</div>
+                          <div className="bg-blue-500 flex items-center justify-center text-xs font-bold" style={{ width: `${homeProbability[selectedTeamB.id]}%` }}>{Math.round(homeProbability[selectedTeamB.id])}%</div>
+                        </div>
+                      </div>
+                    )}
+                  </div>
+                </div>
+              </div>
+              <div className="flex flex-wrap gap-2 mb-4 items-center">
+                {[['teams', 'Teams'], ['schedule', 'Schedule'], ['opportunities', 'Opportunities']].map(([tab, label]) => (
+                  <button key={tab} onClick={() => setOverviewTab(tab)} className={`py-1 px-4 rounded-md text-sm font-semibold transition-colors ${overviewTab === tab ? 'bg-indigo-600 text-white' : 'bg-gray-800 text-gray-300 hover:bg-gray-700'}`}>{label}</button>
+                ))}
+                {conferences.length > 0 && overviewTab !== 'opportunities' && (
+                  <div className="flex gap-2 ml-auto text-sm">
+                    <select aria-label="Conference" className="bg-gray-900 border border-gray-700 rounded-md p-1" value={teamFilter.conference} onChange={(e) => setTeamFilter({ conference: e.target.value, division: '' })}>
+                      <option value="">All conferences</option>
+                      {conferences.map((conference) => (<option key={conference} value={conference}>{conference}</option>))}
+                    </select>
+                    <select aria-label="Division" className="bg-gray-900 border border-gray-700 rounded-md p-1" value={teamFilter.division} onChange={(e) => setTeamFilter({ ...teamFilter, division: e.target.value })}>
+                      <option value="">All divisions</option>
+                      {divisions.map(([key, label]) => (<option key={key} value={key}>{label}</option>))}
+                    </select>
+                  </div>
+                )}
+              </div>
+              {Object.keys(teamData).length === 0 && <p className="text-center text-gray-400 p-6">No upcoming {leagueTitle} games found.</p>}
+              {overviewTab === 'schedule' ? (
+                <ScheduleView games={visibleGames} onSelectGame={handleSelectGame} />
+              ) : overviewTab === 'opportunities' ? (
+                <OpportunitiesPanel url={sportUrl(sport, 'opportunities')} />
+              ) : (
+                <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-4">
+                  {visibleTeams.map((team) => (<TeamStockCard key={team.id} team={team} flash={flashes[team.id]} onSelect={handleSelectTeam}/>))}
+                  {isFiltered && visibleTeams.length === 0 && <p className="text-gray-500 col-span-full text-center p-6">No teams with upcoming games match this filter.</p>}
+                </div>
+              )}
+            </>
+        );
+    }
+  };
+
+  return (
+    <div className="bg-gray-900 text-white min-h-screen font-sans">
+      <header className="bg-gray-800/30 backdrop-blur-md sticky top-0 z-10 p-4 border-b border-gray-700"><div className="max-w-7xl mx-auto flex flex-wrap justify-between items-center gap-3"><div><h1 className="text-3xl font-bold text-white">Sports Analytics Platform</h1><p className="text-gray-400">{leagueTitle ? `${leagueTitle} · ` : ''}Live Market Odds via The Odds API <span className={`ml-2 inline-flex items-center gap-1 text-xs font-semibold ${isLive ? 'text-green-400' : 'text-gray-500'}`}><span className={`h-2 w-2 rounded-full ${isLive ? 'bg-green-400 animate-pulse' : 'bg-gray-500'}`}></span>{isLive ? 'LIVE' : 'OFFLINE'}</span></p></div><div className="flex gap-3">{sports.length > 0 && (<div><label className="block text-xs text-gray-400 mb-1" htmlFor="league">League</label><select id="league" className="bg-gray-900 border border-gray-700 rounded-md p-2" value={sport || ''} onChange={(e) => handleSelectSport(e.target.value)}>{sports.map((s) => (<option key={s.key} value={s.key}>{s.group} · {s.title}</option>))}</select></div>)}<div><label className="block text-xs text-gray-400 mb-1" htmlFor="odds-format">Odds</label><select id="odds-format" className="bg-gray-900 border border-gray-700 rounded-md p-2" value={oddsFormat} onChange={(e) => setOddsFormat(e.target.value)}>{ODDS_FORMATS.map((format) => (<option key={format.key} value={format.key}>{format.label}</option>))}</select></div>{principal && (<div className="self-end flex items-center gap-2 text-sm text-gray-400 pb-2">{principal.name}<button onClick={logout} className="text-gray-500 hover:text-white" aria-label="Sign out" title="Sign out"><LogOut size={16} /></button></div>)}</div></div></header>
+      <main className="p-4 md:p-6 max-w-7xl mx-auto">{renderContent()}</main>
+    </div>
+  );
+};
+
+export default App;
@@ -0,0 +1,19 @@
+import React from 'react';
+
+// Abbreviation chip in the team's colours; nothing for teams the registry
+// does not know
+const TeamBadge = ({ team, className = '' }) => {
+  if (!team?.abbreviation) return null;
+  const colors = team.colors || { primary: '#374151', secondary: '#FFFFFF' };
+  return (
+    <span
+      className={`inline-block px-1.5 py-0.5 rounded text-xs font-bold tracking-wide border ${className}`}
+      style={{ backgroundColor: colors.primary, color: colors.secondary, borderColor: colors.secondary }}
+      title={[team.conference, team.division].filter(Boolean).join(' · ')}
+    >
+      {team.abbreviation}
+    </span>
+  );
+};
+
+export default TeamBadge;
@@ -0,0 +1,303 @@
+import React, { useEffect, useState } from 'react';
+import { BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer, LineChart, Line, RadarChart, PolarGrid, PolarAngleAxis, PolarRadiusAxis, Radar, ReferenceLine } from 'recharts';
+import { TrendingUp, TrendingDown, Users, Shield, Swords, RefreshCw } from 'lucide-react';
+import BookComparisonTable from './BookComparisonTable';
+import TeamBadge from './TeamBadge';
+import useOddsFormat from '../hooks/useOddsFormat';
+import { apiFetch } from '../utils/api';
+import { formatPoint } from '../utils/odds';
+
+const TOOLTIP_STYLE = { backgroundColor: '#1f2937', border: '1px solid #374151' };
+
+const gameDay = (iso) => new Date(iso).toLocaleDateString(undefined, { weekday: 'short', month: 'short', day: 'numeric' });
+const tipOff = (iso) => new Date(iso).toLocaleTimeString(undefined, { hour: 'numeric', minute: '2-digit' });
+const capturedLabel = (iso) => new Date(iso).toLocaleString(undefined, { month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit' });
+
+const OUTCOME_STYLES = { W: 'text-green-400', L: 'text-red-400', T: 'text-gray-300', P: 'text-gray-300' };
+
+// --- Ratings ---
+// Headline tiles with the league average under each, league percentiles on
+// the radar against the 50th-percentile team, the team against the league
+// average, season against recent form, and game-by-game net rating
+const RATING_TILES = [
+  ['offensiveRating', 'Offensive Rtg', Swords, 'pts / 100 poss'],
+  ['defensiveRating', 'Defensive Rtg', Shield, 'allowed / 100 poss'],
+  ['netRating', 'Net Rtg', TrendingUp, 'per 100 poss'],
+  ['pace', 'Pace', Users, 'poss / 48 min'],
+];
+
+const signed = (value) => `${value > 0 ? '+' : ''}${value}`;
+
+const TeamRatingsPanel = ({ ratings }) => {
+  const { league } = ratings;
+  const windows = Object.keys(ratings).filter(key => /^last\d+$/.test(key));
+  const radar = [
+    { metric: 'Offense', value: ratings.percentiles.offense, league: 50 },
+    { metric: 'Defense', value: ratings.percentiles.defense, league: 50 },
+    { metric: 'Net', value: ratings.percentiles.net, league: 50 },
+    { metric: 'Pace', value: ratings.percentiles.pace, league: 50 },
+  ];
+  const versusLeague = league && [
+    { name: 'Offense', team: ratings.offensiveRating, league: league.offensiveRating },
+    { name: 'Defense', team: ratings.defensiveRating, league: league.defensiveRating },
+    { name: 'Pace', team: ratings.pace, league: league.pace },
+  ];
+  const form = [
+    { name: 'Season', offensiveRating: ratings.offensiveRating, defensiveRating: ratings.defensiveRating },
+    ...windows.map(key => ({ name: `Last ${ratings[key].games}`, offensiveRating: ratings[key].offensiveRating, defensiveRating: ratings[key].defensiveRating })),
+  ];
+  const rollingLabel = windows.length > 0 ? `Rolling ${windows[0].slice(4)}-game net` : 'Rolling net';
+  return (
+    <div>
+      <p className="text-xs text-gray-500 mb-3">From {ratings.games} games of box-score data, last played {ratings.lastGame}.{league && ` League average over ${league.teams} teams.`}</p>
+      <div className="grid grid-cols-2 md:grid-cols-4 gap-3 mb-6">
+        {RATING_TILES.map(([key, label, Icon, unit]) => {
+          const TileIcon = key === 'netRating' && ratings.netRating < 0 ? TrendingDown : Icon;
+          return (
+            <div key={key} className="bg-gray-900/60 p-3 rounded-md">
+              <div className="flex items-center gap-2 text-sm text-gray-400"><TileIcon size={16} />{label}</div>
+              <div className={`text-2xl font-bold ${key === 'netRating' ? (ratings.netRating >= 0 ? 'text-green-400' : 'text-red-400') : 'text-white'}`}>{key === 'netRating' ? signed(ratings.netRating) : ratings[key]}</div>
+              <div className="text-xs text-gray-500">{unit}{league && ` · league ${key === 'netRating' ? signed(league[key]) : league[key]}`}</div>
+            </div>
+          );
+        })}
+      </div>
+      <div className="grid grid-cols-1 lg:grid-cols-3 gap-6 mb-6">
+        <div className="h-64">
+          <h4 className="text-sm font-semibold text-gray-300 mb-1">League Percentile</h4>
+          <ResponsiveContainer width="100%" height="100%"><RadarChart data={radar} outerRadius="75%"><PolarGrid stroke="#4b5563" /><PolarAngleAxis dataKey="metric" stroke="#d1d5db" /><PolarRadiusAxis domain={[0, 100]} tick={false} axisLine={false} /><Radar dataKey="league" name="League average" stroke="#6b7280" fill="#6b7280" fillOpacity={0.15} /><Radar dataKey="value" name="Team" stroke="#818cf8" fill="#818cf8" fillOpacity={0.5} /><Legend /><Tooltip contentStyle={TOOLTIP_STYLE} formatter={(value, name) => [`${value}th percentile`, name]} /></RadarChart></ResponsiveContainer>
+        </div>
+        <div className="h-64">
+          <h4 className="text-sm font-semibold text-gray-300 mb-1">Team vs League Average</h4>
+          {versusLeague
+            ? <ResponsiveContainer width="100%" height="100%"><BarChart data={versusLeague} margin={{ top: 5, right: 10, left: -10, bottom: 5 }}><CartesianGrid strokeDasharray="3 3" stroke="#374151" /><XAxis dataKey="name" stroke="#9ca3af" /><YAxis domain={['dataMin - 5', 'dataMax + 5']} stroke="#9ca3af" allowDecimals={false} /><Tooltip contentStyle={TOOLTIP_STYLE} /><Legend /><Bar dataKey="team" name="Team" fill="#818cf8" /><Bar dataKey="league" name="League average" fill="#6b7280" /></BarChart></ResponsiveContainer>
+            : <p className="text-gray-500 text-sm">No league data.</p>}
+        </div>
+        <div className="h-64">
+          <h4 className="text-sm font-semibold text-gray-300 mb-1">Season vs Recent Form</h4>
+          <ResponsiveContainer width="100%" height="100%"><BarChart data={form} margin={{ top: 5, right: 10, left: -10, bottom: 5 }}><CartesianGrid strokeDasharray="3 3" stroke="#374151" /><XAxis dataKey="name" stroke="#9ca3af" /><YAxis domain={['dataMin - 5', 'dataMax + 5']} stroke="#9ca3af" allowDecimals={false} /><Tooltip contentStyle={TOOLTIP_STYLE} /><Legend /><Bar dataKey="offensiveRating" name="Offensive" fill="#4ade80" /><Bar dataKey="defensiveRating" name="Defensive" fill="#f87171" /></BarChart></ResponsiveContainer>
+        </div>
+      </div>
+      <div className="h-64 mb-6">
+        <h4 className="text-sm font-semibold text-gray-300 mb-1">Net Rating by Game</h4>
+        <ResponsiveContainer width="100%" height="100%"><LineChart data={ratings.series} margin={{ top: 5, right: 10, left: -10, bottom: 5 }}><CartesianGrid strokeDasharray="3 3" stroke="#374151" /><XAxis dataKey="date" stroke="#9ca3af" /><YAxis stroke="#9ca3af" /><Tooltip contentStyle={TOOLTIP_STYLE} labelFormatter={(date) => { const game = ratings.series.find(point => point.date === date); return game ? `${date} ${game.home === false ? '@' : 'vs'} ${game.opponent}` : date; }} /><Legend /><ReferenceLine y={0} stroke="#4b5563" /><Line type="monotone" dataKey="netRating" name="Game net" stroke="#9ca3af" dot={{ r: 2 }} /><Line type="monotone" dataKey="rollingNetRating" name={rollingLabel} stroke="#818cf8" strokeWidth={2} dot={false} /></LineChart></ResponsiveContainer>
+      </div>
+    </div>
+  );
+};
+
+// --- Line history ---
+// One small chart per market for the selected game, from stored snapshots
+const HistoryChart = ({ title, data, dataKey, format, color }) => (
+  <div className="h-48">
+    <h4 className="text-sm font-semibold text-gray-300 mb-1">{title}</h4>
+    {data.length === 0
+      ? <p className="text-gray-500 text-sm">No snapshots captured yet.</p>
+      : <ResponsiveContainer width="100%" height="100%"><LineChart data={data} margin={{ top: 5, right: 10, left: -10, bottom: 5 }}><CartesianGrid strokeDasharray="3 3" stroke="#374151" /><XAxis dataKey="capturedAt" stroke="#9ca3af" tickFormatter={capturedLabel} minTickGap={30} /><YAxis domain={['dataMin - 1', 'dataMax + 1']} stroke="#9ca3af" /><Tooltip contentStyle={TOOLTIP_STYLE} labelFormatter={capturedLabel} formatter={(value, name, { payload }) => [format(payload), title]} /><Line type="stepAfter" dataKey={dataKey} stroke={color} strokeWidth={2} dot={data.length < 20} /></LineChart></ResponsiveContainer>}
+  </div>
+);
+
+const LineHistory = ({ history }) => {
+  const { formatPrice } = useOddsFormat();
+  return (
+    <div className="grid grid-cols-1 lg:grid-cols-3 gap-6 mb-6">
+      <HistoryChart title="Moneyline (implied %)" data={history.moneyline} dataKey="probability" color="#818cf8" format={(point) => `${formatPrice(point.price)} (${point.probability}%)`} />
+      <HistoryChart title="Spread" data={history.spread} dataKey="point" color="#4ade80" format={(point) => `${formatPoint(point.point)} at ${formatPrice(point.price)}`} />
+      <HistoryChart title="Total (over)" data={history.total} dataKey="point" color="#fbbf24" format={(point) => `${point.point} at ${formatPrice(point.price)}`} />
+    </div>
+  );
+};
+
+// Spread and total at every book, the best line of each highlighted
+const BookLinesTable = ({ game }) => {
+  const { formatPrice } = useOddsFormat();
+  const line = (quote, best) => {
+    if (!quote) return <span className="text-gray-600">—</span>;
+    const isBest = best && best.bookmaker === quote.bookmaker;
+    return <span className={isBest ? 'text-green-400 font-semibold' : ''}>{quote.label} <span className="text-gray-400">{formatPrice(quote.price)}</span></span>;
+  };
+  const rows = game.books.filter(book => book.spread || book.over || book.under);
+  if (rows.length === 0) return <p className="text-gray-400">No spread or total prices available.</p>;
+  return (
+    <div className="overflow-x-auto">
+      <table className="w-full text-sm">
+        <thead>
+          <tr className="text-left text-gray-400 border-b border-gray-700">
+            <th className="py-2 pr-4">Bookmaker</th>
+            <th className="py-2 pr-4 text-right">Spread</th>
+            <th className="py-2 pr-4 text-right">Over</th>
+            <th className="py-2 text-right">Under</th>
+          </tr>
+        </thead>
+        <tbody>
+          {rows.map(book => (
+            <tr key={book.bookmaker} className="border-b border-gray-700/50">
+              <td className="py-2 pr-4">{book.title}</td>
+              <td className="py-2 pr-4 text-right">{line(book.spread && { ...book.spread, bookmaker: book.bookmaker, label: formatPoint(book.spread.point) }, game.spread?.best)}</td>
+              <td className="py-2 pr-4 text-right">{line(book.over && { ...book.over, bookmaker: book.bookmaker, label: `o${book.over.point}` }, game.total?.over?.best)}</td>
+              <td className="py-2 text-right">{line(book.under && { ...book.under, bookmaker: book.bookmaker, label: `u${book.under.point}` }, game.total?.under?.best)}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+};
+
+// --- Upcoming games ---
+const UpcomingGames = ({ games, selectedId, onSelect, onMatchup }) => {
+  const { formatPrice } = useOddsFormat();
+  return (
+    <div className="overflow-x-auto">
+      <table className="w-full text-sm">
+        <thead>
+          <tr className="text-left text-gray-400 border-b border-gray-700">
+            <th className="py-2 pr-4">When</th>
+            <th className="py-2 pr-4">Opponent</th>
+            <th className="py-2 pr-4 text-right">Moneyline</th>
+            <th className="py-2 pr-4 text-right">Spread</th>
+            <th className="py-2 pr-4 text-right">Total</th>
+            <th className="py-2"></th>
+          </tr>
+        </thead>
+        <tbody>
+          {games.map(game => (
+            <tr key={game.eventId} onClick={() => onSelect(game.eventId)} className={`border-b border-gray-700/50 cursor-pointer hover:bg-gray-700/40 ${game.eventId === selectedId ? 'bg-indigo-900/30' : ''}`}>
+              <td className="py-2 pr-4 text-gray-300">{gameDay(game.commenceTime)} <span className="text-gray-500">{tipOff(game.commenceTime)}</span></td>
+              <td className="py-2 pr-4">{game.homeAway === 'home' ? 'vs' : '@'} {game.opponent}</td>
+              <td className={`py-2 pr-4 text-right font-semibold ${game.moneyline?.price > 0 ? 'text-green-400' : 'text-red-400'}`}>{formatPrice(game.moneyline?.price)}</td>
+              <td className="py-2 pr-4 text-right">{game.spread ? `${formatPoint(game.spread.point)} (${formatPrice(game.spread.price)})` : '—'}</td>
+              <td className="py-2 pr-4 text-right">{game.total ? game.total.point : '—'}</td>
+              <td className="py-2 text-right"><button onClick={(event) => { event.stopPropagation(); onMatchup(game); }} className="text-xs text-indigo-400 hover:text-indigo-300">Matchup &rarr;</button></td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+};
+
+// --- Recent results ---
+// Recorded results carry the closing line; game-log results carry the net rating
+const RecentResults = ({ results }) => {
+  const { formatPrice } = useOddsFormat();
+  const fromLogs = results[0]?.source === 'gameLogs';
+  return (
+    <div className="overflow-x-auto">
+      <table className="w-full text-sm">
+        <thead>
+          <tr className="text-left text-gray-400 border-b border-gray-700">
+            <th className="py-2 pr-4">Date</th>
+            <th className="py-2 pr-4">Opponent</th>
+            <th className="py-2 pr-4 text-right">Score</th>
+            {fromLogs
+              ? <th className="py-2 text-right">Net Rtg</th>
+              : <><th className="py-2 pr-4 text-right">Closing ML</th><th className="py-2 pr-4 text-right">Closing Spread</th><th className="py-2 text-right">Closing Total</th></>}
+          </tr>
+        </thead>
+        <tbody>
+          {results.map(result => (
+            <tr key={result.eventId || `${result.date}-${result.opponent}`} className="border-b border-gray-700/50">
+              <td className="py-2 pr-4 text-gray-300">{result.date}</td>
+              <td className="py-2 pr-4">{result.homeAway === 'away' ? '@' : 'vs'} {result.opponent}</td>
+              <td className="py-2 pr-4 text-right"><span className={`font-bold mr-2 ${OUTCOME_STYLES[result.outcome]}`}>{result.outcome}</span>{result.score}-{result.opponentScore}</td>
+              {fromLogs
+                ? <td className={`py-2 text-right ${result.netRating >= 0 ? 'text-green-400' : 'text-red-400'}`}>{signed(result.netRating)}</td>
+                : <>
+                    <td className="py-2 pr-4 text-right">{formatPrice(result.closing?.moneyline)}</td>
+                    <td className="py-2 pr-4 text-right">{result.closing?.spread != null ? <>{formatPoint(result.closing.spread)} <span className={OUTCOME_STYLES[result.againstSpread]}>{result.againstSpread}</span></> : '—'}</td>
+                    <td className="py-2 text-right">{result.closing?.total != null ? <>{result.closing.total} <span className="text-gray-400">{result.overUnder}</span></> : '—'}</td>
+                  </>}
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+};
+
+// One team's page: upcoming games, the selected game's line history and
+// book-by-book prices, ratings against the league and recent results. The
+// profile is reloaded whenever `team` (the live market entry) moves.
+const TeamDetailView = ({ apiUrl, sport, teamId, team, onBack, onMatchup }) => {
+  const { formatPrice } = useOddsFormat();
+  const [profile, setProfile] = useState(null);
+  const [error, setError] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [selectedEventId, setSelectedEventId] = useState(null);
+  const livePrice = team?.price;
+
+  useEffect(() => {
+    setProfile(null);
+    setError(null);
+    setSelectedEventId(null);
+  }, [sport, teamId]);
+
+  useEffect(() => {
+    let cancelled = false;
+    setLoading(true);
+    apiFetch(`${apiUrl}/sports/${sport}/teams/${encodeURIComponent(teamId)}/profile?oddsFormat=american`)
+      .then(async res => {
+        const data = await res.json();
+        if (!res.ok) throw new Error(data.message || `Request failed with status ${res.status}`);
+        return data;
+      })
+      .then(data => { if (!cancelled) { setProfile(data); setError(null); } })
+      .catch(err => { if (!cancelled) setError(err.message); })
+      .finally(() => { if (!cancelled) setLoading(false); });
+    return () => { cancelled = true; };
+  }, [apiUrl, sport, teamId, livePrice]);
+
+  if (error && !profile) {
+    return (
+      <div className="bg-gray-800 p-4 rounded-lg shadow-lg border border-gray-700 text-center">
+        <p className="text-gray-300 p-6">{error}</p>
+        <button onClick={onBack} className="text-sm text-indigo-400 hover:text-indigo-300">&larr; Back to Market Overview</button>
+      </div>
+    );
+  }
+  if (!profile) {
+    return <div className="text-center p-10"><div className="animate-spin rounded-full h-16 w-16 border-t-2 border-b-2 border-indigo-400 mx-auto"></div><p className="mt-4 text-gray-400">Loading team profile...</p></div>;
+  }
+
+  const { upcoming, ratings, recentResults } = profile;
+  const selected = upcoming.find(game => game.eventId === selectedEventId) || upcoming[0];
+
+  return (
+    <div className="bg-gray-800 p-4 rounded-lg shadow-lg border border-gray-700">
+        <button onClick={onBack} className="mb-4 text-sm text-indigo-400 hover:text-indigo-300">&larr; Back to Market Overview</button>
+        <div className="flex justify-between items-center mb-4">
+          <div><h2 className="text-2xl font-bold flex items-center gap-2"><TeamBadge team={profile.team} />{profile.team.name}{loading && <RefreshCw size={16} className="animate-spin text-gray-500" />}</h2>{profile.team.conference && <p className="text-sm text-gray-400">{profile.team.conference} · {profile.team.division}</p>}</div>
+          {selected?.moneyline && <div className="text-right"><p className={`text-2xl font-bold ${selected.moneyline.price > 0 ? 'text-green-400' : 'text-red-400'}`}>{formatPrice(selected.moneyline.price)}</p><p className="text-sm">Consensus moneyline vs {selected.opponent}</p></div>}
+        </div>
+
+        <h3 className="text-lg font-semibold text-indigo-300 mt-6 mb-2">Upcoming Games</h3>
+        {upcoming.length > 0
+          ? <UpcomingGames games={upcoming} selectedId={selected?.eventId} onSelect={setSelectedEventId} onMatchup={onMatchup} />
+          : <p className="text-gray-400">No upcoming games are priced right now.</p>}
+
+        {selected && (
+          <>
+            <h3 className="text-lg font-semibold text-indigo-300 mt-6 mb-2">Line History {upcoming.length > 1 && <span className="text-sm text-gray-400 font-normal">{selected.homeAway === 'home' ? 'vs' : '@'} {selected.opponent}</span>}</h3>
+            <LineHistory history={selected.history} />
+            <h3 className="text-lg font-semibold text-indigo-300 mt-6 mb-2">Moneyline by Bookmaker</h3>
+            <BookComparisonTable game={selected.moneyline} />
+            <h3 className="text-lg font-semibold text-indigo-300 mt-6 mb-2">Spreads &amp; Totals by Bookmaker</h3>
+            <BookLinesTable game={selected} />
+          </>
+        )}
+
+        <h3 className="text-lg font-semibold text-indigo-300 mt-6 mb-2">Team Ratings</h3>
+        {ratings
+          ? <TeamRatingsPanel ratings={ratings} />
+          : <p className="text-gray-400">No box-score data has been imported for this team yet. Drop its game logs into the server's game log directory to see efficiency ratings and pace.</p>}
+
+        <h3 className="text-lg font-semibold text-indigo-300 mt-6 mb-2">Recent Results</h3>
+        {recentResults.length > 0
+          ? <RecentResults results={recentResults} />
+          : <p className="text-gray-400">No results recorded for this team yet.</p>}
+    </div>
+  );
+};
+
+export default TeamDetailView;
@@ -0,0 +1,38 @@
+import React, { createContext, useCallback, useEffect, useMemo, useState } from 'react';
+import { ODDS_FORMATS, formatOdds } from '../utils/odds';
+
+const STORAGE_KEY = 'oddsFormat';
+
+const readStoredFormat = () => {
+  try {
+    const stored = window.localStorage.getItem(STORAGE_KEY);
+    return ODDS_FORMATS.some((format) => format.key === stored) ? stored : 'american';
+  } catch {
+    return 'american';
+  }
+};
+
+export const OddsFormatContext = createContext({
+  oddsFormat: 'american',
+  setOddsFormat: () => {},
+  formatPrice: (price) => formatOdds(price),
+});
+
+// Holds the user's odds format preference (kept in localStorage) and a
+// formatter every price on screen goes through
+export const OddsFormatProvider = ({ children }) => {
+  const [oddsFormat, setOddsFormat] = useState(readStoredFormat);
+
+  useEffect(() => {
+    try {
+      window.localStorage.setItem(STORAGE_KEY, oddsFormat);
+    } catch {
+      // Private browsing can refuse storage; the preference just won't persist
+    }
+  }, [oddsFormat]);
+
+  const formatPrice = useCallback((price) => formatOdds(price, oddsFormat), [oddsFormat]);
+  const value = useMemo(() => ({ oddsFormat, setOddsFormat, formatPrice }), [oddsFormat, formatPrice]);
+
+  return <OddsFormatContext.Provider value={value}>{children}</OddsFormatContext.Provider>;
+};
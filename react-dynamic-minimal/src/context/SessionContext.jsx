@@ -0,0 +1,67 @@
+import React, { createContext, useCallback, useEffect, useMemo, useState } from 'react';
+import LoginView from '../components/LoginView';
+import { API_BASE, AUTH_REQUIRED_EVENT, apiFetch } from '../utils/api';
+
+const SESSION_URL = `${API_BASE}/api/v1/auth`;
+
+export const SessionContext = createContext({
+  principal: null,
+  authRequired: false,
+  logout: () => {},
+});
+
+// Asks the server who we are before rendering the app, and shows the login
+// form instead while it requires a session we don't have. If the server
+// can't be reached the app renders anyway and reports the failure itself.
+export const SessionProvider = ({ children }) => {
+  const [session, setSession] = useState(null);
+
+  const refresh = useCallback(() => apiFetch(`${SESSION_URL}/session`)
+    .then(res => (res.ok ? res.json() : null))
+    .then(data => setSession(data || { authRequired: false, authenticated: false, principal: null }))
+    .catch(err => {
+      console.error("Session check error:", err);
+      setSession({ authRequired: false, authenticated: false, principal: null });
+    }), []);
+
+  useEffect(() => { refresh(); }, [refresh]);
+
+  useEffect(() => {
+    const expire = () => setSession(prev => (prev?.authRequired ? { ...prev, authenticated: false, principal: null } : prev));
+    window.addEventListener(AUTH_REQUIRED_EVENT, expire);
+    return () => window.removeEventListener(AUTH_REQUIRED_EVENT, expire);
+  }, []);
+
+  const login = async (username, password) => {
+    const response = await apiFetch(`${SESSION_URL}/login`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ username, password }),
+    });
+    const data = await response.json();
+    if (!response.ok) throw new Error(data.message || `Login failed (${response.status})`);
+    setSession(data);
+  };
+
+  const logout = useCallback(async () => {
+    try {
+      await apiFetch(`${SESSION_URL}/logout`, { method: 'POST', headers: { 'Content-Type': 'application/json' } });
+    } finally {
+      refresh();
+    }
+  }, [refresh]);
+
+  const value = useMemo(() => ({
+    principal: session?.principal || null,
+    authRequired: Boolean(session?.authRequired),
+    logout,
+  }), [session, logout]);
+
+  if (!session) {
+    return <div className="text-center p-10"><div className="animate-spin rounded-full h-24 w-24 border-t-2 border-b-2 border-indigo-400 mx-auto"></div></div>;
+  }
+  if (session.authRequired && !session.authenticated) return <LoginView onLogin={login} />;
+
+  // Keyed on the user so a new login starts the app afresh
+  return <SessionContext.Provider value={value}><React.Fragment key={session.principal?.id || 'anonymous'}>{children}</React.Fragment></SessionContext.Provider>;
+};
@@ -0,0 +1,86 @@
+import { useEffect, useRef, useState } from 'react';
+import { impliedProbability } from '../utils/odds';
+
+const probabilityOf = (price) => Number(impliedProbability(price).toFixed(2));
+
+// The trailing 24h move up to `price`, rounded like the server's (see
+// lib/transform.js describeChange)
+const changeTo = (last24h, price) => {
+  const from = probabilityOf(last24h.from);
+  const change = probabilityOf(price) - from;
+  return {
+    ...last24h,
+    to: price,
+    change: Number(change.toFixed(2)),
+    changePercent: from ? Number(((change / from) * 100).toFixed(2)) : 0,
+  };
+};
+
+// Folds an updated game record from the stream into the team map, for the
+// teams whose next game it is
+export const applyGameToTeams = (teams, game, capturedAt) => {
+  const next = { ...teams };
+  [['home', game.homeTeam], ['away', game.awayTeam]].forEach(([side, { id }]) => {
+    const team = next[id];
+    const moneyline = game.markets.h2h?.[side];
+    if (!team || !moneyline || team.upcomingGame.eventId !== game.id) return;
+
+    const value = probabilityOf(moneyline.price);
+    const last24h = team.priceChanges?.last24h && changeTo(team.priceChanges.last24h, moneyline.price);
+    next[id] = {
+      ...team,
+      price: moneyline.price,
+      ...(last24h && {
+        change: last24h.change,
+        changePercent: last24h.changePercent,
+        priceChanges: { ...team.priceChanges, last24h },
+      }),
+      performanceHistory: [...team.performanceHistory, { name: capturedAt, capturedAt, price: moneyline.price, value }],
+      upcomingGame: {
+        ...team.upcomingGame,
+        moneyline: moneyline.price,
+        consensus: moneyline.consensus,
+        best: moneyline.best,
+        bookSpread: moneyline.bookSpread,
+        bookmakerCount: moneyline.bookmakerCount,
+        books: moneyline.books,
+        spread: game.markets.spreads ? game.markets.spreads[side] : null,
+        total: game.markets.totals,
+      },
+    };
+  });
+  return next;
+};
+
+// Subscribes to the server's SSE odds stream for one sport. `onOdds` receives
+// every diff ({ added, removed, updated, changes }); the returned flag tells
+// whether the stream is currently connected.
+const useLiveOdds = (streamUrl, onOdds) => {
+  const [connected, setConnected] = useState(false);
+  // Only a new URL restarts the stream; the latest handler is read from a ref
+  const handlerRef = useRef(onOdds);
+
+  useEffect(() => {
+    handlerRef.current = onOdds;
+  }, [onOdds]);
+
+  useEffect(() => {
+    if (!streamUrl || typeof EventSource === 'undefined') return;
+
+    // The session cookie has to go along when the API is on another origin
+    const source = new EventSource(streamUrl, { withCredentials: true });
+    source.addEventListener('ready', () => setConnected(true));
+    source.addEventListener('odds', (event) => handlerRef.current(JSON.parse(event.data)));
+    // EventSource reconnects on its own; just reflect the state
+    source.onerror = () => setConnected(false);
+
+    return () => {
+      source.close();
+      setConnected(false);
+    };
+  }, [streamUrl]);
+
+  return connected;
+};
+
+export default useLiveOdds;
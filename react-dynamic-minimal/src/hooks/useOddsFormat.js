@@ -0,0 +1,7 @@
+import { useContext } from 'react';
+import { OddsFormatContext } from '../context/OddsFormatContext';
+
+// `{ oddsFormat, setOddsFormat, formatPrice }` for the current preference
+const useOddsFormat = () => useContext(OddsFormatContext);
+
+export default useOddsFormat;
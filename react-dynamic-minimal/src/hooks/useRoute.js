@@ -0,0 +1,79 @@
+import { useCallback, useEffect, useState } from 'react';
+
+// --- Client-side routes ---
+// The current view lives in the URL, so refreshing keeps your place, the back
+// button moves between views and any view can be shared as a link:
+//   /                         market overview (?tab=&conference=&division=)
+//   /teams/:teamId            one team's detail
+//   /matchup/:teamA/:teamB    head-to-head analysis
+//   /bets, /alerts
+// `sport` and `odds` (the odds format) ride along in the query string of
+// every route. The server answers every non-API path with index.html.
+const ROUTES = [
+  { view: 'market', pattern: /^\/$/, params: [] },
+  { view: 'teamDetail', pattern: /^\/teams\/([^/]+)\/?$/, params: ['teamId'] },
+  { view: 'matchup', pattern: /^\/matchup(?:\/([^/]+)\/([^/]+))?\/?$/, params: ['teamA', 'teamB'] },
+  { view: 'bets', pattern: /^\/bets\/?$/, params: [] },
+  { view: 'alerts', pattern: /^\/alerts\/?$/, params: [] },
+];
+
+// Query parameters kept when moving to another view
+const STICKY_PARAMS = ['sport', 'odds'];
+
+export const matchRoute = (pathname) => {
+  for (const route of ROUTES) {
+    const match = pathname.match(route.pattern);
+    if (match) {
+      const params = Object.fromEntries(route.params
+        .map((name, index) => [name, match[index + 1] && decodeURIComponent(match[index + 1])])
+        .filter(([, value]) => value));
+      return { view: route.view, params };
+    }
+  }
+  return { view: 'notFound', params: {} };
+};
+
+const readLocation = () => ({
+  ...matchRoute(window.location.pathname),
+  query: Object.fromEntries(new URLSearchParams(window.location.search)),
+});
+
+// Empty values are left out so links stay short
+const toSearch = (query) => {
+  const search = new URLSearchParams(Object.entries(query).filter(([, value]) => value !== null && value !== undefined && value !== ''));
+  const text = search.toString();
+  return text ? `?${text}` : '';
+};
+
+// `{ view, params, query, navigate(path, { query, replace }), setQuery(changes) }`.
+// `navigate` keeps the sticky parameters unless `query` overrides them;
+// `setQuery` merges into the current URL without adding a history entry.
+const useRoute = () => {
+  const [location, setLocation] = useState(readLocation);
+
+  useEffect(() => {
+    const onPopState = () => setLocation(readLocation());
+    window.addEventListener('popstate', onPopState);
+    return () => window.removeEventListener('popstate', onPopState);
+  }, []);
+
+  const navigate = useCallback((path, { query = {}, replace = false } = {}) => {
+    const current = Object.fromEntries(new URLSearchParams(window.location.search));
+    const sticky = Object.fromEntries(STICKY_PARAMS.filter(key => current[key]).map(key => [key, current[key]]));
+    const url = `${path}${toSearch({ ...sticky, ...query })}`;
+    window.history[replace ? 'replaceState' : 'pushState'](null, '', url);
+    setLocation(readLocation());
+  }, []);
+
+  const setQuery = useCallback((changes) => {
+    const current = Object.fromEntries(new URLSearchParams(window.location.search));
+    const url = `${window.location.pathname}${toSearch({ ...current, ...changes })}`;
+    if (url === `${window.location.pathname}${window.location.search}`) return;
+    window.history.replaceState(null, '', url);
+    setLocation(readLocation());
+  }, []);
+
+  return { ...location, navigate, setQuery };
+};
+
+export default useRoute;
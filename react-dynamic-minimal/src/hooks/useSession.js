@@ -0,0 +1,7 @@
+import { useContext } from 'react';
+import { SessionContext } from '../context/SessionContext';
+
+// `{ principal, authRequired, logout }` for whoever is signed in
+const useSession = () => useContext(SessionContext);
+
+export default useSession;
@@ -0,0 +1,16 @@
+// --- API client ---
+// Every request to the backend goes through apiFetch, so the session cookie
+// travels with it (the API may be on another origin) and a 401 sends the app
+// back to the login form.
+
+// The backend server URL - uses environment variable in production
+export const API_BASE = import.meta.env.VITE_API_BASE_URL || 'http://localhost:3001';
+
+// Fired on window when the server wants credentials
+export const AUTH_REQUIRED_EVENT = 'auth:required';
+
+export const apiFetch = async (url, options = {}) => {
+  const response = await fetch(url, { credentials: 'include', ...options });
+  if (response.status === 401) window.dispatchEvent(new Event(AUTH_REQUIRED_EVENT));
+  return response;
+};
@@ -0,0 +1,65 @@
+// --- Odds formats ---
+// Prices arrive from the API in American odds; these render them in the
+// user's preferred format. Colouring and maths stay on the American value.
+
+export const ODDS_FORMATS = [
+  { key: 'american', label: 'American' },
+  { key: 'decimal', label: 'Decimal' },
+  { key: 'fractional', label: 'Fractional' },
+  { key: 'probability', label: 'Implied %' },
+];
+
+// Implied probability of an American price, as a percentage
+export const impliedProbability = (price) => (price > 0 ? 100 / (price + 100) : -price / (-price + 100)) * 100;
+
+const americanToDecimal = (price) => (price > 0 ? price / 100 + 1 : 100 / -price + 1);
+
+const gcd = (a, b) => (b === 0 ? a : gcd(b, a % b));
+
+const americanToFractional = (price) => {
+  const [numerator, denominator] = price > 0 ? [Math.round(price), 100] : [100, Math.round(-price)];
+  const divisor = gcd(numerator, denominator);
+  return `${numerator / divisor}/${denominator / divisor}`;
+};
+
+export const formatOdds = (price, format = 'american') => {
+  if (price === null || price === undefined || Number.isNaN(price)) return '—';
+  switch (format) {
+    case 'decimal':
+      return americanToDecimal(price).toFixed(2);
+    case 'fractional':
+      return americanToFractional(price);
+    case 'probability':
+      return `${impliedProbability(price).toFixed(1)}%`;
+    default:
+      return price > 0 ? `+${Math.round(price)}` : `${Math.round(price)}`;
+  }
+};
+
+// A price typed in any format back to American; NaN when it isn't valid
+export const parseOdds = (value, format = 'american') => {
+  const text = String(value).trim().replace(/%$/, '');
+  const fromDecimal = (decimal) => {
+    if (!(decimal > 1)) return NaN;
+    return decimal >= 2 ? Math.round((decimal - 1) * 100) : Math.round(-100 / (decimal - 1));
+  };
+  switch (format) {
+    case 'decimal':
+      return fromDecimal(Number(text));
+    case 'fractional': {
+      const [numerator, denominator] = text.split('/').map(Number);
+      return denominator > 0 ? fromDecimal(1 + numerator / denominator) : NaN;
+    }
+    case 'probability': {
+      const percent = Number(text);
+      return percent > 0 && percent < 100 ? fromDecimal(100 / percent) : NaN;
+    }
+    default: {
+      const american = Number(text);
+      return Math.abs(american) >= 100 ? american : NaN;
+    }
+  }
+};
+
+// Spreads and totals points are signed the same way regardless of format
+export const formatPoint = (point) => (point > 0 ? `+${point}` : point);
@@ -0,0 +1,115 @@
+#!/usr/bin/env node
+const path = require('path');
+const { createSnapshotStore } = require('../lib/snapshotStore');
+const { createResultStore } = require('../lib/resultStore');
+const { createGameLogProvider } = require('../lib/gameLogs');
+const { DEFAULT_BACKTEST, createBacktester } = require('../lib/backtest');
+
+// --- Backtest CLI ---
+// Replays the Elo model over the snapshots and results stored in a data
+// directory and prints the report. Works offline; no API key needed.
+//   npm run backtest -- --sport basketball_nba --min-edge 4 --pricing open
+// Flags map onto the backtest options (see lib/backtest.js); --json prints
+// the full report, ledger included, instead of the summary.
+
+const USAGE = `Usage: npm run backtest -- [options]
+  --sport <key>          sport to replay (default basketball_nba)
+  --min-edge <points>    bet when the model beats the best price by more (default ${DEFAULT_BACKTEST.minEdge})
+  --pricing close|open   price at each book's last or first pre-tip quote (default ${DEFAULT_BACKTEST.pricing})
+  --staking flat|kelly   (default ${DEFAULT_BACKTEST.staking})
+  --stake <units>        flat stake per bet (default ${DEFAULT_BACKTEST.stake})
+  --bankroll <units>     starting bankroll for kelly staking (default ${DEFAULT_BACKTEST.bankroll})
+  --fraction <0-1>       share of full Kelly (default ${DEFAULT_BACKTEST.fraction})
+  --cap <0-1>            largest share of bankroll per bet (default ${DEFAULT_BACKTEST.cap})
+  --from <date>          first game date to bet on
+  --to <date>            last game date to bet on
+  --data-dir <dir>       where snapshots and results are stored (default $DATA_DIR or ./data)
+  --game-logs <dir>      box-score logs to warm the model up (default $GAME_LOGS_DIR or <data-dir>/gamelogs)
+  --json                 print the full report as JSON`;
+
+const FLAGS = {
+    '--sport': 'sport',
+    '--min-edge': 'minEdge',
+    '--pricing': 'pricing',
+    '--staking': 'staking',
+    '--stake': 'stake',
+    '--bankroll': 'bankroll',
+    '--fraction': 'fraction',
+    '--cap': 'cap',
+    '--from': 'from',
+    '--to': 'to',
+    '--data-dir': 'dataDir',
+    '--game-logs': 'gameLogsDir',
+};
+
+const parseArgs = (argv) => {
+    const args = { sport: 'basketball_nba' };
+    for (let i = 0; i < argv.length; i += 1) {
+        const flag = argv[i];
+        if (flag === '--json') {
+            args.json = true;
+        } else if (flag === '--help' || flag === '-h') {
+            args.help = true;
+        } else if (FLAGS[flag] && argv[i + 1] !== undefined) {
+            args[FLAGS[flag]] = argv[i + 1];
+            i += 1;
+        } else {
+            throw new Error(`Unknown or incomplete option: ${flag}`);
+        }
+    }
+    return args;
+};
+
+const signed = (value, suffix = '') => `${value > 0 ? '+' : ''}${value}${suffix}`;
+
+const printSummary = (report) => {
+    const { bets, forecasts, strategy } = report;
+    const lines = [
+        `${report.sport} backtest, ${report.period.from ? `${report.period.from} to ${report.period.to}` : 'no games recorded'}`,
+        `  strategy   edge > ${strategy.minEdge} pts at the best ${strategy.pricing} price, ${strategy.staking} staking`,
+        `  games      ${report.games.replayed} replayed, ${report.games.withOdds} with stored odds`,
+        `  bets       ${bets.count} (${bets.won} won, ${bets.lost} lost), hit rate ${bets.hitRate}%, average edge ${bets.averageEdge} pts`,
+        `  profit     ${signed(bets.profit)} on ${bets.staked} staked, ROI ${signed(bets.roi, '%')}`,
+        `  drawdown   ${bets.maxDrawdown.amount} (${bets.maxDrawdown.percent}%)`,
+    ];
+    if (bets.finalBankroll !== undefined) lines.push(`  bankroll   ${strategy.bankroll} -> ${bets.finalBankroll}`);
+    if (forecasts.count > 0) {
+        lines.push(`  log-loss   model ${forecasts.model.logLoss}, market ${forecasts.market.logLoss}`);
+        lines.push(`  brier      model ${forecasts.model.brier}, market ${forecasts.market.brier}`);
+        lines.push('  calibration (predicted -> actual win %)');
+        report.calibration.forEach(bucket => {
+            lines.push(`    ${bucket.bucket.padEnd(8)} ${String(bucket.count).padStart(4)} games  ${bucket.predicted} -> ${bucket.actual}`);
+        });
+    }
+    console.log(lines.join('\n'));
+};
+
+const main = async () => {
+    const { json, help, dataDir: dataDirArg, gameLogsDir, ...options } = parseArgs(process.argv.slice(2));
+    if (help) {
+        console.log(USAGE);
+        return;
+    }
+
+    const dataDir = path.resolve(dataDirArg || process.env.DATA_DIR || path.join(__dirname, '..', 'data'));
+    const backtester = createBacktester({
+        snapshots: createSnapshotStore({ dataDir }),
+        results: createResultStore({ dataDir }),
+        gameLogs: createGameLogProvider({ dir: path.resolve(gameLogsDir || process.env.GAME_LOGS_DIR || path.join(dataDir, 'gamelogs')) }),
+    });
+
+    const report = await backtester.run(options);
+    if (json) {
+        console.log(JSON.stringify(report, null, 2));
+    } else {
+        printSummary(report);
+    }
+};
+
+main().catch(error => {
+    console.error(error.message);
+    if (error.code === 'INVALID_BACKTEST' || error.message.startsWith('Unknown or incomplete option')) {
+        console.error(`\n${USAGE}`);
+    }
+    process.exit(1);
+});
@@ -0,0 +1,289 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { buildRule } = require('../lib/alerts');
+const { isPrivateAddress } = require('../lib/webhooks');
+const { sampleEvents, createClock, startApp } = require('./helpers');
+
+const ODDS_PATH = '/sports/basketball_nba/odds';
+const MINUTE = 60 * 1000;
+
+// Lets queued callbacks (pull listeners, webhook posts) run
+const settle = () => new Promise(resolve => setTimeout(resolve, 20));
+
+// The sample events with the Knicks priced at `price` by both books and,
+// when given, a Celtics spread at `point`
+const pricedEvents = ({ price = 130, point } = {}) => sampleEvents().map(event => (event.id !== 'evt-1' ? event : {
+    ...event,
+    bookmakers: event.bookmakers.map(bookmaker => ({
+        ...bookmaker,
+        markets: [
+            { key: 'h2h', outcomes: [{ name: 'Boston Celtics', price: -150 }, { name: 'New York Knicks', price }] },
+            ...(point === undefined ? [] : [{
+                key: 'spreads',
+                outcomes: [{ name: 'Boston Celtics', price: -110, point }, { name: 'New York Knicks', price: -110, point: -point }],
+            }]),
+        ],
+    })),
+}));
+
+// Each book favours a different side enough to lock in a profit
+const arbitrageEvents = () => sampleEvents().map(event => (event.id !== 'evt-1' ? event : {
+    ...event,
+    bookmakers: [
+        { key: 'draftkings', title: 'DraftKings', markets: [{ key: 'h2h', outcomes: [{ name: 'Boston Celtics', price: 120 }, { name: 'New York Knicks', price: -150 }] }] },
+        { key: 'fanduel', title: 'FanDuel', markets: [{ key: 'h2h', outcomes: [{ name: 'Boston Celtics', price: -150 }, { name: 'New York Knicks', price: 120 }] }] },
+    ],
+}));
+
+// A webhook receiver on a random port; every JSON body posted lands in `received`
+const startReceiver = async () => {
+    const received = [];
+    const server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+            received.push(JSON.parse(body));
+            res.end('ok');
+        });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    return {
+        url: `http://127.0.0.1:${server.address().port}/hook`,
+        received,
+        close: () => new Promise(resolve => server.close(resolve)),
+    };
+};
+
+describe('alerts', () => {
+    let server;
+    let receiver;
+    let clock;
+    let events;
+
+    beforeEach(async () => {
+        mock.method(console, 'log', () => {});
+        mock.method(console, 'error', () => {});
+        clock = createClock();
+        receiver = await startReceiver();
+        events = pricedEvents();
+        // No cache, so every request is a fresh pull the rules see; the
+        // receiver is local, so it has to be allow-listed
+        server = await startApp({
+            routes: { [ODDS_PATH]: () => events },
+            env: { ENABLE_CACHE: 'false', ALERT_WEBHOOK_HOSTS: '127.0.0.1' },
+            clock,
+        });
+    });
+
+    afterEach(async () => {
+        await server.close();
+        await receiver.close();
+        mock.restoreAll();
+    });
+
+    const addRule = async (rule) => (await server.request('/api/v1/alerts', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(rule),
+    })).body;
+
+    const pull = async () => {
+        await server.request('/api/v1/games');
+        await settle();
+    };
+
+    it('rejects rules it cannot evaluate', async () => {
+        const { status, body } = await server.request('/api/v1/alerts', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ type: 'price', market: 'h2h', direction: 'above', threshold: 150 }),
+        });
+
+        assert.equal(status, 400);
+        assert.equal(body.error, 'Invalid alert');
+        assert.match(body.message, /needs a team/);
+    });
+
+    it('only watches sport keys the server serves', async () => {
+        const traversal = await server.request('/api/v1/alerts', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ type: 'arbitrage', sport: '../../../etc' }),
+        });
+        assert.equal(traversal.status, 400);
+        assert.match(traversal.body.message, /not available/);
+
+        assert.throws(() => buildRule({ type: 'arbitrage', sport: 'soccer_epl' }, { allowedSports: ['basketball_nba'] }), { code: 'INVALID_ALERT' });
+        assert.equal(buildRule({ type: 'arbitrage' }, { defaultSport: 'basketball_nba', allowedSports: ['basketball_nba'] }).sport, 'basketball_nba');
+    });
+
+    it('keeps rule webhooks off hosts that are not allowed', async () => {
+        const { status, body } = await server.request('/api/v1/alerts', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ type: 'arbitrage', webhook: { url: 'http://169.254.169.254/latest/meta-data' } }),
+        });
+        assert.equal(status, 400);
+        assert.match(body.message, /webhook\.url/);
+
+        const open = { type: 'arbitrage' };
+        const blocked = [
+            'http://localhost:8080/', 'http://10.0.0.5/hook', 'http://[::1]/hook', 'http://2130706433/', 'http://198.18.0.1/',
+            'http://224.0.0.251/', 'http://240.0.0.1/', 'http://[ff02::1]/', 'http://[64:ff9b::a00:5]/', 'http://[::ffff:127.0.0.1]/',
+        ];
+        for (const url of blocked) {
+            assert.throws(() => buildRule({ ...open, webhook: { url } }, { defaultSport: 'basketball_nba' }), { code: 'INVALID_ALERT' }, url);
+        }
+        assert.equal(buildRule({ ...open, webhook: { url: 'https://hooks.slack.com/services/T0/B0/x' } }, { defaultSport: 'basketball_nba' }).webhook.format, 'generic');
+        assert.equal(isPrivateAddress('93.184.216.34'), false);
+        assert.equal(isPrivateAddress('2606:4700::1111'), false);
+
+        // A rule stored before the allow-list changed is refused at delivery
+        const stale = server.services.alertStore.createRule({ ...buildRule(open, { defaultSport: 'basketball_nba' }), webhook: { url: 'http://10.0.0.5/hook', format: 'generic' } });
+        const test = await server.request(`/api/v1/alerts/${stale.id}/test`, { method: 'POST' });
+        assert.equal(test.body.delivery.status, 'failed');
+        assert.match(test.body.delivery.error, /not allowed/);
+    });
+
+    it('replaces the type\'s fields when a rule changes type', async () => {
+        const rule = await addRule({ type: 'price', team: 'Knicks', direction: 'above', threshold: 150, cooldownMinutes: 5 });
+        const patch = (changes) => server.request(`/api/v1/alerts/${rule.id}`, {
+            method: 'PATCH',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(changes),
+        });
+
+        const movement = await patch({ type: 'movement', threshold: 2 });
+        assert.equal(movement.status, 200);
+        assert.equal(movement.body.market, 'spreads');
+        assert.equal(movement.body.team, null);
+        assert.equal(movement.body.direction, undefined);
+        assert.equal(movement.body.cooldownMinutes, 5);
+        assert.equal(movement.body.createdAt, rule.createdAt);
+        assert.match(movement.body.name, /moves 2 points/);
+
+        const arbitrage = await patch({ type: 'arbitrage' });
+        assert.deepEqual(Object.keys(arbitrage.body).filter(key => ['market', 'team', 'threshold', 'direction'].includes(key)), []);
+        assert.equal((await patch({ type: 'price' })).status, 400);
+    });
+
+    it('fires a price alert once when the line crosses, in the webhook\'s format', async () => {
+        const rule = await addRule({
+            type: 'price', team: 'Knicks', direction: 'above', threshold: 150,
+            webhook: { url: receiver.url, format: 'slack' },
+        });
+        assert.equal(rule.name, 'Knicks moneyline above +150');
+
+        await pull();
+        events = pricedEvents({ price: 160 });
+        await pull();
+        await pull();
+
+        assert.equal(receiver.received.length, 1);
+        assert.match(receiver.received[0].text, /New York Knicks moneyline is \+160, above \+150/);
+        const { body } = await server.request('/api/v1/alerts/history');
+        assert.equal(body.count, 1);
+        assert.equal(body.alerts[0].eventId, 'evt-1');
+        assert.equal(body.alerts[0].delivery.status, 'sent');
+    });
+
+    it('fires again after the line falls back and crosses once the cooldown is over', async () => {
+        await addRule({ type: 'price', team: 'Knicks', direction: 'above', threshold: 150, cooldownMinutes: 10 });
+
+        events = pricedEvents({ price: 160 });
+        await pull();
+        events = pricedEvents({ price: 140 });
+        await pull();
+        events = pricedEvents({ price: 160 });
+        await pull();
+        assert.equal((await server.request('/api/v1/alerts/history')).body.count, 1);
+
+        clock.advance(11 * MINUTE);
+        await pull();
+        const { body } = await server.request('/api/v1/alerts/history');
+        assert.equal(body.count, 2);
+        assert.equal(body.alerts[0].delivery.status, 'skipped');
+    });
+
+    it('measures spread movement from the line it last fired at', async () => {
+        events = pricedEvents({ point: -3.5 });
+        await addRule({ type: 'movement', market: 'spreads', threshold: 1.5, cooldownMinutes: 0, webhook: { url: receiver.url } });
+
+        await pull();
+        events = pricedEvents({ point: -4.5 });
+        await pull();
+        events = pricedEvents({ point: -5 });
+        await pull();
+        events = pricedEvents({ point: -6 });
+        await pull();
+
+        assert.equal(receiver.received.length, 1);
+        const [{ event, alert }] = receiver.received;
+        assert.equal(event, 'odds.alert');
+        assert.equal(alert.details.baseline, -3.5);
+        assert.equal(alert.details.point, -5);
+        assert.match(alert.message, /Boston Celtics spread moved from -3\.5 to -5/);
+    });
+
+    it('measures moneyline movement in implied probability', async () => {
+        events = pricedEvents({ price: -102 });
+        await addRule({ type: 'movement', market: 'h2h', team: 'New York Knicks', threshold: 2, cooldownMinutes: 0, webhook: { url: receiver.url } });
+
+        await pull();
+        events = pricedEvents({ price: 102 });
+        await pull();
+        assert.equal(receiver.received.length, 0);
+
+        events = pricedEvents({ price: 110 });
+        await pull();
+        assert.equal(receiver.received.length, 1);
+        const [{ alert }] = receiver.received;
+        assert.equal(alert.details.baseline, -102);
+        assert.equal(alert.details.moved, 2.88);
+    });
+
+    it('reports arbitrages found by a manual check', async () => {
+        events = arbitrageEvents();
+        await addRule({ type: 'arbitrage', minRoi: 1 });
+
+        const { status, body } = await server.request('/api/v1/alerts/check', { method: 'POST' });
+
+        assert.equal(status, 200);
+        assert.deepEqual(body.checkedSports, ['basketball_nba']);
+        assert.equal(body.count, 1);
+        assert.equal(body.alerts[0].market, 'h2h');
+        assert.ok(body.alerts[0].details.roi >= 1);
+    });
+
+    it('keeps checking other sports when one cannot be pulled', async () => {
+        events = arbitrageEvents();
+        await addRule({ type: 'arbitrage', sport: 'americanfootball_nfl' });
+        await addRule({ type: 'arbitrage', minRoi: 1 });
+
+        const { status, body } = await server.request('/api/v1/alerts/check', { method: 'POST' });
+
+        assert.equal(status, 200);
+        assert.deepEqual(body.checkedSports, ['basketball_nba']);
+        assert.deepEqual(body.failedSports.map(failure => failure.sport), ['americanfootball_nfl']);
+        assert.equal(body.count, 1);
+    });
+
+    it('stops evaluating disabled and deleted rules', async () => {
+        const rule = await addRule({ type: 'price', team: 'Knicks', direction: 'above', threshold: 150 });
+        const patched = await server.request(`/api/v1/alerts/${rule.id}`, {
+            method: 'PATCH',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ enabled: false, threshold: 155 }),
+        });
+        assert.equal(patched.body.enabled, false);
+        assert.equal(patched.body.name, 'Knicks moneyline above +155');
+
+        events = pricedEvents({ price: 160 });
+        await pull();
+        assert.equal((await server.request('/api/v1/alerts/history')).body.count, 0);
+
+        assert.equal((await server.request(`/api/v1/alerts/${rule.id}`, { method: 'DELETE' })).status, 204);
+        assert.equal((await server.request('/api/v1/alerts')).body.count, 0);
+    });
+});
@@ -0,0 +1,324 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { loadConfig } = require('../lib/config');
+const { sampleEvents, createClock, timeoutError, httpError, startApp } = require('./helpers');
+
+const ODDS_PATH = '/sports/basketball_nba/odds';
+
+describe('app', () => {
+    let server;
+
+    beforeEach(() => {
+        mock.method(console, 'log', () => {});
+        mock.method(console, 'error', () => {});
+    });
+
+    afterEach(async () => {
+        await server?.close();
+        server = null;
+        mock.restoreAll();
+    });
+
+    describe('games', () => {
+        it('lists upcoming games soonest first with the consensus line', async () => {
+            server = await startApp({ routes: { [ODDS_PATH]: sampleEvents() } });
+            const { status, body } = await server.request('/api/v1/games');
+
+            assert.equal(status, 200);
+            assert.equal(body.count, 2);
+            assert.deepEqual(body.games.map(game => game.id), ['evt-2', 'evt-1']);
+            assert.equal(body.games[1].markets.h2h.home.best.price, -140);
+            assert.equal(body.games[1].markets.h2h.home.best.bookmaker, 'fanduel');
+        });
+
+        it('serves the same games under /sports/:sport', async () => {
+            server = await startApp({ routes: { [ODDS_PATH]: sampleEvents() } });
+            const { status, body } = await server.request('/api/v1/sports/basketball_nba/games/evt-1');
+
+            assert.equal(status, 200);
+            assert.equal(body.homeTeam.name, 'Boston Celtics');
+        });
+
+        it('renders prices in the requested odds format', async () => {
+            server = await startApp({ routes: { [ODDS_PATH]: sampleEvents() } });
+            const { body } = await server.request('/api/v1/games/evt-2?oddsFormat=decimal');
+
+            assert.equal(body.markets.h2h.home.best.price, 1.5);
+        });
+
+        it('prices both sides of a total at one point when the books split', async () => {
+            const total = (key, over, under) => ({
+                key,
+                title: key,
+                markets: [{ key: 'totals', outcomes: [{ name: 'Over', price: -110, point: over }, { name: 'Under', price: -110, point: under }] }],
+            });
+            const [event] = sampleEvents();
+            const split = [{ ...event, bookmakers: [total('draftkings', 221, 220.5), total('fanduel', 221, 220.5), total('betmgm', 220.5, 220.5)] }];
+            server = await startApp({ routes: { [ODDS_PATH]: split } });
+
+            const { totals } = (await server.request(`/api/v1/games/${event.id}`)).body.markets;
+
+            assert.equal(totals.point, 220.5);
+            assert.equal(totals.over.point, 220.5);
+            assert.equal(totals.under.point, 220.5);
+        });
+
+        it('measures team price changes on the app clock, without invented fields', async () => {
+            const clock = createClock(Date.parse('2029-12-31T00:00:00Z'));
+            server = await startApp({ routes: { [ODDS_PATH]: sampleEvents() }, clock });
+            await server.request('/api/v1/games');
+            clock.advance(2 * 24 * 60 * 60 * 1000);
+
+            const celtics = Object.values((await server.request('/api/v1/nba-data')).body).find(team => team.name === 'Boston Celtics');
+            assert.equal(celtics.priceChanges.last24h.since, '2029-12-31T00:00:00.000Z');
+            assert.equal(celtics.marketCap, undefined);
+            assert.equal(celtics.volume, undefined);
+        });
+
+        it('records every pull in the snapshot store', async () => {
+            server = await startApp({ routes: { [ODDS_PATH]: sampleEvents() } });
+            await server.request('/api/v1/games');
+
+            assert.equal(server.services.snapshots.getEvent('evt-1').length, 2);
+        });
+    });
+
+    describe('expected value', () => {
+        it('prices a moneyline from the Elo model', async () => {
+            server = await startApp({ routes: { [ODDS_PATH]: sampleEvents() } });
+            const { status, body } = await server.request('/api/v1/ev?eventId=evt-1&source=model');
+
+            assert.equal(status, 200);
+            assert.equal(body.source, 'model');
+            const [home, away] = body.outcomes;
+            assert.equal(home.probability, body.model.home.probability);
+            assert.equal(Number((home.probability + away.probability).toFixed(2)), 100);
+            // Unrated teams meet at the home advantage alone
+            assert.ok(home.probability > 50);
+
+            const spread = await server.request('/api/v1/ev?eventId=evt-1&source=model&market=spreads');
+            assert.equal(spread.status, 400);
+        });
+    });
+
+    describe('not found', () => {
+        it('answers 404 for an unknown game', async () => {
+            server = await startApp({ routes: { [ODDS_PATH]: sampleEvents() } });
+            const { status, body } = await server.request('/api/v1/games/missing');
+
+            assert.equal(status, 404);
+            assert.equal(body.error, 'Not found');
+            assert.match(body.message, /missing/);
+        });
+
+        it('answers 404 for a matchup briefing in a sport that is not served', async () => {
+            server = await startApp({ routes: { [ODDS_PATH]: sampleEvents() }, config: { sports: ['basketball_nba'] } });
+            const briefing = (sport) => server.request('/api/v1/analysis/matchup', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ sport, teamA: 'bostonceltics', teamB: 'newyorkknicks' }),
+            });
+
+            for (const sport of ['soccer_epl', '../../etc']) {
+                const { status, body } = await briefing(sport);
+                assert.equal(status, 404);
+                assert.match(body.message, /is not available/);
+            }
+            assert.deepEqual(server.oddsClient.calls, []);
+        });
+
+        it('answers 404 for a backtest in a sport that is not served', async () => {
+            server = await startApp({ config: { sports: ['basketball_nba'] } });
+            const backtest = (options) => server.request('/api/v1/backtests', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(options),
+            });
+
+            assert.equal((await backtest({ sport: '../../../etc' })).status, 404);
+            assert.equal((await backtest({ sport: 'soccer_epl' })).status, 404);
+            assert.equal((await backtest({})).status, 200);
+        });
+
+        it('answers 404 with the endpoint list for an unknown API route', async () => {
+            server = await startApp();
+            const { status, body } = await server.request('/api/v1/nothing-here');
+
+            assert.equal(status, 404);
+            assert.equal(body.message, 'API endpoint /api/v1/nothing-here not found');
+            assert.ok(body.availableEndpoints.includes('/api/v1/games'));
+        });
+
+        it('answers 404 from nba-data when no games are scheduled', async () => {
+            server = await startApp({ routes: { [ODDS_PATH]: [] } });
+            const { status, body } = await server.request('/api/v1/nba-data');
+
+            assert.equal(status, 404);
+            assert.equal(body.message, 'No upcoming basketball_nba games found.');
+        });
+
+        it('answers 404 with an error from the sport\'s odds when no games are scheduled', async () => {
+            server = await startApp({ routes: { [ODDS_PATH]: [] } });
+            const { status, body } = await server.request('/api/v1/sports/basketball_nba/odds');
+
+            assert.equal(status, 404);
+            assert.deepEqual(body, { error: 'Not found', message: 'No upcoming basketball_nba games found.' });
+        });
+
+        it('redirects the legacy nba-data route', async () => {
+            server = await startApp();
+            const { status, headers } = await server.request('/api/nba-data');
+
+            assert.equal(status, 302);
+            assert.equal(headers.get('location'), '/api/v1/nba-data');
+        });
+    });
+
+    describe('backtests', () => {
+        it('replays odds older than the snapshots kept in memory', async () => {
+            server = await startApp({ clock: createClock(Date.parse('2030-03-01T00:00:00Z')) });
+            const { snapshots, results } = server.services;
+            const [event] = sampleEvents();
+            snapshots.record('basketball_nba', [{ ...event, id: 'evt-0', commence_time: '2029-11-02T00:00:00Z' }], '2029-11-01T12:00:00.000Z');
+            results.record({
+                eventId: 'evt-0',
+                sport: 'basketball_nba',
+                commenceTime: '2029-11-02T00:00:00Z',
+                homeTeam: event.home_team,
+                awayTeam: event.away_team,
+                homeScore: 110,
+                awayScore: 100,
+                closing: null,
+            });
+
+            const { status, body } = await server.request('/api/v1/backtests');
+
+            assert.equal(snapshots.getEvent('evt-0').length, 0);
+            assert.equal(status, 200);
+            assert.equal(body.games.withOdds, 1);
+        });
+
+        it('rejects model settings that are not an object', async () => {
+            server = await startApp();
+            for (const settings of ['kFactor', [20]]) {
+                const { status, body } = await server.request('/api/v1/backtests', {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ settings }),
+                });
+                assert.equal(status, 400);
+                assert.equal(body.message, 'settings must be an object');
+            }
+        });
+    });
+
+    describe('upstream failures', () => {
+        it('answers 504 when the Odds API times out', async () => {
+            server = await startApp({ routes: { [ODDS_PATH]: () => { throw timeoutError(); } } });
+            const { status, body } = await server.request('/api/v1/games');
+
+            assert.equal(status, 504);
+            assert.equal(body.error, 'Request timeout');
+        });
+
+        it('passes upstream error statuses and messages through', async () => {
+            server = await startApp({
+                routes: { [ODDS_PATH]: () => { throw httpError(401, { message: 'API key is not valid' }); } },
+            });
+            const { status, body } = await server.request('/api/v1/nba-data');
+
+            assert.equal(status, 401);
+            assert.deepEqual(body, { error: 'External API error', message: 'API key is not valid' });
+        });
+
+        it('falls back to a generic message when upstream sends none', async () => {
+            server = await startApp({ routes: { [ODDS_PATH]: () => { throw httpError(502, '<html>Bad gateway</html>'); } } });
+            const { status, body } = await server.request('/api/v1/games');
+
+            assert.equal(status, 502);
+            assert.equal(body.message, 'Failed to fetch data from The Odds API');
+        });
+
+        it('answers 500 when no API key is configured', async () => {
+            server = await startApp({ oddsClient: null, env: { ODDS_API_KEY: '' } });
+            const { status, body } = await server.request('/api/v1/games');
+
+            assert.equal(status, 500);
+            assert.equal(body.error, 'API key not configured');
+        });
+    });
+
+    describe('health', () => {
+        it('reports the provider, quota and cache', async () => {
+            server = await startApp({ routes: { [ODDS_PATH]: sampleEvents() } });
+            server.oddsClient.headers = { 'x-requests-remaining': '420', 'x-requests-used': '80' };
+            await server.request('/api/v1/games');
+            const { status, body } = await server.request('/health');
+
+            assert.equal(status, 200);
+            assert.equal(body.upstream.provider.mode, 'stub');
+            assert.equal(body.upstream.quota.remaining, 420);
+            assert.equal(body.upstream.quota.used, 80);
+            assert.equal(body.upstream.cache.entries, 1);
+        });
+    });
+
+    describe('single-page app', () => {
+        let staticDir;
+
+        beforeEach(() => {
+            staticDir = fs.mkdtempSync(path.join(os.tmpdir(), 'odds-spa-test-'));
+            fs.writeFileSync(path.join(staticDir, 'index.html'), '<div id="root"></div>');
+            fs.mkdirSync(path.join(staticDir, 'assets'));
+            fs.writeFileSync(path.join(staticDir, 'assets', 'app.js'), 'console.log("app");');
+        });
+
+        afterEach(() => fs.rmSync(staticDir, { recursive: true, force: true }));
+
+        it('serves the page for every client-side route', async () => {
+            server = await startApp({ config: { staticDir } });
+
+            for (const route of ['/', '/teams/boston-celtics', '/matchup/new-york-knicks/boston-celtics?odds=decimal', '/alerts']) {
+                const { status, body } = await server.request(route);
+                assert.equal(status, 200, route);
+                assert.equal(body, '<div id="root"></div>', route);
+            }
+        });
+
+        it('defaults in development to the frontend\'s build output', () => {
+            const { staticDir: defaultDir } = loadConfig({}, { development: true });
+            const frontend = path.dirname(defaultDir);
+
+            assert.equal(path.basename(defaultDir), 'dist');
+            assert.equal(JSON.parse(fs.readFileSync(path.join(frontend, 'package.json'), 'utf8')).scripts.build, 'vite build');
+            assert.equal(loadConfig({}).staticDir, null);
+        });
+
+        it('serves assets, and 404s for missing files and API routes', async () => {
+            server = await startApp({ config: { staticDir } });
+
+            assert.equal((await server.request('/assets/app.js')).body, 'console.log("app");');
+            assert.equal((await server.request('/assets/missing.js')).status, 404);
+            const api = await server.request('/api/v1/teams/boston-celtics/nothing');
+            assert.equal(api.status, 404);
+            assert.equal(api.body.error, 'Not found');
+        });
+    });
+
+    describe('replay mode', () => {
+        it('serves recorded fixtures without an API key', async () => {
+            server = await startApp({
+                oddsClient: null,
+                env: { ODDS_API_KEY: '', ODDS_API_MODE: 'replay', ODDS_FIXTURES_DIR: path.join(__dirname, '..', 'fixtures', 'odds') },
+            });
+            const { status, body } = await server.request('/api/v1/games');
+
+            assert.equal(status, 200);
+            assert.ok(body.count > 0);
+            assert.ok(body.games.every(game => game.id.startsWith('fixture-nba-')));
+        });
+    });
+});
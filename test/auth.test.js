@@ -0,0 +1,191 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { sampleEvents, createClock, startApp } = require('./helpers');
+const { buildUserFields } = require('../lib/auth');
+
+const ODDS_PATH = '/sports/basketball_nba/odds';
+const DAY = 24 * 60 * 60 * 1000;
+
+const json = (method, body, headers = {}) => ({
+    method,
+    headers: { 'Content-Type': 'application/json', ...headers },
+    body: JSON.stringify(body),
+});
+
+describe('auth', () => {
+    let server;
+    let clock;
+
+    beforeEach(async () => {
+        mock.method(console, 'log', () => {});
+        mock.method(console, 'error', () => {});
+        clock = createClock();
+        server = await startApp({ routes: { [ODDS_PATH]: sampleEvents() }, env: { AUTH_REQUIRED: 'true' }, clock });
+        const { accounts } = server.services;
+        accounts.createUser(await buildUserFields({ username: 'admin', password: 'correct horse', role: 'admin' }));
+        accounts.createUser(await buildUserFields({ username: 'viewer', password: 'battery staple' }));
+    });
+
+    afterEach(async () => {
+        await server.close();
+        mock.restoreAll();
+    });
+
+    // The session cookie for a login, as a request header
+    const login = async (username, password) => {
+        const { status, headers } = await server.request('/api/v1/auth/login', json('POST', { username, password }));
+        assert.equal(status, 200);
+        return { Cookie: headers.get('set-cookie').split(';')[0] };
+    };
+
+    const issueKey = async (fields) => {
+        const cookie = await login('admin', 'correct horse');
+        const { status, body } = await server.request('/api/v1/admin/keys', json('POST', fields, cookie));
+        assert.equal(status, 201);
+        return body;
+    };
+
+    const withKey = (key) => ({ headers: { Authorization: `Bearer ${key}` } });
+
+    describe('sessions', () => {
+        it('refuses anonymous requests but keeps health and login open', async () => {
+            assert.equal((await server.request('/api/v1/games')).status, 401);
+            assert.equal((await server.request('/api/v1/health')).status, 200);
+            const { body } = await server.request('/api/v1/auth/session');
+            assert.deepEqual(body, { authRequired: true, authenticated: false, principal: null });
+        });
+
+        it('logs in with a password and serves the API to the session', async () => {
+            const cookie = await login('viewer', 'battery staple');
+            assert.match(cookie.Cookie, /^sid=/);
+
+            assert.equal((await server.request('/api/v1/games', { headers: cookie })).status, 200);
+            const { body } = await server.request('/api/v1/auth/session', { headers: cookie });
+            assert.equal(body.principal.name, 'viewer');
+            assert.equal(body.principal.role, 'user');
+
+            await server.request('/api/v1/auth/logout', json('POST', {}, cookie));
+            assert.equal((await server.request('/api/v1/games', { headers: cookie })).status, 401);
+        });
+
+        it('reads the session past a cookie with broken encoding', async () => {
+            const cookie = await login('viewer', 'battery staple');
+            const headers = { Cookie: `x=%E0%A4%A; ${cookie.Cookie}` };
+
+            assert.equal((await server.request('/api/v1/games', { headers })).status, 200);
+            assert.equal((await server.request('/api/v1/games', { headers: { Cookie: 'sid=%E0%A4%A' } })).status, 401);
+        });
+
+        it('rejects a wrong password without saying which part was wrong', async () => {
+            const wrong = await server.request('/api/v1/auth/login', json('POST', { username: 'viewer', password: 'nope' }));
+            const unknown = await server.request('/api/v1/auth/login', json('POST', { username: 'nobody', password: 'nope' }));
+
+            assert.equal(wrong.status, 401);
+            assert.deepEqual(unknown.body, wrong.body);
+        });
+
+        it('only accepts scripted changes from a session', async () => {
+            const cookie = await login('viewer', 'battery staple');
+            const { status } = await server.request('/api/v1/alerts', {
+                method: 'POST',
+                headers: { ...cookie, 'Content-Type': 'application/x-www-form-urlencoded' },
+                body: 'type=arbitrage',
+            });
+
+            assert.equal(status, 403);
+        });
+
+        it('keeps admin routes from other users', async () => {
+            const cookie = await login('viewer', 'battery staple');
+            assert.equal((await server.request('/api/v1/admin/keys', { headers: cookie })).status, 403);
+        });
+    });
+
+    describe('api keys', () => {
+        it('issues a key that is shown once and stored only as a hash', async () => {
+            const issued = await issueKey({ name: 'Partner' });
+            assert.match(issued.key, /^sk_/);
+            assert.equal(issued.hash, undefined);
+
+            const { status } = await server.request('/api/v1/games', withKey(issued.key));
+            assert.equal(status, 200);
+
+            const cookie = await login('admin', 'correct horse');
+            const { body } = await server.request('/api/v1/admin/keys', { headers: cookie });
+            assert.equal(body.keys[0].key, undefined);
+            assert.equal(body.keys[0].usedToday, 1);
+        });
+
+        it('rate limits each key on its own', async () => {
+            const limited = await issueKey({ name: 'Limited', rateLimit: 2 });
+            const other = await issueKey({ name: 'Other' });
+
+            assert.equal((await server.request('/api/v1/games', withKey(limited.key))).status, 200);
+            assert.equal((await server.request('/api/v1/games', withKey(limited.key))).status, 200);
+            assert.equal((await server.request('/api/v1/games', withKey(limited.key))).status, 429);
+            assert.equal((await server.request('/api/v1/games', withKey(other.key))).status, 200);
+        });
+
+        it('enforces the daily quota until the next UTC day', async () => {
+            const issued = await issueKey({ name: 'Partner', dailyQuota: 2 });
+
+            const first = await server.request('/api/v1/games', withKey(issued.key));
+            assert.equal(first.headers.get('x-quota-remaining'), '1');
+            await server.request('/api/v1/games', withKey(issued.key));
+            const refused = await server.request('/api/v1/games', withKey(issued.key));
+            assert.equal(refused.status, 429);
+            assert.equal(refused.body.error, 'Quota exceeded');
+
+            clock.advance(DAY);
+            assert.equal((await server.request('/api/v1/games', withKey(issued.key))).status, 200);
+        });
+
+        it('refuses revoked and unknown keys', async () => {
+            const issued = await issueKey({ name: 'Partner' });
+            const cookie = await login('admin', 'correct horse');
+            const revoked = await server.request(`/api/v1/admin/keys/${issued.id}`, { method: 'DELETE', headers: { ...cookie, 'X-Requested-With': 'fetch' } });
+            assert.equal(revoked.status, 204);
+
+            assert.equal((await server.request('/api/v1/games', withKey(issued.key))).status, 401);
+            assert.equal((await server.request('/api/v1/games', withKey('sk_made_up'))).status, 401);
+        });
+
+        it('keeps each client\'s bets and alert rules to itself', async () => {
+            const partner = await issueKey({ name: 'Partner' });
+            const other = await issueKey({ name: 'Other' });
+            const as = (key, method, body) => json(method, body, { Authorization: `Bearer ${key}` });
+
+            const bet = await server.request('/api/v1/bets', as(partner.key, 'POST', {
+                bookmaker: 'draftkings',
+                stake: 10,
+                legs: [{ eventId: 'evt-1', market: 'h2h', selection: 'Boston Celtics', price: -150 }],
+            }));
+            assert.equal(bet.status, 201);
+            const rule = await server.request('/api/v1/alerts', as(partner.key, 'POST', { type: 'arbitrage' }));
+            assert.equal(rule.status, 201);
+
+            assert.equal((await server.request('/api/v1/bets', withKey(other.key))).body.count, 0);
+            assert.equal((await server.request('/api/v1/bets/summary', withKey(other.key))).body.overall.bets, 0);
+            assert.equal((await server.request(`/api/v1/bets/${bet.body.id}`, withKey(other.key))).status, 404);
+            assert.equal((await server.request(`/api/v1/bets/${bet.body.id}`, as(other.key, 'PATCH', { stake: 1 }))).status, 404);
+            assert.equal((await server.request(`/api/v1/bets/${bet.body.id}`, as(other.key, 'DELETE', {}))).status, 404);
+            assert.equal((await server.request('/api/v1/alerts', withKey(other.key))).body.count, 0);
+            assert.equal((await server.request(`/api/v1/alerts/${rule.body.id}`, as(other.key, 'PATCH', { enabled: false }))).status, 404);
+            assert.equal((await server.request(`/api/v1/alerts/${rule.body.id}`, as(other.key, 'DELETE', {}))).status, 404);
+
+            assert.equal((await server.request('/api/v1/bets', withKey(partner.key))).body.count, 1);
+            assert.equal((await server.request(`/api/v1/alerts/${rule.body.id}`, withKey(partner.key))).body.enabled, true);
+            const admin = await login('admin', 'correct horse');
+            assert.equal((await server.request('/api/v1/bets', { headers: admin })).body.count, 1);
+            assert.equal((await server.request('/api/v1/alerts', { headers: admin })).body.count, 1);
+        });
+
+        it('validates key settings', async () => {
+            const cookie = await login('admin', 'correct horse');
+            const { status, body } = await server.request('/api/v1/admin/keys', json('POST', { name: 'Partner', dailyQuota: -5 }, cookie));
+
+            assert.equal(status, 400);
+            assert.match(body.message, /dailyQuota/);
+        });
+    });
+});
@@ -0,0 +1,55 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { gradeLeg, settleBet } = require('../lib/bets');
+
+// A pending moneyline leg on the home side of event `eventId`
+const leg = (eventId, price) => ({
+    eventId,
+    market: 'h2h',
+    selection: 'Boston Celtics',
+    homeTeam: 'Boston Celtics',
+    awayTeam: 'New York Knicks',
+    price,
+    result: 'pending',
+});
+
+// Final scores keyed by event id
+const finals = (scores) => new Map(Object.entries(scores).map(([eventId, [homeScore, awayScore]]) => [eventId, { homeScore, awayScore }]));
+
+describe('bets', () => {
+    describe('settlement', () => {
+        it('pays a parlay on its winning legs\' odds multiplied out', () => {
+            const bet = { status: 'pending', stake: 100, price: 596, legs: [leg('a', -110), leg('b', -110), leg('c', -110)] };
+
+            const settled = settleBet(bet, finals({ a: [100, 90], b: [100, 90], c: [100, 100] }));
+
+            // (21/11)^2 is 3.6446...; rounding through +264 would pay 364.00
+            assert.equal(settled.status, 'won');
+            assert.equal(settled.payout, 364.46);
+            assert.equal(settled.profit, 264.46);
+        });
+
+        it('loses a parlay on its first lost leg without waiting for the rest', () => {
+            const bet = { status: 'pending', stake: 100, price: 596, legs: [leg('a', -110), leg('b', -110), leg('c', -110)] };
+
+            const settled = settleBet(bet, finals({ a: [100, 90], b: [90, 100] }));
+
+            assert.equal(settled.status, 'lost');
+            assert.deepEqual(settled.legs.map(l => l.result), ['won', 'lost', 'pending']);
+            assert.equal(settled.payout, 0);
+            assert.equal(settled.profit, -100);
+        });
+
+        it('grades spreads and totals against the final score, pushing on the number', () => {
+            const score = { homeScore: 110, awayScore: 105 };
+            const spread = (selection, point) => ({ ...leg('a', -110), market: 'spreads', selection, point });
+            const total = (selection, point) => ({ ...leg('a', -110), market: 'totals', selection, point });
+
+            assert.equal(gradeLeg(spread('Boston Celtics', -5), score), 'push');
+            assert.equal(gradeLeg(spread('Boston Celtics', -4.5), score), 'won');
+            assert.equal(gradeLeg(spread('New York Knicks', 4.5), score), 'lost');
+            assert.equal(gradeLeg(total('Over', 214.5), score), 'won');
+            assert.equal(gradeLeg(total('Under', 215), score), 'push');
+        });
+    });
+});
@@ -0,0 +1,59 @@
+const { describe, it, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createMemoryCache, createFileCache, createCache } = require('../lib/cache');
+
+describe('memory cache', () => {
+    it('evicts the least recently used key', () => {
+        const cache = createMemoryCache({ maxEntries: 2 });
+        cache.set('a', 1);
+        cache.set('b', 2);
+        cache.get('a');
+        cache.set('c', 3);
+
+        assert.equal(cache.get('a'), 1);
+        assert.equal(cache.get('b'), undefined);
+        assert.equal(cache.get('c'), 3);
+        assert.equal(cache.size(), 2);
+    });
+});
+
+describe('file cache', () => {
+    it('survives a restart and keeps its bound', async () => {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'odds-cache-test-'));
+        try {
+            const cache = createFileCache({ dir, maxEntries: 2 });
+            cache.set('a', { data: [1] });
+            cache.set('b', { data: [2] });
+            cache.set('c', { data: [3] });
+            await cache.flush();
+
+            const reopened = createFileCache({ dir, maxEntries: 2 });
+            assert.equal(reopened.get('a'), undefined);
+            assert.deepEqual(reopened.get('c'), { data: [3] });
+            assert.equal(fs.readdirSync(dir).length, 2);
+        } finally {
+            fs.rmSync(dir, { recursive: true, force: true });
+        }
+    });
+
+    it('skips unreadable files', () => {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'odds-cache-test-'));
+        mock.method(console, 'error', () => {});
+        try {
+            fs.writeFileSync(path.join(dir, 'broken.json'), '{');
+            assert.equal(createFileCache({ dir }).size(), 0);
+        } finally {
+            mock.restoreAll();
+            fs.rmSync(dir, { recursive: true, force: true });
+        }
+    });
+});
+
+describe('createCache', () => {
+    it('rejects unknown backends', () => {
+        assert.throws(() => createCache({ backend: 'redis' }), /Unknown cache backend: redis/);
+    });
+});
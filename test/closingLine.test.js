@@ -0,0 +1,50 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { buildClosingLine, closingLineValue } = require('../lib/closingLine');
+
+const COMMENCE = '2030-01-02T00:00:00Z';
+
+// One moneyline snapshot, as the snapshot store keeps it
+const snapshot = (capturedAt, bookmaker, homePrice, awayPrice) => ({
+    capturedAt,
+    sport: 'basketball_nba',
+    eventId: 'evt-1',
+    commenceTime: COMMENCE,
+    homeTeam: 'Boston Celtics',
+    awayTeam: 'New York Knicks',
+    bookmaker,
+    market: 'h2h',
+    outcomes: [{ name: 'Boston Celtics', price: homePrice }, { name: 'New York Knicks', price: awayPrice }],
+});
+
+describe('closing line', () => {
+    it('closes at the last snapshot before tip-off, comparing times rather than strings', () => {
+        const closing = buildClosingLine([
+            snapshot('2030-01-01T23:00:00.000Z', 'draftkings', -150, 130),
+            // Half a second after tip-off, though it sorts before "...00:00Z" as a string
+            snapshot('2030-01-02T00:00:00.500Z', 'draftkings', -400, 300),
+        ], new Date('2030-01-02T01:00:00Z'));
+
+        assert.equal(closing.closed, true);
+        assert.equal(closing.capturedAt, '2030-01-01T23:00:00.000Z');
+        assert.equal(closing.markets.h2h.home.price, -150);
+    });
+
+    it('counts a price better than the close as beating it and a worse one as not', () => {
+        const closing = buildClosingLine([snapshot('2030-01-01T23:00:00.000Z', 'draftkings', -150, 130)], new Date('2030-01-02T01:00:00Z'));
+        const knicksAt = (price) => closingLineValue({
+            market: 'h2h', selection: 'New York Knicks', price, homeTeam: 'Boston Celtics', awayTeam: 'New York Knicks',
+        }, closing);
+
+        const better = knicksAt(140);
+        assert.equal(better.closingPrice, 130);
+        assert.equal(better.priceDelta, 4.35);
+        assert.equal(better.probabilityPoints, 1.81);
+        assert.equal(better.beatClose, true);
+
+        const worse = knicksAt(120);
+        assert.ok(worse.priceDelta < 0);
+        assert.ok(worse.probabilityPoints < 0);
+        assert.equal(worse.beatClose, false);
+    });
+});
@@ -0,0 +1,51 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { DEFAULT_ELO, expectedScore, createEloTracker } = require('../lib/elo');
+
+// A game between two teams the tracker has never seen
+const game = (homeTeamId, awayTeamId, homeScore, awayScore) => ({
+    date: '2030-01-01',
+    homeTeamId,
+    homeTeam: homeTeamId,
+    awayTeamId,
+    awayTeam: awayTeamId,
+    homeScore,
+    awayScore,
+});
+
+describe('elo', () => {
+    it('moves both teams by k times the margin multiplier times the surprise', () => {
+        const tracker = createEloTracker();
+        tracker.update(game('a', 'b', 110, 100));
+
+        // Home advantage makes the home side a 64% favourite; a 10 point win
+        // has a multiplier of 13^0.8 / (7.5 + 0.006 * 100)
+        const { k, homeAdvantage } = DEFAULT_ELO;
+        const shift = k * ((13 ** 0.8) / (7.5 + 0.006 * homeAdvantage)) * (1 - expectedScore(homeAdvantage));
+        const ratings = tracker.ratings();
+        assert.equal(ratings.a.rating, Number((1500 + shift).toFixed(1)));
+        assert.equal(ratings.b.rating, Number((1500 - shift).toFixed(1)));
+        assert.equal(ratings.a.rating, 1506.9);
+        assert.equal(ratings.a.games, 1);
+    });
+
+    it('moves ratings further on bigger wins and on upsets', () => {
+        const tracker = createEloTracker();
+        tracker.update(game('close-home', 'close-away', 101, 100));
+        tracker.update(game('rout-home', 'rout-away', 130, 100));
+        tracker.update(game('upset-home', 'upset-away', 100, 110));
+        const ratings = tracker.ratings();
+
+        assert.equal(ratings['close-home'].rating, 1502.7);
+        assert.equal(ratings['rout-home'].rating, 1514.6);
+        // The same 10 point margin as a home win, against the home advantage
+        assert.ok(1500 - ratings['upset-home'].rating > 1506.9 - 1500);
+    });
+
+    it('treats a neutral court game without home advantage', () => {
+        const tracker = createEloTracker();
+        tracker.update({ ...game('a', 'b', 110, 100), neutral: true });
+
+        assert.ok(tracker.ratings().a.rating > 1506.9);
+    });
+});
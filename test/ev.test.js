@@ -0,0 +1,43 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { buildGame } = require('../lib/games');
+const { kellyFraction, evaluateMarket } = require('../lib/ev');
+
+// The Celtics game priced at even money on both sides
+const evenMoneyGame = () => buildGame({
+    id: 'evt-1',
+    sport_key: 'basketball_nba',
+    sport_title: 'NBA',
+    commence_time: '2030-01-02T00:00:00Z',
+    home_team: 'Boston Celtics',
+    away_team: 'New York Knicks',
+    bookmakers: [
+        { key: 'draftkings', title: 'DraftKings', markets: [{ key: 'h2h', outcomes: [{ name: 'Boston Celtics', price: 100 }, { name: 'New York Knicks', price: 100 }] }] },
+    ],
+});
+
+describe('expected value', () => {
+    it('stakes the Kelly fraction of an edge and nothing without one', () => {
+        // (b * p - q) / b at even money is p - q
+        assert.ok(Math.abs(kellyFraction(0.55, 2) - 0.1) < 1e-12);
+        // 60% at 3.0: (2 * 0.6 - 0.4) / 2
+        assert.ok(Math.abs(kellyFraction(0.6, 3) - 0.4) < 1e-12);
+        assert.equal(kellyFraction(0.45, 2), 0);
+    });
+
+    it('scales full Kelly by the multiplier and caps the stake', () => {
+        const { outcomes } = evaluateMarket(evenMoneyGame(), 'h2h', { home: 60 }, { bankroll: 1000, fraction: 0.5, cap: 0.05 });
+        const [home, away] = outcomes;
+
+        assert.equal(home.edge, 10);
+        assert.equal(home.ev, 20);
+        assert.deepEqual(home.kelly, {
+            full: { fraction: 0.2, stake: 200 },
+            fractional: { multiplier: 0.5, fraction: 0.1, stake: 100 },
+            capped: { cap: 0.05, fraction: 0.05, stake: 50 },
+        });
+        assert.equal(home.expectedProfit, 10);
+        assert.equal(away.probability, 40);
+        assert.equal(away.kelly.capped.stake, 0);
+    });
+});
@@ -0,0 +1,91 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { sampleEvents, startApp } = require('./helpers');
+
+const ODDS_PATH = '/sports/basketball_nba/odds';
+
+// The sample events with the Celtics at `price` at both books
+const repriced = (price) => sampleEvents().map(event => (event.id !== 'evt-1' ? event : {
+    ...event,
+    bookmakers: event.bookmakers.map(bookmaker => ({
+        ...bookmaker,
+        markets: [{ key: 'h2h', outcomes: [{ name: 'Boston Celtics', price }, { name: 'New York Knicks', price: 130 }] }],
+    })),
+}));
+
+const ndjson = (text) => text.trim().split('\n').map(line => JSON.parse(line));
+
+describe('export', () => {
+    let server;
+
+    beforeEach(async () => {
+        mock.method(console, 'log', () => {});
+        mock.method(console, 'error', () => {});
+        server = await startApp({ routes: { [ODDS_PATH]: sampleEvents() } });
+    });
+
+    afterEach(async () => {
+        await server.close();
+        mock.restoreAll();
+    });
+
+    it('downloads current odds as CSV, one row per book, market and outcome', async () => {
+        const { status, headers, body } = await server.request('/api/v1/export/odds');
+        const lines = body.trim().split('\r\n');
+
+        assert.equal(status, 200);
+        assert.match(headers.get('content-type'), /^text\/csv/);
+        assert.match(headers.get('content-disposition'), /attachment; filename="odds-basketball_nba-current-.*\.csv"/);
+        assert.equal(lines[0], 'capturedAt,sport,eventId,commenceTime,homeTeam,awayTeam,bookmaker,market,outcome,point,price,impliedProbability');
+        assert.equal(lines.length, 1 + 6);
+        assert.ok(lines.some(line => line.includes(',evt-1,') && line.includes(',fanduel,h2h,Boston Celtics,,-140,58.33')));
+    });
+
+    it('streams stored history in a range, filtered by book', async () => {
+        const { snapshots } = server.services;
+        snapshots.record('basketball_nba', repriced(-150), '2029-12-30T12:00:00.000Z');
+        snapshots.record('basketball_nba', repriced(-170), '2029-12-31T12:00:00.000Z');
+        snapshots.record('basketball_nba', repriced(-190), '2030-01-01T12:00:00.000Z');
+
+        const { status, body } = await server.request('/api/v1/export/odds?format=ndjson&from=2029-12-31&to=2030-01-01&bookmaker=draftkings&eventId=evt-1');
+        const rows = ndjson(body);
+
+        assert.equal(status, 200);
+        assert.deepEqual(rows.filter(row => row.outcome === 'Boston Celtics').map(row => [row.capturedAt, row.price]), [
+            ['2029-12-31T12:00:00.000Z', -170],
+            ['2030-01-01T12:00:00.000Z', -190],
+        ]);
+        assert.ok(rows.every(row => row.bookmaker === 'draftkings'));
+    });
+
+    it('renders prices in the requested odds format as a JSON array', async () => {
+        const { status, body } = await server.request('/api/v1/export/odds?format=json&market=h2h&oddsFormat=decimal&eventId=evt-2');
+
+        assert.equal(status, 200);
+        assert.deepEqual(body.map(row => [row.outcome, row.price]), [['Miami Heat', 1.5], ['Orlando Magic', 2.7]]);
+    });
+
+    it('exports settled results with the closing line', async () => {
+        server.services.results.record({
+            eventId: 'evt-0',
+            sport: 'basketball_nba',
+            commenceTime: '2029-12-25T00:00:00Z',
+            homeTeam: 'Boston Celtics',
+            awayTeam: 'New York Knicks',
+            homeScore: 110,
+            awayScore: 108,
+            closing: null,
+        });
+
+        const { body } = await server.request('/api/v1/export/results?format=json');
+
+        assert.deepEqual(body.map(row => [row.eventId, row.homeScore, row.awayScore, row.closingHomeMoneyline]), [['evt-0', 110, 108, null]]);
+    });
+
+    it('rejects unknown formats, markets and dates', async () => {
+        assert.equal((await server.request('/api/v1/export/odds?format=xlsx')).status, 400);
+        assert.equal((await server.request('/api/v1/export/odds?market=props')).status, 400);
+        assert.equal((await server.request('/api/v1/export/odds?from=yesterday')).status, 400);
+        assert.equal((await server.request('/api/v1/export/odds?from=2030-01-02&to=2030-01-01')).status, 400);
+    });
+});
@@ -0,0 +1,30 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { GAME_PRICES, formatPrices, pricesAt } = require('../lib/formatOdds');
+
+describe('odds format', () => {
+    it('converts only the prices at the given paths', () => {
+        const report = {
+            ledger: [{ price: -150, stake: 10 }],
+            calibration: [{ from: 0, to: 10, count: 2 }],
+            ratings: { mean: 1500, median: 1490 },
+        };
+
+        assert.deepEqual(formatPrices(report, 'decimal', ['ledger.*.price']), {
+            ledger: [{ price: 1.67, stake: 10 }],
+            calibration: [{ from: 0, to: 10, count: 2 }],
+            ratings: { mean: 1500, median: 1490 },
+        });
+    });
+
+    it('converts arrays of prices and every side of a game record', () => {
+        const game = { markets: { totals: { point: 220.5, over: { price: -110, point: 220.5 }, under: { price: -110, point: 220.5 } } } };
+
+        assert.deepEqual(formatPrices({ prices: [-110, 150] }, 'decimal', ['prices.*']), { prices: [1.91, 2.5] });
+        assert.deepEqual(formatPrices({ games: [game] }, 'decimal', pricesAt('games.*', GAME_PRICES)).games[0].markets.totals, {
+            point: 220.5,
+            over: { price: 1.91, point: 220.5 },
+            under: { price: 1.91, point: 220.5 },
+        });
+    });
+});
@@ -0,0 +1,30 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { normalizeGameLogs } = require('../lib/gameLogs');
+const { computeTeamRatings } = require('../lib/ratings');
+
+const row = (fields) => ({ team: 'Boston Celtics', opponent: 'New York Knicks', pts: 110, fga: 88, fta: 20, oreb: 10, tov: 12, opp_pts: 104, ...fields });
+
+describe('game logs', () => {
+    it('drops rows with a date that does not parse and keeps the rest', () => {
+        const logs = normalizeGameLogs([
+            row({ date: '2029-11-01' }),
+            row({ date: 'not a date' }),
+            row({ date: '2029-11-03' }),
+        ], 'basketball_nba');
+
+        assert.deepEqual(logs.map(log => log.date), ['2029-11-01', '2029-11-03']);
+        assert.equal(logs[0].teamId, 'bostonceltics');
+    });
+
+    it('drops box scores without possessions', () => {
+        const logs = normalizeGameLogs([
+            row({ date: '2029-11-01' }),
+            row({ date: '2029-11-02', pts: 0, fga: 0, fta: 0, oreb: 0, tov: 0 }),
+        ], 'basketball_nba');
+
+        assert.deepEqual(logs.map(log => log.date), ['2029-11-01']);
+        const ratings = computeTeamRatings(logs);
+        assert.ok(Number.isFinite(ratings.bostonceltics.season.offensiveRating));
+    });
+});
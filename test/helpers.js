@@ -0,0 +1,121 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { loadConfig } = require('../lib/config');
+const { createApp } = require('../lib/app');
+
+// --- Test helpers ---
+// Runs the real app in-process on a random port, against a stubbed Odds API
+// and a throwaway data directory.
+
+// Two upcoming NBA events, priced by two books
+const sampleEvents = () => [
+    {
+        id: 'evt-1',
+        sport_key: 'basketball_nba',
+        sport_title: 'NBA',
+        commence_time: '2030-01-02T00:00:00Z',
+        home_team: 'Boston Celtics',
+        away_team: 'New York Knicks',
+        bookmakers: [
+            { key: 'draftkings', title: 'DraftKings', markets: [{ key: 'h2h', outcomes: [{ name: 'Boston Celtics', price: -150 }, { name: 'New York Knicks', price: 130 }] }] },
+            { key: 'fanduel', title: 'FanDuel', markets: [{ key: 'h2h', outcomes: [{ name: 'Boston Celtics', price: -140 }, { name: 'New York Knicks', price: 120 }] }] },
+        ],
+    },
+    {
+        id: 'evt-2',
+        sport_key: 'basketball_nba',
+        sport_title: 'NBA',
+        commence_time: '2030-01-01T00:00:00Z',
+        home_team: 'Miami Heat',
+        away_team: 'Orlando Magic',
+        bookmakers: [
+            { key: 'draftkings', title: 'DraftKings', markets: [{ key: 'h2h', outcomes: [{ name: 'Miami Heat', price: -200 }, { name: 'Orlando Magic', price: 170 }] }] },
+        ],
+    },
+];
+
+// Errors shaped like the ones axios throws
+const timeoutError = () => Object.assign(new Error('timeout of 10000ms exceeded'), { code: 'ECONNABORTED' });
+
+const httpError = (status, data) => Object.assign(new Error(`Request failed with status code ${status}`), {
+    response: { status, data, headers: {} },
+});
+
+// An Odds API provider (see lib/oddsProvider.js) answering from `routes`:
+// urlPath -> data, or a function of the params returning (or throwing) it.
+// Every call is kept in `calls`; `headers` go out with every response, stamped
+// with the time on `now`.
+const createStubOddsClient = (routes = {}, { now = Date.now } = {}) => {
+    const client = {
+        mode: 'stub',
+        calls: [],
+        headers: {},
+        describe: () => ({ mode: 'stub' }),
+        get: async (urlPath, params) => {
+            client.calls.push(urlPath);
+            const route = routes[urlPath];
+            if (route === undefined) throw httpError(404, { message: `Unknown path ${urlPath}` });
+            const data = typeof route === 'function' ? await route(params) : route;
+            return { data, headers: client.headers, capturedAt: new Date(now()).toISOString() };
+        },
+    };
+    return client;
+};
+
+// A clock tests move by hand
+const createClock = (start = Date.parse('2030-01-01T00:00:00Z')) => {
+    let now = start;
+    const clock = () => now;
+    clock.advance = (ms) => { now += ms; };
+    return clock;
+};
+
+// Starts the app; `env` feeds lib/config.js and `config` overrides the result.
+// Pass `oddsClient: null` to use the provider the config names.
+const startApp = async ({ routes = {}, env = {}, config: overrides = {}, clock, oddsClient = createStubOddsClient(routes, { now: clock }) } = {}) => {
+    const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'odds-app-test-'));
+    const config = {
+        ...loadConfig({ NODE_ENV: 'test', ODDS_API_KEY: 'test-key', DATA_DIR: dataDir, AUTH_REQUIRED: 'false', ...env }),
+        rateLimit: null,
+        ...overrides,
+    };
+    const { app, services, stop } = createApp(config, { oddsClient: oddsClient || undefined, clock });
+    const server = await new Promise(resolve => {
+        const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+    });
+    const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+    // { status, headers, body } with the body parsed as JSON when it is JSON
+    const request = async (urlPath, options = {}) => {
+        const response = await fetch(`${baseUrl}${urlPath}`, { redirect: 'manual', ...options });
+        const text = await response.text();
+        let body = text;
+        try {
+            body = JSON.parse(text);
+        } catch (error) {
+            // Not JSON; keep the text
+        }
+        return { status: response.status, headers: response.headers, body };
+    };
+
+    const close = async () => {
+        stop();
+        await new Promise(resolve => server.close(resolve));
+        await services.snapshots.flush();
+        await services.alertStore.flush();
+        await services.accounts.flush();
+        fs.rmSync(dataDir, { recursive: true, force: true });
+    };
+
+    return { request, close, services, config, oddsClient };
+};
+
+module.exports = {
+    sampleEvents,
+    timeoutError,
+    httpError,
+    createStubOddsClient,
+    createClock,
+    startApp,
+};
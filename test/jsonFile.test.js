@@ -0,0 +1,48 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createJsonFile } = require('../lib/jsonFile');
+
+describe('JSON file', () => {
+    it('writes changes in order and reads them back once', async () => {
+        const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'json-file-test-'));
+        const file = path.join(dataDir, 'nested', 'items.json');
+        try {
+            let items = [];
+            const writer = createJsonFile({ file, name: 'items', fromJson: () => {}, toJson: () => items });
+            items = [1];
+            writer.persist();
+            items = [1, 2];
+            writer.persist();
+            await writer.flush();
+            assert.deepEqual(JSON.parse(fs.readFileSync(file, 'utf8')), [1, 2]);
+            assert.deepEqual(fs.readdirSync(path.dirname(file)), ['items.json']);
+
+            const reads = [];
+            const reader = createJsonFile({ file, name: 'items', fromJson: (contents) => reads.push(contents), toJson: () => [] });
+            reader.load();
+            reader.load();
+            assert.deepEqual(reads, [[1, 2]]);
+        } finally {
+            fs.rmSync(dataDir, { recursive: true, force: true });
+        }
+    });
+
+    it('leaves the store empty when the file is malformed', () => {
+        const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'json-file-test-'));
+        const file = path.join(dataDir, 'items.json');
+        const { error } = console;
+        try {
+            fs.writeFileSync(file, '{ not json');
+            console.error = () => {};
+            const reads = [];
+            createJsonFile({ file, name: 'items', fromJson: (contents) => reads.push(contents), toJson: () => [] }).load();
+            assert.deepEqual(reads, []);
+        } finally {
+            console.error = error;
+            fs.rmSync(dataDir, { recursive: true, force: true });
+        }
+    });
+});
@@ -0,0 +1,45 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { createLiveFeed } = require('../lib/liveFeed');
+
+const odds = { getGames: async () => [] };
+
+// An SSE response stand-in; ending it fires its unsubscribe, like the
+// request's 'close' event does in lib/routes/stream.js
+const fakeResponse = () => {
+    const res = { written: [], ended: false, onEnd: () => {} };
+    res.write = (chunk) => { res.written.push(chunk); return true; };
+    res.end = () => { res.ended = true; res.onEnd(); };
+    return res;
+};
+
+const connect = (feed, sport) => {
+    const res = fakeResponse();
+    res.onEnd = feed.subscribe(sport, res);
+    return res;
+};
+
+describe('live feed', () => {
+    it('stops with clients still connected', () => {
+        const feed = createLiveFeed({ odds });
+        const first = connect(feed, 'basketball_nba');
+        const second = connect(feed, 'icehockey_nhl');
+
+        assert.doesNotThrow(() => feed.stop());
+        assert.ok(first.ended && second.ended);
+        assert.equal(feed.clientCount(), 0);
+    });
+
+    it('leaves a newer channel open when an old client disconnects', () => {
+        const feed = createLiveFeed({ odds });
+        const stale = fakeResponse();
+        const unsubscribeStale = feed.subscribe('basketball_nba', stale);
+        feed.stop();
+
+        connect(feed, 'basketball_nba');
+        unsubscribeStale();
+
+        assert.equal(feed.clientCount(), 1);
+        feed.stop();
+    });
+});
@@ -0,0 +1,59 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { buildGame } = require('../lib/games');
+const { findOpportunities, splitStakes } = require('../lib/opportunities');
+
+// The Celtics game with the moneyline split across two books (+110 and +115
+// at the best) and the Celtics spread at -2.5 and `spread`
+const splitBooksGame = ({ spread = -5.5 } = {}) => buildGame({
+    id: 'evt-1',
+    sport_key: 'basketball_nba',
+    sport_title: 'NBA',
+    commence_time: '2030-01-02T00:00:00Z',
+    home_team: 'Boston Celtics',
+    away_team: 'New York Knicks',
+    bookmakers: [
+        { key: 'draftkings', title: 'DraftKings', markets: [
+            { key: 'h2h', outcomes: [{ name: 'Boston Celtics', price: 110 }, { name: 'New York Knicks', price: -130 }] },
+            { key: 'spreads', outcomes: [{ name: 'Boston Celtics', price: -110, point: -2.5 }, { name: 'New York Knicks', price: -110, point: 2.5 }] },
+        ] },
+        { key: 'fanduel', title: 'FanDuel', markets: [
+            { key: 'h2h', outcomes: [{ name: 'Boston Celtics', price: -130 }, { name: 'New York Knicks', price: 115 }] },
+            { key: 'spreads', outcomes: [{ name: 'Boston Celtics', price: -110, point: spread }, { name: 'New York Knicks', price: -110, point: -spread }] },
+        ] },
+    ],
+});
+
+describe('opportunities', () => {
+    it('splits stakes so every leg pays out the same', () => {
+        const { booksum, legs } = splitStakes([{ name: 'A', price: 110 }, { name: 'B', price: 115 }], 100);
+
+        assert.ok(Math.abs(booksum - (1 / 2.1 + 1 / 2.15)) < 1e-12);
+        assert.deepEqual(legs.map(leg => leg.stake), [50.59, 49.41]);
+        assert.ok(Math.abs(legs[0].payout - legs[1].payout) <= 0.01);
+    });
+
+    it('finds the moneyline arbitrage across two books', () => {
+        const [arbitrage] = findOpportunities([splitBooksGame()]).filter(o => o.type === 'arbitrage');
+
+        assert.equal(arbitrage.market, 'h2h');
+        assert.deepEqual(arbitrage.legs.map(leg => [leg.bookmaker, leg.price]), [['draftkings', 110], ['fanduel', 115]]);
+        assert.equal(arbitrage.booksum, 0.941307);
+        assert.deepEqual(arbitrage.guaranteedReturn, { amount: 106.23, profit: 6.23, roi: 6.23 });
+    });
+
+    it('brackets a spread middle between the home and away points', () => {
+        const [middle] = findOpportunities([splitBooksGame()]).filter(o => o.type === 'middle');
+
+        // Celtics -2.5 at one book and Knicks +5.5 at the other both win on a 3, 4 or 5 point home win
+        assert.equal(middle.market, 'spreads');
+        assert.deepEqual(middle.middle, { lowerBound: 2.5, upperBound: 5.5, width: 3 });
+        assert.equal(middle.guaranteedReturn.amount, 95.45);
+        assert.equal(middle.middleReturn.amount, 190.9);
+    });
+
+    it('finds no middle when the window holds no whole score', () => {
+        // Celtics -2.5 and Knicks +3 only meet on a push at 3
+        assert.equal(findOpportunities([splitBooksGame({ spread: -3 })]).filter(o => o.type === 'middle').length, 0);
+    });
+});
@@ -0,0 +1,29 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { METHODS, removeVig } = require('../lib/probability');
+
+const sum = (values) => values.reduce((total, value) => total + value, 0);
+
+describe('vig removal', () => {
+    METHODS.forEach(method => {
+        it(`${method} leaves fair probabilities that sum to 1`, () => {
+            // A two-way moneyline and a three-way soccer market, both with margin
+            [[-150, 130], [150, 220, 230]].forEach(prices => {
+                const { booksum, probabilities } = removeVig(prices, method);
+
+                assert.ok(booksum > 1);
+                assert.ok(Math.abs(sum(probabilities) - 1) < 1e-9, `${method} ${prices}: ${sum(probabilities)}`);
+            });
+        });
+    });
+
+    it('takes more of the margin off the longshot with shin and power than proportionally', () => {
+        const proportional = removeVig([-150, 130], 'multiplicative').probabilities;
+
+        ['shin', 'power'].forEach(method => {
+            const { probabilities } = removeVig([-150, 130], method);
+            assert.ok(probabilities[1] < proportional[1], method);
+            assert.ok(probabilities[0] > proportional[0], method);
+        });
+    });
+});
@@ -0,0 +1,77 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createSnapshotStore } = require('../lib/snapshotStore');
+const { createClock } = require('./helpers');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const event = (id, commenceTime, price) => ({
+    id,
+    commence_time: commenceTime,
+    home_team: 'Boston Celtics',
+    away_team: 'New York Knicks',
+    bookmakers: [{ key: 'draftkings', markets: [{ key: 'h2h', outcomes: [{ name: 'Boston Celtics', price }, { name: 'New York Knicks', price: 130 }] }] }],
+});
+
+describe('snapshot store', () => {
+    it('keeps only recent events in memory and leaves the rest on disk', async () => {
+        const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'odds-snapshots-test-'));
+        try {
+            const writer = createSnapshotStore({ dataDir });
+            writer.record('basketball_nba', [event('old', '2029-11-02T00:00:00Z', -150)], '2029-11-01T12:00:00.000Z');
+            writer.record('basketball_nba', [event('new', '2030-01-21T00:00:00Z', -160)], '2030-01-19T12:00:00.000Z');
+            await writer.flush();
+
+            const clock = createClock(Date.parse('2030-01-20T00:00:00Z'));
+            const store = createSnapshotStore({ dataDir, memoryDays: 14, now: clock });
+            assert.deepEqual(store.listEvents().map(({ eventId }) => eventId), ['new']);
+            assert.equal(store.getEvent('old').length, 0);
+
+            const onDisk = [];
+            for await (const snapshot of store.readRange('basketball_nba')) onDisk.push(snapshot.eventId);
+            assert.deepEqual(onDisk, ['old', 'new']);
+
+            // Once it has tipped off long enough ago, it is dropped too
+            clock.advance(20 * DAY);
+            assert.equal(store.getEvent('new').length, 0);
+            assert.deepEqual(store.listEvents(), []);
+        } finally {
+            fs.rmSync(dataDir, { recursive: true, force: true });
+        }
+    });
+
+    it('keeps the opening line of an upcoming event across a restart', async () => {
+        const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'odds-snapshots-test-'));
+        try {
+            const writer = createSnapshotStore({ dataDir });
+            writer.record('basketball_nba', [event('new', '2030-01-21T00:00:00Z', -140)], '2029-12-01T12:00:00.000Z');
+            writer.record('basketball_nba', [event('new', '2030-01-21T00:00:00Z', -160)], '2030-01-19T12:00:00.000Z');
+            await writer.flush();
+
+            const store = createSnapshotStore({ dataDir, memoryDays: 14, now: createClock(Date.parse('2030-01-20T00:00:00Z')) });
+            const [opening, latest] = store.getSeries('new', 'draftkings', 'h2h');
+            assert.equal(opening.capturedAt, '2029-12-01T12:00:00.000Z');
+            assert.equal(latest.outcomes[0].price, -160);
+        } finally {
+            fs.rmSync(dataDir, { recursive: true, force: true });
+        }
+    });
+
+    it('stamps a pull with the injected clock', async () => {
+        const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'odds-snapshots-test-'));
+        try {
+            const clock = createClock(Date.parse('2030-01-19T12:00:00Z'));
+            const store = createSnapshotStore({ dataDir, now: clock });
+            store.record('basketball_nba', [event('evt', '2030-01-21T00:00:00Z', -160)]);
+            await store.flush();
+
+            assert.equal(store.getEvent('evt')[0].capturedAt, '2030-01-19T12:00:00.000Z');
+            assert.ok(fs.existsSync(path.join(dataDir, 'snapshots', 'basketball_nba', '2030-01-19.ndjson')));
+        } finally {
+            fs.rmSync(dataDir, { recursive: true, force: true });
+        }
+    });
+});
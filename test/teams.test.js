@@ -0,0 +1,116 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { sampleEvents, startApp } = require('./helpers');
+
+const ODDS_PATH = '/sports/basketball_nba/odds';
+const PROFILE_PATH = '/api/v1/teams/bostonceltics/profile';
+
+// The sample events with every market quoted for the Celtics game; `price`
+// is the Celtics moneyline and `point` their spread at both books
+const fullEvents = ({ price = -150, point = -3.5 } = {}) => sampleEvents().map(event => (event.id !== 'evt-1' ? event : {
+    ...event,
+    bookmakers: event.bookmakers.map((bookmaker, index) => ({
+        ...bookmaker,
+        markets: [
+            { key: 'h2h', outcomes: [{ name: 'Boston Celtics', price: price + index * 10 }, { name: 'New York Knicks', price: 130 }] },
+            { key: 'spreads', outcomes: [{ name: 'Boston Celtics', price: -110, point }, { name: 'New York Knicks', price: -110, point: -point }] },
+            { key: 'totals', outcomes: [{ name: 'Over', price: -110, point: 220.5 }, { name: 'Under', price: -110, point: 220.5 }] },
+        ],
+    })),
+}));
+
+// One game, both teams' box scores
+const GAME_LOGS = [
+    'game_id,date,team,opponent,home,min,pts,fga,fta,oreb,tov',
+    'g1,2029-12-20,Boston Celtics,Miami Heat,1,240,120,88,20,10,12',
+    'g1,2029-12-20,Miami Heat,Boston Celtics,0,240,100,90,18,11,14',
+].join('\n');
+
+describe('team profile', () => {
+    let server;
+
+    beforeEach(() => {
+        mock.method(console, 'log', () => {});
+        mock.method(console, 'error', () => {});
+    });
+
+    afterEach(async () => {
+        await server?.close();
+        server = null;
+        mock.restoreAll();
+    });
+
+    it('lists upcoming games with every book and the line history', async () => {
+        server = await startApp({ routes: { [ODDS_PATH]: fullEvents({ price: -160, point: -4.5 }) } });
+        const { snapshots } = server.services;
+        snapshots.record('basketball_nba', fullEvents(), '2025-01-01T00:00:00.000Z');
+        snapshots.record('basketball_nba', fullEvents({ price: -160, point: -4.5 }), '2025-01-01T06:00:00.000Z');
+
+        const { status, body } = await server.request(PROFILE_PATH);
+
+        assert.equal(status, 200);
+        assert.equal(body.team.name, 'Boston Celtics');
+        assert.equal(body.upcoming.length, 1);
+        const [game] = body.upcoming;
+        assert.equal(game.opponent, 'New York Knicks');
+        assert.equal(game.spread.point, -4.5);
+        assert.equal(game.total.point, 220.5);
+        assert.deepEqual(game.books.map(book => [book.bookmaker, book.moneyline, book.spread.point]), [['draftkings', -160, -4.5], ['fanduel', -150, -4.5]]);
+        assert.deepEqual(game.history.spread.map(entry => entry.point), [-3.5, -4.5]);
+        // An unchanged line isn't stored again
+        assert.deepEqual(game.history.total.map(entry => entry.point), [220.5]);
+        assert.equal(game.history.moneyline.length, 2);
+        assert.ok(game.history.moneyline[1].probability > game.history.moneyline[0].probability);
+    });
+
+    it('compares ratings with the league and falls back to game logs for results', async () => {
+        server = await startApp({ routes: { [ODDS_PATH]: sampleEvents() } });
+        const dir = path.join(server.config.dataDir, 'gamelogs', 'basketball_nba');
+        fs.mkdirSync(dir, { recursive: true });
+        fs.writeFileSync(path.join(dir, 'season.csv'), GAME_LOGS);
+
+        const { body } = await server.request('/api/v1/teams/miamiheat/profile');
+
+        assert.equal(body.ratings.league.teams, 2);
+        assert.equal(body.ratings.league.netRating, 0);
+        assert.ok(body.ratings.netRating < 0);
+        assert.deepEqual(body.recentResults.map(result => [result.opponent, result.score, result.opponentScore, result.outcome, result.source]), [['Boston Celtics', 100, 120, 'L', 'gameLogs']]);
+    });
+
+    it('grades recorded results against the closing line', async () => {
+        server = await startApp({ routes: { [ODDS_PATH]: sampleEvents() } });
+        const { snapshots, results } = server.services;
+        const finished = { ...fullEvents()[0], id: 'evt-0', commence_time: '2029-12-31T00:00:00Z' };
+        snapshots.record('basketball_nba', [finished], '2029-12-30T00:00:00.000Z');
+        results.record({
+            eventId: 'evt-0',
+            sport: 'basketball_nba',
+            commenceTime: '2029-12-31T00:00:00Z',
+            homeTeam: 'Boston Celtics',
+            awayTeam: 'New York Knicks',
+            homeTeamId: 'bostonceltics',
+            awayTeamId: 'newyorkknicks',
+            homeScore: 110,
+            awayScore: 108,
+            closing: server.services.scores.getClosingLine('evt-0'),
+        });
+
+        const { body } = await server.request(`${PROFILE_PATH}?oddsFormat=decimal`);
+        const [result] = body.recentResults;
+
+        assert.equal(result.outcome, 'W');
+        assert.equal(result.againstSpread, 'L');
+        assert.equal(result.overUnder, 'under');
+        assert.equal(result.closing.spread, -3.5);
+        assert.equal(result.closing.moneyline, 1.69);
+    });
+
+    it('answers 404 for a team we know nothing about', async () => {
+        server = await startApp({ routes: { [ODDS_PATH]: sampleEvents() } });
+        const { status } = await server.request('/api/v1/teams/nowhere-united/profile');
+
+        assert.equal(status, 404);
+    });
+});
@@ -0,0 +1,150 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { sampleEvents, httpError, createClock, startApp } = require('./helpers');
+
+const ODDS_PATH = '/sports/basketball_nba/odds';
+const MINUTE = 60 * 1000;
+
+// Lets queued callbacks (background refreshes) run
+const settle = () => new Promise(resolve => setImmediate(resolve));
+
+// Two pulls that differ in the first game's id, to tell them apart
+const versionedEvents = (version) => sampleEvents().map((event, index) => (
+    index === 0 ? { ...event, id: `evt-1-v${version}` } : event
+));
+
+describe('upstream caching', () => {
+    let server;
+    let clock;
+
+    beforeEach(() => {
+        clock = createClock();
+        mock.method(console, 'log', () => {});
+        mock.method(console, 'error', () => {});
+    });
+
+    afterEach(async () => {
+        await server?.close();
+        server = null;
+        mock.restoreAll();
+    });
+
+    const gameIds = async () => (await server.request('/api/v1/games')).body.games.map(game => game.id).sort();
+
+    it('serves repeat requests within the TTL from the cache', async () => {
+        server = await startApp({ routes: { [ODDS_PATH]: sampleEvents() }, clock });
+        await server.request('/api/v1/games');
+        clock.advance(30 * 1000);
+        await server.request('/api/v1/opportunities');
+
+        assert.equal(server.oddsClient.calls.length, 1);
+        assert.equal(server.services.upstream.status().stats.hits, 1);
+    });
+
+    it('coalesces concurrent requests into one upstream call', async () => {
+        let release;
+        const gate = new Promise(resolve => { release = resolve; });
+        server = await startApp({ routes: { [ODDS_PATH]: async () => { await gate; return sampleEvents(); } }, clock });
+
+        const pending = [1, 2, 3].map(() => server.request('/api/v1/games'));
+        await new Promise(resolve => setTimeout(resolve, 50));
+        release();
+        const responses = await Promise.all(pending);
+
+        assert.deepEqual(responses.map(response => response.status), [200, 200, 200]);
+        assert.equal(server.oddsClient.calls.length, 1);
+        assert.equal(server.services.upstream.status().stats.coalesced, 2);
+    });
+
+    it('serves stale data while it refreshes in the background', async () => {
+        let version = 1;
+        server = await startApp({ routes: { [ODDS_PATH]: () => versionedEvents(version) }, clock });
+        await server.request('/api/v1/games');
+
+        version = 2;
+        clock.advance(2 * MINUTE);
+        assert.ok((await gameIds()).includes('evt-1-v1'));
+        await settle();
+
+        assert.equal(server.oddsClient.calls.length, 2);
+        assert.ok((await gameIds()).includes('evt-1-v2'));
+    });
+
+    it('waits for a fresh pull once data is past the stale window', async () => {
+        let version = 1;
+        server = await startApp({ routes: { [ODDS_PATH]: () => versionedEvents(version) }, clock });
+        await server.request('/api/v1/games');
+
+        version = 2;
+        clock.advance(10 * MINUTE);
+        assert.ok((await gameIds()).includes('evt-1-v2'));
+        assert.equal(server.services.upstream.status().stats.misses, 2);
+    });
+
+    it('falls back to cached data when a refresh fails', async () => {
+        let failing = false;
+        server = await startApp({
+            routes: { [ODDS_PATH]: () => { if (failing) throw httpError(500, {}); return sampleEvents(); } },
+            clock,
+        });
+        await server.request('/api/v1/games');
+
+        failing = true;
+        clock.advance(10 * MINUTE);
+        const { status, body } = await server.request('/api/v1/games');
+
+        assert.equal(status, 200);
+        assert.equal(body.count, 2);
+    });
+
+    it('re-pulls on every request with caching disabled', async () => {
+        server = await startApp({ routes: { [ODDS_PATH]: sampleEvents() }, env: { ENABLE_CACHE: 'false' }, clock });
+        await server.request('/api/v1/games');
+        await server.request('/api/v1/games');
+
+        assert.equal(server.oddsClient.calls.length, 2);
+    });
+
+    describe('quota', () => {
+        it('stretches the TTL as the quota runs low', async () => {
+            server = await startApp({ routes: { [ODDS_PATH]: sampleEvents() }, clock });
+            server.oddsClient.headers = { 'x-requests-remaining': '10' };
+            await server.request('/api/v1/games');
+
+            // 50 / 10 left: the one-minute TTL is now five
+            clock.advance(4 * MINUTE);
+            await server.request('/api/v1/games');
+
+            assert.equal(server.oddsClient.calls.length, 1);
+            assert.equal(server.services.upstream.status().quota.backoff, 5);
+        });
+
+        it('serves only cached data once the reserve is reached', async () => {
+            server = await startApp({ routes: { [ODDS_PATH]: sampleEvents(), '/sports/icehockey_nhl/odds': [] }, clock });
+            server.oddsClient.headers = { 'x-requests-remaining': '3' };
+            await server.request('/api/v1/games');
+
+            clock.advance(30 * MINUTE);
+            const cached = await server.request('/api/v1/games');
+            const uncached = await server.request('/api/v1/sports/icehockey_nhl/games');
+
+            assert.equal(cached.status, 200);
+            assert.equal(uncached.status, 503);
+            assert.equal(uncached.body.error, 'Quota exhausted');
+            assert.equal(server.oddsClient.calls.length, 1);
+        });
+
+        it('checks the quota again after the recheck interval', async () => {
+            server = await startApp({ routes: { [ODDS_PATH]: sampleEvents() }, clock });
+            server.oddsClient.headers = { 'x-requests-remaining': '3' };
+            await server.request('/api/v1/games');
+
+            server.oddsClient.headers = { 'x-requests-remaining': '500' };
+            clock.advance(61 * MINUTE);
+            await server.request('/api/v1/games');
+
+            assert.equal(server.oddsClient.calls.length, 2);
+            assert.equal(server.services.upstream.status().quota.exhausted, false);
+        });
+    });
+});